@@ -9,12 +9,31 @@
 
 import { GeoManager } from '../managers/GeoManager.js';
 import { EventManager } from '../managers/EventManager.js';
+import { ClusterManager } from '../managers/ClusterManager.js';
+import { SelectionManager } from '../managers/SelectionManager.js';
+import { DrawingManager } from '../managers/DrawingManager.js';
+import { EditManager } from '../managers/EditManager.js';
+import { HistoryManager } from '../managers/HistoryManager.js';
+import { SnapManager } from '../managers/SnapManager.js';
+import { ConflictDetector } from '../managers/ConflictDetector.js';
 import { PointRenderer } from '../renderers/PointRenderer.js';
 import { LineRenderer } from '../renderers/LineRenderer.js';
 import { PolygonRenderer } from '../renderers/PolygonRenderer.js';
 import { CircleRenderer } from '../renderers/CircleRenderer.js';
 import { DrawingRenderer } from '../renderers/DrawingRenderer.js';
+import { MultiGeometryRenderer } from '../renderers/MultiGeometryRenderer.js';
 import { GEOMETRY_TYPES, DEFAULT_CONFIG, VERSION } from '../utils/constants.js';
+import { countPositions } from '../utils/simplify.js';
+import { isKML, parseKML, parseKMZ, toKML } from '../utils/kml.js';
+import { isGPX, parseGPX, toGPX } from '../utils/gpx.js';
+import { csvToGeoJSON, decodeCSV, toCSV } from '../utils/csv.js';
+import { getGeometryBounds } from '../utils/geometry.js';
+import { parseShapefileZip } from '../utils/shapefile.js';
+import { isWKB, isWKT } from '../utils/wkt.js';
+import { isZip } from '../utils/zip.js';
+
+// Renderers com nível de detalhe por zoom
+const LEVEL_OF_DETAIL_TYPES = [GEOMETRY_TYPES.LINE_STRING, GEOMETRY_TYPES.POLYGON, GEOMETRY_TYPES.DRAWING];
 
 export class BeraMap {
   /**
@@ -34,7 +53,15 @@ export class BeraMap {
     this._layerGroups = {};
     this._geoManager = null;
     this._eventManager = null;
+    this._selectionManager = null;
+    this._drawingManager = null;
+    this._editManager = null;
+    this._historyManager = null;
+    this._snapManager = null;
+    this._conflictDetector = null;
     this._renderers = {};
+    this._filter = null;
+    this._filterPredicate = null;
     this._initialized = false;
     
     this._initialize();
@@ -80,6 +107,12 @@ export class BeraMap {
     geometryTypes.forEach(type => {
       this._layerGroups[type] = this.L.layerGroup().addTo(this._map);
     });
+    
+    // Agrupamento de pontos: clustering: true | { radius, disableAtZoom, ... }
+    if (this._config.clustering) {
+      const clusterOptions = this._config.clustering === true ? {} : this._config.clustering;
+      this._swapPointLayerGroup(new ClusterManager(this, clusterOptions));
+    }
   }
   
   /**
@@ -89,18 +122,87 @@ export class BeraMap {
   _initializeManagers() {
     this._eventManager = new EventManager(this);
     this._geoManager = new GeoManager(this);
+    
+    // Desfazer/refazer: history: false | { maxDepth }
+    const historyOptions = this._config.history === false
+      ? { enabled: false }
+      : (this._config.history === true ? {} : (this._config.history || {}));
+    this._historyManager = new HistoryManager(this, historyOptions);
     this._renderers = {
       Point: new PointRenderer(this),
       LineString: new LineRenderer(this),
       Polygon: new PolygonRenderer(this),
       Circle: new CircleRenderer(this),
-      Drawing: new DrawingRenderer(this)
+      Drawing: new DrawingRenderer(this),
+      MultiPoint: new MultiGeometryRenderer(this, GEOMETRY_TYPES.MULTI_POINT),
+      MultiLineString: new MultiGeometryRenderer(this, GEOMETRY_TYPES.MULTI_LINE_STRING),
+      MultiPolygon: new MultiGeometryRenderer(this, GEOMETRY_TYPES.MULTI_POLYGON),
+      GeometryCollection: new MultiGeometryRenderer(this, GEOMETRY_TYPES.GEOMETRY_COLLECTION)
     };
+    
+    if (this._config.styleRules) {
+      Object.values(this._renderers).forEach(renderer => {
+        renderer.setStyleRules(this._config.styleRules);
+      });
+    }
+    
+    // Simbologia de pontos: { symbol: 'pin', color: '#e91e63', byProperty: {...} }
+    if (this._config.pointSymbology) {
+      this._configurePointSymbology(this._config.pointSymbology);
+    }
+    
+    // Estilos de hover por tipo: { LineString: {...}, Polygon: (style) => ({...}) }
+    if (this._config.hoverStyles) {
+      Object.entries(this._config.hoverStyles).forEach(([type, hoverStyle]) => {
+        if (this._renderers[type]) {
+          this._renderers[type].setHoverStyle(hoverStyle);
+        }
+      });
+    }
+    
+    // Estilos de seleção por tipo, no mesmo formato de hoverStyles
+    if (this._config.selectedStyles) {
+      Object.entries(this._config.selectedStyles).forEach(([type, selectedStyle]) => {
+        if (this._renderers[type]) {
+          this._renderers[type].setSelectedStyle(selectedStyle);
+        }
+      });
+    }
+    
+    // Nível de detalhe por zoom: levelOfDetail: true | { tolerance (pixels), method }
+    if (this._config.levelOfDetail) {
+      LEVEL_OF_DETAIL_TYPES.forEach(type => this._renderers[type].setLevelOfDetail(this._config.levelOfDetail));
+    }
+    this._attachLevelOfDetail();
+    
+    // Seleção interativa: selection: true | { boxSelection, clearOnMapClick, boxStyle }
+    const selectionOptions = this._config.selection === true ? {} : (this._config.selection || {});
+    this._selectionManager = new SelectionManager(this, selectionOptions);
+    if (this._config.selection) {
+      this._selectionManager.enable();
+    }
+    
+    // Snapping ao desenhar/editar: snapping: true | { tolerance, unit, mode, targets }
+    const snapOptions = this._config.snapping === true ? {} : (this._config.snapping || {});
+    this._snapManager = new SnapManager(this, snapOptions);
+    if (this._config.snapping) {
+      this._snapManager.enable();
+    }
+    
+    // Ferramentas de desenho: drawing: { style, vertexStyle, showMeasurement, closeTolerance }
+    this._drawingManager = new DrawingManager(this, this._config.drawing || {});
+    
+    // Edição de vértices: editing: { handleColor, handleSize, midpoints }
+    this._editManager = new EditManager(this, this._config.editing || {});
+    
+    // Conflitos entre intervenções: conflicts: true | { distance, checkDates, openPeriods, auto, markerStyle }
+    const conflictOptions = this._config.conflicts === true ? {} : (this._config.conflicts || {});
+    this._conflictDetector = new ConflictDetector(this, conflictOptions);
   }
   
   /**
    * Adiciona geometrias ao mapa
-   * @param {Object} geojson - FeatureCollection ou Feature
+   * @param {Object|string} geojson - FeatureCollection, Feature, texto KML/GPX ou WKT/EWKT/WKB hexadecimal
    * @param {Object} options - Opções adicionais
    * @returns {Array} Array de UUIDs adicionados
    */
@@ -118,18 +220,24 @@ export class BeraMap {
       }
       
       const addedUUIDs = [];
+      const changes = [];
       
       features.forEach(feature => {
+        const before = this._historyManager.snapshot(options.uuid);
         const uuid = this._geoManager.addGeometry(feature, options);
-        const geometryType = feature.geometry.type;
-        
-        if (this._renderers[geometryType]) {
-          this._renderers[geometryType].render(uuid, feature);
+        if (!uuid) {
+          console.warn('BeraMap: feature ignorada (geometria inválida)', feature);
+          return;
         }
         
+        this._renderGeometry(uuid);
         addedUUIDs.push(uuid);
+        changes.push({ uuid: uuid, before: before, after: this._historyManager.snapshot(uuid) });
       });
       
+      this._historyManager.record('add', changes);
+      this._conflictDetector.handleGeometriesChanged();
+      
       this._eventManager.trigger('bera:geometryAdded', {
         uuids: addedUUIDs,
         count: addedUUIDs.length
@@ -158,6 +266,8 @@ export class BeraMap {
       return [];
     }
     
+    // clearPrevious + atualização viram um único passo no histórico
+    this._historyManager.beginBatch('update');
     try {
       const features = this._normalizeFeatures(geojson);
       if (!features || features.length === 0) {
@@ -171,6 +281,10 @@ export class BeraMap {
       
       const updatedUUIDs = this.addGeometries(geojson, options);
       
+      if (updatedUUIDs.includes(this._editManager.getEditingUUID())) {
+        this._editManager.refresh();
+      }
+      
       this._eventManager.trigger('bera:geometryUpdated', {
         uuids: updatedUUIDs,
         count: updatedUUIDs.length
@@ -180,6 +294,8 @@ export class BeraMap {
     } catch (error) {
       console.error('❌ Erro ao atualizar geometrias:', error);
       return [];
+    } finally {
+      this._historyManager.endBatch();
     }
   }
   
@@ -198,11 +314,13 @@ export class BeraMap {
     
     try {
       const removedUUIDs = [];
+      const changes = [];
       
       uuidArray.forEach(uuid => {
         const geometryData = this._geoManager.getGeometryByUUID(uuid);
         
         if (geometryData) {
+          changes.push({ uuid: uuid, before: this._historyManager.snapshot(uuid), after: null });
           const geometryType = geometryData.feature.geometry.type;
           
           if (this._renderers[geometryType]) {
@@ -214,7 +332,14 @@ export class BeraMap {
         }
       });
       
+      this._historyManager.record('remove', changes);
+      
       if (removedUUIDs.length > 0) {
+        if (removedUUIDs.includes(this._editManager.getEditingUUID())) {
+          this._editManager.stopEdit();
+        }
+        this._selectionManager.deselect(removedUUIDs);
+        this._conflictDetector.handleGeometriesChanged(removedUUIDs);
         this._eventManager.trigger('bera:geometryRemoved', {
           uuids: removedUUIDs,
           count: removedUUIDs.length
@@ -239,6 +364,16 @@ export class BeraMap {
     }
     
     try {
+      const changes = this._geoManager.getUUIDs().map(uuid => ({
+        uuid: uuid,
+        before: this._historyManager.snapshot(uuid),
+        after: null
+      }));
+      this._historyManager.record('clear', changes);
+      
+      this._editManager.stopEdit();
+      this._selectionManager.clear();
+      this._conflictDetector.clear();
       Object.values(this._layerGroups).forEach(layerGroup => {
         layerGroup.clearLayers();
       });
@@ -285,149 +420,1523 @@ export class BeraMap {
   }
   
   /**
-   * Registra um listener de evento
-   * @param {string} eventName - Nome do evento
-   * @param {Function} callback - Callback
-   * @param {Object} context - Contexto (this)
-   * @returns {void}
+   * Define um filtro de visibilidade
+   * As geometrias que não atendem ao filtro são ocultadas, mas continuam no GeoManager
+   * @param {Function|Array|Object|null} filter - Predicado (feature, geometryData) => boolean,
+   *   expressão declarativa, objeto { propriedade: valor } ou null para remover o filtro
+   * @returns {boolean} Sucesso
    */
-  on(eventName, callback, context) {
-    this._eventManager.on(eventName, callback, context);
+  setFilter(filter) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      this._filterPredicate = filter ? this._geoManager.compileFilter(filter) : null;
+      this._filter = filter || null;
+    } catch (error) {
+      console.error('❌ Erro ao aplicar filtro:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return false;
+    }
+    
+    this._geoManager.getUUIDs().forEach(uuid => this._applyVisibility(uuid));
+    this._triggerFilterChanged();
+    return true;
   }
   
   /**
-   * Remove um listener de evento
-   * @param {string} eventName - Nome do evento
-   * @param {Function} callback - Callback
-   * @returns {void}
+   * Remove o filtro ativo, exibindo todas as geometrias que não foram ocultadas com hide()
+   * @returns {boolean} Sucesso
    */
-  off(eventName, callback) {
-    this._eventManager.off(eventName, callback);
+  clearFilter() {
+    return this.setFilter(null);
   }
   
   /**
-   * Obtém uma geometria pelo UUID
-   * @param {string} uuid - UUID
-   * @returns {Object|null} Dados da geometria
+   * Obtém o filtro ativo
+   * @returns {Function|Object|null} Filtro
    */
-  getGeometryByUUID(uuid) {
-    return this._geoManager.getGeometryByUUID(uuid);
+  getFilter() {
+    return this._filter;
   }
   
   /**
-   * Obtém todas as geometrias
-   * @returns {Array} Array de geometrias
+   * Exibe geometrias ocultas com hide()
+   * Geometrias que não atendem ao filtro ativo continuam ocultas
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @returns {number} Quantidade de geometrias que mudaram de estado
    */
-  getAllGeometries() {
-    return this._geoManager.getAllGeometries();
+  show(uuids) {
+    return this._setVisibility(uuids, true);
   }
   
   /**
-   * Obtém geometrias filtradas por tipo
-   * @param {string} type - Tipo de geometria
-   * @returns {Array} Array de geometrias
+   * Oculta geometrias sem removê-las
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @returns {number} Quantidade de geometrias que mudaram de estado
    */
-  getGeometriesByType(type) {
-    return this._geoManager.getGeometriesByType(type);
+  hide(uuids) {
+    return this._setVisibility(uuids, false);
   }
   
   /**
-   * Obtém contagem de geometrias
-   * @returns {number} Quantidade
+   * Verifica se uma geometria está visível
+   * @param {string} uuid - UUID
+   * @returns {boolean}
    */
-  getGeometriesCount() {
-    return this._geoManager.getCount();
+  isVisible(uuid) {
+    return this._geoManager.isVisible(uuid);
   }
   
   /**
-   * Obtém estatísticas
-   * @returns {Object} Estatísticas
+   * Obtém UUIDs das geometrias visíveis
+   * @returns {Array} Array de UUIDs
    */
-  getStats() {
-    return this._geoManager.getStats();
+  getVisibleUUIDs() {
+    return this._geoManager.getVisibleUUIDs();
   }
   
   /**
-   * Exporta como GeoJSON
-   * @returns {Object} FeatureCollection
+   * Define regras de estilo orientadas a dados e reestiliza as camadas existentes
+   * @param {Array|null} rules - Lista de regras (ver utils/styleRules.js) ou null para remover
+   * @param {Object} options - { types: tipos de geometria afetados (padrão: todos) }
+   * @returns {boolean} Sucesso
    */
-  exportGeoJSON() {
-    return this._geoManager.exportAsGeoJSON();
+  setStyleRules(rules, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    const types = options.types || Object.keys(this._renderers);
+    
+    try {
+      let restyledCount = 0;
+      types.forEach(type => {
+        const renderer = this._renderers[type];
+        if (renderer) {
+          renderer.setStyleRules(rules || []);
+          restyledCount += renderer.restyleAll();
+        }
+      });
+      
+      this._eventManager.triggerStyleChanged(restyledCount, {
+        rules: rules || [],
+        types: types
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao definir regras de estilo:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return false;
+    }
   }
   
   /**
-   * Obtém a instância do Leaflet map
-   * @returns {Object} Mapa Leaflet
+   * Define a simbologia dos pontos e reestiliza os pontos existentes
+   * @param {Object} symbology - Estilo padrão dos pontos e mapeamento opcional por propriedade
+   * @param {string} symbology.symbol - 'marker', 'circle', 'pin', 'icon' ou 'badge' (ver POINT_SYMBOLS)
+   * @param {Object|null} symbology.byProperty - { property, values: { valor: estilo | iconUrl }, default };
+   *   null remove o mapeamento
+   * @returns {boolean} Sucesso
+   * @example
+   * beraMap.setPointSymbology({
+   *   symbol: 'badge',
+   *   byProperty: {
+   *     property: 'situacao',
+   *     values: { 'Concluído': { text: '✔', color: '#2e7d32' }, 'Pendente': { text: '!', color: '#f9a825' } },
+   *     default: { text: '?', color: '#757575' }
+   *   }
+   * });
    */
-  getLeafletMap() {
-    return this._map;
+  setPointSymbology(symbology) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      this._configurePointSymbology(symbology || {});
+      const restyledCount = this._renderers[GEOMETRY_TYPES.POINT].restyleAll();
+      
+      this._eventManager.triggerStyleChanged(restyledCount, {
+        symbology: symbology,
+        types: [GEOMETRY_TYPES.POINT]
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao definir simbologia de pontos:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return false;
+    }
   }
   
   /**
-   * Obtém um renderer específico
-   * @param {string} geometryType - Tipo de geometria
-   * @returns {Object|null} Renderer
+   * Seleciona geometrias
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @param {Object} options - { replace: true substitui a seleção atual }
+   * @returns {Array} Seleção atual
    */
-  getRenderer(geometryType) {
-    return this._renderers[geometryType] || null;
+  select(uuids, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    return this._selectionManager.select(uuids, options);
   }
   
   /**
-   * Obtém todos os renderers
-   * @returns {Object} Objeto com todos os renderers
+   * Remove geometrias da seleção
+   * @param {string|Array} uuids - UUID ou array de UUIDs (omitido: limpa a seleção)
+   * @returns {Array} Seleção atual
    */
-  getRenderers() {
-    return Object.assign({}, this._renderers);
+  deselect(uuids) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    return this._selectionManager.deselect(uuids);
   }
   
   /**
-   * Obtém o GeoManager
-   * @returns {Object} GeoManager
+   * Inverte o estado de seleção de geometrias
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @returns {Array} Seleção atual
    */
-  getGeoManager() {
-    return this._geoManager;
+  toggleSelect(uuids) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    return this._selectionManager.toggle(uuids);
   }
   
   /**
-   * Obtém o EventManager
-   * @returns {Object} EventManager
+   * Limpa a seleção
+   * @returns {Array} Seleção atual (vazia)
    */
-  getEventManager() {
-    return this._eventManager;
+  clearSelection() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    return this._selectionManager.clear();
   }
   
   /**
-   * Verifica se foi inicializado
+   * Obtém os UUIDs selecionados
+   * @returns {Array} UUIDs na ordem de seleção
+   */
+  getSelection() {
+    return this._selectionManager ? this._selectionManager.getSelection() : [];
+  }
+  
+  /**
+   * Verifica se uma geometria está selecionada
+   * @param {string} uuid - UUID
    * @returns {boolean}
    */
-  isInitialized() {
-    return this._initialized;
+  isSelected(uuid) {
+    return !!this._selectionManager && this._selectionManager.isSelected(uuid);
   }
   
   /**
-   * Obtém versão
-   * @returns {string} Versão
+   * Ativa a seleção por clique, shift+clique e retângulo (shift+arrastar)
+   * @param {Object} options - { boxSelection, clearOnMapClick, boxStyle }
+   * @returns {boolean} Sucesso
    */
-  getVersion() {
-    return VERSION;
+  enableSelection(options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    this._selectionManager.enable(options);
+    return true;
   }
   
-  // ===================================================================
-  // MÉTODOS PRIVADOS
-  // ===================================================================
+  /**
+   * Desativa a seleção interativa (a seleção atual é mantida)
+   * @returns {boolean} Sucesso
+   */
+  disableSelection() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    this._selectionManager.disable();
+    return true;
+  }
   
-  _normalizeFeatures(geojson) {
-    if (!geojson) return [];
+  /**
+   * Ativa o agrupamento (clustering) dos pontos
+   * Se já estiver ativo, é reconfigurado com as novas opções
+   * @param {Object} options - Opções do agrupamento (ver ClusterManager)
+   * @returns {boolean} Sucesso
+   */
+  enableClustering(options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
     
-    if (geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
-      return geojson.features;
+    try {
+      this._swapPointLayerGroup(new ClusterManager(this, options));
+      console.log('✅ Agrupamento de pontos ativado');
+      return true;
+    } catch (error) {
+      console.error('❌ Erro ao ativar agrupamento:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Desativa o agrupamento dos pontos
+   * @returns {boolean} Sucesso
+   */
+  disableClustering() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
     }
     
-    if (geojson.type === 'Feature') {
-      return [geojson];
+    if (!this.isClusteringEnabled()) {
+      return true;
     }
     
-    return [];
+    this._swapPointLayerGroup(this.L.layerGroup());
+    console.log('✅ Agrupamento de pontos desativado');
+    return true;
+  }
+  
+  /**
+   * Verifica se o agrupamento de pontos está ativo
+   * @returns {boolean}
+   */
+  isClusteringEnabled() {
+    return this._layerGroups[GEOMETRY_TYPES.POINT] instanceof ClusterManager;
+  }
+  
+  /**
+   * Obtém os clusters exibidos no zoom atual
+   * @returns {Array} Array de { latLng, count, uuids, bounds } (vazio sem agrupamento)
+   */
+  getClusters() {
+    if (!this.isClusteringEnabled()) {
+      return [];
+    }
+    return this._layerGroups[GEOMETRY_TYPES.POINT].getClusters();
+  }
+  
+  /**
+   * Inicia o desenho interativo de uma geometria
+   * A forma finalizada é registrada via addGeometries e recebe UUID
+   * @param {string} type - 'LineString', 'Polygon', 'Point', 'Circle' ou 'Drawing'
+   * @param {Object} options - { properties, style, metadata } da geometria criada
+   * @returns {boolean} Sucesso
+   */
+  startDraw(type, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      this._editManager.stopEdit();
+      return this._drawingManager.startDraw(type, options);
+    } catch (error) {
+      console.error('❌ Erro ao iniciar desenho:', error);
+      this._eventManager.triggerError(error.message, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Finaliza o desenho em andamento
+   * @returns {string|null} UUID da geometria criada ou null
+   */
+  finishDraw() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return null;
+    }
+    return this._drawingManager.finishDraw();
+  }
+  
+  /**
+   * Cancela o desenho em andamento
+   * @returns {boolean} Se havia desenho em andamento
+   */
+  cancelDraw() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    return this._drawingManager.cancelDraw();
+  }
+  
+  /**
+   * Verifica se há desenho em andamento
+   * @returns {boolean}
+   */
+  isDrawing() {
+    return !!this._drawingManager && this._drawingManager.isDrawing();
+  }
+  
+  /**
+   * Inicia a edição de vértices de uma geometria
+   * Vértices podem ser arrastados, inseridos (pontos médios) e removidos (clique);
+   * pontos são movidos e círculos movidos/redimensionados. Esc ou Enter encerram
+   * @param {string} uuid - UUID da geometria (Point, LineString, Polygon, Circle ou Drawing)
+   * @returns {boolean} Sucesso
+   */
+  edit(uuid) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      this._drawingManager.cancelDraw();
+      return this._editManager.startEdit(uuid);
+    } catch (error) {
+      console.error('❌ Erro ao iniciar edição:', error);
+      this._eventManager.triggerError(error.message, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Encerra a edição em andamento
+   * @returns {boolean} Se havia edição em andamento
+   */
+  stopEdit() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    return this._editManager.stopEdit();
+  }
+  
+  /**
+   * Verifica se há edição em andamento
+   * @returns {boolean}
+   */
+  isEditing() {
+    return !!this._editManager && this._editManager.isEditing();
+  }
+  
+  /**
+   * Ativa o snapping de vértices ao desenhar e editar
+   * Se já estiver ativo, é reconfigurado com as novas opções
+   * @param {Object} options - { tolerance, unit: 'px'|'m', mode: 'vertex'|'segment'|'both', targets, indicatorStyle }
+   * @returns {boolean} Sucesso
+   */
+  enableSnapping(options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    this._snapManager.enable(options);
+    return true;
+  }
+  
+  /**
+   * Desativa o snapping
+   * @returns {boolean} Sucesso
+   */
+  disableSnapping() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    this._snapManager.disable();
+    return true;
+  }
+  
+  /**
+   * Verifica se o snapping está ativo
+   * @returns {boolean}
+   */
+  isSnappingEnabled() {
+    return !!this._snapManager && this._snapManager.isEnabled();
+  }
+  
+  /**
+   * Desfaz a última operação (adicionar, atualizar, remover, estilizar ou limpar)
+   * @returns {boolean} Se alguma operação foi desfeita
+   */
+  undo() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      return this._historyManager.undo();
+    } catch (error) {
+      console.error('❌ Erro ao desfazer:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Refaz a última operação desfeita
+   * @returns {boolean} Se alguma operação foi refeita
+   */
+  redo() {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return false;
+    }
+    
+    try {
+      return this._historyManager.redo();
+    } catch (error) {
+      console.error('❌ Erro ao refazer:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Verifica se há operação para desfazer
+   * @returns {boolean}
+   */
+  canUndo() {
+    return !!this._historyManager && this._historyManager.canUndo();
+  }
+  
+  /**
+   * Verifica se há operação para refazer
+   * @returns {boolean}
+   */
+  canRedo() {
+    return !!this._historyManager && this._historyManager.canRedo();
+  }
+  
+  /**
+   * Executa várias operações como um único passo do histórico
+   * @param {Function} fn - Função que realiza as operações
+   * @param {string} label - Nome do passo (padrão: 'batch')
+   * @returns {*} Retorno da função
+   */
+  batch(fn, label = 'batch') {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return undefined;
+    }
+    return this._historyManager.batch(fn, label);
+  }
+  
+  /**
+   * Descarta o histórico de desfazer/refazer
+   * @returns {void}
+   */
+  clearHistory() {
+    if (this._historyManager) {
+      this._historyManager.clear();
+    }
+  }
+  
+  /**
+   * Obtém o estado do histórico
+   * @returns {Object} { canUndo, canRedo, undoCount, redoCount, nextUndo, nextRedo }
+   */
+  getHistoryState() {
+    return this._historyManager ? this._historyManager.getState() : null;
+  }
+  
+  /**
+   * Detecta conflitos (cruzamento, contato ou proximidade) entre linhas e polígonos carregados
+   * Exibe marcadores no ponto mais próximo e dispara bera:conflictsDetected
+   * @param {Object} options - { distance (metros), types, checkDates, startProperty, endProperty, openPeriods, visibleOnly, showMarkers }
+   * @returns {Array} Array de { uuids, type: 'crossing'|'touch'|'proximity', distance, latLng, from, to }
+   */
+  detectConflicts(options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    try {
+      return this._conflictDetector.detect(options);
+    } catch (error) {
+      console.error('❌ Erro ao detectar conflitos:', error);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Remove os conflitos detectados e seus marcadores
+   * @returns {void}
+   */
+  clearConflicts() {
+    if (this._conflictDetector) {
+      this._conflictDetector.clear();
+    }
+  }
+  
+  /**
+   * Obtém os conflitos da última detecção
+   * @param {string} uuid - Apenas os conflitos desta geometria (opcional)
+   * @returns {Array} Array de conflitos
+   */
+  getConflicts(uuid) {
+    if (!this._conflictDetector) return [];
+    return uuid ? this._conflictDetector.getConflictsFor(uuid) : this._conflictDetector.getConflicts();
+  }
+  
+  /**
+   * Define o estilo customizado de geometrias
+   * O estilo é mantido no GeoManager e sobrevive a hover, re-renderização e atualização
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @param {Object} style - Estilo (mesclado ao estilo customizado atual)
+   * @param {Object} options - { merge: false substitui o estilo atual }
+   * @returns {Array} UUIDs afetados
+   */
+  setStyle(uuids, style, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    const uuidArray = Array.isArray(uuids) ? uuids : [uuids];
+    const styledUUIDs = [];
+    const changes = [];
+    
+    uuidArray.forEach(uuid => {
+      const before = this._historyManager.snapshot(uuid);
+      const newStyle = this._geoManager.setStyle(uuid, style, options);
+      if (newStyle) {
+        this._refreshCustomStyle(uuid);
+        styledUUIDs.push(uuid);
+        changes.push({ uuid: uuid, before: before, after: this._historyManager.snapshot(uuid) });
+      }
+    });
+    this._historyManager.record('style', changes);
+    
+    if (styledUUIDs.length > 0) {
+      this._eventManager.triggerStyleChanged(styledUUIDs.length, {
+        uuids: styledUUIDs,
+        style: style
+      });
+    }
+    return styledUUIDs;
+  }
+  
+  /**
+   * Remove o estilo customizado de geometrias, voltando ao padrão e às regras
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @returns {Array} UUIDs afetados
+   */
+  resetStyle(uuids) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    const uuidArray = Array.isArray(uuids) ? uuids : [uuids];
+    const changes = [];
+    const resetUUIDs = uuidArray.filter(uuid => {
+      const before = this._historyManager.snapshot(uuid);
+      if (!this._geoManager.resetStyle(uuid)) return false;
+      this._refreshCustomStyle(uuid);
+      changes.push({ uuid: uuid, before: before, after: this._historyManager.snapshot(uuid) });
+      return true;
+    });
+    this._historyManager.record('style', changes);
+    
+    if (resetUUIDs.length > 0) {
+      this._eventManager.triggerStyleChanged(resetUUIDs.length, {
+        uuids: resetUUIDs,
+        style: null
+      });
+    }
+    return resetUUIDs;
+  }
+  
+  /**
+   * Obtém as regras de estilo de um tipo de geometria
+   * @param {string} geometryType - Tipo de geometria
+   * @returns {Array} Lista de regras
+   */
+  getStyleRules(geometryType) {
+    const renderer = this._renderers[geometryType];
+    return renderer ? renderer.getStyleRules() : [];
+  }
+  
+  /**
+   * Ativa/desativa o nível de detalhe por zoom de linhas, polígonos e desenhos
+   * As camadas são re-simplificadas a cada mudança de zoom; as features armazenadas não mudam
+   * @param {boolean|Object} options - false para desativar; true ou { tolerance: pixels de tela (padrão: 1),
+   *   method: 'douglas-peucker' (padrão) ou 'visvalingam' }
+   * @returns {number} Quantidade de camadas atualizadas
+   */
+  setLevelOfDetail(options) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return 0;
+    }
+    
+    return LEVEL_OF_DETAIL_TYPES.reduce((total, type) => total + this._renderers[type].setLevelOfDetail(options), 0);
+  }
+  
+  /**
+   * Simplifica geometrias armazenadas (Douglas–Peucker ou Visvalingam), registrando um passo no histórico
+   * Ex.: simplify(uuids, 2) remove vértices a menos de 2 m da linha simplificada
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @param {number} tolerance - Tolerância em metros
+   * @param {Object} options - { method: 'douglas-peucker' (padrão) ou 'visvalingam' }
+   * @returns {Array} UUIDs que perderam vértices
+   */
+  simplify(uuids, tolerance, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    const uuidArray = Array.isArray(uuids) ? uuids : [uuids];
+    
+    try {
+      const simplifiedUUIDs = [];
+      const changes = [];
+      let removedVertices = 0;
+      
+      // Simplifica todas antes de alterar qualquer uma: UUID inválido ou tolerância ruim não deixa alterações pela metade
+      const features = uuidArray.map(uuid => this._geoManager.simplify(uuid, tolerance, options));
+      
+      uuidArray.forEach((uuid, index) => {
+        const feature = features[index];
+        const geometryData = this._geoManager.getGeometryByUUID(uuid);
+        const removed = countPositions(geometryData.feature.geometry) - countPositions(feature.geometry);
+        if (removed === 0) return;
+        
+        const before = this._historyManager.snapshot(uuid);
+        this._geoManager.updateGeometry(uuid, feature);
+        this._renderGeometry(uuid);
+        changes.push({ uuid: uuid, before: before, after: this._historyManager.snapshot(uuid) });
+        simplifiedUUIDs.push(uuid);
+        removedVertices += removed;
+      });
+      
+      this._historyManager.record('update', changes);
+      
+      if (simplifiedUUIDs.length > 0) {
+        if (simplifiedUUIDs.includes(this._editManager.getEditingUUID())) {
+          this._editManager.refresh();
+        }
+        this._conflictDetector.handleGeometriesChanged();
+        this._eventManager.triggerGeometryUpdated(simplifiedUUIDs, {
+          operation: 'simplify',
+          tolerance: tolerance,
+          removedVertices: removedVertices
+        });
+      }
+      
+      return simplifiedUUIDs;
+    } catch (error) {
+      console.error('❌ Erro ao simplificar geometrias:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Registra um listener de evento
+   * @param {string} eventName - Nome do evento
+   * @param {Function} callback - Callback
+   * @param {Object} context - Contexto (this)
+   * @returns {void}
+   */
+  on(eventName, callback, context) {
+    this._eventManager.on(eventName, callback, context);
+  }
+  
+  /**
+   * Remove um listener de evento
+   * @param {string} eventName - Nome do evento
+   * @param {Function} callback - Callback
+   * @returns {void}
+   */
+  off(eventName, callback) {
+    this._eventManager.off(eventName, callback);
+  }
+  
+  /**
+   * Obtém uma geometria pelo UUID
+   * @param {string} uuid - UUID
+   * @returns {Object|null} Dados da geometria
+   */
+  getGeometryByUUID(uuid) {
+    return this._geoManager.getGeometryByUUID(uuid);
+  }
+  
+  /**
+   * Obtém todas as geometrias
+   * @returns {Array} Array de geometrias
+   */
+  getAllGeometries() {
+    return this._geoManager.getAllGeometries();
+  }
+  
+  /**
+   * Obtém geometrias filtradas por tipo
+   * @param {string} type - Tipo de geometria
+   * @returns {Array} Array de geometrias
+   */
+  getGeometriesByType(type) {
+    return this._geoManager.getGeometriesByType(type);
+  }
+  
+  /**
+   * Obtém as geometrias cujo retângulo envolvente intersecta os limites (índice espacial)
+   * @param {Object|Array} bounds - L.LatLngBounds, { minLat, minLng, maxLat, maxLng } ou [[lat, lng], [lat, lng]]
+   * @param {Object} options - { type, visible }
+   * @returns {Array} Array de geometrias
+   */
+  queryBBox(bounds, options = {}) {
+    return this._geoManager.queryBBox(bounds, options);
+  }
+  
+  /**
+   * Obtém as geometrias cujo retângulo envolvente contém um ponto
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { type, visible }
+   * @returns {Array} Array de geometrias
+   */
+  queryPoint(lat, lng, options = {}) {
+    return this._geoManager.queryPoint(lat, lng, options);
+  }
+  
+  /**
+   * Obtém as geometrias que contêm um ponto (polígonos, círculos e desenhos fechados pela área)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { type, visible, exclude, tolerance (metros para pontos e linhas) }
+   * @returns {Array} Array de geometrias
+   */
+  queryContains(lat, lng, options = {}) {
+    return this._geoManager.queryContains(lat, lng, options);
+  }
+  
+  /**
+   * Obtém as geometrias que intersectam uma geometria
+   * @param {string|Object|Array} target - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {Object} options - { type, visible, exclude }
+   * @returns {Array} Array de geometrias
+   */
+  queryIntersects(target, options = {}) {
+    try {
+      return this._geoManager.queryIntersects(target, options);
+    } catch (error) {
+      console.error('❌ Erro na consulta espacial:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Obtém as geometrias a até N metros de uma geometria
+   * @param {string|Object|Array} target - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {number} meters - Distância máxima em metros
+   * @param {Object} options - { type, visible, exclude }
+   * @returns {Array} Array de { uuid, distance, geometryData }, do mais próximo ao mais distante
+   */
+  queryWithinDistance(target, meters, options = {}) {
+    try {
+      return this._geoManager.queryWithinDistance(target, meters, options);
+    } catch (error) {
+      console.error('❌ Erro na consulta espacial:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Obtém as k geometrias mais próximas de uma localização
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} k - Quantidade (padrão: 1)
+   * @param {Object} options - { type, visible, exclude, maxDistance (metros) }
+   * @returns {Array} Array de { uuid, distance, geometryData }, do mais próximo ao mais distante
+   */
+  queryNearest(lat, lng, k = 1, options = {}) {
+    return this._geoManager.queryNearest(lat, lng, k, options);
+  }
+  
+  /**
+   * Gera o buffer (área de influência) de uma geometria
+   * Ex.: buffer(uuid, 20) em torno de uma linha de obra, buffer(uuid, 100) em torno de um ponto
+   * @param {string} uuid - UUID da geometria de origem
+   * @param {number} meters - Distância em metros
+   * @param {Object} options - Opções
+   * @param {number} options.segments - Segmentos de um círculo completo (padrão: 32)
+   * @param {boolean} options.add - Adicionar o buffer ao mapa vinculado à origem (padrão: false)
+   * @param {Object} options.properties - Propriedades extras da feature
+   * @param {Object} options.style - Estilo do buffer adicionado
+   * @returns {Object|null} Feature Polygon/MultiPolygon (com id = UUID quando adicionada) ou null
+   */
+  buffer(uuid, meters, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return null;
+    }
+    
+    try {
+      const feature = this._geoManager.createBuffer(uuid, meters, options);
+      
+      if (options.add) {
+        const style = Object.assign({ dashArray: '6 4', fillOpacity: 0.15 }, options.style || {});
+        const addedUUIDs = this.addGeometries(feature, {
+          style: style,
+          metadata: { bufferOf: uuid, bufferDistance: meters }
+        });
+        feature.id = addedUUIDs[0] || null;
+      }
+      
+      return feature;
+    } catch (error) {
+      console.error('❌ Erro ao gerar buffer:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return null;
+    }
+  }
+  
+  /**
+   * União de polígonos (Polygon, MultiPolygon, Circle, Drawing fechado) em uma nova geometria
+   * @param {Array} uuids - UUIDs (ao menos dois)
+   * @param {Object} options - Opções
+   * @param {string|Function|Object} options.properties - Estratégia de propriedades: 'first' (padrão), 'last',
+   *   'merge' (todas combinadas, prevalece a primeira), 'none', função (propertiesList) => propriedades ou objeto
+   * @param {number} options.segments - Segmentos usados para aproximar círculos (padrão: 32)
+   * @param {boolean} options.add - Adicionar o resultado ao mapa (padrão: true)
+   * @param {boolean} options.replace - Remover as geometrias de origem (padrão: false)
+   * @param {Object} options.style - Estilo do resultado (padrão: estilo customizado da primeira origem)
+   * @returns {Object|null} Feature (com id = UUID quando adicionada) ou null
+   */
+  union(uuids, options = {}) {
+    return this._runGeometryOperation('union', uuids, false, options,
+      () => this._geoManager.union(uuids, options));
+  }
+  
+  /**
+   * Interseção (área comum a todos) de polígonos em uma nova geometria
+   * @param {Array} uuids - UUIDs (ao menos dois)
+   * @param {Object} options - Opções (ver union)
+   * @returns {Object|null} Feature ou null se não houver área comum
+   */
+  intersection(uuids, options = {}) {
+    return this._runGeometryOperation('intersection', uuids, false, options,
+      () => this._geoManager.intersection(uuids, options));
+  }
+  
+  /**
+   * Diferença de polígonos (primeiro menos os demais) em uma nova geometria
+   * Ex.: difference(areaObra, [areaPreservada], { replace: true })
+   * @param {string} uuid - UUID do polígono base
+   * @param {string|Array} subtract - UUID(s) subtraídos
+   * @param {Object} options - Opções (ver union; replace remove apenas o polígono base)
+   * @returns {Object|null} Feature ou null se nada restar
+   */
+  difference(uuid, subtract, options = {}) {
+    return this._runGeometryOperation('difference', [uuid], false, options,
+      () => this._geoManager.difference(uuid, subtract, options));
+  }
+  
+  /**
+   * Divide uma linha (LineString ou Drawing) em duas no ponto mais próximo de uma posição
+   * @param {string} uuid - UUID da linha
+   * @param {Array|Object} latLng - [lat, lng] ou {lat, lng} (ex.: posição do clique)
+   * @param {Object} options - Opções (ver union)
+   * @param {number} options.tolerance - Distância máxima em metros entre a posição e a linha
+   * @param {boolean} options.replace - Remover a linha original (padrão: true)
+   * @returns {Array|null} As duas Features (com id quando adicionadas) ou null
+   */
+  splitLine(uuid, latLng, options = {}) {
+    return this._runGeometryOperation('split', [uuid], true, options,
+      () => this._geoManager.splitLine(uuid, latLng, options));
+  }
+  
+  /**
+   * Junta linhas pelas extremidades mais próximas em uma única linha (ex.: trechos de uma rua)
+   * @param {Array} uuids - UUIDs (ao menos dois)
+   * @param {Object} options - Opções (ver union)
+   * @param {number} options.tolerance - Distância máxima em metros entre extremidades ligadas (padrão: 1)
+   * @param {boolean} options.replace - Remover as linhas de origem (padrão: true)
+   * @returns {Object|null} Feature LineString (MultiLineString se alguma não se conectar) ou null
+   */
+  mergeLines(uuids, options = {}) {
+    return this._runGeometryOperation('merge', uuids, true, options,
+      () => this._geoManager.mergeLines(uuids, options));
+  }
+  
+  /**
+   * Obtém as geometrias visíveis na área atual do mapa
+   * @returns {Array} Array de geometrias
+   */
+  getVisibleGeometries() {
+    return this._geoManager.getVisibleGeometries();
+  }
+  
+  /**
+   * Obtém contagem de geometrias
+   * @returns {number} Quantidade
+   */
+  getGeometriesCount() {
+    return this._geoManager.getCount();
+  }
+  
+  /**
+   * Obtém estatísticas
+   * @returns {Object} Estatísticas
+   */
+  getStats() {
+    return this._geoManager.getStats();
+  }
+  
+  /**
+   * Exporta como GeoJSON
+   * @param {Object} options - Opções (ver GeoManager.exportAsGeoJSON)
+   * @returns {Object} FeatureCollection
+   */
+  exportGeoJSON(options = {}) {
+    return this._geoManager.exportAsGeoJSON(options);
+  }
+  
+  /**
+   * Importa um arquivo KML ou KMZ (Google Earth)
+   * Estilos do KML são aplicados pelas propriedades simplestyle de cada feature
+   * @param {string|ArrayBuffer|Uint8Array|Blob} source - Texto KML ou conteúdo do arquivo (ex.: File de um input)
+   * @param {Object} options - Opções (ver addGeometries)
+   * @returns {Promise<Array>} UUIDs adicionados
+   */
+  async importKML(source, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    try {
+      let geojson;
+      if (typeof source === 'string') {
+        geojson = parseKML(source);
+      } else {
+        const bytes = new Uint8Array(source instanceof Uint8Array || source instanceof ArrayBuffer
+          ? source
+          : await source.arrayBuffer());
+        geojson = isZip(bytes) ? await parseKMZ(bytes) : parseKML(new TextDecoder('utf-8').decode(bytes));
+      }
+      
+      if (geojson.features.length === 0) {
+        console.warn('⚠️ BeraMap: nenhum Placemark com geometria no KML');
+        return [];
+      }
+      return this.addGeometries(geojson, options);
+    } catch (error) {
+      console.error('❌ Erro ao importar KML:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Exporta como KML, com o estilo renderizado e as propriedades (ExtendedData) de cada geometria
+   * @param {Object} options - Opções de exportGeoJSON (type, includeMetadata, simplify)
+   * @param {string} options.name - Nome do documento (padrão: 'BeraMap')
+   * @param {number} options.segments - Segmentos dos círculos exportados como polígonos (padrão: 64)
+   * @returns {string} Documento KML
+   */
+  exportKML(options = {}) {
+    const geojson = this._geoManager.exportAsGeoJSON(Object.assign({}, options, { simplestyle: true }));
+    return toKML(geojson, options);
+  }
+  
+  /**
+   * Exporta como GPX: linhas como trilhas (trk) e pontos como waypoints (wpt)
+   * Polígonos são exportados como trilhas fechadas e círculos pelo centro
+   * @param {Object} options - Opções de exportGeoJSON (type, simplify)
+   * @param {string} options.name - Nome do documento (padrão: 'BeraMap')
+   * @returns {string} Documento GPX
+   */
+  exportGPX(options = {}) {
+    return toGPX(this._geoManager.exportAsGeoJSON(options), options);
+  }
+  
+  /**
+   * Importa um CSV (planilha) com geometria em colunas de latitude/longitude ou em uma coluna WKT
+   * Separador, vírgula decimal e codificação (UTF-8 ou Latin-1) são detectados automaticamente
+   * @param {string|ArrayBuffer|Uint8Array|Blob} source - Conteúdo CSV ou arquivo (File)
+   * @param {Object} options - Opções de csvToGeoJSON (delimiter, decimal, latColumn, lngColumn, wktColumn, columns)
+   *   e de addGeometries (style, fitBounds...)
+   * @param {string} options.encoding - Forçar a codificação do arquivo ('utf-8', 'latin1')
+   * @returns {Promise<Array>} Array de UUIDs adicionados
+   */
+  async importCSV(source, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    try {
+      let text = source;
+      if (typeof source !== 'string') {
+        const bytes = source instanceof Uint8Array || source instanceof ArrayBuffer
+          ? source
+          : await source.arrayBuffer();
+        text = decodeCSV(bytes, options.encoding).text;
+      }
+      
+      const geojson = csvToGeoJSON(text, options);
+      const skipped = geojson.metadata.skipped;
+      if (skipped.length > 0) {
+        console.warn(`⚠️ BeraMap: ${skipped.length} linha(s) do CSV ignorada(s)`, skipped);
+      }
+      if (geojson.features.length === 0) {
+        console.warn('⚠️ BeraMap: nenhuma linha com geometria válida no CSV');
+        return [];
+      }
+      return this.addGeometries(geojson, options);
+    } catch (error) {
+      console.error('❌ Erro ao importar CSV:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Exporta a tabela de atributos como CSV, com comprimento, perímetro e área calculados pelos renderers
+   * Colunas: uuid, geometry_type, propriedades, length_m, perimeter_m, area_m2 (e a geometria, se pedida)
+   * @param {Object} options - Opções
+   * @param {string} options.type - Exportar apenas um tipo de geometria
+   * @param {Array} options.columns - Propriedades exportadas, em ordem (padrão: todas)
+   * @param {string} options.geometry - Incluir a geometria: 'wkt' (coluna wkt) ou 'latlng' (lat/lng do centro)
+   * @param {string} options.delimiter - Separador (padrão: ';')
+   * @param {string} options.decimal - Separador decimal (padrão: ',')
+   * @param {boolean} options.bom - Iniciar com BOM para o Excel (padrão: true)
+   * @returns {string} Conteúdo CSV
+   */
+  exportCSV(options = {}) {
+    // Colunas da geometria só substituem propriedades homônimas quando o modo correspondente está ativo
+    const geometryColumns = options.geometry === 'wkt' ? ['wkt'] : (options.geometry === 'latlng' ? ['lat', 'lng'] : []);
+    const reserved = ['uuid', 'geometry_type', 'length_m', 'perimeter_m', 'area_m2'].concat(geometryColumns);
+    const geometries = this._geoManager.getAllGeometries({ type: options.type });
+    const keys = (options.columns || geometries.reduce((list, geometryData) => {
+      Object.keys(geometryData.feature.properties || {}).forEach(key => {
+        if (!list.includes(key)) list.push(key);
+      });
+      return list;
+    }, [])).filter(key => !reserved.includes(key));
+    
+    const rows = geometries.map(geometryData => {
+      const properties = geometryData.feature.properties || {};
+      const row = { uuid: geometryData.uuid, geometry_type: geometryData.type };
+      keys.forEach(key => {
+        row[key] = properties[key];
+      });
+      Object.assign(row, this._getMeasurements(geometryData));
+      
+      if (options.geometry === 'wkt') {
+        row.wkt = this._geoManager.toWKT(geometryData.uuid);
+      } else if (options.geometry === 'latlng') {
+        const bounds = getGeometryBounds(geometryData.feature.geometry);
+        row.lat = bounds ? (bounds.minLat + bounds.maxLat) / 2 : null;
+        row.lng = bounds ? (bounds.minLng + bounds.maxLng) / 2 : null;
+      }
+      return row;
+    });
+    
+    return toCSV(rows, Object.assign({}, options, {
+      columns: ['uuid', 'geometry_type'].concat(keys, ['length_m', 'perimeter_m', 'area_m2'], geometryColumns)
+    }));
+  }
+  
+  /**
+   * Importa um shapefile compactado (.zip com .shp, .dbf e .prj), reprojetando para WGS84 quando necessário
+   * Os atributos do .dbf viram propriedades. As features são adicionadas em lotes, disparando
+   * bera:importProgress ({ format, stage: 'reading' | 'parsing' | 'adding' | 'done', loaded, total, percent })
+   * @param {ArrayBuffer|Uint8Array|Blob} source - Conteúdo do .zip ou arquivo (File)
+   * @param {Object} options - Opções de addGeometries (style, fitBounds...)
+   * @param {string} options.layer - Camada a importar quando o .zip tiver várias (padrão: todas)
+   * @param {string} options.prj - WKT do sistema de coordenadas, se o .prj estiver ausente
+   * @param {string} options.encoding - Codificação do .dbf, se o .cpg estiver ausente (padrão: detectada)
+   * @param {number} options.chunkSize - Features adicionadas por lote (padrão: 500)
+   * @returns {Promise<Array>} Array de UUIDs adicionados
+   */
+  async importShapefile(source, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return [];
+    }
+    
+    const progress = (stage, loaded, total, data) =>
+      this._eventManager.triggerImportProgress('shapefile', stage, loaded, total, data);
+    
+    try {
+      const geojson = await parseShapefileZip(source, Object.assign({}, options, {
+        onProgress: event => progress(event.stage, event.loaded, event.total, event.layer ? { layer: event.layer } : {})
+      }));
+      
+      const features = geojson.features;
+      if (features.length === 0) {
+        console.warn('⚠️ BeraMap: nenhuma feature com geometria no shapefile');
+        progress('done', 0, 0);
+        return [];
+      }
+      
+      // Lotes com pausa entre eles para a interface acompanhar o progresso; um único passo no histórico,
+      // registrado no final (um lote aberto durante as pausas capturaria as ações do usuário)
+      const chunkSize = options.chunkSize || 500;
+      const addOptions = Object.assign({}, options, { fitBounds: false });
+      const addedUUIDs = [];
+      const changes = [];
+      try {
+        for (let start = 0; start < features.length; start += chunkSize) {
+          const chunk = { type: 'FeatureCollection', features: features.slice(start, start + chunkSize) };
+          this._historyManager.collect(() => {
+            this.addGeometries(chunk, addOptions).forEach(uuid => addedUUIDs.push(uuid));
+          }).forEach(change => changes.push(change));
+          progress('adding', Math.min(start + chunkSize, features.length), features.length);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      } finally {
+        this._historyManager.record('importShapefile', changes);
+      }
+      
+      if (options.fitBounds) {
+        this.fitBounds(addedUUIDs);
+      }
+      progress('done', addedUUIDs.length, features.length, { layers: geojson.metadata.layers });
+      return addedUUIDs;
+    } catch (error) {
+      console.error('❌ Erro ao importar shapefile:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Adiciona uma geometria a partir de WKT, EWKT ou WKB hexadecimal (como devolvido pelo PostGIS)
+   * @param {string} text - WKT, EWKT (SRID 4326) ou WKB hexadecimal
+   * @param {Object} properties - Propriedades da Feature
+   * @param {Object} options - Opções de addGeometries
+   * @returns {string|null} UUID adicionado ou null
+   */
+  addFromWKT(text, properties = {}, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return null;
+    }
+    
+    try {
+      const feature = this._geoManager.featureFromWKT(text, properties);
+      return this.addGeometries(feature, options)[0] || null;
+    } catch (error) {
+      console.error('❌ Erro ao ler WKT:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Converte uma geometria em WKT para envio ao backend (ST_GeomFromText)
+   * @param {string} uuid - UUID
+   * @param {Object} options - Opções
+   * @param {number} options.srid - Gravar como EWKT com este SRID (ex.: 4326)
+   * @param {number} options.precision - Casas decimais das coordenadas
+   * @param {number} options.segments - Segmentos dos círculos exportados como polígonos (padrão: 64)
+   * @returns {string|null} WKT ou null
+   */
+  toWKT(uuid, options = {}) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return null;
+    }
+    
+    try {
+      return this._geoManager.toWKT(uuid, options);
+    } catch (error) {
+      console.error('❌ Erro ao gerar WKT:', error.message);
+      this._eventManager.triggerError(error.message, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Obtém a instância do Leaflet map
+   * @returns {Object} Mapa Leaflet
+   */
+  getLeafletMap() {
+    return this._map;
+  }
+  
+  /**
+   * Obtém um renderer específico
+   * @param {string} geometryType - Tipo de geometria
+   * @returns {Object|null} Renderer
+   */
+  getRenderer(geometryType) {
+    return this._renderers[geometryType] || null;
+  }
+  
+  /**
+   * Obtém todos os renderers
+   * @returns {Object} Objeto com todos os renderers
+   */
+  getRenderers() {
+    return Object.assign({}, this._renderers);
+  }
+  
+  /**
+   * Obtém o GeoManager
+   * @returns {Object} GeoManager
+   */
+  getGeoManager() {
+    return this._geoManager;
+  }
+  
+  /**
+   * Obtém o EventManager
+   * @returns {Object} EventManager
+   */
+  getEventManager() {
+    return this._eventManager;
+  }
+  
+  /**
+   * Verifica se foi inicializado
+   * @returns {boolean}
+   */
+  isInitialized() {
+    return this._initialized;
+  }
+  
+  /**
+   * Obtém versão
+   * @returns {string} Versão
+   */
+  getVersion() {
+    return VERSION;
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _normalizeFeatures(geojson) {
+    if (!geojson) return [];
+    
+    if (isKML(geojson)) {
+      return parseKML(geojson).features;
+    }
+    
+    if (isGPX(geojson)) {
+      return parseGPX(geojson).features;
+    }
+    
+    if (isWKT(geojson) || isWKB(geojson)) {
+      return [this._geoManager.featureFromWKT(geojson)];
+    }
+    
+    if (geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+      return geojson.features;
+    }
+    
+    if (geojson.type === 'Feature') {
+      return [geojson];
+    }
+    
+    return [];
+  }
+  
+  _getMeasurements(geometryData) {
+    // Medidas calculadas pelos renderers (em metros), arredondadas a centímetros
+    const metadata = (geometryData.leafletLayer && geometryData.leafletLayer._beraMetadata) || {};
+    const round = value => typeof value === 'number' && isFinite(value) ? Math.round(value * 100) / 100 : null;
+    const perimeter = metadata.perimeter !== undefined ? metadata.perimeter : metadata.circumference;
+    
+    return {
+      length_m: round(metadata.length),
+      perimeter_m: round(perimeter),
+      area_m2: round(metadata.area)
+    };
+  }
+  
+  _setVisibility(uuids, visible) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return 0;
+    }
+    
+    const uuidArray = Array.isArray(uuids) ? uuids : [uuids];
+    let changedCount = 0;
+    
+    uuidArray.forEach(uuid => {
+      const wasVisible = this._geoManager.isVisible(uuid);
+      if (!this._geoManager.setHidden(uuid, !visible)) return;
+      
+      this._applyVisibility(uuid);
+      if (this._geoManager.isVisible(uuid) !== wasVisible) {
+        changedCount++;
+      }
+    });
+    
+    if (changedCount > 0) {
+      this._triggerFilterChanged();
+    }
+    return changedCount;
+  }
+  
+  _applyVisibility(uuid) {
+    const geometryData = this._geoManager.getGeometryByUUID(uuid);
+    if (!geometryData) return;
+    
+    // Visível quando não foi ocultada com hide() e atende ao filtro ativo
+    let visible = !geometryData.hidden;
+    if (visible && this._filterPredicate) {
+      try {
+        visible = !!this._filterPredicate(geometryData.feature, geometryData);
+      } catch (error) {
+        console.error('❌ Erro ao avaliar filtro:', error.message);
+        visible = false;
+      }
+    }
+    
+    this._geoManager.setVisible(uuid, visible);
+    this._syncLayerVisibility(uuid);
+  }
+  
+  _syncLayerVisibility(uuid) {
+    const geometryData = this._geoManager.getGeometryByUUID(uuid);
+    const renderer = geometryData && this._renderers[geometryData.type];
+    if (!renderer) return;
+    
+    if (geometryData.visible) {
+      renderer.show(uuid);
+    } else {
+      renderer.hide(uuid);
+    }
+  }
+  
+  _renderGeometry(uuid) {
+    const geometryData = this._geoManager.getGeometryByUUID(uuid);
+    const renderer = geometryData && this._renderers[geometryData.type];
+    if (!renderer) return null;
+    
+    const layer = renderer.render(uuid, geometryData.feature, geometryData.style);
+    this._applyVisibility(uuid);
+    this._selectionManager.syncLayer(uuid);
+    return layer;
+  }
+  
+  _refreshCustomStyle(uuid) {
+    const geometryData = this._geoManager.getGeometryByUUID(uuid);
+    const renderer = geometryData && this._renderers[geometryData.type];
+    if (renderer) {
+      renderer.setCustomStyle(uuid, geometryData.style);
+    }
+  }
+  
+  _handleGeometryClick(uuid, geometryData, leafletEvent) {
+    // Chamado pelos renderers: a seleção não depende dos ouvintes de bera:geometryClicked (off/offAll)
+    this._selectionManager.handleGeometryClick(uuid, leafletEvent);
+    this._eventManager.triggerGeometryClicked(uuid, geometryData, leafletEvent);
+  }
+  
+  _runGeometryOperation(operation, sourceUUIDs, replaceByDefault, options, compute) {
+    if (!this._initialized) {
+      console.error('BeraMap: plugin não inicializado');
+      return null;
+    }
+    
+    try {
+      const result = compute();
+      if (!result || options.add === false) return result;
+      
+      const features = Array.isArray(result) ? result : [result];
+      const replace = options.replace !== undefined ? !!options.replace : replaceByDefault;
+      const style = options.style || this._geoManager.getStyle(sourceUUIDs[0]) || {};
+      const metadata = { operation: operation, sources: sourceUUIDs.slice() };
+      
+      // Resultado adicionado e origens removidas em um único passo do histórico
+      this._historyManager.beginBatch(operation);
+      try {
+        features.forEach(feature => {
+          const addedUUIDs = this.addGeometries(feature, { style: style, metadata: metadata });
+          feature.id = addedUUIDs[0] || null;
+        });
+        if (replace) {
+          this.removeGeometries(sourceUUIDs);
+        }
+      } finally {
+        this._historyManager.endBatch();
+      }
+      
+      this._eventManager.triggerGeometryOperation(
+        operation,
+        sourceUUIDs.slice(),
+        features.map(feature => feature.id),
+        replace
+      );
+      
+      return result;
+    } catch (error) {
+      console.error(`❌ Erro na operação ${operation}:`, error.message);
+      this._eventManager.triggerError(error.message, error);
+      return null;
+    }
+  }
+  
+  _attachLevelOfDetail() {
+    // Registrado uma única vez; cada renderer decide se o nível de detalhe está ativo
+    this._map.on('zoomend', () => this._refreshLevelOfDetail(null));
+  }
+  
+  _refreshLevelOfDetail(uuids) {
+    // Também chamado pelo EditManager: a geometria em edição é exibida completa enquanto os vértices estão visíveis
+    LEVEL_OF_DETAIL_TYPES.forEach(type => {
+      const renderer = this._renderers[type];
+      if (renderer.levelOfDetail) {
+        renderer.refreshLevelOfDetail(uuids);
+      }
+    });
+  }
+  
+  _configurePointSymbology(symbology) {
+    const renderer = this._renderers[GEOMETRY_TYPES.POINT];
+    const { byProperty, ...style } = symbology;
+    
+    if (byProperty !== undefined) {
+      renderer.setSymbolByProperty(byProperty);
+    }
+    if (Object.keys(style).length > 0) {
+      renderer.setDefaultStyle(style);
+    }
+  }
+  
+  _swapPointLayerGroup(newGroup) {
+    const oldGroup = this._layerGroups[GEOMETRY_TYPES.POINT];
+    const layers = oldGroup ? oldGroup.getLayers() : [];
+    
+    // Apenas as camadas visíveis estão no grupo; as ocultas continuam fora
+    if (oldGroup) {
+      oldGroup.clearLayers();
+      oldGroup.remove();
+    }
+    
+    newGroup.addTo(this._map);
+    layers.forEach(layer => newGroup.addLayer(layer));
+    this._layerGroups[GEOMETRY_TYPES.POINT] = newGroup;
+  }
+  
+  _triggerFilterChanged() {
+    this._eventManager.triggerFilterChanged(
+      this._filter,
+      this._geoManager.getVisibleUUIDs().length,
+      this._geoManager.getCount()
+    );
   }
   
   _mergeConfig(defaults, options) {
@@ -0,0 +1,463 @@
+/**
+ * ClusterManager - Agrupamento de pontos para BeraMap
+ *
+ * Responsável por:
+ * - Substituir o layer group de Points mantendo a mesma interface
+ *   (addLayer, removeLayer, hasLayer, clearLayers, eachLayer, getLayers)
+ * - Agrupar pontos próximos em clusters com contagem (grade em pixels por zoom)
+ * - Espalhar (spiderfy) os membros de um cluster ao clicar
+ * - Exibir popup listando as geometrias do cluster
+ *
+ * Os membros continuam sendo as camadas criadas pelo PointRenderer, portanto
+ * clique, hover e bera:geometryClicked funcionam normalmente em cada membro.
+ */
+
+import { getTranslation } from '../utils/translations.js';
+
+export class ClusterManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.radius - Tamanho da célula de agrupamento em pixels (padrão: 60)
+   * @param {number} options.minClusterSize - Mínimo de pontos para formar um cluster (padrão: 2)
+   * @param {number|null} options.disableAtZoom - Zoom a partir do qual não agrupa (padrão: null)
+   * @param {number} options.spiderfyMaxCount - Acima disso, o clique aproxima o zoom em vez de espalhar (padrão: 50)
+   * @param {number} options.spiderfyDistance - Distância em pixels entre membros espalhados (padrão: 28)
+   * @param {boolean} options.showPopup - Exibir popup com a lista de membros (padrão: true)
+   * @param {number} options.popupMaxItems - Máximo de itens listados no popup (padrão: 20)
+   * @param {Function} options.createIcon - (count, layers) => L.Icon customizado
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      radius: options.radius || 60,
+      minClusterSize: options.minClusterSize || 2,
+      disableAtZoom: options.disableAtZoom !== undefined ? options.disableAtZoom : null,
+      spiderfyMaxCount: options.spiderfyMaxCount || 50,
+      spiderfyDistance: options.spiderfyDistance || 28,
+      showPopup: options.showPopup !== false,
+      popupMaxItems: options.popupMaxItems || 20,
+      createIcon: options.createIcon || null,
+      debug: options.debug || false
+    };
+    
+    this._map = null;
+    this._members = new Set();
+    this._displayGroup = this.L.layerGroup();
+    this._clusters = [];
+    this._spiderfied = null;
+    this._reclusterPending = false;
+    
+    this._onZoomEnd = () => this._recluster();
+    this._onZoomStart = () => this.unspiderfy();
+    this._onMapClick = () => this.unspiderfy();
+  }
+  
+  /**
+   * Adiciona o agrupamento ao mapa
+   * @param {Object} map - Mapa Leaflet
+   * @returns {ClusterManager} this
+   */
+  addTo(map) {
+    this.remove();
+    this._map = map;
+    this._displayGroup.addTo(map);
+    map.on('zoomend', this._onZoomEnd);
+    map.on('zoomstart', this._onZoomStart);
+    map.on('click', this._onMapClick);
+    this._recluster();
+    return this;
+  }
+  
+  /**
+   * Remove o agrupamento do mapa (os membros são mantidos)
+   * @returns {ClusterManager} this
+   */
+  remove() {
+    if (!this._map) {
+      return this;
+    }
+    
+    this.unspiderfy();
+    this._map.off('zoomend', this._onZoomEnd);
+    this._map.off('zoomstart', this._onZoomStart);
+    this._map.off('click', this._onMapClick);
+    this._displayGroup.clearLayers();
+    this._displayGroup.remove();
+    this._clusters = [];
+    this._map = null;
+    return this;
+  }
+  
+  /**
+   * Adiciona um ponto ao agrupamento
+   * @param {Object} layer - Marker ou CircleMarker
+   * @returns {ClusterManager} this
+   */
+  addLayer(layer) {
+    if (!this._members.has(layer)) {
+      this._members.add(layer);
+      this._scheduleRecluster();
+    }
+    return this;
+  }
+  
+  /**
+   * Remove um ponto do agrupamento
+   * @param {Object} layer - Marker ou CircleMarker
+   * @returns {ClusterManager} this
+   */
+  removeLayer(layer) {
+    if (this._members.has(layer)) {
+      if (this._spiderfied && this._spiderfied.cluster.layers.includes(layer)) {
+        this.unspiderfy();
+      }
+      this._members.delete(layer);
+      this._displayGroup.removeLayer(layer);
+      this._scheduleRecluster();
+    }
+    return this;
+  }
+  
+  /**
+   * Verifica se um ponto pertence ao agrupamento
+   * @param {Object} layer - Camada
+   * @returns {boolean}
+   */
+  hasLayer(layer) {
+    return this._members.has(layer);
+  }
+  
+  /**
+   * Remove todos os pontos
+   * @returns {ClusterManager} this
+   */
+  clearLayers() {
+    this.unspiderfy();
+    this._members.clear();
+    this._displayGroup.clearLayers();
+    this._clusters = [];
+    return this;
+  }
+  
+  /**
+   * Itera sobre os pontos (membros), agrupados ou não
+   * @param {Function} callback - Recebe (layer)
+   * @param {Object} context - Contexto do callback
+   * @returns {ClusterManager} this
+   */
+  eachLayer(callback, context) {
+    this._members.forEach(layer => callback.call(context, layer));
+    return this;
+  }
+  
+  /**
+   * Obtém todos os pontos (membros)
+   * @returns {Array} Camadas
+   */
+  getLayers() {
+    return Array.from(this._members);
+  }
+  
+  /**
+   * Obtém os clusters exibidos no zoom atual
+   * @returns {Array} Array de { latLng, count, uuids, bounds }
+   */
+  getClusters() {
+    return this._clusters.map(cluster => ({
+      latLng: cluster.latLng,
+      count: cluster.layers.length,
+      uuids: this._getUUIDs(cluster.layers),
+      bounds: cluster.bounds
+    }));
+  }
+  
+  /**
+   * Recalcula os clusters imediatamente
+   * @returns {void}
+   */
+  refresh() {
+    this._recluster();
+  }
+  
+  /**
+   * Espalha os membros de um cluster ao redor do seu centro
+   * @param {Object} cluster - Cluster interno
+   * @returns {void}
+   */
+  spiderfy(cluster) {
+    if (!this._map || !cluster) return;
+    this.unspiderfy();
+    
+    const L = this.L;
+    const center = this._map.latLngToLayerPoint(cluster.latLng);
+    const offsets = this._getSpiderOffsets(cluster.layers.length);
+    const legs = [];
+    
+    cluster.layers.forEach((layer, index) => {
+      const latLng = this._map.layerPointToLatLng(center.add(offsets[index]));
+      
+      layer._beraSpiderOrigin = layer.getLatLng();
+      layer._beraSpiderBubbling = layer.options.bubblingMouseEvents;
+      // Cliques no membro não devem chegar ao mapa (que fecharia o spiderfy)
+      layer.options.bubblingMouseEvents = false;
+      layer.setLatLng(latLng);
+      
+      const leg = L.polyline([cluster.latLng, latLng], {
+        color: '#222',
+        weight: 1.5,
+        opacity: 0.5,
+        interactive: false
+      });
+      legs.push(leg);
+      this._displayGroup.addLayer(leg);
+      this._displayGroup.addLayer(layer);
+    });
+    
+    cluster.marker.setOpacity(0.3);
+    this._spiderfied = { cluster: cluster, legs: legs };
+  }
+  
+  /**
+   * Recolhe os membros espalhados
+   * @returns {void}
+   */
+  unspiderfy() {
+    if (!this._spiderfied) return;
+    
+    const { cluster, legs } = this._spiderfied;
+    this._spiderfied = null;
+    
+    legs.forEach(leg => this._displayGroup.removeLayer(leg));
+    cluster.layers.forEach(layer => {
+      this._displayGroup.removeLayer(layer);
+      if (layer._beraSpiderOrigin) {
+        layer.setLatLng(layer._beraSpiderOrigin);
+        layer.options.bubblingMouseEvents = layer._beraSpiderBubbling;
+        delete layer._beraSpiderOrigin;
+        delete layer._beraSpiderBubbling;
+      }
+    });
+    cluster.marker.setOpacity(1);
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _scheduleRecluster() {
+    if (this._reclusterPending || !this._map) return;
+    this._reclusterPending = true;
+    
+    // Adições em lote geram um único reagrupamento
+    this.L.Util.requestAnimFrame(() => {
+      if (this._reclusterPending) {
+        this._recluster();
+      }
+    });
+  }
+  
+  _recluster() {
+    this._reclusterPending = false;
+    if (!this._map) return;
+    
+    this.unspiderfy();
+    this._displayGroup.clearLayers();
+    this._clusters = [];
+    
+    const zoom = this._map.getZoom();
+    if (this.config.disableAtZoom !== null && zoom >= this.config.disableAtZoom) {
+      this._members.forEach(layer => this._displayGroup.addLayer(layer));
+      return;
+    }
+    
+    const cells = new Map();
+    const size = this.config.radius;
+    this._members.forEach(layer => {
+      const point = this._map.project(layer.getLatLng(), zoom);
+      const key = Math.floor(point.x / size) + ':' + Math.floor(point.y / size);
+      if (!cells.has(key)) {
+        cells.set(key, []);
+      }
+      cells.get(key).push(layer);
+    });
+    
+    cells.forEach(layers => {
+      if (layers.length < this.config.minClusterSize) {
+        layers.forEach(layer => this._displayGroup.addLayer(layer));
+      } else {
+        this._clusters.push(this._createCluster(layers));
+      }
+    });
+    
+    this._log(`${this._members.size} pontos, ${this._clusters.length} clusters (zoom ${zoom})`);
+  }
+  
+  _createCluster(layers) {
+    const L = this.L;
+    const latLngs = layers.map(layer => layer.getLatLng());
+    const latLng = L.latLng(
+      latLngs.reduce((sum, ll) => sum + ll.lat, 0) / latLngs.length,
+      latLngs.reduce((sum, ll) => sum + ll.lng, 0) / latLngs.length
+    );
+    
+    const icon = this.config.createIcon
+      ? this.config.createIcon(layers.length, layers)
+      : this._createClusterIcon(layers.length);
+    
+    const cluster = {
+      latLng: latLng,
+      layers: layers,
+      bounds: L.latLngBounds(latLngs),
+      marker: L.marker(latLng, { icon: icon })
+    };
+    
+    cluster.marker.on('click', (e) => this._onClusterClick(cluster, e));
+    this._displayGroup.addLayer(cluster.marker);
+    return cluster;
+  }
+  
+  _createClusterIcon(count) {
+    let size = 30;
+    let color = 'rgba(110, 204, 57, 0.85)';
+    if (count >= 100) {
+      size = 44;
+      color = 'rgba(241, 128, 23, 0.85)';
+    } else if (count >= 10) {
+      size = 36;
+      color = 'rgba(240, 194, 12, 0.85)';
+    }
+    
+    return this.L.divIcon({
+      className: 'bera-cluster',
+      html: `<div style="width: ${size}px; height: ${size}px; line-height: ${size - 6}px; ` +
+        `border-radius: 50%; background: ${color}; border: 3px solid rgba(255, 255, 255, 0.8); ` +
+        `box-sizing: border-box; text-align: center; font: bold 12px sans-serif; color: #222;">${count}</div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    });
+  }
+  
+  _onClusterClick(cluster, e) {
+    const uuids = this._getUUIDs(cluster.layers);
+    const canZoom = this._map.getZoom() < this._map.getMaxZoom();
+    const samePosition = cluster.bounds.getNorthEast().equals(cluster.bounds.getSouthWest());
+    
+    if (cluster.layers.length > this.config.spiderfyMaxCount && canZoom && !samePosition) {
+      this._map.fitBounds(cluster.bounds);
+    } else {
+      this.spiderfy(cluster);
+      if (this.config.showPopup) {
+        this._openClusterPopup(cluster);
+      }
+    }
+    
+    this.beraMap._eventManager.triggerClusterClicked(uuids, cluster.layers.length, cluster.latLng, e);
+  }
+  
+  _openClusterPopup(cluster) {
+    const language = this._getLanguage();
+    const container = document.createElement('div');
+    container.className = 'bera-popup bera-cluster-popup';
+    
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 8px 0; font-weight: bold;';
+    title.textContent = `${getTranslation(language, 'popupLabels.clusterCount', 'Geometrias agrupadas')}: ${cluster.layers.length}`;
+    container.appendChild(title);
+    
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 0; padding-left: 18px; max-height: 200px; overflow-y: auto;';
+    
+    cluster.layers.slice(0, this.config.popupMaxItems).forEach(layer => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = this._getLabel(layer);
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        this._openMember(cluster, layer);
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+    
+    const hiddenCount = cluster.layers.length - this.config.popupMaxItems;
+    if (hiddenCount > 0) {
+      const more = document.createElement('p');
+      more.style.cssText = 'margin: 4px 0 0 0; font-size: 0.85em; color: #999;';
+      more.textContent = `+${hiddenCount} ${getTranslation(language, 'popupLabels.clusterMore', 'mais')}`;
+      container.appendChild(more);
+    }
+    
+    this.L.popup({ offset: [0, -this._getSpiderRadius(cluster.layers.length)] })
+      .setLatLng(cluster.latLng)
+      .setContent(container)
+      .openOn(this._map);
+  }
+  
+  _openMember(cluster, layer) {
+    if (!layer._map) {
+      this.spiderfy(cluster);
+    }
+    
+    // Dispara o clique do próprio membro: popup e bera:geometryClicked
+    layer.fire('click', { latlng: layer.getLatLng() });
+  }
+  
+  _getSpiderOffsets(count) {
+    const L = this.L;
+    const distance = this.config.spiderfyDistance;
+    const offsets = [];
+    
+    // Poucos membros: círculo; muitos: espiral
+    if (count <= 8) {
+      const radius = this._getSpiderRadius(count);
+      for (let i = 0; i < count; i++) {
+        const angle = (2 * Math.PI * i) / count - Math.PI / 2;
+        offsets.push(L.point(radius * Math.cos(angle), radius * Math.sin(angle)));
+      }
+      return offsets;
+    }
+    
+    let angle = 0;
+    let radius = distance;
+    for (let i = 0; i < count; i++) {
+      angle += distance / radius + i * 0.0005;
+      offsets.push(L.point(radius * Math.cos(angle), radius * Math.sin(angle)));
+      radius += (distance / (2 * Math.PI)) * (distance / radius);
+    }
+    return offsets;
+  }
+  
+  _getSpiderRadius(count) {
+    return Math.max((this.config.spiderfyDistance * count) / (2 * Math.PI), this.config.spiderfyDistance);
+  }
+  
+  _getUUIDs(layers) {
+    return layers
+      .map(layer => layer._beraMetadata && layer._beraMetadata.uuid)
+      .filter(uuid => uuid);
+  }
+  
+  _getLabel(layer) {
+    const metadata = layer._beraMetadata || {};
+    const properties = (metadata.feature && metadata.feature.properties) || {};
+    return properties.name || metadata.uuid || '?';
+  }
+  
+  _getLanguage() {
+    const renderer = this.beraMap._renderers && this.beraMap._renderers.Point;
+    return renderer ? renderer.getLanguage() : 'pt-BR';
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[ClusterManager] ${message}`);
+    }
+  }
+}
+
+export default ClusterManager;
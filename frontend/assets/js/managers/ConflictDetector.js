@@ -0,0 +1,327 @@
+/**
+ * ConflictDetector - Detecção de conflitos entre intervenções para BeraMap
+ *
+ * Responsável por:
+ * - Encontrar cruzamentos, contatos e proximidade (até N metros) entre linhas e polígonos carregados
+ *   (cruzamento quando os interiores se intersectam; contato quando apenas as bordas ou extremidades se tocam)
+ * - Opcionalmente considerar conflito apenas quando os períodos dataInicio–dataFim se sobrepõem
+ * - Exibir marcadores de conflito no ponto mais próximo entre as geometrias
+ * - Disparar bera:conflictsDetected com os pares e as distâncias
+ *
+ * Os marcadores ficam em um layer group próprio e não são geometrias do GeoManager,
+ * portanto não aparecem em exportações nem no histórico.
+ */
+
+import { GEOMETRY_TYPES } from '../utils/constants.js';
+import { formatDistance } from '../utils/geometry.js';
+import { getTranslation } from '../utils/translations.js';
+
+export const CONFLICT_TYPES = {
+  CROSSING: 'crossing',
+  TOUCH: 'touch',
+  PROXIMITY: 'proximity'
+};
+
+export class ConflictDetector {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.distance - Distância máxima em metros para conflito por proximidade (padrão: 200)
+   * @param {Array} options.types - Tipos analisados (padrão: linhas e polígonos, inclusive Multi*)
+   * @param {boolean} options.checkDates - Exigir sobreposição dos períodos (padrão: false)
+   * @param {string} options.startProperty - Propriedade da data inicial (padrão: 'dataInicio')
+   * @param {string} options.endProperty - Propriedade da data final (padrão: 'dataFim')
+   * @param {boolean} options.openPeriods - Com checkDates, tratar datas ausentes como período aberto
+   *   (sem data inicial ou final, ou sem nenhuma, sobrepõe qualquer período); sem esta opção,
+   *   geometrias sem as duas datas são ignoradas (padrão: false)
+   * @param {boolean} options.visibleOnly - Ignorar geometrias ocultas (padrão: true)
+   * @param {boolean} options.showMarkers - Exibir marcadores de conflito (padrão: true)
+   * @param {Object} options.markerStyle - Estilo dos marcadores (L.circleMarker)
+   * @param {boolean} options.auto - Detectar novamente ao adicionar/atualizar/remover geometrias (padrão: false)
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      distance: 200,
+      types: [
+        GEOMETRY_TYPES.LINE_STRING,
+        GEOMETRY_TYPES.MULTI_LINE_STRING,
+        GEOMETRY_TYPES.POLYGON,
+        GEOMETRY_TYPES.MULTI_POLYGON
+      ],
+      checkDates: false,
+      startProperty: 'dataInicio',
+      endProperty: 'dataFim',
+      openPeriods: false,
+      visibleOnly: true,
+      showMarkers: true,
+      markerStyle: {
+        radius: 8,
+        color: '#b71c1c',
+        weight: 2,
+        fillColor: '#f44336',
+        fillOpacity: 0.8
+      },
+      auto: false,
+      debug: false
+    };
+    
+    this._conflicts = [];
+    this._layerGroup = this.L.layerGroup();
+    this._autoPending = false;
+    
+    this._configure(options);
+  }
+  
+  /**
+   * Detecta os conflitos entre as geometrias carregadas
+   * Os marcadores anteriores são substituídos
+   * @param {Object} options - Opções desta detecção (mesmas do constructor, sem alterar a configuração)
+   * @returns {Array} Array de { uuids: [a, b], type: 'crossing'|'touch'|'proximity', distance, latLng, from, to }
+   */
+  detect(options = {}) {
+    const config = Object.assign({}, this.config, options);
+    const geoManager = this.beraMap._geoManager;
+    const visibility = config.visibleOnly ? { visible: true } : {};
+    const candidates = geoManager.getAllGeometries(visibility)
+      .filter(geometryData => config.types.includes(geometryData.type));
+    const allowed = new Set(candidates.map(geometryData => geometryData.uuid));
+    const visited = new Set();
+    const conflicts = [];
+    
+    candidates.forEach(geometryData => {
+      visited.add(geometryData.uuid);
+      
+      geoManager.queryWithinDistance(geometryData.uuid, config.distance, visibility).forEach(result => {
+        // Cada par é analisado uma única vez
+        if (!allowed.has(result.uuid) || visited.has(result.uuid)) return;
+        if (config.checkDates && !this._periodsOverlap(geometryData, result.geometryData, config)) return;
+        
+        conflicts.push(this._createConflict(geometryData, result.geometryData));
+      });
+    });
+    
+    conflicts.sort((a, b) => a.distance - b.distance);
+    this._conflicts = conflicts;
+    this._renderMarkers(config);
+    
+    this._log(`${conflicts.length} conflito(s) em ${candidates.length} geometria(s)`);
+    this.beraMap._eventManager.triggerConflictsDetected(this.getConflicts(), {
+      distance: config.distance,
+      checkDates: config.checkDates
+    });
+    
+    return this.getConflicts();
+  }
+  
+  /**
+   * Remove os conflitos e seus marcadores
+   * @returns {void}
+   */
+  clear() {
+    this._conflicts = [];
+    this._layerGroup.clearLayers();
+    this._layerGroup.remove();
+  }
+  
+  /**
+   * Obtém os conflitos da última detecção
+   * @returns {Array} Array de conflitos
+   */
+  getConflicts() {
+    return this._conflicts.map(conflict => Object.assign({}, conflict, { uuids: conflict.uuids.slice() }));
+  }
+  
+  /**
+   * Obtém os conflitos da última detecção que envolvem uma geometria
+   * @param {string} uuid - UUID
+   * @returns {Array} Array de conflitos
+   */
+  getConflictsFor(uuid) {
+    return this.getConflicts().filter(conflict => conflict.uuids.includes(uuid));
+  }
+  
+  /**
+   * Ativa/desativa a detecção automática ao alterar geometrias
+   * @param {boolean} enabled - Ativar ou desativar
+   * @returns {void}
+   */
+  setAuto(enabled) {
+    this.config.auto = !!enabled;
+    if (this.config.auto) {
+      this.detect();
+    }
+  }
+  
+  /**
+   * Notifica alterações nas geometrias (chamado pelo BeraMap ao adicionar, atualizar ou remover)
+   * Os conflitos das geometrias removidas são descartados; com auto, a detecção é agendada
+   * @param {Array} removedUUIDs - UUIDs removidos (opcional)
+   * @returns {void}
+   */
+  handleGeometriesChanged(removedUUIDs = []) {
+    this._pruneRemoved(removedUUIDs);
+    this._scheduleDetection();
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _configure(options) {
+    Object.keys(this.config).forEach(key => {
+      if (options[key] !== undefined && key !== 'markerStyle') {
+        this.config[key] = options[key];
+      }
+    });
+    if (options.markerStyle) {
+      this.config.markerStyle = Object.assign({}, this.config.markerStyle, options.markerStyle);
+    }
+  }
+  
+  _pruneRemoved(uuids) {
+    // Descarta de imediato os conflitos das geometrias removidas (marcadores inclusive)
+    const removed = [].concat(uuids || []);
+    const remaining = this._conflicts.filter(conflict => !conflict.uuids.some(uuid => removed.includes(uuid)));
+    if (remaining.length === this._conflicts.length) return;
+    
+    this._conflicts = remaining;
+    this._layerGroup.eachLayer(marker => {
+      if (!remaining.includes(marker._beraConflict)) {
+        this._layerGroup.removeLayer(marker);
+      }
+    });
+  }
+  
+  _scheduleDetection() {
+    if (!this.config.auto || this._autoPending) return;
+    
+    // Agrupa várias alterações seguidas em uma única detecção
+    this._autoPending = true;
+    setTimeout(() => {
+      this._autoPending = false;
+      if (this.config.auto) {
+        this.detect();
+      }
+    }, 0);
+  }
+  
+  _createConflict(geometryA, geometryB) {
+    const closest = this.beraMap._geoManager.getClosestPoints(geometryA.uuid, geometryB.uuid);
+    let type = CONFLICT_TYPES.PROXIMITY;
+    if (closest.distance === 0) {
+      // Trechos unidos pelas extremidades e polígonos com aresta em comum apenas se tocam
+      type = this.beraMap._geoManager.interiorsIntersect(geometryA.uuid, geometryB.uuid)
+        ? CONFLICT_TYPES.CROSSING
+        : CONFLICT_TYPES.TOUCH;
+    }
+    const latLng = [
+      (closest.from[0] + closest.to[0]) / 2,
+      (closest.from[1] + closest.to[1]) / 2
+    ];
+    
+    return {
+      uuids: [geometryA.uuid, geometryB.uuid],
+      type: type,
+      distance: closest.distance,
+      latLng: latLng,
+      from: closest.from,
+      to: closest.to
+    };
+  }
+  
+  _periodsOverlap(geometryA, geometryB, config) {
+    const periodA = this._getPeriod(geometryA.feature, config);
+    const periodB = this._getPeriod(geometryB.feature, config);
+    if (!periodA || !periodB) return false;
+    
+    return periodA.start <= periodB.end && periodB.start <= periodA.end;
+  }
+  
+  _getPeriod(feature, config) {
+    const properties = feature.properties || {};
+    const start = this._toTimestamp(properties[config.startProperty]);
+    const end = this._toTimestamp(properties[config.endProperty]);
+    if (!config.openPeriods && (start === null || end === null)) return null;
+    
+    return {
+      start: start === null ? -Infinity : start,
+      end: end === null ? Infinity : end
+    };
+  }
+  
+  _toTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return value.getTime();
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+  }
+  
+  _renderMarkers(config) {
+    this._layerGroup.clearLayers();
+    if (!config.showMarkers || this._conflicts.length === 0) {
+      this._layerGroup.remove();
+      return;
+    }
+    
+    const style = Object.assign({}, config.markerStyle, { bubblingMouseEvents: false });
+    this._conflicts.forEach(conflict => {
+      const marker = this.L.circleMarker(conflict.latLng, style);
+      marker.bindPopup(() => this._createPopupContent(conflict));
+      marker._beraConflict = conflict;
+      this._layerGroup.addLayer(marker);
+    });
+    this._layerGroup.addTo(this.beraMap._map);
+  }
+  
+  _createPopupContent(conflict) {
+    const language = this._getLanguage();
+    const label = (key, fallback) => getTranslation(language, `popupLabels.${key}`, fallback);
+    const container = document.createElement('div');
+    container.className = 'bera-popup bera-conflict-popup';
+    
+    const title = document.createElement('h3');
+    title.style.cssText = 'margin: 0 0 8px 0; font-weight: bold;';
+    const typeLabels = {
+      [CONFLICT_TYPES.CROSSING]: label('conflictCrossing', 'Cruzamento'),
+      [CONFLICT_TYPES.TOUCH]: label('conflictTouch', 'Contato'),
+      [CONFLICT_TYPES.PROXIMITY]: label('conflictProximity', 'Proximidade')
+    };
+    const typeLabel = typeLabels[conflict.type];
+    title.textContent = `${label('conflict', 'Conflito')}: ${typeLabel}`;
+    container.appendChild(title);
+    
+    const names = document.createElement('p');
+    names.style.cssText = 'margin: 0 0 4px 0;';
+    names.textContent = conflict.uuids.map(uuid => this._getName(uuid)).join(' × ');
+    container.appendChild(names);
+    
+    const distance = document.createElement('p');
+    distance.style.cssText = 'margin: 0; font-size: 0.9em; color: #666;';
+    distance.textContent = `${label('distance', 'Distância')}: ${formatDistance(conflict.distance)}`;
+    container.appendChild(distance);
+    
+    return container;
+  }
+  
+  _getName(uuid) {
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+    const properties = (geometryData && geometryData.properties) || {};
+    return properties.name || properties.nome || properties.title || uuid.substring(0, 8);
+  }
+  
+  _getLanguage() {
+    const renderer = this.beraMap._renderers && this.beraMap._renderers.LineString;
+    return renderer ? renderer.getLanguage() : 'pt-BR';
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[ConflictDetector] ${message}`);
+    }
+  }
+}
+
+export default ConflictDetector;
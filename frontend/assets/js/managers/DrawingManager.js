@@ -0,0 +1,569 @@
+/**
+ * DrawingManager - Ferramentas de desenho integradas ao BeraMap
+ *
+ * Responsável por:
+ * - Desenhar LineString, Polygon, Point, Circle e Drawing (mão livre) com eventos do Leaflet
+ * - Exibir pré-visualização e medição ao vivo (comprimento, área, raio)
+ * - Finalizar/cancelar o desenho (duplo clique, Enter, Esc)
+ * - Registrar as formas finalizadas via addGeometries (recebem UUID)
+ * - Disparar bera:drawStart e bera:drawEnd
+ */
+
+import { GEOMETRY_TYPES } from '../utils/constants.js';
+import { getTranslation } from '../utils/translations.js';
+import {
+  calculateLength,
+  calculateRingArea,
+  formatDistance,
+  formatArea
+} from '../utils/geometry.js';
+
+export const DRAW_TYPES = [
+  GEOMETRY_TYPES.LINE_STRING,
+  GEOMETRY_TYPES.POLYGON,
+  GEOMETRY_TYPES.POINT,
+  GEOMETRY_TYPES.CIRCLE,
+  GEOMETRY_TYPES.DRAWING
+];
+
+export class DrawingManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {Object} options.style - Estilo da pré-visualização
+   * @param {Object} options.vertexStyle - Estilo dos vértices da pré-visualização
+   * @param {boolean} options.showMeasurement - Exibir medição ao vivo (padrão: true)
+   * @param {number} options.closeTolerance - Distância em pixels para fechar no primeiro vértice (padrão: 10)
+   * @param {number} options.freehandTolerance - Distância mínima em pixels entre pontos à mão livre (padrão: 4)
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      style: Object.assign({
+        color: '#d97706',
+        weight: 4,
+        opacity: 0.9,
+        dashArray: '6 6',
+        fillColor: '#d97706',
+        fillOpacity: 0.15
+      }, options.style || {}),
+      vertexStyle: Object.assign({
+        radius: 4,
+        color: '#d97706',
+        weight: 2,
+        fillColor: '#fff',
+        fillOpacity: 1
+      }, options.vertexStyle || {}),
+      showMeasurement: options.showMeasurement !== false,
+      closeTolerance: options.closeTolerance || 10,
+      freehandTolerance: options.freehandTolerance || 4,
+      debug: options.debug || false
+    };
+    
+    this._map = null;
+    this._active = null;
+    this._mapState = null;
+    this._previewGroup = this.L.layerGroup();
+    this._shape = null;
+    this._tooltip = null;
+    
+    this._onClick = (e) => this._handleClick(e);
+    this._onDblClick = (e) => this._handleDblClick(e);
+    this._onMouseMove = (e) => this._handleMouseMove(e);
+    this._onMouseDown = (e) => this._handleMouseDown(e);
+    this._onMouseUp = (e) => this._handleMouseUp(e);
+    this._onKeyDown = (e) => this._handleKeyDown(e);
+  }
+  
+  /**
+   * Inicia o desenho (cancela um desenho em andamento)
+   * @param {string} type - 'LineString', 'Polygon', 'Point', 'Circle' ou 'Drawing'
+   * @param {Object} options - Opções do desenho
+   * @param {Object} options.properties - Propriedades da feature criada
+   * @param {Object} options.style - Estilo customizado da geometria criada
+   * @param {Object} options.metadata - Metadados passados ao GeoManager
+   * @returns {boolean} Sucesso
+   * @throws {Error} Se o tipo não for suportado
+   */
+  startDraw(type, options = {}) {
+    if (!DRAW_TYPES.includes(type)) {
+      throw new Error(`DrawingManager: tipo de desenho inválido "${type}"; use ${DRAW_TYPES.join(', ')}`);
+    }
+    
+    if (this._active) {
+      this.cancelDraw();
+    }
+    
+    const L = this.L;
+    const map = this.beraMap._map;
+    this._map = map;
+    this._active = {
+      type: type,
+      options: options,
+      latLngs: [],
+      center: null,
+      radius: 0,
+      cursor: null,
+      freehandDown: false
+    };
+    
+    // Duplo clique finaliza o desenho; arrastar desenha à mão livre
+    this._mapState = {
+      doubleClickZoom: map.doubleClickZoom.enabled(),
+      dragging: map.dragging.enabled()
+    };
+    map.doubleClickZoom.disable();
+    if (type === GEOMETRY_TYPES.DRAWING) {
+      map.dragging.disable();
+    }
+    
+    this._previewGroup.addTo(map);
+    map.on('click', this._onClick);
+    map.on('dblclick', this._onDblClick);
+    map.on('mousemove', this._onMouseMove);
+    map.on('mousedown', this._onMouseDown);
+    map.on('mouseup', this._onMouseUp);
+    document.addEventListener('keydown', this._onKeyDown);
+    
+    L.DomUtil.addClass(map.getContainer(), 'bera-drawing');
+    map.getContainer().style.cursor = 'crosshair';
+    
+    this.beraMap._eventManager.triggerDrawStart(type, options.properties || {});
+    this._log(`desenho iniciado: ${type}`);
+    return true;
+  }
+  
+  /**
+   * Finaliza o desenho e registra a forma via addGeometries
+   * @returns {string|null} UUID da geometria criada ou null se a forma estiver incompleta
+   */
+  finishDraw() {
+    if (!this._active) {
+      return null;
+    }
+    
+    const feature = this._buildFeature();
+    if (!feature) {
+      console.warn('⚠️ DrawingManager: forma incompleta, continue desenhando ou cancele');
+      return null;
+    }
+    
+    const { type, options } = this._active;
+    this._active.cursor = null;
+    const measurement = this.getMeasurement();
+    this._cleanup();
+    
+    const uuids = this.beraMap.addGeometries(feature, {
+      style: options.style,
+      metadata: options.metadata
+    });
+    const uuid = uuids.length > 0 ? uuids[0] : null;
+    
+    this.beraMap._eventManager.triggerDrawEnd(type, uuid, feature, measurement, false);
+    this._log(`desenho finalizado: ${type} ${uuid}`);
+    return uuid;
+  }
+  
+  /**
+   * Cancela o desenho em andamento
+   * @returns {boolean} Se havia desenho em andamento
+   */
+  cancelDraw() {
+    if (!this._active) {
+      return false;
+    }
+    
+    const type = this._active.type;
+    this._cleanup();
+    
+    this.beraMap._eventManager.triggerDrawEnd(type, null, null, null, true);
+    this._log(`desenho cancelado: ${type}`);
+    return true;
+  }
+  
+  /**
+   * Remove o último vértice adicionado
+   * @returns {boolean} Se algum vértice foi removido
+   */
+  removeLastVertex() {
+    if (!this._active || this._active.latLngs.length === 0) {
+      return false;
+    }
+    
+    this._active.latLngs.pop();
+    this._updatePreview();
+    return true;
+  }
+  
+  /**
+   * Verifica se há desenho em andamento
+   * @returns {boolean}
+   */
+  isDrawing() {
+    return !!this._active;
+  }
+  
+  /**
+   * Obtém o tipo do desenho em andamento
+   * @returns {string|null} Tipo ou null
+   */
+  getDrawType() {
+    return this._active ? this._active.type : null;
+  }
+  
+  /**
+   * Obtém a medição atual (incluindo a posição do cursor)
+   * @returns {Object|null} { length, area, perimeter, radius } conforme o tipo
+   */
+  getMeasurement() {
+    if (!this._active) {
+      return null;
+    }
+    
+    const { type, center, radius } = this._active;
+    const points = this._getPreviewLatLngs().map(latLng => [latLng.lat, latLng.lng]);
+    
+    switch (type) {
+      case GEOMETRY_TYPES.LINE_STRING:
+      case GEOMETRY_TYPES.DRAWING:
+        return { length: calculateLength(points) };
+      case GEOMETRY_TYPES.POLYGON:
+        return {
+          area: points.length >= 3 ? calculateRingArea(points) : 0,
+          perimeter: points.length >= 2 ? calculateLength(points.concat([points[0]])) : 0
+        };
+      case GEOMETRY_TYPES.CIRCLE:
+        return center ? { radius: radius, area: Math.PI * radius * radius } : { radius: 0, area: 0 };
+      default:
+        return {};
+    }
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _handleClick(e) {
+    const active = this._active;
+    if (!active || active.type === GEOMETRY_TYPES.DRAWING) return;
+    
+    // Cliques sobre geometrias existentes não devem abrir popups durante o desenho
+    this._map.closePopup();
+    const latLng = this._resolveLatLng(e.latlng, e.originalEvent);
+    
+    switch (active.type) {
+      case GEOMETRY_TYPES.POINT:
+        active.latLngs = [latLng];
+        this.finishDraw();
+        return;
+      
+      case GEOMETRY_TYPES.CIRCLE:
+        if (!active.center) {
+          active.center = latLng;
+          this._updatePreview();
+        } else {
+          active.radius = this._map.distance(active.center, latLng);
+          this.finishDraw();
+        }
+        return;
+      
+      case GEOMETRY_TYPES.POLYGON:
+        if (active.latLngs.length >= 3 &&
+          this._pixelDistance(active.latLngs[0], latLng) <= this.config.closeTolerance) {
+          this.finishDraw();
+          return;
+        }
+        break;
+      
+      default:
+        break;
+    }
+    
+    // O segundo clique de um duplo clique cai sobre o último vértice
+    const last = active.latLngs[active.latLngs.length - 1];
+    if (last && this._pixelDistance(last, latLng) < 2) return;
+    
+    active.latLngs.push(latLng);
+    this._updatePreview();
+  }
+  
+  _handleDblClick() {
+    if (!this._active) return;
+    
+    const type = this._active.type;
+    if (type === GEOMETRY_TYPES.LINE_STRING || type === GEOMETRY_TYPES.POLYGON) {
+      this.finishDraw();
+    }
+  }
+  
+  _handleMouseMove(e) {
+    const active = this._active;
+    if (!active) return;
+    
+    const latLng = this._resolveLatLng(e.latlng, e.originalEvent);
+    active.cursor = latLng;
+    
+    if (active.type === GEOMETRY_TYPES.DRAWING && active.freehandDown) {
+      const last = active.latLngs[active.latLngs.length - 1];
+      if (!last || this._pixelDistance(last, latLng) >= this.config.freehandTolerance) {
+        active.latLngs.push(latLng);
+      }
+    }
+    
+    if (active.type === GEOMETRY_TYPES.CIRCLE && active.center) {
+      active.radius = this._map.distance(active.center, latLng);
+    }
+    
+    this._updatePreview();
+  }
+  
+  _handleMouseDown(e) {
+    const active = this._active;
+    if (!active || active.type !== GEOMETRY_TYPES.DRAWING) return;
+    
+    active.freehandDown = true;
+    active.latLngs = [this._resolveLatLng(e.latlng, e.originalEvent)];
+    this._updatePreview();
+  }
+  
+  _handleMouseUp() {
+    const active = this._active;
+    if (!active || active.type !== GEOMETRY_TYPES.DRAWING || !active.freehandDown) return;
+    
+    active.freehandDown = false;
+    if (!this.finishDraw()) {
+      active.latLngs = [];
+      this._updatePreview();
+    }
+  }
+  
+  _handleKeyDown(e) {
+    if (!this._active) return;
+    
+    const tagName = e.target && e.target.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+    
+    if (e.key === 'Escape') {
+      this.cancelDraw();
+    } else if (e.key === 'Enter') {
+      this.finishDraw();
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+      if (this.removeLastVertex()) {
+        e.preventDefault();
+      }
+    }
+  }
+  
+  // Posição efetiva de um clique/movimento, atraída pelo SnapManager quando ativo
+  _resolveLatLng(latLng, originalEvent) {
+    return this.beraMap._snapManager.snap(latLng, { originalEvent: originalEvent }).latLng;
+  }
+  
+  _getPreviewLatLngs() {
+    const { type, latLngs, cursor, freehandDown } = this._active;
+    const addCursor = cursor && latLngs.length > 0 &&
+      (type === GEOMETRY_TYPES.LINE_STRING || type === GEOMETRY_TYPES.POLYGON) &&
+      !freehandDown;
+    return addCursor ? latLngs.concat([cursor]) : latLngs.slice();
+  }
+  
+  _updatePreview() {
+    const L = this.L;
+    const active = this._active;
+    if (!active) return;
+    
+    this._previewGroup.clearLayers();
+    this._shape = null;
+    
+    const style = Object.assign({}, this.config.style, { interactive: false });
+    const latLngs = this._getPreviewLatLngs();
+    
+    switch (active.type) {
+      case GEOMETRY_TYPES.LINE_STRING:
+      case GEOMETRY_TYPES.DRAWING:
+        if (latLngs.length >= 2) {
+          this._shape = L.polyline(latLngs, style);
+        }
+        break;
+      case GEOMETRY_TYPES.POLYGON:
+        if (latLngs.length >= 3) {
+          this._shape = L.polygon(latLngs, style);
+        } else if (latLngs.length === 2) {
+          this._shape = L.polyline(latLngs, style);
+        }
+        break;
+      case GEOMETRY_TYPES.CIRCLE:
+        if (active.center && active.radius > 0) {
+          this._shape = L.circle(active.center, Object.assign({}, style, { radius: active.radius }));
+        }
+        break;
+      default:
+        break;
+    }
+    
+    if (this._shape) {
+      this._previewGroup.addLayer(this._shape);
+    }
+    
+    // Vértices (a mão livre tem pontos demais para exibi-los)
+    if (active.type !== GEOMETRY_TYPES.DRAWING) {
+      const vertices = active.type === GEOMETRY_TYPES.CIRCLE
+        ? (active.center ? [active.center] : [])
+        : active.latLngs;
+      vertices.forEach(latLng => {
+        this._previewGroup.addLayer(
+          L.circleMarker(latLng, Object.assign({}, this.config.vertexStyle, { interactive: false }))
+        );
+      });
+    }
+    
+    this._updateTooltip();
+  }
+  
+  _updateTooltip() {
+    const active = this._active;
+    if (!this.config.showMeasurement || !active || !active.cursor) return;
+    
+    if (!this._tooltip) {
+      this._tooltip = this.L.tooltip({
+        permanent: true,
+        direction: 'right',
+        offset: [14, 0],
+        className: 'bera-draw-tooltip'
+      });
+    }
+    
+    this._tooltip.setLatLng(active.cursor).setContent(this._getTooltipContent());
+    if (!this._map.hasLayer(this._tooltip)) {
+      this._tooltip.addTo(this._map);
+    }
+  }
+  
+  _getTooltipContent() {
+    const language = this._getLanguage();
+    const label = key => getTranslation(language, `popupLabels.${key}`, key);
+    const { type, latLngs, center } = this._active;
+    const measurement = this.getMeasurement();
+    const lines = [];
+    
+    const started = type === GEOMETRY_TYPES.CIRCLE ? !!center : latLngs.length > 0;
+    if (!started) {
+      lines.push(getTranslation(language, `drawHints.${type}`, ''));
+      lines.push(getTranslation(language, 'drawHints.cancel', ''));
+    } else if (type === GEOMETRY_TYPES.CIRCLE) {
+      lines.push(`${label('radius')}: ${formatDistance(measurement.radius)}`);
+      lines.push(`${label('area')}: ${formatArea(measurement.area)}`);
+    } else if (type === GEOMETRY_TYPES.POLYGON) {
+      lines.push(`${label('area')}: ${formatArea(measurement.area)}`);
+      lines.push(`${label('perimeter')}: ${formatDistance(measurement.perimeter)}`);
+    } else if (measurement.length !== undefined) {
+      lines.push(`${label('length')}: ${formatDistance(measurement.length)}`);
+    }
+    
+    return lines.filter(line => line).join('<br>');
+  }
+  
+  _buildFeature() {
+    const { type, options, latLngs, center, radius } = this._active;
+    const properties = Object.assign({}, options.properties || {});
+    const toCoord = latLng => [latLng.lng, latLng.lat];
+    let geometry = null;
+    
+    switch (type) {
+      case GEOMETRY_TYPES.POINT:
+        if (latLngs.length === 1) {
+          geometry = { type: type, coordinates: toCoord(latLngs[0]) };
+        }
+        break;
+      
+      case GEOMETRY_TYPES.LINE_STRING:
+        if (latLngs.length >= 2) {
+          geometry = { type: type, coordinates: latLngs.map(toCoord) };
+        }
+        break;
+      
+      case GEOMETRY_TYPES.POLYGON:
+        if (latLngs.length >= 3) {
+          const ring = latLngs.map(toCoord);
+          ring.push(ring[0].slice());
+          geometry = { type: type, coordinates: [ring] };
+        }
+        break;
+      
+      case GEOMETRY_TYPES.CIRCLE:
+        if (center && radius > 0) {
+          geometry = { type: type, coordinates: toCoord(center) };
+          properties.radius = radius;
+        }
+        break;
+      
+      case GEOMETRY_TYPES.DRAWING:
+        if (latLngs.length >= 2) {
+          const coordinates = latLngs.map(toCoord);
+          // Traço que termina perto do início vira desenho fechado
+          if (latLngs.length >= 3 &&
+            this._pixelDistance(latLngs[0], latLngs[latLngs.length - 1]) <= this.config.closeTolerance) {
+            coordinates.push(coordinates[0].slice());
+          }
+          geometry = { type: type, coordinates: coordinates };
+        }
+        break;
+      
+      default:
+        break;
+    }
+    
+    return geometry ? { type: 'Feature', properties: properties, geometry: geometry } : null;
+  }
+  
+  _cleanup() {
+    const map = this._map;
+    if (!map) return;
+    
+    map.off('click', this._onClick);
+    map.off('dblclick', this._onDblClick);
+    map.off('mousemove', this._onMouseMove);
+    map.off('mousedown', this._onMouseDown);
+    map.off('mouseup', this._onMouseUp);
+    document.removeEventListener('keydown', this._onKeyDown);
+    this.beraMap._snapManager.hideIndicator();
+    
+    if (this._mapState) {
+      if (this._mapState.doubleClickZoom) map.doubleClickZoom.enable();
+      if (this._mapState.dragging) map.dragging.enable();
+      this._mapState = null;
+    }
+    
+    this._previewGroup.clearLayers();
+    this._previewGroup.remove();
+    if (this._tooltip) {
+      this._tooltip.remove();
+      this._tooltip = null;
+    }
+    
+    this.L.DomUtil.removeClass(map.getContainer(), 'bera-drawing');
+    map.getContainer().style.cursor = '';
+    this._shape = null;
+    this._active = null;
+  }
+  
+  _pixelDistance(latLng1, latLng2) {
+    return this._map.latLngToContainerPoint(latLng1)
+      .distanceTo(this._map.latLngToContainerPoint(latLng2));
+  }
+  
+  _getLanguage() {
+    const renderer = this.beraMap._renderers && this.beraMap._renderers.Point;
+    return renderer ? renderer.getLanguage() : 'pt-BR';
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[DrawingManager] ${message}`);
+    }
+  }
+}
+
+export default DrawingManager;
@@ -0,0 +1,504 @@
+/**
+ * EditManager - Edição de vértices de geometrias existentes
+ *
+ * Responsável por:
+ * - Arrastar, inserir (pontos médios) e remover (clique) vértices de LineString, Polygon e Drawing
+ * - Mover pontos e mover/redimensionar círculos
+ * - Recalcular comprimento/área/perímetro em _beraMetadata durante o arraste
+ * - Persistir cada alteração via GeoManager.updateGeometry
+ * - Disparar bera:geometryUpdated com { before, after } e bera:editStart/bera:editEnd
+ */
+
+import { GEOMETRY_TYPES } from '../utils/constants.js';
+import {
+  EARTH_RADIUS,
+  calculateLength,
+  calculateRingArea,
+  calculatePolygonArea
+} from '../utils/geometry.js';
+
+export const EDITABLE_TYPES = [
+  GEOMETRY_TYPES.POINT,
+  GEOMETRY_TYPES.LINE_STRING,
+  GEOMETRY_TYPES.POLYGON,
+  GEOMETRY_TYPES.CIRCLE,
+  GEOMETRY_TYPES.DRAWING
+];
+
+export class EditManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {string} options.handleColor - Cor das alças de edição
+   * @param {number} options.handleSize - Tamanho em pixels das alças de vértice (padrão: 12)
+   * @param {boolean} options.midpoints - Exibir alças de inserção entre vértices (padrão: true)
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      handleColor: options.handleColor || '#d97706',
+      handleSize: options.handleSize || 12,
+      midpoints: options.midpoints !== false,
+      debug: options.debug || false
+    };
+    
+    this._map = null;
+    this._uuid = null;
+    this._type = null;
+    this._parts = [];
+    this._closed = false;
+    this._center = null;
+    this._radius = 0;
+    this._handleGroup = this.L.layerGroup();
+    
+    this._onKeyDown = (e) => this._handleKeyDown(e);
+  }
+  
+  /**
+   * Inicia a edição de uma geometria (encerra a edição anterior)
+   * @param {string} uuid - UUID da geometria
+   * @returns {boolean} Sucesso
+   * @throws {Error} Se a geometria não existir ou o tipo não for editável
+   */
+  startEdit(uuid) {
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+    if (!geometryData) {
+      throw new Error(`EditManager: geometria não encontrada "${uuid}"`);
+    }
+    if (!EDITABLE_TYPES.includes(geometryData.type)) {
+      throw new Error(`EditManager: tipo não editável "${geometryData.type}"; use ${EDITABLE_TYPES.join(', ')}`);
+    }
+    
+    if (this._uuid) {
+      this.stopEdit();
+    }
+    
+    this._map = this.beraMap._map;
+    this._uuid = uuid;
+    this._type = geometryData.type;
+    this._readGeometry(geometryData.feature);
+    
+    this._handleGroup.addTo(this._map);
+    this._createHandles();
+    document.addEventListener('keydown', this._onKeyDown);
+    this.beraMap._refreshLevelOfDetail([uuid]);
+    
+    this.beraMap._eventManager.triggerEditStart(uuid, this._type);
+    this._log(`edição iniciada: ${uuid}`);
+    return true;
+  }
+  
+  /**
+   * Encerra a edição em andamento (as alterações já foram persistidas)
+   * @returns {boolean} Se havia edição em andamento
+   */
+  stopEdit() {
+    if (!this._uuid) {
+      return false;
+    }
+    
+    const uuid = this._uuid;
+    const type = this._type;
+    
+    document.removeEventListener('keydown', this._onKeyDown);
+    this.beraMap._snapManager.hideIndicator();
+    this._handleGroup.clearLayers();
+    this._handleGroup.remove();
+    this._uuid = null;
+    this._type = null;
+    this._parts = [];
+    this._center = null;
+    this.beraMap._refreshLevelOfDetail([uuid]);
+    
+    this.beraMap._eventManager.triggerEditEnd(uuid, type);
+    this._log(`edição encerrada: ${uuid}`);
+    return true;
+  }
+  
+  /**
+   * Relê a geometria em edição (após alteração externa)
+   * @returns {void}
+   */
+  refresh() {
+    if (!this._uuid) return;
+    
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(this._uuid);
+    if (!geometryData || geometryData.type !== this._type) {
+      this.stopEdit();
+      return;
+    }
+    
+    this._readGeometry(geometryData.feature);
+    this._createHandles();
+  }
+  
+  /**
+   * Verifica se há edição em andamento
+   * @returns {boolean}
+   */
+  isEditing() {
+    return !!this._uuid;
+  }
+  
+  /**
+   * Obtém o UUID da geometria em edição
+   * @returns {string|null} UUID ou null
+   */
+  getEditingUUID() {
+    return this._uuid;
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _readGeometry(feature) {
+    const L = this.L;
+    const geometry = feature.geometry;
+    // A terceira coordenada (altitude) segue em latLng.alt e volta em _buildFeature
+    const toLatLng = coord => L.latLng(coord[1], coord[0], coord[2]);
+    
+    this._parts = [];
+    this._closed = false;
+    this._center = null;
+    this._radius = 0;
+    
+    switch (this._type) {
+      case GEOMETRY_TYPES.POINT:
+        this._center = toLatLng(geometry.coordinates);
+        break;
+      
+      case GEOMETRY_TYPES.CIRCLE:
+        this._center = toLatLng(geometry.coordinates);
+        this._radius = this._getLayerMetadata().radius ||
+          (geometry.properties && geometry.properties.radius) ||
+          (feature.properties && feature.properties.radius) || 0;
+        break;
+      
+      case GEOMETRY_TYPES.POLYGON:
+        // Anéis editados sem o vértice de fechamento
+        this._closed = true;
+        this._parts = geometry.coordinates.map(ring => this._openRing(ring.map(toLatLng)));
+        break;
+      
+      default: {
+        const latLngs = geometry.coordinates.map(toLatLng);
+        const first = latLngs[0];
+        const last = latLngs[latLngs.length - 1];
+        this._closed = this._type === GEOMETRY_TYPES.DRAWING && latLngs.length >= 4 && first.equals(last);
+        this._parts = [this._closed ? this._openRing(latLngs) : latLngs];
+        break;
+      }
+    }
+  }
+  
+  _openRing(latLngs) {
+    const first = latLngs[0];
+    const last = latLngs[latLngs.length - 1];
+    return latLngs.length > 1 && first.equals(last) ? latLngs.slice(0, -1) : latLngs;
+  }
+  
+  _createHandles() {
+    this._handleGroup.clearLayers();
+    
+    if (this._type === GEOMETRY_TYPES.POINT || this._type === GEOMETRY_TYPES.CIRCLE) {
+      this._createCenterHandles();
+      return;
+    }
+    
+    this._parts.forEach((latLngs, partIndex) => {
+      latLngs.forEach((latLng, vertexIndex) => {
+        this._createVertexHandle(partIndex, vertexIndex);
+      });
+      
+      if (this.config.midpoints) {
+        const segmentCount = this._closed ? latLngs.length : latLngs.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+          this._createMidpointHandle(partIndex, i);
+        }
+      }
+    });
+  }
+  
+  _createVertexHandle(partIndex, vertexIndex) {
+    const handle = this._createHandle(this._parts[partIndex][vertexIndex], 'bera-edit-vertex', this.config.handleSize, 1);
+    
+    handle.on('drag', (e) => {
+      const previous = this._parts[partIndex][vertexIndex];
+      this._parts[partIndex][vertexIndex] = this._withAltitude(this._snapHandle(handle, e), previous.alt);
+      this._updateLayer();
+    });
+    handle.on('dragend', () => {
+      this._commit('move');
+    });
+    handle.on('click', () => {
+      this._deleteVertex(partIndex, vertexIndex);
+    });
+  }
+  
+  _createMidpointHandle(partIndex, segmentIndex) {
+    const L = this.L;
+    const latLngs = this._parts[partIndex];
+    const start = latLngs[segmentIndex];
+    const end = latLngs[(segmentIndex + 1) % latLngs.length];
+    const altitude = start.alt !== undefined && end.alt !== undefined ? (start.alt + end.alt) / 2 : undefined;
+    const midpoint = L.latLng((start.lat + end.lat) / 2, (start.lng + end.lng) / 2, altitude);
+    const handle = this._createHandle(midpoint, 'bera-edit-midpoint', Math.round(this.config.handleSize * 0.75), 0.5);
+    let inserted = false;
+    
+    const insert = () => {
+      if (inserted) return;
+      inserted = true;
+      latLngs.splice(segmentIndex + 1, 0, this._withAltitude(handle.getLatLng(), altitude));
+    };
+    
+    handle.on('dragstart', insert);
+    handle.on('drag', (e) => {
+      latLngs[segmentIndex + 1] = this._withAltitude(this._snapHandle(handle, e), altitude);
+      this._updateLayer();
+    });
+    handle.on('dragend', () => {
+      this._commit('insert');
+    });
+    handle.on('click', () => {
+      insert();
+      this._commit('insert');
+    });
+  }
+  
+  _createCenterHandles() {
+    const center = this._createHandle(this._center, 'bera-edit-vertex', this.config.handleSize, 1);
+    let radiusHandle = null;
+    
+    center.on('drag', (e) => {
+      this._center = this._withAltitude(this._snapHandle(center, e), this._center.alt);
+      if (radiusHandle) {
+        radiusHandle.setLatLng(this._getRadiusLatLng());
+      }
+      this._updateLayer();
+    });
+    center.on('dragend', () => {
+      this._commit('move');
+    });
+    
+    if (this._type !== GEOMETRY_TYPES.CIRCLE) return;
+    
+    radiusHandle = this._createHandle(this._getRadiusLatLng(), 'bera-edit-radius', this.config.handleSize, 1);
+    radiusHandle.on('drag', () => {
+      this._radius = this._map.distance(this._center, radiusHandle.getLatLng());
+      this._updateLayer();
+    });
+    radiusHandle.on('dragend', () => {
+      radiusHandle.setLatLng(this._getRadiusLatLng());
+      this._commit('resize');
+    });
+  }
+  
+  _createHandle(latLng, className, size, opacity) {
+    const L = this.L;
+    const icon = L.divIcon({
+      className: className,
+      iconSize: [size, size],
+      html: `<div style="width: ${size}px; height: ${size}px; box-sizing: border-box; ` +
+        `border-radius: 50%; border: 2px solid ${this.config.handleColor}; ` +
+        `background: #fff; opacity: ${opacity}; cursor: move;"></div>`
+    });
+    
+    const handle = L.marker(latLng, {
+      icon: icon,
+      draggable: true,
+      zIndexOffset: 1000,
+      bubblingMouseEvents: false
+    });
+    this._handleGroup.addLayer(handle);
+    return handle;
+  }
+  
+  _snapHandle(handle, e) {
+    // A própria geometria em edição não atrai seus vértices
+    const result = this.beraMap._snapManager.snap(handle.getLatLng(), {
+      exclude: this._uuid,
+      originalEvent: e.originalEvent
+    });
+    if (result.snapped) {
+      handle.setLatLng(result.latLng);
+    }
+    return result.latLng;
+  }
+  
+  _withAltitude(latLng, altitude) {
+    // Vértice movido mantém a altitude original (nova instância: o snap pode devolver o latLng de outra geometria)
+    return altitude === undefined ? latLng : this.L.latLng(latLng.lat, latLng.lng, altitude);
+  }
+  
+  _getRadiusLatLng() {
+    // Ponto a leste do centro, à distância do raio
+    const deltaLng = (this._radius / (EARTH_RADIUS * Math.cos(this._center.lat * Math.PI / 180))) * 180 / Math.PI;
+    return this.L.latLng(this._center.lat, this._center.lng + deltaLng);
+  }
+  
+  _deleteVertex(partIndex, vertexIndex) {
+    const latLngs = this._parts[partIndex];
+    const minimum = this._closed ? 3 : 2;
+    
+    if (latLngs.length <= minimum) {
+      console.warn(`⚠️ EditManager: a geometria precisa de pelo menos ${minimum} vértices`);
+      return;
+    }
+    
+    latLngs.splice(vertexIndex, 1);
+    this._commit('delete');
+  }
+  
+  _updateLayer() {
+    const layer = this._getLayer();
+    if (!layer) return;
+    
+    switch (this._type) {
+      case GEOMETRY_TYPES.POINT:
+        layer.setLatLng(this._center);
+        break;
+      case GEOMETRY_TYPES.CIRCLE:
+        layer.setLatLng(this._center);
+        layer.setRadius(this._radius);
+        break;
+      case GEOMETRY_TYPES.POLYGON:
+        layer.setLatLngs(this._parts);
+        break;
+      default:
+        // Drawing fechado é editado sem o vértice de fechamento; a pré-visualização repõe o último segmento
+        layer.setLatLngs(this._closed ? this._parts[0].concat([this._parts[0][0]]) : this._parts[0]);
+        break;
+    }
+    
+    this._updateMetadata(layer._beraMetadata);
+  }
+  
+  _updateMetadata(metadata) {
+    if (!metadata) return;
+    
+    const toArray = latLng => [latLng.lat, latLng.lng];
+    const rings = this._parts.map(latLngs => latLngs.map(toArray));
+    const closeRing = ring => ring.concat([ring[0]]);
+    
+    switch (this._type) {
+      case GEOMETRY_TYPES.POINT:
+        metadata.latLng = toArray(this._center);
+        break;
+      case GEOMETRY_TYPES.CIRCLE:
+        metadata.latLng = toArray(this._center);
+        metadata.radius = this._radius;
+        metadata.area = Math.PI * this._radius * this._radius;
+        metadata.circumference = 2 * Math.PI * this._radius;
+        break;
+      case GEOMETRY_TYPES.LINE_STRING:
+        metadata.length = calculateLength(rings[0]);
+        break;
+      case GEOMETRY_TYPES.POLYGON:
+        metadata.area = calculatePolygonArea(rings);
+        metadata.perimeter = rings.reduce((total, ring) => total + calculateLength(closeRing(ring)), 0);
+        break;
+      case GEOMETRY_TYPES.DRAWING:
+        metadata.length = calculateLength(this._closed ? closeRing(rings[0]) : rings[0]);
+        metadata.area = this._closed ? calculateRingArea(rings[0]) : metadata.area;
+        break;
+      default:
+        break;
+    }
+  }
+  
+  _buildFeature(before) {
+    const toCoord = latLng => latLng.alt !== undefined ? [latLng.lng, latLng.lat, latLng.alt] : [latLng.lng, latLng.lat];
+    const closeRing = coords => coords.concat([coords[0].slice()]);
+    const after = JSON.parse(JSON.stringify(before));
+    const geometry = after.geometry;
+    
+    switch (this._type) {
+      case GEOMETRY_TYPES.POINT:
+        geometry.coordinates = toCoord(this._center);
+        break;
+      case GEOMETRY_TYPES.CIRCLE:
+        geometry.coordinates = toCoord(this._center);
+        after.properties = Object.assign({}, after.properties, { radius: this._radius });
+        if (geometry.properties && geometry.properties.radius !== undefined) {
+          geometry.properties.radius = this._radius;
+        }
+        break;
+      case GEOMETRY_TYPES.POLYGON:
+        geometry.coordinates = this._parts.map(latLngs => closeRing(latLngs.map(toCoord)));
+        break;
+      default: {
+        const coords = this._parts[0].map(toCoord);
+        geometry.coordinates = this._closed ? closeRing(coords) : coords;
+        break;
+      }
+    }
+    
+    return after;
+  }
+  
+  _commit(operation) {
+    this.beraMap._snapManager.hideIndicator();
+    const uuid = this._uuid;
+    const geoManager = this.beraMap._geoManager;
+    const geometryData = geoManager.getGeometryByUUID(uuid);
+    if (!geometryData) {
+      this.stopEdit();
+      return;
+    }
+    
+    const before = JSON.parse(JSON.stringify(geometryData.feature));
+    const after = this._buildFeature(before);
+    const history = this.beraMap._historyManager;
+    const snapshot = history.snapshot(uuid);
+    
+    if (!geoManager.updateGeometry(uuid, after)) {
+      console.error('❌ EditManager: falha ao atualizar a geometria', uuid);
+      this.refresh();
+      return;
+    }
+    history.record('update', [{ uuid: uuid, before: snapshot, after: history.snapshot(uuid) }]);
+    
+    // Re-renderizar para atualizar popup, metadados e listeners com a nova feature
+    this.beraMap._renderGeometry(uuid);
+    this._createHandles();
+    this.beraMap._conflictDetector.handleGeometriesChanged();
+    
+    this.beraMap._eventManager.triggerGeometryUpdated([uuid], {
+      before: before,
+      after: after,
+      operation: operation,
+      source: 'edit'
+    });
+    this._log(`${operation}: ${uuid}`);
+  }
+  
+  _handleKeyDown(e) {
+    const tagName = e.target && e.target.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+    
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      this.stopEdit();
+    }
+  }
+  
+  _getLayer() {
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(this._uuid);
+    return geometryData ? geometryData.leafletLayer : null;
+  }
+  
+  _getLayerMetadata() {
+    const layer = this._getLayer();
+    return (layer && layer._beraMetadata) || {};
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[EditManager] ${message}`);
+    }
+  }
+}
+
+export default EditManager;
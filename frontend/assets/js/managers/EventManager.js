@@ -256,6 +256,83 @@ export class EventManager {
     });
   }
   
+  /**
+   * Dispara evento de operação entre geometrias (união, interseção, diferença, divisão, junção)
+   * @param {string} operation - Nome da operação
+   * @param {Array} sources - UUIDs de origem
+   * @param {Array} results - UUIDs das geometrias geradas
+   * @param {boolean} replaced - Se as origens foram removidas
+   */
+  triggerGeometryOperation(operation, sources, results, replaced) {
+    this.trigger(this.EVENTS.GEOMETRY_OPERATION, {
+      operation: operation,
+      sources: sources,
+      results: results,
+      replaced: replaced
+    });
+  }
+  
+  /**
+   * Dispara evento de seleção alterada
+   * @param {Array} added - UUIDs adicionados à seleção
+   * @param {Array} removed - UUIDs removidos da seleção
+   * @param {Array} current - Seleção atual
+   */
+  triggerSelectionChanged(added, removed, current) {
+    this.trigger(this.EVENTS.SELECTION_CHANGED, {
+      added: added,
+      removed: removed,
+      current: current,
+      count: current.length
+    });
+  }
+  
+  /**
+   * Dispara evento de histórico alterado (desfazer/refazer)
+   * @param {string} action - 'record', 'undo', 'redo' ou 'clear'
+   * @param {Object|null} entry - Passo afetado { type, uuids }
+   * @param {Object} state - Estado do histórico { canUndo, canRedo, undoCount, redoCount, ... }
+   */
+  triggerHistoryChanged(action, entry, state) {
+    this.trigger(this.EVENTS.HISTORY_CHANGED, {
+      action: action,
+      entry: entry,
+      ...state
+    });
+  }
+  
+  /**
+   * Dispara evento de conflitos detectados
+   * @param {Array} conflicts - Array de { uuids, type, distance, latLng, ... }
+   * @param {Object} data - Dados adicionais (opções usadas na detecção)
+   */
+  triggerConflictsDetected(conflicts, data = {}) {
+    this.trigger(this.EVENTS.CONFLICTS_DETECTED, {
+      conflicts: conflicts,
+      count: conflicts.length,
+      ...data
+    });
+  }
+  
+  /**
+   * Dispara evento de progresso de importação
+   * @param {string} format - Formato importado (ex.: 'shapefile')
+   * @param {string} stage - Etapa: 'reading', 'parsing', 'adding' ou 'done'
+   * @param {number} loaded - Itens processados na etapa
+   * @param {number} total - Total de itens da etapa
+   * @param {Object} data - Dados adicionais
+   */
+  triggerImportProgress(format, stage, loaded, total, data = {}) {
+    this.trigger(this.EVENTS.IMPORT_PROGRESS, {
+      format: format,
+      stage: stage,
+      loaded: loaded,
+      total: total,
+      percent: total > 0 ? Math.round((loaded / total) * 100) : 100,
+      ...data
+    });
+  }
+  
   /**
    * Dispara evento de mapa limpo
    * @param {Object} data - Dados adicionais
@@ -291,6 +368,103 @@ export class EventManager {
     });
   }
   
+  /**
+   * Dispara evento de filtro de visibilidade alterado
+   * @param {Function|Object|null} filter - Filtro ativo
+   * @param {number} visibleCount - Quantidade de geometrias visíveis
+   * @param {number} totalCount - Quantidade total de geometrias
+   */
+  triggerFilterChanged(filter, visibleCount, totalCount) {
+    this.trigger(this.EVENTS.FILTER_CHANGED, {
+      filter: filter,
+      visibleCount: visibleCount,
+      hiddenCount: totalCount - visibleCount,
+      totalCount: totalCount
+    });
+  }
+  
+  /**
+   * Dispara evento de estilo alterado
+   * @param {number} count - Quantidade de geometrias reestilizadas
+   * @param {Object} data - Origem da alteração (rules, symbology, uuids, style) e tipos afetados
+   */
+  triggerStyleChanged(count, data = {}) {
+    this.trigger(this.EVENTS.STYLE_CHANGED, {
+      ...data,
+      count: count
+    });
+  }
+  
+  /**
+   * Dispara evento de grupo de pontos clicado
+   * @param {Array} uuids - UUIDs dos pontos do grupo
+   * @param {number} count - Quantidade de pontos do grupo
+   * @param {Object} latLng - Posição do grupo
+   * @param {Object} originalEvent - Evento do Leaflet
+   */
+  triggerClusterClicked(uuids, count, latLng, originalEvent) {
+    this.trigger(this.EVENTS.CLUSTER_CLICKED, {
+      uuids: uuids,
+      count: count,
+      latLng: latLng,
+      originalEvent: originalEvent
+    });
+  }
+  
+  /**
+   * Dispara evento de desenho iniciado
+   * @param {string} type - Tipo de geometria desenhada
+   * @param {Object} properties - Propriedades da geometria a criar
+   */
+  triggerDrawStart(type, properties = {}) {
+    this.trigger(this.EVENTS.DRAW_START, {
+      type: type,
+      properties: properties
+    });
+  }
+  
+  /**
+   * Dispara evento de desenho finalizado ou cancelado
+   * @param {string} type - Tipo de geometria desenhada
+   * @param {string|null} uuid - UUID da geometria criada (null se cancelado)
+   * @param {Object|null} feature - Feature criada
+   * @param {Object|null} measurement - Medidas da forma desenhada
+   * @param {boolean} cancelled - Se o desenho foi cancelado
+   */
+  triggerDrawEnd(type, uuid, feature, measurement, cancelled = false) {
+    this.trigger(this.EVENTS.DRAW_END, {
+      type: type,
+      uuid: uuid,
+      feature: feature,
+      measurement: measurement,
+      cancelled: cancelled
+    });
+  }
+  
+  /**
+   * Dispara evento de edição iniciada
+   * @param {string} uuid - UUID da geometria em edição
+   * @param {string} type - Tipo da geometria
+   */
+  triggerEditStart(uuid, type) {
+    this.trigger(this.EVENTS.EDIT_START, {
+      uuid: uuid,
+      type: type
+    });
+  }
+  
+  /**
+   * Dispara evento de edição encerrada
+   * @param {string} uuid - UUID da geometria editada
+   * @param {string} type - Tipo da geometria
+   */
+  triggerEditEnd(uuid, type) {
+    this.trigger(this.EVENTS.EDIT_END, {
+      uuid: uuid,
+      type: type
+    });
+  }
+  
   /**
    * Ativa/desativa debug
    * @param {boolean} enabled - Ativar ou desativar
@@ -5,11 +5,27 @@
  * - Armazenar e rastrear todas as geometrias por UUID
  * - Manter referências às camadas Leaflet renderizadas
  * - Fornecer interface de busca e query
+ * - Manter índice espacial (R-tree) para consultas por retângulo e ponto
+ * - Consultas espaciais exatas: contém ponto, intersecta, distância e vizinhos mais próximos
+ * - Gerar buffers (áreas de influência) em torno das geometrias
+ * - Operações entre geometrias: união, interseção e diferença de polígonos; divisão e junção de linhas
+ * - Simplificação de linhas e polígonos (Douglas–Peucker / Visvalingam)
+ * - Troca de geometrias com o PostGIS em WKT, EWKT e WKB
  * - Gerenciar metadados de geometrias
  * - Validar dados de entrada
  */
 
 import { GEOMETRY_TYPES } from '../utils/constants.js';
+import { EARTH_RADIUS, getGeometryBounds, isValidGeometry } from '../utils/geometry.js';
+import { SpatialIndex } from '../utils/spatialIndex.js';
+import { closestPoints, geometryDistance, getCircleRadius, interiorsIntersect } from '../utils/spatial.js';
+import { bufferGeometry } from '../utils/buffer.js';
+import { isPolygonal, mergeLines, mergeProperties, polygonOperation, splitLine } from '../utils/geometryOps.js';
+import { OVERLAY_OPERATIONS } from '../utils/overlay.js';
+import { simplifyGeometry } from '../utils/simplify.js';
+import { isWKB, parseWKB, parseWKT, toWKB, toWKT } from '../utils/wkt.js';
+import { compileExpression, isExpression, validateExpression } from '../utils/filterExpression.js';
+import { leafletToSimpleStyle } from '../utils/simplestyle.js';
 
 export class GeoManager {
   constructor(beraMap) {
@@ -17,6 +33,8 @@ export class GeoManager {
     this.geometries = {};
     this.indexByType = {};
     this.indexByUUID = {};
+    this.spatialIndex = new SpatialIndex();
+    this._spatialItems = {};
     this.stats = {
       totalCount: 0,
       countByType: {}
@@ -61,6 +79,8 @@ export class GeoManager {
       leafletLayer: null,
       style: options.style || {},
       metadata: options.metadata || {},
+      visible: true,
+      hidden: false,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       properties: feature.properties || {}
@@ -69,6 +89,7 @@ export class GeoManager {
     this.geometries[uuid] = geometryData;
     this.indexByUUID[uuid] = geometryData;
     this._addToTypeIndex(geometryType, uuid);
+    this._addToSpatialIndex(uuid);
     
     this.stats.totalCount++;
     this.stats.countByType[geometryType]++;
@@ -104,14 +125,19 @@ export class GeoManager {
   
   /**
    * Obtém todas as geometrias
-   * @param {Object} options - Opções de filtro
+   * @param {Object} options - Opções de filtro { type, visible, bounds, sortBy, limit }
    * @returns {Array} Array de geometrias
    */
   getAllGeometries(options = {}) {
-    let geometries = Object.values(this.geometries);
+    let geometries = options.bounds
+      ? this.queryBBox(options.bounds)
+      : Object.values(this.geometries);
     if (options.type) {
       geometries = geometries.filter(g => g.type === options.type);
     }
+    if (typeof options.visible === 'boolean') {
+      geometries = geometries.filter(g => g.visible === options.visible);
+    }
     if (options.sortBy === 'createdAt') {
       geometries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
     }
@@ -170,6 +196,382 @@ export class GeoManager {
     });
   }
   
+  /**
+   * Filtra geometrias por predicado ou expressão
+   * @param {Function|Array|Object} filter - Função (feature, geometryData) => boolean,
+   *   expressão declarativa (ver utils/filterExpression.js) ou objeto { propriedade: valor | [valores] }
+   * @returns {Array} Array de geometrias que atendem ao filtro
+   */
+  filter(filter) {
+    const predicate = this.compileFilter(filter);
+    return Object.values(this.geometries).filter(g => predicate(g.feature, g));
+  }
+  
+  /**
+   * Converte um filtro em função predicado
+   * @param {Function|Array|Object} filter - Função, expressão ou objeto de propriedades
+   * @returns {Function} Predicado (feature, geometryData) => boolean
+   * @throws {Error} Se o filtro for inválido
+   */
+  compileFilter(filter) {
+    if (typeof filter === 'function') {
+      return filter;
+    }
+    
+    if (Array.isArray(filter)) {
+      return compileExpression(filter);
+    }
+    
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      const entries = Object.entries(filter);
+      return (feature) => {
+        const properties = feature.properties || {};
+        return entries.every(([key, value]) => {
+          return Array.isArray(value)
+            ? value.includes(properties[key])
+            : properties[key] === value;
+        });
+      };
+    }
+    
+    throw new Error('GeoManager: filtro inválido, use uma função, uma expressão ou um objeto de propriedades');
+  }
+  
+  /**
+   * Valida um filtro sem aplicá-lo
+   * @param {Function|Array|Object} filter - Filtro
+   * @returns {Object} { valid: boolean, error: string|null }
+   */
+  validateFilter(filter) {
+    if (isExpression(filter)) {
+      return validateExpression(filter);
+    }
+    
+    try {
+      this.compileFilter(filter);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Define a visibilidade de uma geometria (sem removê-la)
+   * @param {string} uuid - UUID
+   * @param {boolean} visible - Visível ou oculta
+   * @returns {boolean} Se a visibilidade mudou
+   */
+  setVisible(uuid, visible) {
+    const geometryData = this.geometries[uuid];
+    if (!geometryData || geometryData.visible === visible) return false;
+    geometryData.visible = visible;
+    return true;
+  }
+  
+  /**
+   * Define a ocultação manual (show/hide) de uma geometria
+   * A visibilidade efetiva combina essa ocultação com o filtro ativo (ver BeraMap)
+   * @param {string} uuid - UUID
+   * @param {boolean} hidden - Oculta manualmente ou não
+   * @returns {boolean} Se a ocultação mudou
+   */
+  setHidden(uuid, hidden) {
+    const geometryData = this.geometries[uuid];
+    if (!geometryData || geometryData.hidden === hidden) return false;
+    geometryData.hidden = hidden;
+    return true;
+  }
+  
+  /**
+   * Verifica se uma geometria está visível
+   * @param {string} uuid - UUID
+   * @returns {boolean}
+   */
+  isVisible(uuid) {
+    return !!this.geometries[uuid] && this.geometries[uuid].visible;
+  }
+  
+  /**
+   * Obtém UUIDs das geometrias visíveis
+   * @returns {Array} Array de UUIDs
+   */
+  getVisibleUUIDs() {
+    return Object.keys(this.geometries).filter(uuid => this.geometries[uuid].visible);
+  }
+  
+  /**
+   * Obtém UUIDs das geometrias ocultas
+   * @returns {Array} Array de UUIDs
+   */
+  getHiddenUUIDs() {
+    return Object.keys(this.geometries).filter(uuid => !this.geometries[uuid].visible);
+  }
+  
+  /**
+   * Obtém as geometrias cujo retângulo envolvente intersecta os limites (via índice espacial)
+   * @param {Object|Array} bounds - L.LatLngBounds, { minLat, minLng, maxLat, maxLng } ou [[lat, lng], [lat, lng]]
+   * @param {Object} options - { type, visible }
+   * @returns {Array} Array de geometrias
+   */
+  queryBBox(bounds, options = {}) {
+    const bbox = this._toSpatialBBox(bounds);
+    if (!bbox) return [];
+    
+    return this.spatialIndex.search(bbox)
+      .map(item => this.geometries[item.uuid])
+      .filter(g => g &&
+        (!options.type || g.type === options.type) &&
+        (typeof options.visible !== 'boolean' || g.visible === options.visible));
+  }
+  
+  /**
+   * Obtém as geometrias cujo retângulo envolvente contém um ponto (candidatas; sem teste exato)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { type, visible }
+   * @returns {Array} Array de geometrias
+   */
+  queryPoint(lat, lng, options = {}) {
+    return this.queryBBox({ minLat: lat, minLng: lng, maxLat: lat, maxLng: lng }, options);
+  }
+  
+  /**
+   * Obtém as geometrias visíveis na área atual do mapa
+   * @param {Object} bounds - Limites opcionais (padrão: área visível do mapa)
+   * @returns {Array} Array de geometrias
+   */
+  getVisibleGeometries(bounds = null) {
+    const map = this.beraMap && this.beraMap._map;
+    const area = bounds || (map ? map.getBounds() : null);
+    if (!area) {
+      return this.getAllGeometries({ visible: true });
+    }
+    return this.queryBBox(area, { visible: true });
+  }
+  
+  /**
+   * Obtém as geometrias que contêm um ponto
+   * Polígonos, círculos e desenhos fechados pela área; pontos e linhas a até `tolerance` metros
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { type, visible, exclude, tolerance (metros, padrão: 0) }
+   * @returns {Array} Array de geometrias
+   */
+  queryContains(lat, lng, options = {}) {
+    const point = { type: GEOMETRY_TYPES.POINT, coordinates: [lng, lat] };
+    return this._queryByDistance(point, options.tolerance || 0, options)
+      .map(result => result.geometryData);
+  }
+  
+  /**
+   * Obtém as geometrias que intersectam (cruzam, tocam ou contêm) uma geometria
+   * @param {string|Object|Array} target - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {Object} options - { type, visible, exclude }
+   * @returns {Array} Array de geometrias (sem a própria geometria quando target é um UUID)
+   * @throws {Error} Se target for inválido
+   */
+  queryIntersects(target, options = {}) {
+    return this._queryByDistance(this._resolveSpatialTarget(target), 0, this._excludeTarget(target, options))
+      .map(result => result.geometryData);
+  }
+  
+  /**
+   * Obtém as geometrias a até N metros de uma geometria, da mais próxima à mais distante
+   * @param {string|Object|Array} target - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {number} meters - Distância máxima em metros
+   * @param {Object} options - { type, visible, exclude }
+   * @returns {Array} Array de { uuid, distance (metros), geometryData }
+   * @throws {Error} Se target for inválido
+   */
+  queryWithinDistance(target, meters, options = {}) {
+    return this._queryByDistance(this._resolveSpatialTarget(target), Math.max(0, meters || 0), this._excludeTarget(target, options));
+  }
+  
+  /**
+   * Obtém as k geometrias mais próximas de uma localização
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} k - Quantidade (padrão: 1)
+   * @param {Object} options - { type, visible, exclude, maxDistance (metros) }
+   * @returns {Array} Array de { uuid, distance (metros), geometryData }, do mais próximo ao mais distante
+   */
+  queryNearest(lat, lng, k = 1, options = {}) {
+    if (k <= 0 || this.spatialIndex.size() === 0) return [];
+    
+    const point = { type: GEOMETRY_TYPES.POINT, coordinates: [lng, lat] };
+    const maxDistance = options.maxDistance || Infinity;
+    let radius = 100;
+    
+    // Amplia a busca até encontrar k geometrias ou cobrir o limite (meia circunferência da Terra)
+    while (true) {
+      const limit = Math.min(radius, maxDistance);
+      const results = this._queryByDistance(point, limit, options);
+      if (results.length >= k || limit >= maxDistance || radius >= Math.PI * EARTH_RADIUS) {
+        return results.slice(0, k);
+      }
+      radius *= 4;
+    }
+  }
+  
+  /**
+   * Calcula os pontos mais próximos entre duas geometrias
+   * @param {string|Object|Array} targetA - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {string|Object|Array} targetB - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @returns {Object|null} { distance (metros), from: [lat, lng] em A, to: [lat, lng] em B }
+   * @throws {Error} Se algum alvo for inválido
+   */
+  getClosestPoints(targetA, targetB) {
+    return closestPoints(this._resolveSpatialTarget(targetA), this._resolveSpatialTarget(targetB));
+  }
+  
+  /**
+   * Verifica se os interiores de duas geometrias se intersectam (cruzamento ou sobreposição)
+   * Geometrias que apenas se tocam pelas bordas ou extremidades retornam false
+   * @param {string|Object|Array} targetA - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @param {string|Object|Array} targetB - UUID, Feature, geometria GeoJSON ou [lat, lng]
+   * @returns {boolean}
+   * @throws {Error} Se algum alvo for inválido
+   */
+  interiorsIntersect(targetA, targetB) {
+    return interiorsIntersect(this._resolveSpatialTarget(targetA), this._resolveSpatialTarget(targetB));
+  }
+  
+  /**
+   * Gera o buffer (área a até N metros) de uma geometria, sem adicioná-lo
+   * @param {string} uuid - UUID da geometria de origem
+   * @param {number} meters - Distância em metros (maior que zero)
+   * @param {Object} options - { segments: segmentos de um círculo completo (padrão: 32), properties }
+   * @returns {Object} Feature Polygon/MultiPolygon com bufferOf e bufferDistance nas propriedades
+   * @throws {Error} Se o UUID não existir ou a distância for inválida
+   */
+  createBuffer(uuid, meters, options = {}) {
+    const geometryData = this.geometries[uuid];
+    if (!geometryData) {
+      throw new Error(`GeoManager: geometria ${uuid} não encontrada`);
+    }
+    if (typeof meters !== 'number' || !(meters > 0)) {
+      throw new Error('GeoManager: a distância do buffer deve ser um número maior que zero');
+    }
+    
+    const geometry = bufferGeometry(this._getSpatialGeometry(geometryData), meters, {
+      segments: options.segments
+    });
+    if (!geometry) {
+      throw new Error(`GeoManager: não foi possível gerar o buffer de ${uuid}`);
+    }
+    
+    return {
+      type: 'Feature',
+      geometry: geometry,
+      properties: Object.assign({
+        name: `Buffer ${meters} m`,
+        bufferOf: uuid,
+        bufferDistance: meters
+      }, options.properties || {})
+    };
+  }
+  
+  /**
+   * União de polígonos, sem adicioná-la
+   * Aceita Polygon, MultiPolygon, Circle e Drawing fechado
+   * @param {Array} uuids - UUIDs (ao menos dois)
+   * @param {Object} options - { properties: estratégia ('first', 'last', 'merge', 'none', função ou objeto), segments }
+   * @returns {Object} Feature Polygon/MultiPolygon
+   * @throws {Error} Se algum UUID não existir ou não for poligonal
+   */
+  union(uuids, options = {}) {
+    return this._polygonOperation(OVERLAY_OPERATIONS.UNION, uuids, options);
+  }
+  
+  /**
+   * Interseção (área comum a todos) de polígonos, sem adicioná-la
+   * @param {Array} uuids - UUIDs (ao menos dois)
+   * @param {Object} options - { properties: estratégia de propriedades, segments }
+   * @returns {Object|null} Feature Polygon/MultiPolygon ou null se não houver área comum
+   * @throws {Error} Se algum UUID não existir ou não for poligonal
+   */
+  intersection(uuids, options = {}) {
+    return this._polygonOperation(OVERLAY_OPERATIONS.INTERSECTION, uuids, options);
+  }
+  
+  /**
+   * Diferença de polígonos (primeiro menos os demais), sem adicioná-la
+   * @param {string} uuid - UUID do polígono base
+   * @param {string|Array} subtract - UUID(s) subtraídos
+   * @param {Object} options - { properties: estratégia de propriedades (padrão: 'first'), segments }
+   * @returns {Object|null} Feature Polygon/MultiPolygon ou null se nada restar
+   * @throws {Error} Se algum UUID não existir ou não for poligonal
+   */
+  difference(uuid, subtract, options = {}) {
+    return this._polygonOperation(OVERLAY_OPERATIONS.DIFFERENCE, [uuid].concat(subtract || []), options);
+  }
+  
+  /**
+   * Divide uma linha em duas no ponto mais próximo de uma posição, sem alterá-la
+   * @param {string} uuid - UUID da LineString ou Drawing
+   * @param {Array|Object} latLng - [lat, lng] ou {lat, lng}
+   * @param {Object} options - { properties: estratégia de propriedades, tolerance: distância máxima em metros até a linha }
+   * @returns {Array} Duas Features com as partes, na ordem da linha original
+   * @throws {Error} Se o UUID não existir, não for uma linha ou o corte cair em uma extremidade
+   */
+  splitLine(uuid, latLng, options = {}) {
+    const [source] = this._getOperationSources([uuid], 1);
+    const position = Array.isArray(latLng) ? [latLng[1], latLng[0]] : [latLng && latLng.lng, latLng && latLng.lat];
+    if (typeof position[0] !== 'number' || typeof position[1] !== 'number') {
+      throw new Error('GeoManager: posição de corte inválida');
+    }
+    
+    const result = splitLine(source.feature.geometry, position);
+    if (!result) {
+      throw new Error(`GeoManager: não é possível dividir ${uuid} em uma extremidade`);
+    }
+    if (options.tolerance !== undefined && result.distance > options.tolerance) {
+      throw new Error(`GeoManager: posição de corte a mais de ${options.tolerance} m de ${uuid}`);
+    }
+    
+    return result.parts.map(coordinates => this._createOperationFeature(
+      { type: source.type, coordinates: coordinates },
+      [source],
+      options
+    ));
+  }
+  
+  /**
+   * Junta linhas pelas extremidades mais próximas em uma única linha, sem adicioná-la
+   * @param {Array} uuids - UUIDs de LineString, MultiLineString ou Drawing abertos (ao menos dois)
+   * @param {Object} options - { properties: estratégia de propriedades, tolerance: distância máxima em metros entre extremidades (padrão: 1) }
+   * @returns {Object} Feature LineString (MultiLineString se alguma linha não se conectar)
+   * @throws {Error} Se algum UUID não existir ou não for uma linha
+   */
+  mergeLines(uuids, options = {}) {
+    const sources = this._getOperationSources(uuids, 2);
+    const geometry = mergeLines(sources.map(source => source.feature.geometry), { tolerance: options.tolerance });
+    return this._createOperationFeature(geometry, sources, options);
+  }
+  
+  /**
+   * Simplifica uma geometria, sem alterar a armazenada
+   * Pontos e círculos são devolvidos sem alteração
+   * @param {string} uuid - UUID
+   * @param {number} tolerance - Tolerância em metros (maior que zero)
+   * @param {Object} options - { method: 'douglas-peucker' (padrão) ou 'visvalingam' }
+   * @returns {Object} Feature com a geometria simplificada
+   * @throws {Error} Se o UUID não existir, a tolerância ou o método forem inválidos
+   */
+  simplify(uuid, tolerance, options = {}) {
+    const geometryData = this.geometries[uuid];
+    if (!geometryData) {
+      throw new Error(`GeoManager: geometria ${uuid} não encontrada`);
+    }
+    if (typeof tolerance !== 'number' || !(tolerance > 0)) {
+      throw new Error('GeoManager: a tolerância da simplificação deve ser um número maior que zero');
+    }
+    
+    const feature = this._deepClone(geometryData.feature);
+    feature.geometry = simplifyGeometry(feature.geometry, tolerance, { method: options.method });
+    return feature;
+  }
+  
   /**
    * Atualiza uma geometria
    * @param {string} uuid - UUID
@@ -193,13 +595,58 @@ export class GeoManager {
     
     this.geometries[uuid].feature = this._deepClone(feature);
     this.geometries[uuid].type = newType;
+    if (options.style) {
+      this.geometries[uuid].style = Object.assign({}, options.style);
+    }
     this.geometries[uuid].properties = feature.properties || {};
     this.geometries[uuid].updatedAt = new Date().toISOString();
+    this._removeFromSpatialIndex(uuid);
+    this._addToSpatialIndex(uuid);
     this._boundsCacheDirty = true;
     
     return true;
   }
   
+  /**
+   * Define o estilo customizado de uma geometria
+   * @param {string} uuid - UUID
+   * @param {Object} style - Estilo
+   * @param {Object} options - { merge: mescla com o estilo atual (padrão true) }
+   * @returns {Object|null} Estilo resultante ou null se o UUID não existir
+   */
+  setStyle(uuid, style, options = {}) {
+    const geometryData = this.geometries[uuid];
+    if (!geometryData) return null;
+    
+    geometryData.style = options.merge === false
+      ? Object.assign({}, style || {})
+      : Object.assign({}, geometryData.style, style || {});
+    geometryData.updatedAt = new Date().toISOString();
+    return Object.assign({}, geometryData.style);
+  }
+  
+  /**
+   * Remove o estilo customizado de uma geometria
+   * @param {string} uuid - UUID
+   * @returns {boolean} Sucesso
+   */
+  resetStyle(uuid) {
+    if (!this.geometries[uuid]) return false;
+    this.geometries[uuid].style = {};
+    this.geometries[uuid].updatedAt = new Date().toISOString();
+    return true;
+  }
+  
+  /**
+   * Obtém o estilo customizado de uma geometria
+   * @param {string} uuid - UUID
+   * @returns {Object|null} Estilo
+   */
+  getStyle(uuid) {
+    if (!this.geometries[uuid]) return null;
+    return Object.assign({}, this.geometries[uuid].style);
+  }
+  
   /**
    * Remove uma geometria
    * @param {string} uuid - UUID
@@ -216,6 +663,7 @@ export class GeoManager {
     }
     
     this._removeFromTypeIndex(geometryType, uuid);
+    this._removeFromSpatialIndex(uuid);
     delete this.geometries[uuid];
     delete this.indexByUUID[uuid];
     
@@ -253,6 +701,8 @@ export class GeoManager {
     
     this.geometries = {};
     this.indexByUUID = {};
+    this.spatialIndex.clear();
+    this._spatialItems = {};
     
     Object.keys(this.indexByType).forEach(type => {
       this.indexByType[type] = [];
@@ -290,6 +740,7 @@ export class GeoManager {
   getStats() {
     return {
       totalCount: this.stats.totalCount,
+      visibleCount: this.getVisibleUUIDs().length,
       countByType: Object.assign({}, this.stats.countByType),
       geometryTypes: Object.keys(this.indexByType).filter(
         type => this.stats.countByType[type] > 0
@@ -309,6 +760,12 @@ export class GeoManager {
   /**
    * Exporta como GeoJSON
    * @param {Object} options - Opções
+   * @param {string} options.type - Exportar apenas um tipo de geometria
+   * @param {boolean} options.includeMetadata - Incluir UUID, tipo e metadados nas propriedades
+   * @param {boolean} options.simplestyle - Gravar o estilo renderizado como propriedades
+   *   simplestyle-spec (stroke, fill, marker-color...)
+   * @param {number} options.simplify - Simplificar linhas e polígonos com esta tolerância em metros
+   * @param {string} options.simplifyMethod - 'douglas-peucker' (padrão) ou 'visvalingam'
    * @returns {Object} FeatureCollection
    */
   exportAsGeoJSON(options = {}) {
@@ -318,16 +775,34 @@ export class GeoManager {
     }
     
     const features = geometries.map(g => {
+      let feature = g.feature;
+      
+      if (options.simplify) {
+        feature = Object.assign({}, feature, {
+          geometry: simplifyGeometry(feature.geometry, options.simplify, { method: options.simplifyMethod })
+        });
+      }
+      
+      if (options.simplestyle) {
+        feature = Object.assign({}, feature, {
+          properties: Object.assign(
+            {},
+            feature.properties || {},
+            leafletToSimpleStyle(this._getRenderedStyle(g), g.type)
+          )
+        });
+      }
+      
       if (options.includeMetadata) {
-        return Object.assign({}, g.feature, {
-          properties: Object.assign({}, g.feature.properties || {}, {
+        return Object.assign({}, feature, {
+          properties: Object.assign({}, feature.properties || {}, {
             _beraMapUUID: g.uuid,
             _beraMapType: g.type,
             _beraMapMetadata: g.metadata
           })
         });
       }
-      return g.feature;
+      return feature;
     });
     
     return {
@@ -341,6 +816,64 @@ export class GeoManager {
     };
   }
   
+  /**
+   * Converte uma geometria em WKT (ou EWKT, com srid)
+   * Círculos viram polígonos aproximados e Drawing vira LINESTRING
+   * @param {string} uuid - UUID
+   * @param {Object} options - { srid: grava como EWKT (ex.: 4326), precision: casas decimais, segments: segmentos dos círculos (padrão: 64) }
+   * @returns {string} WKT
+   * @throws {Error} Se o UUID não existir
+   */
+  toWKT(uuid, options = {}) {
+    const [source] = this._getOperationSources([uuid], 1);
+    return toWKT(this._getSpatialGeometry(source), options);
+  }
+  
+  /**
+   * Converte uma geometria em WKB hexadecimal (EWKB, com srid)
+   * @param {string} uuid - UUID
+   * @param {Object} options - { srid, segments: segmentos dos círculos (padrão: 64) }
+   * @returns {string} WKB em hexadecimal
+   * @throws {Error} Se o UUID não existir
+   */
+  toWKB(uuid, options = {}) {
+    const [source] = this._getOperationSources([uuid], 1);
+    return toWKB(this._getSpatialGeometry(source), options);
+  }
+  
+  /**
+   * Cria uma Feature a partir de WKT, EWKT ou WKB hexadecimal (como devolvido pelo PostGIS)
+   * @param {string} text - WKT, EWKT ou WKB hexadecimal
+   * @param {Object} properties - Propriedades da Feature
+   * @returns {Object} Feature GeoJSON
+   * @throws {Error} Se o texto for inválido, a geometria vazia ou o SRID diferente de 4326
+   */
+  featureFromWKT(text, properties = {}) {
+    const { geometry, srid } = isWKB(text) ? parseWKB(text) : parseWKT(text);
+    if (srid && srid !== 4326) {
+      throw new Error(`GeoManager: SRID ${srid} não suportado; as geometrias devem estar em WGS84 (4326)`);
+    }
+    
+    const feature = { type: 'Feature', geometry: geometry, properties: Object.assign({}, properties) };
+    if (!this._validateFeature(feature)) {
+      throw new Error(`GeoManager: geometria ${geometry.type} vazia ou inválida`);
+    }
+    return feature;
+  }
+  
+  /**
+   * Adiciona uma geometria a partir de WKT, EWKT ou WKB hexadecimal
+   * Apenas armazena a geometria; para exibi-la use BeraMap.addFromWKT
+   * @param {string} text - WKT, EWKT ou WKB hexadecimal
+   * @param {Object} properties - Propriedades da Feature
+   * @param {Object} options - Opções de addGeometry
+   * @returns {string} UUID da geometria
+   * @throws {Error} Se o texto for inválido, a geometria vazia ou o SRID diferente de 4326
+   */
+  addFromWKT(text, properties = {}, options = {}) {
+    return this.addGeometry(this.featureFromWKT(text, properties), options);
+  }
+  
   /**
    * Calcula bounds
    * @returns {Object|null} Bounds ou null
@@ -355,28 +888,13 @@ export class GeoManager {
     let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
     
     Object.values(this.geometries).forEach(g => {
-      const coords = g.feature.geometry.coordinates;
+      const bounds = getGeometryBounds(g.feature.geometry);
+      if (!bounds) return;
       
-      if (g.type === GEOMETRY_TYPES.POINT) {
-        minLng = Math.min(minLng, coords[0]);
-        maxLng = Math.max(maxLng, coords[0]);
-        minLat = Math.min(minLat, coords[1]);
-        maxLat = Math.max(maxLat, coords[1]);
-      } else if (g.type === GEOMETRY_TYPES.LINE_STRING || g.type === GEOMETRY_TYPES.DRAWING) {
-        coords.forEach(coord => {
-          minLng = Math.min(minLng, coord[0]);
-          maxLng = Math.max(maxLng, coord[0]);
-          minLat = Math.min(minLat, coord[1]);
-          maxLat = Math.max(maxLat, coord[1]);
-        });
-      } else if (g.type === GEOMETRY_TYPES.POLYGON) {
-        g.feature.geometry.coordinates[0].forEach(coord => {
-          minLng = Math.min(minLng, coord[0]);
-          maxLng = Math.max(maxLng, coord[0]);
-          minLat = Math.min(minLat, coord[1]);
-          maxLat = Math.max(maxLat, coord[1]);
-        });
-      }
+      minLat = Math.min(minLat, bounds.minLat);
+      minLng = Math.min(minLng, bounds.minLng);
+      maxLat = Math.max(maxLat, bounds.maxLat);
+      maxLng = Math.max(maxLng, bounds.maxLng);
     });
     
     this._boundsCache = {
@@ -411,11 +929,15 @@ export class GeoManager {
     if (feature.type !== 'Feature') return false;
     if (!feature.geometry || !feature.geometry.type) return false;
     
-    const validTypes = Object.values(GEOMETRY_TYPES);
-    if (!validTypes.includes(feature.geometry.type)) return false;
-    if (!feature.geometry.coordinates || !Array.isArray(feature.geometry.coordinates)) return false;
-    
-    return true;
+    return isValidGeometry(feature.geometry);
+  }
+  
+  _getRenderedStyle(geometryData) {
+    const layer = geometryData.leafletLayer;
+    if (layer && layer._beraMetadata && layer._beraMetadata.style) {
+      return layer._beraMetadata.style;
+    }
+    return geometryData.style || {};
   }
   
   _generateUUID() {
@@ -439,6 +961,175 @@ export class GeoManager {
     }
   }
   
+  _addToSpatialIndex(uuid) {
+    const geometryData = this.geometries[uuid];
+    const bbox = geometryData && this._getSpatialBBox(this._getSpatialGeometry(geometryData));
+    if (!bbox) return;
+    
+    const item = Object.assign({ uuid: uuid }, bbox);
+    this._spatialItems[uuid] = item;
+    this.spatialIndex.insert(item);
+  }
+  
+  _removeFromSpatialIndex(uuid) {
+    const item = this._spatialItems[uuid];
+    if (item) {
+      this.spatialIndex.remove(item);
+      delete this._spatialItems[uuid];
+    }
+  }
+  
+  _getCircleRadius(feature) {
+    const geometryRadius = getCircleRadius(feature.geometry);
+    const propertyRadius = feature.properties && feature.properties.radius;
+    if (geometryRadius || propertyRadius) {
+      return geometryRadius || propertyRadius;
+    }
+    
+    const renderer = this.beraMap && this.beraMap._renderers && this.beraMap._renderers.Circle;
+    return renderer ? renderer.config.defaultRadius : 0;
+  }
+  
+  _getSpatialGeometry(geometryData) {
+    // Círculos levam o raio efetivo para os cálculos de distância
+    const geometry = geometryData.feature.geometry;
+    if (geometryData.type !== GEOMETRY_TYPES.CIRCLE) return geometry;
+    return Object.assign({}, geometry, { radius: this._getCircleRadius(geometryData.feature) });
+  }
+  
+  _getOperationSources(uuids, minimum) {
+    const list = [].concat(uuids || []);
+    if (list.length < minimum) {
+      throw new Error(`GeoManager: a operação exige ao menos ${minimum} geometria(s)`);
+    }
+    
+    return list.map(uuid => {
+      const geometryData = this.geometries[uuid];
+      if (!geometryData) {
+        throw new Error(`GeoManager: geometria ${uuid} não encontrada`);
+      }
+      return geometryData;
+    });
+  }
+  
+  _polygonOperation(operation, uuids, options) {
+    const sources = this._getOperationSources(uuids, 2);
+    const geometries = sources.map(source => {
+      const geometry = this._getSpatialGeometry(source);
+      if (!isPolygonal(geometry)) {
+        throw new Error(`GeoManager: ${source.uuid} (${source.type}) não é um polígono`);
+      }
+      return geometry;
+    });
+    
+    const geometry = polygonOperation(geometries, operation, { segments: options.segments });
+    return geometry ? this._createOperationFeature(geometry, sources, options) : null;
+  }
+  
+  _createOperationFeature(geometry, sources, options) {
+    // Propriedades das origens combinadas pela estratégia escolhida
+    return {
+      type: 'Feature',
+      geometry: geometry,
+      properties: mergeProperties(sources.map(source => source.feature.properties), options.properties)
+    };
+  }
+  
+  _getSpatialBBox(geometry, margin = 0) {
+    const bounds = getGeometryBounds(geometry);
+    if (!bounds) return null;
+    
+    // Círculos ocupam o raio em torno do centro
+    const meters = margin + (geometry.type === GEOMETRY_TYPES.CIRCLE ? getCircleRadius(geometry) : 0);
+    const deltaLat = (meters / EARTH_RADIUS) * 180 / Math.PI;
+    const maxLat = Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat));
+    const deltaLng = deltaLat / Math.max(Math.cos(maxLat * Math.PI / 180), 1e-6);
+    
+    return {
+      minX: bounds.minLng - deltaLng,
+      minY: bounds.minLat - deltaLat,
+      maxX: bounds.maxLng + deltaLng,
+      maxY: bounds.maxLat + deltaLat
+    };
+  }
+  
+  _queryByDistance(geometry, meters, options) {
+    const bbox = this._getSpatialBBox(geometry, meters);
+    if (!bbox) return [];
+    
+    const exclude = [].concat(options.exclude || []);
+    const results = [];
+    
+    this.spatialIndex.search(bbox).forEach(item => {
+      const geometryData = this.geometries[item.uuid];
+      if (!geometryData || exclude.includes(item.uuid)) return;
+      if (options.type && geometryData.type !== options.type) return;
+      if (typeof options.visible === 'boolean' && geometryData.visible !== options.visible) return;
+      
+      const distance = geometryDistance(geometry, this._getSpatialGeometry(geometryData));
+      if (distance <= meters) {
+        results.push({ uuid: item.uuid, distance: distance, geometryData: geometryData });
+      }
+    });
+    
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+  
+  _resolveSpatialTarget(target) {
+    if (typeof target === 'string') {
+      const geometryData = this.geometries[target];
+      if (!geometryData) {
+        throw new Error(`GeoManager: geometria ${target} não encontrada`);
+      }
+      return this._getSpatialGeometry(geometryData);
+    }
+    
+    if (Array.isArray(target) && target.length >= 2 && typeof target[0] === 'number') {
+      return { type: GEOMETRY_TYPES.POINT, coordinates: [target[1], target[0]] };
+    }
+    
+    if (target && typeof target.lat === 'number' && typeof target.lng === 'number') {
+      return { type: GEOMETRY_TYPES.POINT, coordinates: [target.lng, target.lat] };
+    }
+    
+    const feature = target && target.type === 'Feature' ? target : { type: 'Feature', geometry: target, properties: {} };
+    if (!isValidGeometry(feature.geometry)) {
+      throw new Error('GeoManager: geometria de referência inválida, use um UUID, uma Feature, uma geometria ou [lat, lng]');
+    }
+    
+    return this._getSpatialGeometry({ type: feature.geometry.type, feature: feature });
+  }
+  
+  _excludeTarget(target, options) {
+    if (typeof target !== 'string') return options;
+    return Object.assign({}, options, { exclude: [target].concat(options.exclude || []) });
+  }
+  
+  _toSpatialBBox(bounds) {
+    if (!bounds) return null;
+    
+    if (typeof bounds.getSouthWest === 'function') {
+      const southWest = bounds.getSouthWest();
+      const northEast = bounds.getNorthEast();
+      return { minX: southWest.lng, minY: southWest.lat, maxX: northEast.lng, maxY: northEast.lat };
+    }
+    
+    if (Array.isArray(bounds) && bounds.length === 2) {
+      return {
+        minX: Math.min(bounds[0][1], bounds[1][1]),
+        minY: Math.min(bounds[0][0], bounds[1][0]),
+        maxX: Math.max(bounds[0][1], bounds[1][1]),
+        maxY: Math.max(bounds[0][0], bounds[1][0])
+      };
+    }
+    
+    if (typeof bounds.minLat === 'number') {
+      return { minX: bounds.minLng, minY: bounds.minLat, maxX: bounds.maxLng, maxY: bounds.maxLat };
+    }
+    
+    return null;
+  }
+  
   _removeFromTypeIndex(type, uuid) {
     if (this.indexByType[type]) {
       const index = this.indexByType[type].indexOf(uuid);
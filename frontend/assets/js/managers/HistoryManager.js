@@ -0,0 +1,331 @@
+/**
+ * HistoryManager - Histórico de alterações (desfazer/refazer) para BeraMap
+ *
+ * Responsável por:
+ * - Registrar operações de adicionar, atualizar, remover, estilizar e limpar
+ * - Guardar o estado antes/depois de cada geometria afetada (snapshot)
+ * - Agrupar operações em lote em um único passo
+ * - Desfazer/refazer restaurando os snapshots
+ * - Disparar bera:historyChanged para habilitar/desabilitar botões
+ */
+
+export class HistoryManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {boolean} options.enabled - Registrar o histórico (padrão: true)
+   * @param {number} options.maxDepth - Quantidade máxima de passos guardados (padrão: 50)
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.config = {
+      enabled: options.enabled !== false,
+      maxDepth: options.maxDepth || 50,
+      debug: options.debug || false
+    };
+    
+    this._undoStack = [];
+    this._redoStack = [];
+    this._batch = null;
+    this._batchDepth = 0;
+    this._applying = false;
+  }
+  
+  /**
+   * Obtém o estado atual de uma geometria para o histórico
+   * @param {string} uuid - UUID
+   * @returns {Object|null} { feature, style, metadata, hidden } ou null se não existir
+   */
+  snapshot(uuid) {
+    if (!this._isRecording() || !uuid) return null;
+    
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+    if (!geometryData) return null;
+    
+    return {
+      feature: this._clone(geometryData.feature),
+      style: this._clone(geometryData.style || {}),
+      metadata: this._clone(geometryData.metadata || {}),
+      hidden: geometryData.hidden
+    };
+  }
+  
+  /**
+   * Registra uma operação
+   * Dentro de um lote, as alterações são acumuladas no mesmo passo
+   * @param {string} type - 'add', 'update', 'remove', 'style' ou 'clear'
+   * @param {Array} changes - Array de { uuid, before, after } (snapshots ou null)
+   * @returns {void}
+   */
+  record(type, changes) {
+    if (!this._isRecording() || !changes || changes.length === 0) return;
+    
+    if (this._batch) {
+      this._mergeChanges(this._batch, changes);
+      return;
+    }
+    
+    const entry = { type: type, changes: [] };
+    this._mergeChanges(entry, changes);
+    this._push(entry);
+  }
+  
+  /**
+   * Inicia um lote: as operações até endBatch() viram um único passo
+   * @param {string} label - Nome do passo (padrão: 'batch')
+   * @returns {void}
+   */
+  beginBatch(label = 'batch') {
+    this._batchDepth++;
+    if (!this._batch) {
+      this._batch = { type: label, changes: [] };
+    }
+  }
+  
+  /**
+   * Encerra o lote iniciado por beginBatch()
+   * @returns {void}
+   */
+  endBatch() {
+    if (this._batchDepth === 0) return;
+    
+    this._batchDepth--;
+    if (this._batchDepth > 0) return;
+    
+    const entry = this._batch;
+    this._batch = null;
+    if (entry.changes.length > 0) {
+      this._push(entry);
+    }
+  }
+  
+  /**
+   * Executa uma função agrupando suas operações em um único passo
+   * @param {Function} fn - Função a executar
+   * @param {string} label - Nome do passo
+   * @returns {*} Retorno da função
+   */
+  batch(fn, label = 'batch') {
+    this.beginBatch(label);
+    try {
+      return fn();
+    } finally {
+      this.endBatch();
+    }
+  }
+  
+  /**
+   * Executa uma função sem registrar suas operações, devolvendo as alterações para um record() posterior
+   * Usado por operações assíncronas, que não podem manter um lote aberto entre as etapas
+   * @param {Function} fn - Função a executar
+   * @returns {Array} Alterações { uuid, before, after }
+   */
+  collect(fn) {
+    const batch = this._batch;
+    const batchDepth = this._batchDepth;
+    this._batch = { type: 'collect', changes: [] };
+    this._batchDepth = 1;
+    try {
+      fn();
+      return this._batch.changes;
+    } finally {
+      this._batch = batch;
+      this._batchDepth = batchDepth;
+    }
+  }
+  
+  /**
+   * Desfaz o último passo
+   * @returns {boolean} Se algum passo foi desfeito
+   */
+  undo() {
+    const entry = this._undoStack.pop();
+    if (!entry) return false;
+    
+    this._apply(entry, 'before');
+    this._redoStack.push(entry);
+    this._triggerChanged('undo', entry);
+    this._log(`undo: ${entry.type} (${entry.changes.length})`);
+    return true;
+  }
+  
+  /**
+   * Refaz o último passo desfeito
+   * @returns {boolean} Se algum passo foi refeito
+   */
+  redo() {
+    const entry = this._redoStack.pop();
+    if (!entry) return false;
+    
+    this._apply(entry, 'after');
+    this._undoStack.push(entry);
+    this._triggerChanged('redo', entry);
+    this._log(`redo: ${entry.type} (${entry.changes.length})`);
+    return true;
+  }
+  
+  /**
+   * Verifica se há passo para desfazer
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+  
+  /**
+   * Verifica se há passo para refazer
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+  
+  /**
+   * Descarta todo o histórico
+   * @returns {void}
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._triggerChanged('clear', null);
+  }
+  
+  /**
+   * Define a quantidade máxima de passos guardados
+   * @param {number} maxDepth - Profundidade
+   * @returns {void}
+   */
+  setMaxDepth(maxDepth) {
+    this.config.maxDepth = Math.max(1, maxDepth);
+    this._trim();
+  }
+  
+  /**
+   * Obtém o estado do histórico
+   * @returns {Object} { canUndo, canRedo, undoCount, redoCount, nextUndo, nextRedo }
+   */
+  getState() {
+    const nextUndo = this._undoStack[this._undoStack.length - 1];
+    const nextRedo = this._redoStack[this._redoStack.length - 1];
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoCount: this._undoStack.length,
+      redoCount: this._redoStack.length,
+      nextUndo: nextUndo ? nextUndo.type : null,
+      nextRedo: nextRedo ? nextRedo.type : null
+    };
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _isRecording() {
+    return this.config.enabled && !this._applying;
+  }
+  
+  _mergeChanges(entry, changes) {
+    // A mesma geometria alterada várias vezes no passo guarda o primeiro "antes" e o último "depois"
+    changes.forEach(change => {
+      const existing = entry.changes.find(item => item.uuid === change.uuid);
+      if (existing) {
+        existing.after = change.after;
+      } else {
+        entry.changes.push({ uuid: change.uuid, before: change.before, after: change.after });
+      }
+    });
+  }
+  
+  _push(entry) {
+    this._undoStack.push(entry);
+    this._redoStack = [];
+    this._trim();
+    this._triggerChanged('record', entry);
+  }
+  
+  _trim() {
+    if (this._undoStack.length > this.config.maxDepth) {
+      this._undoStack.splice(0, this._undoStack.length - this.config.maxDepth);
+    }
+  }
+  
+  _apply(entry, key) {
+    const beraMap = this.beraMap;
+    const geoManager = beraMap._geoManager;
+    const added = [];
+    const updated = [];
+    const removed = [];
+    
+    this._applying = true;
+    try {
+      entry.changes.forEach(change => {
+        const state = change[key];
+        const geometryData = geoManager.getGeometryByUUID(change.uuid);
+        
+        if (!state) {
+          if (geometryData) removed.push(change.uuid);
+          return;
+        }
+        
+        if (geometryData) {
+          // Troca de tipo: a camada antiga pertence a outro renderer
+          if (geometryData.type !== state.feature.geometry.type && beraMap._renderers[geometryData.type]) {
+            beraMap._renderers[geometryData.type].remove(change.uuid);
+          }
+          geoManager.updateGeometry(change.uuid, this._clone(state.feature), { style: this._clone(state.style) });
+          updated.push(change.uuid);
+        } else {
+          geoManager.addGeometry(this._clone(state.feature), {
+            uuid: change.uuid,
+            style: this._clone(state.style),
+            metadata: this._clone(state.metadata)
+          });
+          added.push(change.uuid);
+        }
+        
+        geoManager.setHidden(change.uuid, state.hidden);
+        beraMap._renderGeometry(change.uuid);
+      });
+      
+      if (removed.length > 0) {
+        beraMap.removeGeometries(removed);
+      }
+    } finally {
+      this._applying = false;
+    }
+    
+    if (added.length > 0 || updated.length > 0) {
+      beraMap._conflictDetector.handleGeometriesChanged();
+    }
+    
+    const eventManager = beraMap._eventManager;
+    if (added.length > 0) {
+      eventManager.triggerGeometryAdded(added, { source: 'history' });
+    }
+    if (updated.length > 0) {
+      eventManager.triggerGeometryUpdated(updated, { source: 'history' });
+    }
+    beraMap._editManager.refresh();
+  }
+  
+  _triggerChanged(action, entry) {
+    this.beraMap._eventManager.triggerHistoryChanged(action, entry ? {
+      type: entry.type,
+      uuids: entry.changes.map(change => change.uuid)
+    } : null, this.getState());
+  }
+  
+  _clone(obj) {
+    return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[HistoryManager] ${message}`);
+    }
+  }
+}
+
+export default HistoryManager;
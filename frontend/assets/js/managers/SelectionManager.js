@@ -0,0 +1,341 @@
+/**
+ * SelectionManager - Gerenciador de seleção para BeraMap
+ *
+ * Responsável por:
+ * - Manter o conjunto de UUIDs selecionados
+ * - Aplicar o estado de seleção às camadas (estilo de seleção de cada renderer)
+ * - Seleção interativa: clique, shift+clique e seleção por retângulo (shift+arrastar)
+ * - Disparar bera:selectionChanged com { added, removed, current }
+ */
+
+export class SelectionManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {boolean} options.boxSelection - Permitir seleção por retângulo com shift+arrastar (padrão: true)
+   * @param {boolean} options.clearOnMapClick - Limpar a seleção ao clicar fora das geometrias (padrão: true)
+   * @param {Object} options.boxStyle - Estilo do retângulo de seleção
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      boxSelection: options.boxSelection !== false,
+      clearOnMapClick: options.clearOnMapClick !== false,
+      boxStyle: Object.assign({
+        color: '#ff7800',
+        weight: 1,
+        dashArray: '4 4',
+        fillOpacity: 0.1,
+        interactive: false
+      }, options.boxStyle || {}),
+      debug: options.debug || false
+    };
+    
+    this._selection = new Set();
+    this._enabled = false;
+    this._map = null;
+    this._box = null;
+    this._boxStart = null;
+    this._boxZoomWasEnabled = false;
+    this._lastGeometryEvent = null;
+    this._suppressClick = false;
+    
+    this._onMapClick = (e) => this._handleMapClick(e);
+    this._onMouseDown = (e) => this._handleMouseDown(e);
+    this._onMouseMove = (e) => this._handleMouseMove(e);
+    this._onMouseUp = (e) => this._handleMouseUp(e);
+  }
+  
+  /**
+   * Ativa a seleção interativa no mapa
+   * @param {Object} options - Opções (sobrescrevem as do constructor)
+   * @returns {void}
+   */
+  enable(options = {}) {
+    Object.assign(this.config, options);
+    if (this._enabled) return;
+    
+    this._map = this.beraMap._map;
+    this._enabled = true;
+    this._map.on('click', this._onMapClick);
+    
+    if (this.config.boxSelection) {
+      // shift+arrastar passa a selecionar em vez de aproximar o zoom
+      this._boxZoomWasEnabled = this._map.boxZoom && this._map.boxZoom.enabled();
+      if (this._boxZoomWasEnabled) {
+        this._map.boxZoom.disable();
+      }
+      this._map.getContainer().addEventListener('mousedown', this._onMouseDown, true);
+    }
+  }
+  
+  /**
+   * Desativa a seleção interativa (a seleção atual é mantida)
+   * @returns {void}
+   */
+  disable() {
+    if (!this._enabled) return;
+    
+    this._enabled = false;
+    this._map.off('click', this._onMapClick);
+    this._map.getContainer().removeEventListener('mousedown', this._onMouseDown, true);
+    this._cancelBox();
+    
+    if (this._boxZoomWasEnabled) {
+      this._map.boxZoom.enable();
+      this._boxZoomWasEnabled = false;
+    }
+  }
+  
+  /**
+   * Verifica se a seleção interativa está ativa
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._enabled;
+  }
+  
+  /**
+   * Seleciona geometrias
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @param {Object} options - { replace: true substitui a seleção atual }
+   * @returns {Array} Seleção atual
+   */
+  select(uuids, options = {}) {
+    const uuidArray = this._normalize(uuids)
+      .filter(uuid => this.beraMap._geoManager.hasGeometry(uuid));
+    
+    const removed = options.replace
+      ? this.getSelection().filter(uuid => !uuidArray.includes(uuid))
+      : [];
+    const added = uuidArray.filter(uuid => !this._selection.has(uuid));
+    
+    return this._applyChanges(added, removed);
+  }
+  
+  /**
+   * Remove geometrias da seleção
+   * @param {string|Array} uuids - UUID ou array de UUIDs (omitido: limpa a seleção)
+   * @returns {Array} Seleção atual
+   */
+  deselect(uuids) {
+    const removed = uuids === undefined || uuids === null
+      ? this.getSelection()
+      : this._normalize(uuids).filter(uuid => this._selection.has(uuid));
+    
+    return this._applyChanges([], removed);
+  }
+  
+  /**
+   * Inverte o estado de seleção de geometrias
+   * @param {string|Array} uuids - UUID ou array de UUIDs
+   * @returns {Array} Seleção atual
+   */
+  toggle(uuids) {
+    const uuidArray = this._normalize(uuids)
+      .filter(uuid => this.beraMap._geoManager.hasGeometry(uuid));
+    
+    const added = uuidArray.filter(uuid => !this._selection.has(uuid));
+    const removed = uuidArray.filter(uuid => this._selection.has(uuid));
+    
+    return this._applyChanges(added, removed);
+  }
+  
+  /**
+   * Limpa a seleção
+   * @returns {Array} Seleção atual (vazia)
+   */
+  clear() {
+    return this.deselect();
+  }
+  
+  /**
+   * Obtém os UUIDs selecionados
+   * @returns {Array} UUIDs na ordem de seleção
+   */
+  getSelection() {
+    return Array.from(this._selection);
+  }
+  
+  /**
+   * Verifica se uma geometria está selecionada
+   * @param {string} uuid - UUID
+   * @returns {boolean}
+   */
+  isSelected(uuid) {
+    return this._selection.has(uuid);
+  }
+  
+  /**
+   * Reaplica o estado de seleção a uma camada recém-renderizada
+   * @param {string} uuid - UUID
+   * @returns {void}
+   */
+  syncLayer(uuid) {
+    if (this._selection.has(uuid)) {
+      this._setLayerSelected(uuid, true);
+    }
+  }
+  
+  /**
+   * Trata o clique em uma geometria (chamado pelos renderers via BeraMap)
+   * Clique seleciona apenas a geometria; shift+clique a adiciona ou remove da seleção
+   * @param {string} uuid - UUID
+   * @param {Object} leafletEvent - Evento do Leaflet
+   * @returns {void}
+   */
+  handleGeometryClick(uuid, leafletEvent = {}) {
+    if (!this._enabled || !this.beraMap._geoManager.hasGeometry(uuid)) return;
+    
+    const originalEvent = leafletEvent.originalEvent;
+    this._lastGeometryEvent = originalEvent || null;
+    
+    if (this._suppressClick || this._isDrawing()) return;
+    
+    if (originalEvent && originalEvent.shiftKey) {
+      this.toggle(uuid);
+    } else {
+      this.select(uuid, { replace: true });
+    }
+  }
+  
+  /**
+   * Obtém os UUIDs das geometrias visíveis que intersectam um retângulo
+   * @param {Object} bounds - L.LatLngBounds
+   * @returns {Array} UUIDs
+   */
+  getUUIDsInBounds(bounds) {
+    return this.beraMap._geoManager.queryBBox(bounds, { visible: true })
+      .filter(geometryData => {
+        const layerBounds = this._getLayerBounds(geometryData.leafletLayer);
+        return layerBounds && bounds.intersects(layerBounds);
+      })
+      .map(geometryData => geometryData.uuid);
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _applyChanges(added, removed) {
+    if (added.length === 0 && removed.length === 0) {
+      return this.getSelection();
+    }
+    
+    removed.forEach(uuid => {
+      this._selection.delete(uuid);
+      this._setLayerSelected(uuid, false);
+    });
+    added.forEach(uuid => {
+      this._selection.add(uuid);
+      this._setLayerSelected(uuid, true);
+    });
+    
+    const current = this.getSelection();
+    this.beraMap._eventManager.triggerSelectionChanged(added, removed, current);
+    this._log(`seleção: +${added.length} -${removed.length} = ${current.length}`);
+    return current;
+  }
+  
+  _setLayerSelected(uuid, selected) {
+    const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+    const renderer = geometryData && this.beraMap._renderers[geometryData.type];
+    if (renderer) {
+      renderer.setSelected(uuid, selected);
+    }
+  }
+  
+  _handleMapClick(e) {
+    // Cliques em geometrias também chegam ao mapa; ignorar o mesmo evento
+    if (e.originalEvent && e.originalEvent === this._lastGeometryEvent) return;
+    if (this._suppressClick || !this.config.clearOnMapClick || this._isDrawing()) return;
+    if (e.originalEvent && e.originalEvent.shiftKey) return;
+    
+    this.clear();
+  }
+  
+  _handleMouseDown(e) {
+    if (!e.shiftKey || e.button !== 0) return;
+    
+    // Impede o arrasto do mapa enquanto o retângulo é desenhado
+    this.L.DomEvent.stop(e);
+    this._boxStart = this._map.mouseEventToLatLng(e);
+    document.addEventListener('mousemove', this._onMouseMove);
+    document.addEventListener('mouseup', this._onMouseUp);
+  }
+  
+  _handleMouseMove(e) {
+    if (!this._boxStart) return;
+    
+    const bounds = this.L.latLngBounds(this._boxStart, this._map.mouseEventToLatLng(e));
+    if (this._box) {
+      this._box.setBounds(bounds);
+    } else {
+      this._box = this.L.rectangle(bounds, this.config.boxStyle).addTo(this._map);
+    }
+  }
+  
+  _handleMouseUp() {
+    const box = this._box;
+    this._cancelBox();
+    if (!box) return;
+    
+    // O clique gerado pelo mouseup não deve alterar a seleção
+    this._suppressClick = true;
+    setTimeout(() => {
+      this._suppressClick = false;
+    }, 0);
+    
+    this.select(this.getUUIDsInBounds(box.getBounds()));
+  }
+  
+  _cancelBox() {
+    document.removeEventListener('mousemove', this._onMouseMove);
+    document.removeEventListener('mouseup', this._onMouseUp);
+    if (this._box) {
+      this._box.remove();
+      this._box = null;
+    }
+    this._boxStart = null;
+  }
+  
+  _getLayerBounds(layer) {
+    if (!layer) return null;
+    
+    const L = this.L;
+    try {
+      if (layer instanceof L.Circle && layer._map) {
+        return layer.getBounds();
+      }
+      if (typeof layer.getLatLng === 'function') {
+        return L.latLngBounds([layer.getLatLng()]);
+      }
+      if (typeof layer.getBounds === 'function') {
+        return layer.getBounds();
+      }
+    } catch (error) {
+      this._log(`bounds indisponíveis: ${error.message}`);
+    }
+    return null;
+  }
+  
+  _isDrawing() {
+    const drawingManager = this.beraMap._drawingManager;
+    return !!drawingManager && drawingManager.isDrawing();
+  }
+  
+  _normalize(uuids) {
+    if (uuids === undefined || uuids === null) return [];
+    return Array.isArray(uuids) ? uuids : [uuids];
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[SelectionManager] ${message}`);
+    }
+  }
+}
+
+export default SelectionManager;
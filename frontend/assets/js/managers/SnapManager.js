@@ -0,0 +1,248 @@
+/**
+ * SnapManager - Snapping (atração) para desenho e edição
+ *
+ * Responsável por:
+ * - Atrair posições a vértices e segmentos das geometrias do GeoManager
+ * - Tolerância em pixels ou metros
+ * - Modo por vértice, por segmento ou ambos, configurável por tipo de geometria
+ * - Indicador visual do ponto atraído
+ */
+
+import { GEOMETRY_TYPES } from '../utils/constants.js';
+import { eachPart } from '../utils/geometry.js';
+
+export const SNAP_MODES = {
+  VERTEX: 'vertex',
+  SEGMENT: 'segment',
+  BOTH: 'both'
+};
+
+export class SnapManager {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.tolerance - Distância máxima de atração (padrão: 12)
+   * @param {string} options.unit - Unidade da tolerância: 'px' ou 'm' (padrão: 'px')
+   * @param {string} options.mode - 'vertex', 'segment' ou 'both' (padrão: 'both')
+   * @param {Array|Object} options.targets - Tipos atraentes: ['LineString', 'Polygon'] ou { Point: 'vertex', LineString: 'both' }
+   * @param {Object} options.indicatorStyle - Estilo do indicador
+   */
+  constructor(beraMap, options = {}) {
+    this.beraMap = beraMap;
+    this.L = window.L;
+    this.config = {
+      tolerance: 12,
+      unit: 'px',
+      mode: SNAP_MODES.BOTH,
+      targets: null,
+      indicatorStyle: {
+        radius: 7,
+        color: '#ff7800',
+        weight: 2,
+        fillColor: '#ff7800',
+        fillOpacity: 0.6
+      },
+      debug: false
+    };
+    this._enabled = false;
+    this._indicator = null;
+    
+    this._configure(options);
+  }
+  
+  /**
+   * Ativa o snapping
+   * @param {Object} options - Opções (sobrescrevem as atuais)
+   * @returns {void}
+   */
+  enable(options = {}) {
+    this._configure(options);
+    this._enabled = true;
+  }
+  
+  /**
+   * Desativa o snapping
+   * @returns {void}
+   */
+  disable() {
+    this._enabled = false;
+    this.hideIndicator();
+  }
+  
+  /**
+   * Verifica se o snapping está ativo
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._enabled;
+  }
+  
+  /**
+   * Atrai uma posição ao vértice ou segmento mais próximo dentro da tolerância
+   * Vértices têm prioridade sobre segmentos. Alt pressionado desativa a atração
+   * @param {Object} latLng - L.LatLng
+   * @param {Object} options - { exclude: UUID ignorado, originalEvent, showIndicator (padrão: true) }
+   * @returns {Object} { latLng, snapped, uuid, type: 'vertex'|'segment'|null, distance (metros) }
+   */
+  snap(latLng, options = {}) {
+    const result = { latLng: latLng, snapped: false, uuid: null, type: null, distance: null };
+    const originalEvent = options.originalEvent;
+    
+    if (!this._enabled || !latLng || (originalEvent && originalEvent.altKey)) {
+      this.hideIndicator();
+      return result;
+    }
+    
+    const best = this._findTarget(latLng, options.exclude);
+    if (!best) {
+      this.hideIndicator();
+      return result;
+    }
+    
+    if (options.showIndicator !== false) {
+      this._showIndicator(best.latLng, best.type);
+    }
+    this._log(`${best.type} de ${best.uuid}`);
+    
+    return {
+      latLng: best.latLng,
+      snapped: true,
+      uuid: best.uuid,
+      type: best.type,
+      distance: this.beraMap._map.distance(latLng, best.latLng)
+    };
+  }
+  
+  /**
+   * Esconde o indicador de snapping
+   * @returns {void}
+   */
+  hideIndicator() {
+    if (this._indicator) {
+      this._indicator.remove();
+      this._indicator = null;
+    }
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _configure(options) {
+    ['tolerance', 'unit', 'mode', 'targets', 'debug'].forEach(key => {
+      if (options[key] !== undefined) {
+        this.config[key] = options[key];
+      }
+    });
+    if (options.indicatorStyle) {
+      this.config.indicatorStyle = Object.assign({}, this.config.indicatorStyle, options.indicatorStyle);
+    }
+  }
+  
+  _getTargetMode(type) {
+    const targets = this.config.targets;
+    if (!targets) return this.config.mode;
+    
+    if (Array.isArray(targets)) {
+      return targets.includes(type) ? this.config.mode : null;
+    }
+    
+    const mode = targets[type];
+    if (!mode) return null;
+    return mode === true ? this.config.mode : mode;
+  }
+  
+  _getPixelTolerance(latLng, point) {
+    if (this.config.unit !== 'm') {
+      return this.config.tolerance;
+    }
+    
+    // Metros por pixel no ponto atual
+    const map = this.beraMap._map;
+    const metersPerPixel = map.distance(latLng, map.unproject(point.add([1, 0])));
+    return metersPerPixel > 0 ? this.config.tolerance / metersPerPixel : 0;
+  }
+  
+  _findTarget(latLng, exclude) {
+    const L = this.L;
+    const map = this.beraMap._map;
+    // Coordenadas projetadas sem arredondamento (latLngToContainerPoint arredonda ao pixel)
+    const point = map.project(latLng);
+    const tolerance = this._getPixelTolerance(latLng, point);
+    if (tolerance <= 0) return null;
+    
+    const searchBounds = L.latLngBounds(
+      map.unproject(point.subtract([tolerance, tolerance])),
+      map.unproject(point.add([tolerance, tolerance]))
+    );
+    
+    let bestVertex = null;
+    let bestSegment = null;
+    
+    this.beraMap._geoManager.queryBBox(searchBounds, { visible: true }).forEach(geometryData => {
+      if (geometryData.uuid === exclude) return;
+      
+      const mode = this._getTargetMode(geometryData.type);
+      if (!mode) return;
+      
+      eachPart(geometryData.feature.geometry, positions => {
+        const points = positions.map(position => map.project([position[1], position[0]]));
+        
+        if (mode !== SNAP_MODES.SEGMENT) {
+          points.forEach((vertex, i) => {
+            const distance = vertex.distanceTo(point);
+            if (distance <= tolerance && (!bestVertex || distance < bestVertex.pixelDistance)) {
+              bestVertex = {
+                uuid: geometryData.uuid,
+                type: SNAP_MODES.VERTEX,
+                latLng: L.latLng(positions[i][1], positions[i][0]),
+                pixelDistance: distance
+              };
+            }
+          });
+        }
+        
+        if (mode !== SNAP_MODES.VERTEX && geometryData.type !== GEOMETRY_TYPES.CIRCLE) {
+          for (let i = 0; i < points.length - 1; i++) {
+            const closest = L.LineUtil.closestPointOnSegment(point, points[i], points[i + 1]);
+            const distance = closest.distanceTo(point);
+            if (distance <= tolerance && (!bestSegment || distance < bestSegment.pixelDistance)) {
+              bestSegment = {
+                uuid: geometryData.uuid,
+                type: SNAP_MODES.SEGMENT,
+                latLng: map.unproject(closest),
+                pixelDistance: distance
+              };
+            }
+          }
+        }
+      });
+    });
+    
+    return bestVertex || bestSegment;
+  }
+  
+  _showIndicator(latLng, type) {
+    const style = Object.assign({}, this.config.indicatorStyle, {
+      interactive: false,
+      // Vértice: círculo cheio; segmento: apenas contorno
+      fill: type === SNAP_MODES.VERTEX
+    });
+    
+    if (!this._indicator) {
+      this._indicator = this.L.circleMarker(latLng, style).addTo(this.beraMap._map);
+    } else {
+      this._indicator.setLatLng(latLng);
+      this._indicator.setStyle(style);
+    }
+  }
+  
+  _log(message) {
+    if (this.config.debug) {
+      console.log(`[SnapManager] ${message}`);
+    }
+  }
+}
+
+export default SnapManager;
@@ -8,19 +8,44 @@
 import { BeraMap } from './core/BeraMap.js';
 import { GeoManager } from './managers/GeoManager.js';
 import { EventManager } from './managers/EventManager.js';
+import { ClusterManager } from './managers/ClusterManager.js';
+import { SelectionManager } from './managers/SelectionManager.js';
+import { DrawingManager } from './managers/DrawingManager.js';
+import { EditManager } from './managers/EditManager.js';
+import { HistoryManager } from './managers/HistoryManager.js';
+import { SnapManager } from './managers/SnapManager.js';
+import { ConflictDetector } from './managers/ConflictDetector.js';
 import { BaseRenderer } from './renderers/BaseRenderer.js';
 import { PointRenderer } from './renderers/PointRenderer.js';
 import { LineRenderer } from './renderers/LineRenderer.js';
 import { PolygonRenderer } from './renderers/PolygonRenderer.js';
 import { CircleRenderer } from './renderers/CircleRenderer.js';
 import { DrawingRenderer } from './renderers/DrawingRenderer.js';
+import { MultiGeometryRenderer } from './renderers/MultiGeometryRenderer.js';
 import {
   GEOMETRY_TYPES,
+  POINT_SYMBOLS,
   EVENTS,
   DEFAULT_CONFIG,
   STYLE_PRESETS,
   VERSION
 } from './utils/constants.js';
+import FilterExpression from './utils/filterExpression.js';
+import StyleRules from './utils/styleRules.js';
+import SimpleStyle from './utils/simplestyle.js';
+import SpatialIndex from './utils/spatialIndex.js';
+import Spatial from './utils/spatial.js';
+import Overlay from './utils/overlay.js';
+import Buffer from './utils/buffer.js';
+import GeometryOps from './utils/geometryOps.js';
+import Simplify from './utils/simplify.js';
+import Zip from './utils/zip.js';
+import KML from './utils/kml.js';
+import GPX from './utils/gpx.js';
+import WKT from './utils/wkt.js';
+import CSV from './utils/csv.js';
+import Projection from './utils/projection.js';
+import Shapefile from './utils/shapefile.js';
 
 /**
  * Factory function para inicializar BeraMap
@@ -41,17 +66,42 @@ export {
   BeraMap,
   GeoManager,
   EventManager,
+  ClusterManager,
+  SelectionManager,
+  DrawingManager,
+  EditManager,
+  HistoryManager,
+  SnapManager,
+  ConflictDetector,
   BaseRenderer,
   PointRenderer,
   LineRenderer,
   PolygonRenderer,
   CircleRenderer,
   DrawingRenderer,
+  MultiGeometryRenderer,
   GEOMETRY_TYPES,
+  POINT_SYMBOLS,
   EVENTS,
   DEFAULT_CONFIG,
   STYLE_PRESETS,
-  VERSION
+  VERSION,
+  FilterExpression,
+  StyleRules,
+  SimpleStyle,
+  SpatialIndex,
+  Spatial,
+  Overlay,
+  Buffer,
+  GeometryOps,
+  Simplify,
+  Zip,
+  KML,
+  GPX,
+  WKT,
+  CSV,
+  Projection,
+  Shapefile
 };
 
 export default {
@@ -60,16 +110,41 @@ export default {
   BeraMap,
   GeoManager,
   EventManager,
+  ClusterManager,
+  SelectionManager,
+  DrawingManager,
+  EditManager,
+  HistoryManager,
+  SnapManager,
+  ConflictDetector,
   Renderers: {
     BaseRenderer,
     PointRenderer,
     LineRenderer,
     PolygonRenderer,
     CircleRenderer,
-    DrawingRenderer
+    DrawingRenderer,
+    MultiGeometryRenderer
   },
+  FilterExpression,
+  StyleRules,
+  SimpleStyle,
+  SpatialIndex,
+  Spatial,
+  Overlay,
+  Buffer,
+  GeometryOps,
+  Simplify,
+  Zip,
+  KML,
+  GPX,
+  WKT,
+  CSV,
+  Projection,
+  Shapefile,
   Constants: {
     GEOMETRY_TYPES,
+    POINT_SYMBOLS,
     EVENTS,
     DEFAULT_CONFIG,
     STYLE_PRESETS
@@ -87,16 +162,41 @@ if (typeof window !== 'undefined') {
     BeraMap: BeraMap,
     GeoManager: GeoManager,
     EventManager: EventManager,
+    ClusterManager: ClusterManager,
+    SelectionManager: SelectionManager,
+    DrawingManager: DrawingManager,
+    EditManager: EditManager,
+    HistoryManager: HistoryManager,
+    SnapManager: SnapManager,
+    ConflictDetector: ConflictDetector,
     Renderers: {
       BaseRenderer: BaseRenderer,
       PointRenderer: PointRenderer,
       LineRenderer: LineRenderer,
       PolygonRenderer: PolygonRenderer,
       CircleRenderer: CircleRenderer,
-      DrawingRenderer: DrawingRenderer
+      DrawingRenderer: DrawingRenderer,
+      MultiGeometryRenderer: MultiGeometryRenderer
     },
+    FilterExpression: FilterExpression,
+    StyleRules: StyleRules,
+    SimpleStyle: SimpleStyle,
+    SpatialIndex: SpatialIndex,
+    Spatial: Spatial,
+    Overlay: Overlay,
+    Buffer: Buffer,
+    GeometryOps: GeometryOps,
+    Simplify: Simplify,
+    Zip: Zip,
+    KML: KML,
+    GPX: GPX,
+    WKT: WKT,
+    CSV: CSV,
+    Projection: Projection,
+    Shapefile: Shapefile,
     Constants: {
       GEOMETRY_TYPES: GEOMETRY_TYPES,
+      POINT_SYMBOLS: POINT_SYMBOLS,
       EVENTS: EVENTS,
       DEFAULT_CONFIG: DEFAULT_CONFIG,
       STYLE_PRESETS: STYLE_PRESETS
@@ -7,6 +7,36 @@
  */
 
 import { getTranslation, isLanguageAvailable } from '../utils/translations.js';
+import {
+  EARTH_RADIUS,
+  haversineDistance,
+  calculateLength,
+  calculateRingArea,
+  formatDistance,
+  formatArea
+} from '../utils/geometry.js';
+import { compileStyleRules } from '../utils/styleRules.js';
+import { simpleStyleToLeaflet } from '../utils/simplestyle.js';
+import { simplifyGeometry, SIMPLIFY_METHODS } from '../utils/simplify.js';
+
+// Chaves de estilo repassadas às camadas vetoriais do Leaflet (L.Path)
+const PATH_STYLE_KEYS = [
+  'stroke', 'color', 'weight', 'opacity', 'lineCap', 'lineJoin',
+  'dashArray', 'dashOffset', 'fill', 'fillColor', 'fillOpacity', 'fillRule'
+];
+
+// Cor padrão de destaque das geometrias selecionadas
+export const SELECTED_COLOR = '#ff7800';
+
+// Metadados internos que não são exibidos no popup
+const POPUP_HIDDEN_KEYS = ['uuid', 'feature', 'style', 'customStyle', 'latLng'];
+
+// Tamanhos [largura, altura] do pin colorido, conforme marker-size do simplestyle
+const PIN_SIZES = {
+  small: [20, 30],
+  medium: [25, 38],
+  large: [32, 48]
+};
 
 export class BaseRenderer {
   /**
@@ -24,6 +54,7 @@ export class BaseRenderer {
       enablePopup: options.enablePopup !== false,
       enableTooltip: options.enableTooltip !== false,
       language: options.language || 'pt-BR',
+      useSimpleStyle: options.useSimpleStyle !== false,
       ...options
     };
     
@@ -34,6 +65,18 @@ export class BaseRenderer {
     }
     
     this.defaultStyle = options.defaultStyle || {};
+    this.hoverStyle = options.hoverStyle || null;
+    this.selectedStyle = options.selectedStyle || null;
+    this.styleRules = [];
+    this._styleRulesEvaluator = null;
+    this.levelOfDetail = null;
+    
+    if (options.styleRules) {
+      this.setStyleRules(options.styleRules);
+    }
+    if (options.levelOfDetail) {
+      this.setLevelOfDetail(options.levelOfDetail);
+    }
   }
   
   /**
@@ -57,6 +100,46 @@ export class BaseRenderer {
     return true;
   }
   
+  /**
+   * Oculta uma geometria, desanexando a camada do layer group
+   * A camada continua registrada e pode ser exibida novamente com show()
+   * @param {string} uuid - UUID da geometria
+   * @returns {boolean} Sucesso da operação
+   */
+  hide(uuid) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer) {
+      return false;
+    }
+    
+    const layerGroup = this.beraMap._layerGroups[this.geometryType];
+    if (layerGroup && layerGroup.hasLayer(layer)) {
+      if (layer.closePopup) {
+        layer.closePopup();
+      }
+      layerGroup.removeLayer(layer);
+    }
+    return true;
+  }
+  
+  /**
+   * Exibe uma geometria previamente ocultada
+   * @param {string} uuid - UUID da geometria
+   * @returns {boolean} Sucesso da operação
+   */
+  show(uuid) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer) {
+      return false;
+    }
+    
+    const layerGroup = this.beraMap._layerGroups[this.geometryType];
+    if (layerGroup && !layerGroup.hasLayer(layer)) {
+      layerGroup.addLayer(layer);
+    }
+    return true;
+  }
+  
   /**
    * Remove todas as geometrias renderizadas
    * @returns {number} Quantidade removida
@@ -124,6 +207,147 @@ export class BaseRenderer {
     return Object.assign({}, this.defaultStyle);
   }
   
+  /**
+   * Define as regras de estilo orientadas a dados (ver utils/styleRules.js)
+   * Não reestiliza camadas existentes; use restyleAll() em seguida
+   * @param {Array} rules - Lista de regras
+   * @returns {void}
+   * @throws {Error} Se alguma regra for inválida
+   */
+  setStyleRules(rules) {
+    const evaluator = rules && rules.length ? compileStyleRules(rules) : null;
+    this.styleRules = rules ? rules.slice() : [];
+    this._styleRulesEvaluator = evaluator;
+  }
+  
+  /**
+   * Obtém as regras de estilo
+   * @returns {Array} Cópia da lista de regras
+   */
+  getStyleRules() {
+    return this.styleRules.slice();
+  }
+  
+  /**
+   * Reaplica o estilo (padrão + regras + customizado) a uma camada existente
+   * @param {string} uuid - UUID da geometria
+   * @returns {boolean} Sucesso da operação
+   */
+  restyle(uuid) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer || !layer._beraMetadata) {
+      return false;
+    }
+    
+    const metadata = layer._beraMetadata;
+    metadata.style = this._resolveStyle(metadata.feature, metadata.customStyle);
+    this._applyLayerStyle(layer);
+    return true;
+  }
+  
+  /**
+   * Define o estilo customizado de uma geometria e o aplica
+   * @param {string} uuid - UUID da geometria
+   * @param {Object} style - Estilo customizado (substitui o anterior)
+   * @returns {boolean} Sucesso da operação
+   */
+  setCustomStyle(uuid, style) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer || !layer._beraMetadata) {
+      return false;
+    }
+    
+    layer._beraMetadata.customStyle = Object.assign({}, style || {});
+    return this.restyle(uuid);
+  }
+  
+  /**
+   * Define o estilo de hover
+   * @param {Object|Function|null} hoverStyle - Objeto mesclado sobre o estilo da camada,
+   *   função (style) => estilo de hover, ou null para o padrão do renderer
+   * @returns {void}
+   */
+  setHoverStyle(hoverStyle) {
+    this.hoverStyle = hoverStyle || null;
+  }
+  
+  /**
+   * Define o estilo de seleção
+   * @param {Object|Function|null} selectedStyle - Objeto mesclado sobre o estilo da camada,
+   *   função (style) => estilo de seleção, ou null para o padrão do renderer
+   * @returns {void}
+   */
+  setSelectedStyle(selectedStyle) {
+    this.selectedStyle = selectedStyle || null;
+  }
+  
+  /**
+   * Marca uma geometria como selecionada (ou não) e reaplica o estilo
+   * @param {string} uuid - UUID da geometria
+   * @param {boolean} selected - Selecionada
+   * @returns {boolean} Sucesso da operação
+   */
+  setSelected(uuid, selected) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer) {
+      return false;
+    }
+    
+    layer._beraSelected = !!selected;
+    this._applyLayerStyle(layer);
+    return true;
+  }
+  
+  /**
+   * Reaplica o estilo a todas as camadas renderizadas
+   * @returns {number} Quantidade reestilizada
+   */
+  restyleAll() {
+    let count = 0;
+    Object.keys(this.renderedLayers).forEach(uuid => {
+      if (this.restyle(uuid)) {
+        count++;
+      }
+    });
+    return count;
+  }
+  
+  /**
+   * Ativa/desativa o nível de detalhe por zoom: as camadas exibem a geometria simplificada
+   * conforme o zoom atual, sem alterar a feature armazenada
+   * Aplica-se apenas aos renderers que implementam _getLayerLatLngs (linhas, polígonos e desenhos)
+   * @param {boolean|Object} options - false para desativar; true ou { tolerance: pixels de tela (padrão: 1),
+   *   method: 'douglas-peucker' (padrão) ou 'visvalingam' }
+   * @returns {number} Quantidade de camadas atualizadas
+   */
+  setLevelOfDetail(options) {
+    this.levelOfDetail = options
+      ? Object.assign({ tolerance: 1, method: SIMPLIFY_METHODS.DOUGLAS_PEUCKER }, options === true ? {} : options)
+      : null;
+    return this.refreshLevelOfDetail();
+  }
+  
+  /**
+   * Reaplica o nível de detalhe do zoom atual às camadas renderizadas
+   * @param {Array} uuids - UUIDs (padrão: todas as camadas)
+   * @returns {number} Quantidade de camadas atualizadas
+   */
+  refreshLevelOfDetail(uuids = null) {
+    let count = 0;
+    (uuids || Object.keys(this.renderedLayers)).forEach(uuid => {
+      const layer = this.renderedLayers[uuid];
+      const metadata = layer && layer._beraMetadata;
+      if (!metadata || !layer.setLatLngs) return;
+      
+      const latLngs = this._getLayerLatLngs(this._getDisplayGeometry(uuid, metadata.feature.geometry));
+      if (latLngs) {
+        layer.setLatLngs(latLngs);
+        count++;
+      }
+    });
+    return count;
+  }
+  
   /**
    * Define o idioma para tradução
    * @param {string} language - Código do idioma (ex: 'pt-BR', 'en-US')
@@ -155,6 +379,226 @@ export class BaseRenderer {
     this.config.debug = enabled;
   }
   
+  /**
+   * Calcula o estilo final:
+   * padrão < propriedades simplestyle da feature < regras de estilo < estilo customizado
+   * @protected
+   * @param {Object} feature - Feature GeoJSON
+   * @param {Object} style - Estilo customizado
+   * @returns {Object} Estilo final
+   */
+  _resolveStyle(feature, style = {}) {
+    let ruleStyle = {};
+    if (this._styleRulesEvaluator) {
+      try {
+        ruleStyle = this._styleRulesEvaluator(feature);
+      } catch (error) {
+        this._logError(`Erro ao avaliar regras de estilo: ${error.message}`);
+      }
+    }
+    
+    return Object.assign({}, this.defaultStyle, this._getFeatureStyle(feature), ruleStyle, style || {});
+  }
+  
+  /**
+   * Estilo definido pela própria feature (propriedades simplestyle)
+   * @protected
+   * @param {Object} feature - Feature GeoJSON
+   * @returns {Object} Estilo
+   */
+  _getFeatureStyle(feature) {
+    if (!this.config.useSimpleStyle || !feature) {
+      return {};
+    }
+    return simpleStyleToLeaflet(feature.properties, this.geometryType);
+  }
+  
+  /**
+   * Cria um ícone de pin SVG colorido (marker-color / marker-size / marker-symbol)
+   * @protected
+   * @param {Object} style - Estilo com markerColor, markerSize e markerSymbol
+   * @returns {Object} L.divIcon
+   */
+  _createPinIcon(style) {
+    const L = window.L;
+    const [width, height] = PIN_SIZES[style.markerSize] || PIN_SIZES.medium;
+    const color = String(style.markerColor || style.color || '#3388ff').replace(/["<>]/g, '');
+    
+    // Apenas letras/números curtos cabem no pin; ícones nomeados (maki) são ignorados
+    const symbol = style.markerSymbol && String(style.markerSymbol).length <= 2
+      ? this._escapeHtml(String(style.markerSymbol))
+      : null;
+    const center = symbol
+      ? `<text x="12" y="16" text-anchor="middle" font-family="sans-serif" font-size="11" font-weight="bold" fill="#fff">${symbol}</text>`
+      : '<circle cx="12" cy="12" r="4.5" fill="#fff"/>';
+    
+    return L.divIcon({
+      className: 'bera-pin-marker',
+      html: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 24 36">` +
+        `<path d="M12 0C5.4 0 0 5.4 0 12c0 9 12 24 12 24s12-15 12-24C24 5.4 18.6 0 12 0z" ` +
+        `fill="${color}" stroke="#fff" stroke-width="1.5"/>${center}</svg>`,
+      iconSize: [width, height],
+      iconAnchor: [width / 2, height],
+      popupAnchor: [0, -height]
+    });
+  }
+  
+  /**
+   * Calcula as alterações de estilo aplicadas durante o hover
+   * @protected
+   * @param {Object} style - Estilo atual da camada
+   * @returns {Object} Estilo de hover (mesclado sobre o estilo atual)
+   */
+  _getHoverStyle(style) {
+    if (typeof this.hoverStyle === 'function') {
+      return this.hoverStyle(Object.assign({}, style)) || {};
+    }
+    if (this.hoverStyle) {
+      return this.hoverStyle;
+    }
+    return this._getDefaultHoverStyle(style);
+  }
+  
+  /**
+   * Estilo de hover padrão: traço mais grosso e preenchimento mais opaco
+   * @protected
+   * @param {Object} style - Estilo atual da camada
+   * @returns {Object} Estilo de hover
+   */
+  _getDefaultHoverStyle(style) {
+    const hoverStyle = { opacity: 1 };
+    if (typeof style.weight === 'number') {
+      hoverStyle.weight = style.weight + 2;
+    }
+    if (typeof style.fillOpacity === 'number') {
+      hoverStyle.fillOpacity = Math.min(style.fillOpacity + 0.2, 1);
+    }
+    return hoverStyle;
+  }
+  
+  /**
+   * Calcula as alterações de estilo aplicadas à geometria selecionada
+   * @protected
+   * @param {Object} style - Estilo atual da camada
+   * @returns {Object} Estilo de seleção (mesclado sobre o estilo atual)
+   */
+  _getSelectedStyle(style) {
+    if (typeof this.selectedStyle === 'function') {
+      return this.selectedStyle(Object.assign({}, style)) || {};
+    }
+    if (this.selectedStyle) {
+      return this.selectedStyle;
+    }
+    return this._getDefaultSelectedStyle(style);
+  }
+  
+  /**
+   * Estilo de seleção padrão: traço em destaque e mais grosso
+   * @protected
+   * @param {Object} style - Estilo atual da camada
+   * @returns {Object} Estilo de seleção
+   */
+  _getDefaultSelectedStyle(style) {
+    const selectedStyle = { color: SELECTED_COLOR, opacity: 1 };
+    if (typeof style.weight === 'number') {
+      selectedStyle.weight = style.weight + 2;
+    }
+    return selectedStyle;
+  }
+  
+  /**
+   * Marca a camada como em hover (ou não) e reaplica o estilo
+   * @protected
+   * @param {Object} layer - Camada Leaflet
+   * @param {boolean} hovered - Em hover
+   * @returns {void}
+   */
+  _setHovered(layer, hovered) {
+    layer._beraHovered = hovered;
+    this._applyLayerStyle(layer);
+  }
+  
+  /**
+   * Aplica à camada o estilo final, considerando o estado de hover
+   * @protected
+   * @param {Object} layer - Camada Leaflet
+   * @returns {void}
+   */
+  _applyLayerStyle(layer) {
+    if (!layer._beraMetadata || typeof layer.setStyle !== 'function') {
+      return;
+    }
+    
+    layer.setStyle(this._toLeafletStyle(this._getEffectiveStyle(layer)));
+  }
+  
+  /**
+   * Estilo da camada somado aos estados de interação (seleção < hover)
+   * @protected
+   * @param {Object} layer - Camada Leaflet
+   * @returns {Object} Estilo efetivo
+   */
+  _getEffectiveStyle(layer) {
+    let style = (layer._beraMetadata && layer._beraMetadata.style) || this.defaultStyle;
+    if (layer._beraSelected) {
+      style = Object.assign({}, style, this._getSelectedStyle(style));
+    }
+    if (layer._beraHovered) {
+      style = Object.assign({}, style, this._getHoverStyle(style));
+    }
+    return style;
+  }
+  
+  /**
+   * Extrai do estilo apenas as opções aceitas por camadas vetoriais
+   * @protected
+   * @param {Object} style - Estilo
+   * @returns {Object} Opções de estilo do Leaflet
+   */
+  _toLeafletStyle(style) {
+    const leafletStyle = {};
+    PATH_STYLE_KEYS.forEach(key => {
+      if (style[key] !== undefined) {
+        leafletStyle[key] = style[key];
+      }
+    });
+    return leafletStyle;
+  }
+  
+  /**
+   * Geometria exibida: simplificada para o zoom atual quando o nível de detalhe está ativo
+   * A geometria em edição é sempre exibida completa
+   * @protected
+   * @param {string} uuid - UUID da geometria
+   * @param {Object} geometry - Geometria GeoJSON armazenada
+   * @returns {Object} Geometria a exibir
+   */
+  _getDisplayGeometry(uuid, geometry) {
+    const map = this.beraMap._map;
+    const editManager = this.beraMap._editManager;
+    if (!this.levelOfDetail || !map || (editManager && editManager.getEditingUUID() === uuid)) {
+      return geometry;
+    }
+    
+    // Metros por pixel no centro do mapa (tiles de 256 px)
+    const latitude = map.getCenter().lat * Math.PI / 180;
+    const metersPerPixel = 2 * Math.PI * EARTH_RADIUS * Math.cos(latitude) / (256 * Math.pow(2, map.getZoom()));
+    return simplifyGeometry(geometry, this.levelOfDetail.tolerance * metersPerPixel, {
+      method: this.levelOfDetail.method
+    });
+  }
+  
+  /**
+   * Converte a geometria nas latLngs da camada Leaflet
+   * Renderers sem suporte a nível de detalhe retornam null
+   * @protected
+   * @param {Object} geometry - Geometria GeoJSON
+   * @returns {Array|null} LatLngs no formato aceito por setLatLngs
+   */
+  _getLayerLatLngs(geometry) {
+    return null;
+  }
+  
   /**
    * Escapa HTML para segurança
    * @protected
@@ -185,10 +629,7 @@ export class BaseRenderer {
    * @returns {string} Distância formatada
    */
   _formatDistance(meters) {
-    if (meters >= 1000) {
-      return (meters / 1000).toFixed(2) + ' km';
-    }
-    return meters.toFixed(2) + ' m';
+    return formatDistance(meters);
   }
   
   /**
@@ -198,15 +639,7 @@ export class BaseRenderer {
    * @returns {string} Área formatada
    */
   _formatArea(areaInSqm) {
-    const sqkm = areaInSqm / 1000000;
-    if (sqkm >= 1) {
-      return sqkm.toFixed(4) + ' km²';
-    }
-    const hectares = areaInSqm / 10000;
-    if (hectares >= 1) {
-      return hectares.toFixed(4) + ' ha';
-    }
-    return areaInSqm.toFixed(2) + ' m²';
+    return formatArea(areaInSqm);
   }
   
   /**
@@ -217,18 +650,27 @@ export class BaseRenderer {
    * @returns {number} Distância em metros
    */
   _haversineDistance(latlng1, latlng2) {
-    const R = 6371000; // Raio da Terra em metros
-    const φ1 = (latlng1[0] * Math.PI) / 180;
-    const φ2 = (latlng2[0] * Math.PI) / 180;
-    const Δφ = ((latlng2[0] - latlng1[0]) * Math.PI) / 180;
-    const Δλ = ((latlng2[1] - latlng1[1]) * Math.PI) / 180;
-    
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    
-    return R * c;
+    return haversineDistance(latlng1, latlng2);
+  }
+  
+  /**
+   * Calcula o comprimento de uma sequência de pontos
+   * @protected
+   * @param {Array} latLngs - Array de [lat, lng]
+   * @returns {number} Comprimento em metros
+   */
+  _calculateLength(latLngs) {
+    return calculateLength(latLngs);
+  }
+  
+  /**
+   * Calcula a área de um anel
+   * @protected
+   * @param {Array} latLngs - Array de [lat, lng]
+   * @returns {number} Área em metros quadrados
+   */
+  _calculateArea(latLngs) {
+    return calculateRingArea(latLngs);
   }
   
   /**
@@ -284,6 +726,8 @@ export class BaseRenderer {
       'circumference': 'popupLabels.circumference',
       'radius': 'popupLabels.radius',
       'isClosed': 'popupLabels.isClosed',
+      'partCount': 'popupLabels.partCount',
+      'holeCount': 'popupLabels.holeCount',
       'type': 'popupLabels.type'
     };
     
@@ -291,16 +735,16 @@ export class BaseRenderer {
     if (metadata && Object.keys(metadata).length > 0) {
       html += '<hr style="margin: 8px 0; border: none; border-top: 1px solid #ccc;">';
       Object.entries(metadata).forEach(([key, value]) => {
-        if (value !== null && value !== undefined && key !== 'uuid' && key !== 'feature' && key !== 'style' && key !== 'latLng') {
+        if (value !== null && value !== undefined && !POPUP_HIDDEN_KEYS.includes(key)) {
           let displayValue = value;
           
-          // Formatar números com muitas casas decimais
-          if (typeof value === 'number') {
+          // Formatar números com muitas casas decimais (contagens ficam inteiras)
+          if (typeof value === 'number' && !Number.isInteger(value)) {
             displayValue = value.toFixed(2);
           }
           
-          // Traduzir tipo se for 'polygon' ou 'polyline'
-          if (key === 'type' && (value === 'polygon' || value === 'polyline')) {
+          // Traduzir tipo ('polygon', 'polyline' ou tipo de geometria)
+          if (key === 'type' && typeof value === 'string') {
             displayValue = getTranslation(
               this.config.language,
               `geometryTypes.${value}`,
@@ -63,7 +63,7 @@ export class CircleRenderer extends BaseRenderer {
         return null;
       }
       
-      const finalStyle = Object.assign({}, this.defaultStyle, style);
+      const finalStyle = this._resolveStyle(feature, style);
       
       const L = window.L;
       const circle = L.circle(latLng, {
@@ -88,6 +88,7 @@ export class CircleRenderer extends BaseRenderer {
         uuid: uuid,
         feature: feature,
         style: finalStyle,
+        customStyle: style,
         latLng: latLng,
         radius: radius,
         area: this._calculateArea(radius),
@@ -372,7 +373,7 @@ export class CircleRenderer extends BaseRenderer {
         circle.bindPopup(popupContent).openPopup(e.latlng);
       }
       
-      this.beraMap._eventManager.triggerGeometryClicked(uuid, geometryData, e);
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
       this._log(`Circle clicado: ${uuid}`);
     });
     
@@ -380,22 +381,14 @@ export class CircleRenderer extends BaseRenderer {
     circle.on('mouseover', (e) => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
-      circle.setStyle({
-        weight: this.defaultStyle.weight + 2,
-        opacity: 1,
-        fillOpacity: this.defaultStyle.fillOpacity + 0.2
-      });
+      this._setHovered(circle, true);
     });
     
     // Mouseout
     circle.on('mouseout', (e) => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
-      circle.setStyle({
-        weight: this.defaultStyle.weight,
-        opacity: this.defaultStyle.opacity,
-        fillOpacity: this.defaultStyle.fillOpacity
-      });
+      this._setHovered(circle, false);
     });
   }
   
@@ -46,26 +46,18 @@ export class DrawingRenderer extends BaseRenderer {
       
       // Verificar se é fechado
       const isClosed = this._isClosedLine(latLngs);
-      const finalStyle = Object.assign({}, this.defaultStyle, style);
+      const finalStyle = this._resolveStyle(feature, style);
       
       const L = window.L;
+      const displayLatLngs = this._getLayerLatLngs(this._getDisplayGeometry(uuid, feature.geometry));
       let layer;
       
       if (isClosed && this.config.autoDetectClosed) {
         // Renderizar como polygon se estiver fechado
-        layer = L.polygon(latLngs, {
-          color: finalStyle.color,
-          weight: finalStyle.weight,
-          opacity: finalStyle.opacity,
-          fillColor: finalStyle.color,
-          fillOpacity: 0.2,
-          dashArray: finalStyle.dashArray,
-          lineCap: finalStyle.lineCap,
-          lineJoin: finalStyle.lineJoin
-        });
+        layer = L.polygon(displayLatLngs, this._toLeafletStyle(finalStyle));
       } else {
         // Renderizar como polyline se estiver aberto
-        layer = L.polyline(latLngs, {
+        layer = L.polyline(displayLatLngs, {
           color: finalStyle.color,
           weight: finalStyle.weight,
           opacity: finalStyle.opacity,
@@ -88,6 +80,7 @@ export class DrawingRenderer extends BaseRenderer {
         uuid: uuid,
         feature: feature,
         style: finalStyle,
+        customStyle: style,
         isClosed: isClosed,
         length: this._calculateLength(latLngs),
         area: isClosed ? this._calculateArea(latLngs) : null,
@@ -183,6 +176,10 @@ export class DrawingRenderer extends BaseRenderer {
   // MÉTODOS PRIVADOS
   // ===================================================================
   
+  _getLayerLatLngs(geometry) {
+    return geometry.coordinates.map(coord => [coord[1], coord[0]]);
+  }
+  
   _attachEventListeners(layer, uuid, feature) {
     // Click - Exibir popup
     layer.on('click', (e) => {
@@ -195,7 +192,7 @@ export class DrawingRenderer extends BaseRenderer {
         layer.bindPopup(popupContent).openPopup(e.latlng);
       }
       
-      this.beraMap._eventManager.triggerGeometryClicked(uuid, geometryData, e);
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
       this._log(`Drawing clicado: ${uuid}`);
     });
     
@@ -203,23 +200,29 @@ export class DrawingRenderer extends BaseRenderer {
     layer.on('mouseover', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
-      layer.setStyle({
-        weight: this.defaultStyle.weight + 2,
-        opacity: 1
-      });
+      this._setHovered(layer, true);
     });
     
     // Mouseout
     layer.on('mouseout', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
-      layer.setStyle({
-        weight: this.defaultStyle.weight,
-        opacity: this.defaultStyle.opacity
-      });
+      this._setHovered(layer, false);
     });
   }
   
+  _toLeafletStyle(style) {
+    const leafletStyle = super._toLeafletStyle(style);
+    // Desenhos fechados são preenchidos com a cor do traço por padrão
+    if (leafletStyle.fillColor === undefined) {
+      leafletStyle.fillColor = style.color;
+    }
+    if (leafletStyle.fillOpacity === undefined) {
+      leafletStyle.fillOpacity = 0.2;
+    }
+    return leafletStyle;
+  }
+  
   _isClosedLine(latLngs) {
     if (latLngs.length < 3) return false;
     
@@ -232,37 +235,6 @@ export class DrawingRenderer extends BaseRenderer {
     return latDiff < this.config.closedLineThreshold &&
       lngDiff < this.config.closedLineThreshold;
   }
-  
-  _calculateLength(latLngs) {
-    let totalDistance = 0;
-    
-    for (let i = 0; i < latLngs.length - 1; i++) {
-      totalDistance += this._haversineDistance(latLngs[i], latLngs[i + 1]);
-    }
-    
-    return totalDistance;
-  }
-  
-  _calculateArea(latLngs) {
-    // Fórmula de Shoelace simplificada
-    let area = 0;
-    const R = 6371000; // Raio da Terra em metros
-    
-    for (let i = 0; i < latLngs.length - 1; i++) {
-      const p1 = latLngs[i];
-      const p2 = latLngs[i + 1];
-      
-      const φ1 = (p1[0] * Math.PI) / 180;
-      const φ2 = (p2[0] * Math.PI) / 180;
-      const Δλ = ((p2[1] - p1[1]) * Math.PI) / 180;
-      
-      area += Math.sin(φ1) * Math.cos(φ2) * Math.sin(Δλ);
-      area -= Math.sin(φ2) * Math.cos(φ1) * Math.sin(Δλ);
-    }
-    
-    area = Math.abs(area * R * R) / 2;
-    return area;
-  }
 }
 
 export default DrawingRenderer;
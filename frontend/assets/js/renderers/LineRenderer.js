@@ -41,10 +41,10 @@ export class LineRenderer extends BaseRenderer {
       const coordinates = feature.geometry.coordinates;
       const latLngs = coordinates.map(coord => [coord[1], coord[0]]);
       
-      const finalStyle = Object.assign({}, this.defaultStyle, style);
+      const finalStyle = this._resolveStyle(feature, style);
       
       const L = window.L;
-      const polyline = L.polyline(latLngs, {
+      const polyline = L.polyline(this._getLayerLatLngs(this._getDisplayGeometry(uuid, feature.geometry)), {
         color: finalStyle.color,
         weight: finalStyle.weight,
         opacity: finalStyle.opacity,
@@ -65,6 +65,7 @@ export class LineRenderer extends BaseRenderer {
         uuid: uuid,
         feature: feature,
         style: finalStyle,
+        customStyle: style,
         length: this._calculateLength(latLngs)
       };
       
@@ -133,6 +134,10 @@ export class LineRenderer extends BaseRenderer {
   // MÉTODOS PRIVADOS
   // ===================================================================
   
+  _getLayerLatLngs(geometry) {
+    return geometry.coordinates.map(coord => [coord[1], coord[0]]);
+  }
+  
   _attachEventListeners(polyline, uuid, feature) {
     // Click - Exibir popup
     polyline.on('click', (e) => {
@@ -145,7 +150,7 @@ export class LineRenderer extends BaseRenderer {
         polyline.bindPopup(popupContent).openPopup(e.latlng);
       }
       
-      this.beraMap._eventManager.triggerGeometryClicked(uuid, geometryData, e);
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
       this._log(`LineString clicado: ${uuid}`);
     });
     
@@ -153,32 +158,16 @@ export class LineRenderer extends BaseRenderer {
     polyline.on('mouseover', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
-      polyline.setStyle({
-        weight: this.defaultStyle.weight + 2,
-        opacity: 1
-      });
+      this._setHovered(polyline, true);
     });
     
     // Mouseout
     polyline.on('mouseout', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
-      polyline.setStyle({
-        weight: this.defaultStyle.weight,
-        opacity: this.defaultStyle.opacity
-      });
+      this._setHovered(polyline, false);
     });
   }
-  
-  _calculateLength(latLngs) {
-    let totalDistance = 0;
-    
-    for (let i = 0; i < latLngs.length - 1; i++) {
-      totalDistance += this._haversineDistance(latLngs[i], latLngs[i + 1]);
-    }
-    
-    return totalDistance;
-  }
 }
 
 export default LineRenderer;
@@ -0,0 +1,289 @@
+/**
+ * MultiGeometryRenderer - Renderizador de geometrias compostas para BeraMap
+ *
+ * Responsável por renderizar MultiPoint, MultiLineString, MultiPolygon e
+ * GeometryCollection como um único featureGroup Leaflet, agregando
+ * comprimento, área e perímetro de todas as partes
+ */
+
+import { BaseRenderer } from './BaseRenderer.js';
+import { GEOMETRY_TYPES } from '../utils/constants.js';
+import { toLatLngs, calculatePolygonArea } from '../utils/geometry.js';
+
+const DEFAULT_STYLES = {
+  MultiPoint: {},
+  MultiLineString: {
+    color: '#d61ab8',
+    weight: 5,
+    opacity: 0.8,
+    lineCap: 'round',
+    lineJoin: 'round'
+  },
+  MultiPolygon: {
+    color: '#3388ff',
+    weight: 2,
+    opacity: 0.8,
+    fillColor: '#3388ff',
+    fillOpacity: 0.2
+  },
+  GeometryCollection: {
+    color: '#3388ff',
+    weight: 3,
+    opacity: 0.8,
+    fillColor: '#3388ff',
+    fillOpacity: 0.2
+  }
+};
+
+export class MultiGeometryRenderer extends BaseRenderer {
+  /**
+   * Constructor
+   * @param {Object} beraMap - Referência à instância BeraMap
+   * @param {string} geometryType - MultiPoint, MultiLineString, MultiPolygon ou GeometryCollection
+   * @param {Object} options - Opções de configuração
+   */
+  constructor(beraMap, geometryType, options = {}) {
+    const defaults = DEFAULT_STYLES[geometryType] || DEFAULT_STYLES.GeometryCollection;
+    super(beraMap, geometryType, {
+      ...options,
+      defaultStyle: Object.assign({}, defaults, options.defaultStyle || {})
+    });
+  }
+  
+  /**
+   * Renderiza uma geometria composta
+   * @param {string} uuid - UUID da geometria
+   * @param {Object} feature - Feature GeoJSON
+   * @param {Object} style - Estilo customizado
+   * @returns {Object} FeatureGroup renderizado
+   */
+  render(uuid, feature, style = {}) {
+    if (!uuid || !feature) {
+      this._logError('uuid e feature obrigatórios');
+      return null;
+    }
+    
+    try {
+      if (this.renderedLayers[uuid]) {
+        this.remove(uuid);
+      }
+      
+      const finalStyle = this._resolveStyle(feature, style);
+      
+      const L = window.L;
+      const group = L.featureGroup(this._createLayers(feature.geometry, finalStyle));
+      
+      const layerGroup = this.beraMap._layerGroups[this.geometryType];
+      if (layerGroup) {
+        group.addTo(layerGroup);
+      }
+      
+      this.renderedLayers[uuid] = group;
+      this.beraMap._geoManager.setLeafletLayer(uuid, group);
+      
+      // Armazenar metadados agregados
+      group._beraMetadata = Object.assign({
+        uuid: uuid,
+        feature: feature,
+        style: finalStyle,
+        customStyle: style,
+        type: this.geometryType
+      }, this._calculateMetrics(feature.geometry));
+      this._applyLayerStyle(group);
+      
+      this._attachEventListeners(group, uuid, feature);
+      
+      this._log(`${this.geometryType} renderizado: ${uuid}`);
+      return group;
+    } catch (error) {
+      this._logError(`Erro ao renderizar: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Renderiza múltiplas geometrias compostas
+   * @param {Array} geometries - Array de { uuid, feature }
+   * @param {Object} style - Estilo customizado
+   * @returns {Array} FeatureGroups renderizados
+   */
+  renderBatch(geometries, style = {}) {
+    const rendered = [];
+    geometries.forEach(({ uuid, feature }) => {
+      const layer = this.render(uuid, feature, style);
+      if (layer) rendered.push(layer);
+    });
+    return rendered;
+  }
+  
+  /**
+   * Atualiza uma geometria composta
+   * @param {string} uuid - UUID
+   * @param {Object} feature - Nova feature
+   * @param {Object} style - Novo estilo
+   * @returns {Object} FeatureGroup atualizado
+   */
+  update(uuid, feature, style = {}) {
+    this.remove(uuid);
+    return this.render(uuid, feature, style);
+  }
+  
+  /**
+   * Obtém o comprimento total das linhas
+   * @param {string} uuid - UUID
+   * @returns {number|null} Comprimento em metros
+   */
+  getLength(uuid) {
+    if (this.renderedLayers[uuid] && this.renderedLayers[uuid]._beraMetadata) {
+      return this.renderedLayers[uuid]._beraMetadata.length || null;
+    }
+    return null;
+  }
+  
+  /**
+   * Obtém a área total dos polígonos
+   * @param {string} uuid - UUID
+   * @returns {number|null} Área em metros quadrados
+   */
+  getArea(uuid) {
+    if (this.renderedLayers[uuid] && this.renderedLayers[uuid]._beraMetadata) {
+      return this.renderedLayers[uuid]._beraMetadata.area || null;
+    }
+    return null;
+  }
+  
+  /**
+   * Obtém metadados da geometria
+   * @param {string} uuid - UUID
+   * @returns {Object|null} Metadados
+   */
+  getMetadata(uuid) {
+    if (this.renderedLayers[uuid] && this.renderedLayers[uuid]._beraMetadata) {
+      return Object.assign({}, this.renderedLayers[uuid]._beraMetadata);
+    }
+    return null;
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _createLayers(geometry, style) {
+    const L = window.L;
+    const coords = geometry.coordinates;
+    const pathStyle = this._toLeafletStyle(style);
+    const markerOptions = style.markerColor ? { icon: this._createPinIcon(style) } : {};
+    
+    switch (geometry.type) {
+      case GEOMETRY_TYPES.POINT:
+        return [L.marker([coords[1], coords[0]], markerOptions)];
+      case GEOMETRY_TYPES.MULTI_POINT:
+        return coords.map(coord => L.marker([coord[1], coord[0]], markerOptions));
+      case GEOMETRY_TYPES.LINE_STRING:
+        return [L.polyline(toLatLngs(coords), pathStyle)];
+      case GEOMETRY_TYPES.MULTI_LINE_STRING:
+        return [L.polyline(coords.map(toLatLngs), pathStyle)];
+      case GEOMETRY_TYPES.POLYGON:
+        return [L.polygon(coords.map(toLatLngs), pathStyle)];
+      case GEOMETRY_TYPES.MULTI_POLYGON:
+        return [L.polygon(coords.map(rings => rings.map(toLatLngs)), pathStyle)];
+      case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+        return geometry.geometries.reduce(
+          (layers, child) => layers.concat(this._createLayers(child, style)),
+          []
+        );
+      default:
+        this._logError(`Tipo não suportado em ${this.geometryType}: ${geometry.type}`);
+        return [];
+    }
+  }
+  
+  _calculateMetrics(geometry) {
+    const metrics = { partCount: 0, length: 0, area: 0, perimeter: 0 };
+    this._accumulateMetrics(geometry, metrics);
+    
+    // Remover métricas que não se aplicam ao tipo para não poluir o popup
+    Object.keys(metrics).forEach(key => {
+      if (key !== 'partCount' && metrics[key] === 0) {
+        delete metrics[key];
+      }
+    });
+    return metrics;
+  }
+  
+  _accumulateMetrics(geometry, metrics) {
+    const coords = geometry.coordinates;
+    
+    switch (geometry.type) {
+      case GEOMETRY_TYPES.POINT:
+        metrics.partCount++;
+        break;
+      case GEOMETRY_TYPES.MULTI_POINT:
+        metrics.partCount += coords.length;
+        break;
+      case GEOMETRY_TYPES.LINE_STRING:
+        metrics.partCount++;
+        metrics.length += this._calculateLength(toLatLngs(coords));
+        break;
+      case GEOMETRY_TYPES.MULTI_LINE_STRING:
+        coords.forEach(line => {
+          metrics.partCount++;
+          metrics.length += this._calculateLength(toLatLngs(line));
+        });
+        break;
+      case GEOMETRY_TYPES.POLYGON:
+        this._accumulatePolygon(coords, metrics);
+        break;
+      case GEOMETRY_TYPES.MULTI_POLYGON:
+        coords.forEach(rings => this._accumulatePolygon(rings, metrics));
+        break;
+      case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+        geometry.geometries.forEach(child => this._accumulateMetrics(child, metrics));
+        break;
+      default:
+        break;
+    }
+  }
+  
+  _accumulatePolygon(rings, metrics) {
+    const latLngRings = rings.map(toLatLngs);
+    metrics.partCount++;
+    metrics.area += calculatePolygonArea(latLngRings);
+    latLngRings.forEach(ring => {
+      metrics.perimeter += this._calculateLength(ring);
+    });
+  }
+  
+  _attachEventListeners(group, uuid, feature) {
+    // Click - Exibir popup
+    group.on('click', (e) => {
+      const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+      const metadata = group._beraMetadata || {};
+      
+      // Criar e abrir popup
+      if (this.config.enablePopup) {
+        const popupContent = this._createPopupContent(feature, metadata);
+        group.bindPopup(popupContent).openPopup(e.latlng);
+      }
+      
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
+      this._log(`${this.geometryType} clicado: ${uuid}`);
+    });
+    
+    // Mouseover
+    group.on('mouseover', () => {
+      const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+      this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
+      this._setHovered(group, true);
+    });
+    
+    // Mouseout
+    group.on('mouseout', () => {
+      const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
+      this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
+      this._setHovered(group, false);
+    });
+  }
+}
+
+export default MultiGeometryRenderer;
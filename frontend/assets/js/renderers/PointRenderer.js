@@ -1,22 +1,82 @@
 /**
  * PointRenderer - Renderizador de Points para BeraMap
  *
- * Responsável por renderizar pontos como markers Leaflet com
- * interatividade e estilos configuráveis
+ * Responsável por renderizar pontos com interatividade e simbologia
+ * configurável: marker padrão, círculo, pin colorido, ícone por URL
+ * e badge com emoji/letra (ver POINT_SYMBOLS)
  */
 
-import { BaseRenderer } from './BaseRenderer.js';
+import { BaseRenderer, SELECTED_COLOR } from './BaseRenderer.js';
+import { POINT_SYMBOLS } from '../utils/constants.js';
+import { compileStyleRules } from '../utils/styleRules.js';
+
+// Diâmetro do badge conforme markerSize
+const BADGE_SIZES = {
+  small: 18,
+  medium: 24,
+  large: 32
+};
 
 export class PointRenderer extends BaseRenderer {
   constructor(beraMap, options = {}) {
     super(beraMap, 'Point', {
       ...options,
       defaultStyle: {
+        symbol: options.symbol || POINT_SYMBOLS.MARKER,
         color: options.defaultColor || '#3388ff',
         radius: options.defaultRadius || 5,
+        weight: 2,
         fillOpacity: options.fillOpacity || 0.8
       }
     });
+    
+    this.symbolByProperty = null;
+    this._symbolEvaluator = null;
+    
+    if (options.symbolByProperty) {
+      this.setSymbolByProperty(options.symbolByProperty);
+    }
+  }
+  
+  /**
+   * Define a simbologia por valor de propriedade (ex: um ícone por situação)
+   * Não reestiliza camadas existentes; use restyleAll() em seguida
+   * @param {Object|null} mapping - { property, values: { valor: estilo | iconUrl }, default }
+   *   Valores texto são tratados como URL de ícone
+   * @returns {void}
+   * @throws {Error} Se o mapeamento for inválido
+   */
+  setSymbolByProperty(mapping) {
+    if (!mapping) {
+      this.symbolByProperty = null;
+      this._symbolEvaluator = null;
+      return;
+    }
+    
+    const toStyle = value => (typeof value === 'string'
+      ? { symbol: POINT_SYMBOLS.ICON, iconUrl: value }
+      : value);
+    
+    const values = {};
+    Object.entries(mapping.values || {}).forEach(([key, value]) => {
+      values[key] = toStyle(value);
+    });
+    
+    const rule = { property: mapping.property, values: values };
+    if (mapping.default !== undefined) {
+      rule.default = toStyle(mapping.default);
+    }
+    
+    this._symbolEvaluator = compileStyleRules([rule]);
+    this.symbolByProperty = Object.assign({}, mapping);
+  }
+  
+  /**
+   * Obtém o mapeamento de simbologia por propriedade
+   * @returns {Object|null} Mapeamento
+   */
+  getSymbolByProperty() {
+    return this.symbolByProperty ? Object.assign({}, this.symbolByProperty) : null;
   }
   
   /**
@@ -40,8 +100,8 @@ export class PointRenderer extends BaseRenderer {
       const coordinates = feature.geometry.coordinates;
       const latLng = [coordinates[1], coordinates[0]]; // [lng, lat] → [lat, lng]
       
-      const L = window.L;
-      const marker = L.marker(latLng);
+      const finalStyle = this._resolveStyle(feature, style);
+      const marker = this._createLayer(latLng, finalStyle);
       
       const layerGroup = this.beraMap._layerGroups[this.geometryType];
       if (layerGroup) {
@@ -55,9 +115,12 @@ export class PointRenderer extends BaseRenderer {
       marker._beraMetadata = {
         uuid: uuid,
         feature: feature,
+        style: finalStyle,
+        customStyle: style,
         latLng: latLng
       };
       
+      this._applyLayerStyle(marker);
       this._attachEventListeners(marker, uuid, feature);
       
       this._log(`Point renderizado: ${uuid}`);
@@ -107,6 +170,31 @@ export class PointRenderer extends BaseRenderer {
     return null;
   }
   
+  /**
+   * Reaplica o estilo a um ponto existente
+   * Se o símbolo mudar entre círculo e ícone, a camada é recriada
+   * @param {string} uuid - UUID da geometria
+   * @returns {boolean} Sucesso da operação
+   */
+  restyle(uuid) {
+    const layer = this.renderedLayers[uuid];
+    if (!layer || !layer._beraMetadata) {
+      return false;
+    }
+    
+    const metadata = layer._beraMetadata;
+    const style = this._resolveStyle(metadata.feature, metadata.customStyle);
+    
+    if (this._isCircleSymbol(style) !== layer instanceof window.L.CircleMarker) {
+      this._replaceLayer(uuid, layer, style);
+      return true;
+    }
+    
+    metadata.style = style;
+    this._applyLayerStyle(layer);
+    return true;
+  }
+  
   // ===================================================================
   // MÉTODOS PRIVADOS
   // ===================================================================
@@ -123,7 +211,7 @@ export class PointRenderer extends BaseRenderer {
         marker.bindPopup(popupContent).openPopup();
       }
       
-      this.beraMap._eventManager.triggerGeometryClicked(uuid, geometryData, e);
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
       this._log(`Point clicado: ${uuid}`);
     });
     
@@ -131,16 +219,183 @@ export class PointRenderer extends BaseRenderer {
     marker.on('mouseover', (e) => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
-      marker.setOpacity(0.7);
+      this._setHovered(marker, true);
     });
     
     // Mouseout
     marker.on('mouseout', (e) => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
-      marker.setOpacity(1);
+      this._setHovered(marker, false);
     });
   }
+  
+  _getFeatureStyle(feature) {
+    const featureStyle = super._getFeatureStyle(feature);
+    if (!this._symbolEvaluator || !feature) {
+      return featureStyle;
+    }
+    
+    try {
+      return Object.assign(featureStyle, this._symbolEvaluator(feature));
+    } catch (error) {
+      this._logError(`Erro ao avaliar simbologia: ${error.message}`);
+      return featureStyle;
+    }
+  }
+  
+  _getSymbol(style) {
+    if (style.symbol && style.symbol !== POINT_SYMBOLS.MARKER) return style.symbol;
+    
+    // Sem símbolo explícito, inferir pelas chaves presentes
+    if (style.iconUrl) return POINT_SYMBOLS.ICON;
+    if (style.text) return POINT_SYMBOLS.BADGE;
+    if (style.markerColor) return POINT_SYMBOLS.PIN;
+    return POINT_SYMBOLS.MARKER;
+  }
+  
+  _isCircleSymbol(style) {
+    return this._getSymbol(style) === POINT_SYMBOLS.CIRCLE;
+  }
+  
+  _createLayer(latLng, style) {
+    const L = window.L;
+    if (this._isCircleSymbol(style)) {
+      return L.circleMarker(latLng, this._toLeafletStyle(style));
+    }
+    
+    const icon = this._createIcon(style);
+    return icon ? L.marker(latLng, { icon: icon }) : L.marker(latLng);
+  }
+  
+  _replaceLayer(uuid, oldLayer, style) {
+    const metadata = Object.assign({}, oldLayer._beraMetadata, { style: style });
+    const newLayer = this._createLayer(metadata.latLng, style);
+    newLayer._beraMetadata = metadata;
+    newLayer._beraHovered = false;
+    newLayer._beraSelected = oldLayer._beraSelected;
+    
+    const layerGroup = this.beraMap._layerGroups[this.geometryType];
+    if (layerGroup && layerGroup.hasLayer(oldLayer)) {
+      layerGroup.removeLayer(oldLayer);
+      layerGroup.addLayer(newLayer);
+    }
+    
+    this.renderedLayers[uuid] = newLayer;
+    this.beraMap._geoManager.setLeafletLayer(uuid, newLayer);
+    this._applyLayerStyle(newLayer);
+    this._attachEventListeners(newLayer, uuid, metadata.feature);
+  }
+  
+  _createIcon(style) {
+    const L = window.L;
+    
+    switch (this._getSymbol(style)) {
+      case POINT_SYMBOLS.PIN:
+        return this._createPinIcon(style);
+      
+      case POINT_SYMBOLS.ICON: {
+        if (!style.iconUrl) {
+          this._logError('símbolo "icon" exige iconUrl; usando marker padrão');
+          return null;
+        }
+        const size = style.iconSize || [32, 32];
+        return L.icon({
+          iconUrl: style.iconUrl,
+          iconSize: size,
+          iconAnchor: style.iconAnchor || [size[0] / 2, size[1]],
+          popupAnchor: [0, -size[1]],
+          className: 'bera-icon-marker'
+        });
+      }
+      
+      case POINT_SYMBOLS.BADGE: {
+        const size = style.size || BADGE_SIZES[style.markerSize] || BADGE_SIZES.medium;
+        const background = String(style.markerColor || style.color || '#3388ff').replace(/["<>;]/g, '');
+        const textColor = String(style.textColor || '#fff').replace(/["<>;]/g, '');
+        const text = this._escapeHtml(String(style.text || style.markerSymbol || ''));
+        return L.divIcon({
+          className: 'bera-badge-marker',
+          html: `<div style="width: ${size}px; height: ${size}px; line-height: ${size}px; ` +
+            `border-radius: 50%; background: ${background}; color: ${textColor}; ` +
+            `border: 2px solid #fff; box-shadow: 0 1px 3px rgba(0,0,0,0.4); box-sizing: border-box; ` +
+            `text-align: center; font-size: ${Math.round(size * 0.55)}px; font-weight: bold;">${text}</div>`,
+          iconSize: [size, size],
+          iconAnchor: [size / 2, size / 2],
+          popupAnchor: [0, -size / 2]
+        });
+      }
+      
+      default:
+        return null;
+    }
+  }
+  
+  _getDefaultHoverStyle(style) {
+    if (this._isCircleSymbol(style)) {
+      const hoverStyle = super._getDefaultHoverStyle(style);
+      if (typeof style.radius === 'number') {
+        hoverStyle.radius = style.radius + 2;
+      }
+      return hoverStyle;
+    }
+    return { opacity: 0.7 };
+  }
+  
+  _getDefaultSelectedStyle(style) {
+    const symbol = this._getSymbol(style);
+    
+    if (symbol === POINT_SYMBOLS.CIRCLE) {
+      const selectedStyle = super._getDefaultSelectedStyle(style);
+      if (typeof style.radius === 'number') {
+        selectedStyle.radius = style.radius + 3;
+      }
+      return selectedStyle;
+    }
+    
+    // Ícones por URL não podem ser recoloridos: são ampliados
+    if (symbol === POINT_SYMBOLS.ICON) {
+      const scale = value => value && [Math.round(value[0] * 1.3), Math.round(value[1] * 1.3)];
+      return { iconSize: scale(style.iconSize || [32, 32]), iconAnchor: scale(style.iconAnchor) };
+    }
+    
+    // Marker padrão vira pin em destaque; pin e badge mudam de cor e tamanho
+    return { markerColor: SELECTED_COLOR, markerSize: 'large' };
+  }
+  
+  /**
+   * Aplica ao ponto o estilo efetivo (hover e seleção inclusos)
+   * Círculos usam setStyle/setRadius; símbolos baseados em ícone recriam o ícone
+   * @protected
+   * @param {Object} marker - Camada Leaflet
+   * @returns {void}
+   */
+  _applyLayerStyle(marker) {
+    if (!marker._beraMetadata) return;
+    
+    const style = this._getEffectiveStyle(marker);
+    
+    if (marker instanceof window.L.CircleMarker) {
+      const leafletStyle = this._toLeafletStyle(style);
+      if (style.markerColor) {
+        leafletStyle.color = style.markerColor;
+        leafletStyle.fillColor = style.fillColor || style.markerColor;
+      }
+      marker.setStyle(leafletStyle);
+      if (typeof style.radius === 'number') {
+        marker.setRadius(style.radius);
+      }
+      return;
+    }
+    
+    const icon = this._createIcon(style);
+    if (icon) {
+      marker.setIcon(icon);
+    } else if (!(marker.options.icon instanceof window.L.Icon.Default)) {
+      marker.setIcon(new window.L.Icon.Default());
+    }
+    marker.setOpacity(typeof style.opacity === 'number' ? style.opacity : 1);
+  }
 }
 
 export default PointRenderer;
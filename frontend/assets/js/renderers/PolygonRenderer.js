@@ -5,6 +5,7 @@
  */
 
 import { BaseRenderer } from './BaseRenderer.js';
+import { calculatePolygonArea, pointInPolygon } from '../utils/geometry.js';
 
 export class PolygonRenderer extends BaseRenderer {
   constructor(beraMap, options = {}) {
@@ -38,13 +39,15 @@ export class PolygonRenderer extends BaseRenderer {
         this.remove(uuid);
       }
       
-      const coordinates = feature.geometry.coordinates[0];
-      const latLngs = coordinates.map(coord => [coord[1], coord[0]]);
+      // Anel 0 é o externo; os demais são furos
+      const rings = feature.geometry.coordinates.map(ring =>
+        ring.map(coord => [coord[1], coord[0]])
+      );
       
-      const finalStyle = Object.assign({}, this.defaultStyle, style);
+      const finalStyle = this._resolveStyle(feature, style);
       
       const L = window.L;
-      const polygon = L.polygon(latLngs, {
+      const polygon = L.polygon(this._getLayerLatLngs(this._getDisplayGeometry(uuid, feature.geometry)), {
         color: finalStyle.color,
         weight: finalStyle.weight,
         opacity: finalStyle.opacity,
@@ -65,8 +68,10 @@ export class PolygonRenderer extends BaseRenderer {
         uuid: uuid,
         feature: feature,
         style: finalStyle,
-        area: this._calculateArea(latLngs),
-        perimeter: this._calculatePerimeter(latLngs)
+        customStyle: style,
+        area: calculatePolygonArea(rings),
+        perimeter: rings.reduce((total, ring) => total + this._calculatePerimeter(ring), 0),
+        holeCount: rings.length - 1
       };
       
       this._attachEventListeners(polygon, uuid, feature);
@@ -162,15 +167,19 @@ export class PolygonRenderer extends BaseRenderer {
       return false;
     }
     
-    // Verificação mais precisa com ponto-em-polígono
-    const coordinates = this.renderedLayers[uuid]._beraMetadata.feature.geometry.coordinates[0];
-    return this._pointInPolygon([lng, lat], coordinates);
+    // Verificação mais precisa com ponto-em-polígono (pontos em furos ficam fora)
+    const rings = this.renderedLayers[uuid]._beraMetadata.feature.geometry.coordinates;
+    return pointInPolygon([lng, lat], rings);
   }
   
   // ===================================================================
   // MÉTODOS PRIVADOS
   // ===================================================================
   
+  _getLayerLatLngs(geometry) {
+    return geometry.coordinates.map(ring => ring.map(coord => [coord[1], coord[0]]));
+  }
+  
   _attachEventListeners(polygon, uuid, feature) {
     // Click - Exibir popup
     polygon.on('click', (e) => {
@@ -183,7 +192,7 @@ export class PolygonRenderer extends BaseRenderer {
         polygon.bindPopup(popupContent).openPopup(e.latlng);
       }
       
-      this.beraMap._eventManager.triggerGeometryClicked(uuid, geometryData, e);
+      this.beraMap._handleGeometryClick(uuid, geometryData, e);
       this._log(`Polygon clicado: ${uuid}`);
     });
     
@@ -191,46 +200,17 @@ export class PolygonRenderer extends BaseRenderer {
     polygon.on('mouseover', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryHovered(uuid, geometryData);
-      polygon.setStyle({
-        weight: this.defaultStyle.weight + 2,
-        opacity: 1,
-        fillOpacity: this.defaultStyle.fillOpacity + 0.2
-      });
+      this._setHovered(polygon, true);
     });
     
     // Mouseout
     polygon.on('mouseout', () => {
       const geometryData = this.beraMap._geoManager.getGeometryByUUID(uuid);
       this.beraMap._eventManager.triggerGeometryUnhovered(uuid, geometryData);
-      polygon.setStyle({
-        weight: this.defaultStyle.weight,
-        opacity: this.defaultStyle.opacity,
-        fillOpacity: this.defaultStyle.fillOpacity
-      });
+      this._setHovered(polygon, false);
     });
   }
   
-  _calculateArea(latLngs) {
-    // Fórmula de Shoelace simplificada
-    let area = 0;
-    const R = 6371000; // Raio da Terra em metros
-    
-    for (let i = 0; i < latLngs.length - 1; i++) {
-      const p1 = latLngs[i];
-      const p2 = latLngs[i + 1];
-      
-      const φ1 = (p1[0] * Math.PI) / 180;
-      const φ2 = (p2[0] * Math.PI) / 180;
-      const Δλ = ((p2[1] - p1[1]) * Math.PI) / 180;
-      
-      area += Math.sin(φ1) * Math.cos(φ2) * Math.sin(Δλ);
-      area -= Math.sin(φ2) * Math.cos(φ1) * Math.sin(Δλ);
-    }
-    
-    area = Math.abs(area * R * R) / 2;
-    return area;
-  }
-  
   _calculatePerimeter(latLngs) {
     let totalDistance = 0;
     
@@ -241,23 +221,6 @@ export class PolygonRenderer extends BaseRenderer {
     
     return totalDistance;
   }
-  
-  _pointInPolygon(point, polygon) {
-    const [px, py] = point;
-    let inside = false;
-    
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const [xi, yi] = polygon[i];
-      const [xj, yj] = polygon[j];
-      
-      const intersect = ((yi > py) !== (yj > py)) &&
-        (px < ((xj - xi) * (py - yi)) / (yj - yi) + xi);
-      
-      if (intersect) inside = !inside;
-    }
-    
-    return inside;
-  }
 }
 
 export default PolygonRenderer;
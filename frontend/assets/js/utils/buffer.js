@@ -0,0 +1,161 @@
+/**
+ * Buffer - Área de influência em torno de geometrias
+ *
+ * Gera o polígono formado por todos os pontos a até N metros de uma geometria.
+ * Pontos e círculos viram discos; linhas e desenhos abertos viram a união das
+ * cápsulas de cada segmento; polígonos e desenhos fechados são unidos às cápsulas
+ * das bordas. Os cálculos usam uma projeção plana local (metros), adequada a
+ * distâncias urbanas e regionais. Não dependem do Leaflet.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { getGeometryBounds } from './geometry.js';
+import { createLocalProjection, getCircleRadius, isClosedDrawing } from './spatial.js';
+import { unionAll } from './overlay.js';
+
+export const DEFAULT_BUFFER_SEGMENTS = 32;
+
+/**
+ * Gera o buffer de uma geometria
+ * @param {Object} geometry - Geometria GeoJSON (Circle com raio em geometry.radius ou geometry.properties.radius)
+ * @param {number} meters - Distância em metros (maior que zero)
+ * @param {Object} options - { segments: quantidade de segmentos de um círculo completo (padrão: 32, mínimo: 8) }
+ * @returns {Object|null} Geometria Polygon ou MultiPolygon, ou null se vazia
+ */
+export function bufferGeometry(geometry, meters, options = {}) {
+  if (!geometry || !(meters > 0)) return null;
+  
+  const bounds = getGeometryBounds(geometry);
+  if (!bounds) return null;
+  
+  const segments = Math.max(8, Math.round(options.segments || DEFAULT_BUFFER_SEGMENTS));
+  const projection = createLocalProjection(
+    (bounds.minLat + bounds.maxLat) / 2,
+    (bounds.minLng + bounds.maxLng) / 2
+  );
+  
+  const pieces = [];
+  collectPieces(geometry, meters, segments, projection, pieces);
+  if (pieces.length === 0) return null;
+  
+  const polygons = unionAll(pieces).map(polygon =>
+    polygon.map(ring => closeRing(ring.map(projection.toPosition)))
+  );
+  
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: GEOMETRY_TYPES.POLYGON, coordinates: polygons[0] }
+    : { type: GEOMETRY_TYPES.MULTI_POLYGON, coordinates: polygons };
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function collectPieces(geometry, meters, segments, projection, pieces) {
+  const coords = geometry.coordinates;
+  const toPlanar = positions => positions.map(projection.toPlanar);
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+      pieces.push([[disk(projection.toPlanar(coords), meters, segments)]]);
+      break;
+    case GEOMETRY_TYPES.CIRCLE:
+      pieces.push([[disk(projection.toPlanar(coords), getCircleRadius(geometry) + meters, segments)]]);
+      break;
+    case GEOMETRY_TYPES.MULTI_POINT:
+      coords.forEach(coord => pieces.push([[disk(projection.toPlanar(coord), meters, segments)]]));
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+      addLinePieces(toPlanar(coords), meters, segments, pieces);
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      coords.forEach(line => addLinePieces(toPlanar(line), meters, segments, pieces));
+      break;
+    case GEOMETRY_TYPES.DRAWING:
+      if (isClosedDrawing(geometry)) {
+        addPolygonPieces([toPlanar(coords)], meters, segments, pieces);
+      } else {
+        addLinePieces(toPlanar(coords), meters, segments, pieces);
+      }
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      addPolygonPieces(coords.map(toPlanar), meters, segments, pieces);
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      coords.forEach(polygon => addPolygonPieces(polygon.map(toPlanar), meters, segments, pieces));
+      break;
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      geometry.geometries.forEach(child => collectPieces(child, meters, segments, projection, pieces));
+      break;
+    default:
+      break;
+  }
+}
+
+function addLinePieces(points, meters, segments, pieces) {
+  if (points.length === 1) {
+    pieces.push([[disk(points[0], meters, segments)]]);
+    return;
+  }
+  
+  for (let i = 0; i < points.length - 1; i++) {
+    pieces.push([[capsule(points[i], points[i + 1], meters, segments)]]);
+  }
+}
+
+function addPolygonPieces(rings, meters, segments, pieces) {
+  if (rings.length === 0 || rings[0].length < 3) return;
+  
+  // O próprio polígono (com furos) mais a faixa em torno de cada borda
+  pieces.push([rings]);
+  rings.forEach(ring => {
+    const closed = closeRing(ring);
+    addLinePieces(closed, meters, segments, pieces);
+  });
+}
+
+function disk(center, radius, segments) {
+  const ring = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (2 * Math.PI * i) / segments;
+    ring.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+  }
+  return ring;
+}
+
+function capsule(start, end, radius, segments) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  if (dx === 0 && dy === 0) {
+    return disk(start, radius, segments);
+  }
+  
+  // Semicírculo em torno do fim e depois do início (sentido anti-horário)
+  const direction = Math.atan2(dy, dx);
+  const steps = Math.ceil(segments / 2);
+  const ring = [];
+  
+  [[end, direction - Math.PI / 2], [start, direction + Math.PI / 2]].forEach(([center, startAngle]) => {
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + (Math.PI * i) / steps;
+      ring.push([center[0] + radius * Math.cos(angle), center[1] + radius * Math.sin(angle)]);
+    }
+  });
+  
+  return ring;
+}
+
+function closeRing(ring) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    return ring.concat([first.slice()]);
+  }
+  return ring;
+}
+
+export default {
+  DEFAULT_BUFFER_SEGMENTS,
+  bufferGeometry
+};
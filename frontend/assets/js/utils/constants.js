@@ -9,7 +9,19 @@ export const GEOMETRY_TYPES = {
   LINE_STRING: 'LineString',
   POLYGON: 'Polygon',
   CIRCLE: 'Circle',
-  DRAWING: 'Drawing'
+  DRAWING: 'Drawing',
+  MULTI_POINT: 'MultiPoint',
+  MULTI_LINE_STRING: 'MultiLineString',
+  MULTI_POLYGON: 'MultiPolygon',
+  GEOMETRY_COLLECTION: 'GeometryCollection'
+};
+
+export const POINT_SYMBOLS = {
+  MARKER: 'marker', // Marker padrão do Leaflet
+  CIRCLE: 'circle', // L.circleMarker (color, radius, fillColor, fillOpacity)
+  PIN: 'pin',       // Pin SVG colorido (color / markerColor, markerSize)
+  ICON: 'icon',     // Imagem (iconUrl, iconSize, iconAnchor)
+  BADGE: 'badge'    // Emoji ou letra em círculo colorido (text, color, textColor, size)
 };
 
 export const EVENTS = {
@@ -20,6 +32,7 @@ export const EVENTS = {
   GEOMETRY_CLICKED: 'bera:geometryClicked',
   GEOMETRY_HOVERED: 'bera:geometryHovered',
   GEOMETRY_UNHOVERED: 'bera:geometryUnhovered',
+  GEOMETRY_OPERATION: 'bera:geometryOperation',
   
   // Mapa
   MAP_CLEARED: 'bera:cleared',
@@ -32,6 +45,29 @@ export const EVENTS = {
   // Seleção
   SELECTION_CHANGED: 'bera:selectionChanged',
   
+  // Filtro
+  FILTER_CHANGED: 'bera:filterChanged',
+  
+  // Agrupamento de pontos
+  CLUSTER_CLICKED: 'bera:clusterClicked',
+  
+  // Desenho
+  DRAW_START: 'bera:drawStart',
+  DRAW_END: 'bera:drawEnd',
+  
+  // Edição
+  EDIT_START: 'bera:editStart',
+  EDIT_END: 'bera:editEnd',
+  
+  // Histórico
+  HISTORY_CHANGED: 'bera:historyChanged',
+  
+  // Conflitos
+  CONFLICTS_DETECTED: 'bera:conflictsDetected',
+  
+  // Importação
+  IMPORT_PROGRESS: 'bera:importProgress',
+  
   // Erro
   ERROR: 'bera:error'
 };
@@ -73,6 +109,13 @@ export const STYLE_PRESETS = {
     weight: 2,
     opacity: 0.9,
     dashArray: '5, 5'
+  },
+  GEOMETRY_COLLECTION: {
+    color: '#3388ff',
+    weight: 3,
+    opacity: 0.8,
+    fillColor: '#3388ff',
+    fillOpacity: 0.2
   }
 };
 
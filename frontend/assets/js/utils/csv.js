@@ -0,0 +1,329 @@
+/**
+ * CSV - Importação e exportação de planilhas CSV
+ *
+ * Importação:
+ * - Detecção do separador (; , tab |) e da vírgula decimal (arquivos brasileiros)
+ * - Arquivos em UTF-8 (com ou sem BOM) ou Latin-1 (Windows-1252)
+ * - Geometria a partir de colunas de latitude/longitude ou de uma coluna WKT/WKB
+ * - Mapeamento das demais colunas para propriedades
+ *
+ * Exportação: tabela de atributos (um objeto por linha), com aspas apenas quando necessário.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { isValidGeometry } from './geometry.js';
+import { isWKB, parseWKB, parseWKT } from './wkt.js';
+
+export const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y', 'coord_y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x', 'coord_x'];
+const WKT_COLUMNS = ['wkt', 'wkt_geom', 'geom', 'the_geom', 'geometry', 'geometria', 'shape'];
+
+/**
+ * Decodifica o conteúdo de um arquivo CSV
+ * Tenta UTF-8 e, se houver bytes inválidos, usa Latin-1 (Windows-1252, padrão do Excel em português)
+ * @param {ArrayBuffer|Uint8Array} data - Conteúdo do arquivo
+ * @param {string} encoding - Forçar a codificação ('utf-8', 'latin1'...)
+ * @returns {Object} { text, encoding }
+ */
+export function decodeCSV(data, encoding = null) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (encoding) {
+    return { text: stripBOM(new TextDecoder(encoding).decode(bytes)), encoding: encoding };
+  }
+  
+  try {
+    return { text: stripBOM(new TextDecoder('utf-8', { fatal: true }).decode(bytes)), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'latin1' };
+  }
+}
+
+/**
+ * Detecta o separador de colunas pelas primeiras linhas
+ * Escolhe o candidato presente no cabeçalho que se repete com a mesma contagem no maior número de linhas
+ * @param {string} text - Conteúdo CSV
+ * @returns {string} Separador (padrão: ',')
+ */
+export function detectDelimiter(text) {
+  const lines = splitRecords(stripBOM(text), '\n').slice(0, 20).filter(line => line.trim() !== '');
+  if (lines.length === 0) return ',';
+  
+  let best = ',';
+  let bestScore = 0;
+  CSV_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    if (counts[0] === 0) return;
+    
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = consistent * 1000 + counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Lê um CSV em cabeçalhos e linhas (RFC 4180: campos entre aspas, aspas duplicadas, quebras de linha em campos)
+ * @param {string} text - Conteúdo CSV
+ * @param {Object} options - { delimiter: separador (padrão: detectado) }
+ * @returns {Object} { headers, rows (arrays de textos), delimiter }
+ */
+export function parseCSV(text, options = {}) {
+  const content = stripBOM(text);
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const records = splitRecords(content, '\n')
+    .map(record => splitRecords(record.replace(/\r$/, ''), delimiter).map(unquote))
+    .filter(fields => fields.some(field => field.trim() !== ''));
+  
+  const headers = (records.shift() || []).map(header => header.trim());
+  return { headers: headers, rows: records, delimiter: delimiter };
+}
+
+/**
+ * Converte um CSV em FeatureCollection
+ * A geometria vem das colunas de latitude/longitude ou de uma coluna WKT (ou WKB hexadecimal), detectadas pelo nome
+ * @param {string} text - Conteúdo CSV
+ * @param {Object} options - Opções
+ * @param {string} options.delimiter - Separador (padrão: detectado)
+ * @param {string} options.decimal - Separador decimal ',' ou '.' (padrão: detectado)
+ * @param {string} options.latColumn - Coluna de latitude (padrão: lat, latitude, y...)
+ * @param {string} options.lngColumn - Coluna de longitude (padrão: lng, lon, longitude, x...)
+ * @param {string} options.wktColumn - Coluna WKT/EWKT/WKB (padrão: wkt, geom, geometria...)
+ * @param {Object|Array} options.columns - Colunas levadas às propriedades: array de nomes ou
+ *   objeto { coluna: propriedade } (padrão: todas, exceto as de geometria, com o próprio nome)
+ * @param {boolean} options.convertNumbers - Converter números nas propriedades (padrão: true)
+ * @returns {Object} FeatureCollection com metadata { delimiter, decimal, latColumn, lngColumn, wktColumn, skipped }
+ * @throws {Error} Se não houver colunas de geometria
+ */
+export function csvToGeoJSON(text, options = {}) {
+  const { headers, rows, delimiter } = parseCSV(text, options);
+  const latColumn = findColumn(headers, options.latColumn, LAT_COLUMNS);
+  const lngColumn = findColumn(headers, options.lngColumn, LNG_COLUMNS);
+  const wktColumn = findColumn(headers, options.wktColumn, WKT_COLUMNS);
+  
+  const useLatLng = latColumn !== -1 && lngColumn !== -1 && !options.wktColumn;
+  if (!useLatLng && wktColumn === -1) {
+    throw new Error('CSV: colunas de geometria não encontradas; informe latColumn/lngColumn ou wktColumn');
+  }
+  
+  const geometryColumns = useLatLng ? [latColumn, lngColumn] : [wktColumn];
+  const mapping = resolveColumns(headers, options.columns, geometryColumns);
+  const decimal = options.decimal || detectDecimal(rows, useLatLng ? geometryColumns : mapping.map(entry => entry.index));
+  const convertNumbers = options.convertNumbers !== false;
+  
+  const features = [];
+  const skipped = [];
+  rows.forEach((fields, index) => {
+    try {
+      const geometry = useLatLng
+        ? readLatLng(fields[latColumn], fields[lngColumn], decimal)
+        : readWKT(fields[wktColumn]);
+      
+      const properties = {};
+      mapping.forEach(({ index: column, property }) => {
+        properties[property] = convertNumbers ? parseValue(fields[column], decimal) : (fields[column] || '');
+      });
+      features.push({ type: 'Feature', geometry: geometry, properties: properties });
+    } catch (error) {
+      skipped.push({ row: index + 1, message: error.message });
+    }
+  });
+  
+  return {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: {
+      delimiter: delimiter,
+      decimal: decimal,
+      latColumn: useLatLng ? headers[latColumn] : null,
+      lngColumn: useLatLng ? headers[lngColumn] : null,
+      wktColumn: useLatLng ? null : headers[wktColumn],
+      skipped: skipped
+    }
+  };
+}
+
+/**
+ * Gera um CSV a partir de uma tabela de atributos
+ * @param {Array} rows - Array de objetos (uma linha por objeto)
+ * @param {Object} options - Opções
+ * @param {Array} options.columns - Colunas, em ordem (padrão: todas as chaves, na ordem em que aparecem)
+ * @param {string} options.delimiter - Separador (padrão: ';', como o Excel em português)
+ * @param {string} options.decimal - Separador decimal dos números (padrão: ',')
+ * @param {boolean} options.bom - Iniciar com BOM para o Excel reconhecer UTF-8 (padrão: true)
+ * @returns {string} Conteúdo CSV
+ */
+export function toCSV(rows, options = {}) {
+  const delimiter = options.delimiter || ';';
+  const decimal = options.decimal || ',';
+  const columns = options.columns || rows.reduce((keys, row) => {
+    Object.keys(row).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+    return keys;
+  }, []);
+  
+  const format = value => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(value).replace('.', decimal) : '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+  const quote = value => /["\r\n]/.test(value) || value.includes(delimiter) ? `"${value.replace(/"/g, '""')}"` : value;
+  
+  const lines = [columns.map(column => quote(String(column))).join(delimiter)]
+    .concat(rows.map(row => columns.map(column => quote(format(row[column]))).join(delimiter)));
+  return (options.bom === false ? '' : '\uFEFF') + lines.join('\r\n');
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function splitRecords(text, separator) {
+  // Divide pelo separador fora de aspas, mantendo as aspas em cada parte
+  const parts = [];
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === separator && !quoted) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function countOutsideQuotes(line, delimiter) {
+  return splitRecords(line, delimiter).length - 1;
+}
+
+function unquote(field) {
+  const trimmed = field.trim();
+  if (trimmed.length >= 2 && trimmed[0] === '"' && trimmed[trimmed.length - 1] === '"') {
+    return trimmed.slice(1, -1).replace(/""/g, '"');
+  }
+  return field;
+}
+
+function normalizeName(name) {
+  return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function findColumn(headers, requested, candidates) {
+  const normalized = headers.map(normalizeName);
+  if (requested) {
+    const index = normalized.indexOf(normalizeName(requested));
+    if (index === -1) {
+      throw new Error(`CSV: coluna "${requested}" não encontrada`);
+    }
+    return index;
+  }
+  
+  for (const candidate of candidates) {
+    const index = normalized.indexOf(candidate);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+function resolveColumns(headers, columns, geometryColumns) {
+  if (!columns) {
+    return headers
+      .map((header, index) => ({ index: index, property: header }))
+      .filter(({ index, property }) => !geometryColumns.includes(index) && property !== '');
+  }
+  
+  const entries = Array.isArray(columns)
+    ? columns.map(column => [column, column])
+    : Object.entries(columns);
+  return entries.map(([column, property]) => ({
+    index: findColumn(headers, column, []),
+    property: property
+  }));
+}
+
+function detectDecimal(rows, columns) {
+  // Os campos já vêm sem aspas: "-8,7619" entre aspas num CSV separado por vírgula também conta
+  let commas = 0;
+  let dots = 0;
+  rows.slice(0, 100).forEach(fields => columns.forEach(column => {
+    const value = fields[column] || '';
+    if (/^\s*[-+]?\d+,\d+\s*$/.test(value)) commas++;
+    else if (/^\s*[-+]?\d+\.\d+\s*$/.test(value)) dots++;
+  }));
+  return commas > dots ? ',' : '.';
+}
+
+function parseDecimal(value, decimal) {
+  const text = String(value === undefined ? '' : value).trim();
+  let normalized = text;
+  if (decimal === ',') {
+    // Pontos só são separadores de milhar com vírgula no valor ("1.234,5") ou em vários grupos ("1.234.567");
+    // um ponto isolado ("-8.761") continua decimal
+    const grouped = text.includes(',') || /^[-+]?\d{1,3}(\.\d{3}){2,}$/.test(text);
+    normalized = (grouped ? text.replace(/\.(?=\d{3}(\D|$))/g, '') : text).replace(',', '.');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+}
+
+function parseValue(value, decimal) {
+  if (value === undefined || value.trim() === '') return null;
+  
+  // Códigos com zeros à esquerda (CEP, matrícula) continuam como texto
+  const text = value.trim();
+  if (/^[-+]?0\d/.test(text)) return value;
+  
+  const number = parseDecimal(text, decimal);
+  return isNaN(number) ? value : number;
+}
+
+function readLatLng(latValue, lngValue, decimal) {
+  const lat = parseDecimal(latValue, decimal);
+  const lng = parseDecimal(lngValue, decimal);
+  if (isNaN(lat) || isNaN(lng)) {
+    throw new Error(`coordenadas inválidas (${latValue || ''}; ${lngValue || ''})`);
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`coordenadas fora do intervalo (${lat}; ${lng})`);
+  }
+  return { type: GEOMETRY_TYPES.POINT, coordinates: [lng, lat] };
+}
+
+function readWKT(value) {
+  const text = (value || '').trim();
+  if (!text) {
+    throw new Error('geometria vazia');
+  }
+  
+  const { geometry, srid } = isWKB(text) ? parseWKB(text) : parseWKT(text);
+  if (srid && srid !== 4326) {
+    throw new Error(`SRID ${srid} não suportado; use WGS84 (4326)`);
+  }
+  if (!isValidGeometry(geometry)) {
+    throw new Error(`geometria ${geometry.type} vazia ou inválida`);
+  }
+  return geometry;
+}
+
+export default {
+  CSV_DELIMITERS,
+  decodeCSV,
+  detectDelimiter,
+  parseCSV,
+  csvToGeoJSON,
+  toCSV
+};
@@ -0,0 +1,311 @@
+/**
+ * FilterExpression - Linguagem declarativa de filtros do BeraMap
+ *
+ * Expressões são arrays JSON serializáveis no formato [operador, ...argumentos]:
+ *
+ *   ["all", ["==", "situacao", "Concluído"],
+ *           ["overlaps", "dataInicio", "dataFim", "2025-10-17", "2025-10-20"]]
+ *
+ * Operadores suportados:
+ * - Comparação: ==, !=, <, <=, >, >=          [op, propriedade, valor]
+ * - Pertinência: in, !in                       [op, propriedade, [valores]]
+ * - Texto: contains, !contains                 [op, propriedade, texto] (ignora acentos e caixa)
+ * - Existência: has, !has                      [op, propriedade]
+ * - Período: overlaps                          [op, propInício, propFim, de, até]
+ * - Geometria: geometry-type                   [op, tipo | [tipos]]
+ * - Combinadores: all, any, none, !            [op, ...expressões]
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+const COMBINATOR_OPERATORS = ['all', 'any', 'none'];
+
+export const OPERATORS = [
+  ...COMPARISON_OPERATORS,
+  'in', '!in',
+  'contains', '!contains',
+  'has', '!has',
+  'overlaps',
+  'geometry-type',
+  ...COMBINATOR_OPERATORS,
+  '!'
+];
+
+/**
+ * Compila uma expressão em uma função predicado
+ * @param {Array} expression - Expressão de filtro
+ * @returns {Function} Predicado (feature) => boolean
+ * @throws {Error} Se a expressão for inválida (mensagem indica o caminho do erro)
+ */
+export function compileExpression(expression) {
+  return compileNode(expression, 'expressão');
+}
+
+/**
+ * Valida uma expressão sem lançar exceção
+ * @param {Array} expression - Expressão de filtro
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+export function validateExpression(expression) {
+  try {
+    compileNode(expression, 'expressão');
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Verifica se um valor tem formato de expressão (array com operador)
+ * @param {*} value - Valor a verificar
+ * @returns {boolean}
+ */
+export function isExpression(value) {
+  return Array.isArray(value) && typeof value[0] === 'string';
+}
+
+/**
+ * Serializa uma expressão validada para armazenamento ou URL
+ * @param {Array} expression - Expressão de filtro
+ * @returns {string} JSON da expressão
+ * @throws {Error} Se a expressão for inválida
+ */
+export function serializeExpression(expression) {
+  compileExpression(expression);
+  return JSON.stringify(expression);
+}
+
+/**
+ * Lê uma expressão serializada, validando-a
+ * @param {string} text - JSON da expressão
+ * @returns {Array} Expressão de filtro
+ * @throws {Error} Se o JSON ou a expressão forem inválidos
+ */
+export function parseExpression(text) {
+  let expression;
+  try {
+    expression = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Expressão de filtro inválida: JSON malformado (' + error.message + ')');
+  }
+  compileExpression(expression);
+  return expression;
+}
+
+/**
+ * Normaliza texto para comparação sem acentos e sem diferenciar caixa
+ * @param {*} value - Valor
+ * @returns {string} Texto normalizado
+ */
+export function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function compileNode(node, path) {
+  if (!isExpression(node)) {
+    fail(path, 'esperado um array no formato [operador, ...argumentos]');
+  }
+  
+  const [operator, ...args] = node;
+  
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    expectArgs(path, operator, args, 2);
+    const property = expectProperty(path, args[0], 1);
+    const expected = expectScalar(path, args[1], 2);
+    return feature => compare(operator, getProperty(feature, property), expected);
+  }
+  
+  switch (operator) {
+    case 'in':
+    case '!in': {
+      if (args.length < 2) {
+        fail(path, `"${operator}" exige uma propriedade e uma lista de valores`);
+      }
+      const property = expectProperty(path, args[0], 1);
+      const values = Array.isArray(args[1]) && args.length === 2 ? args[1] : args.slice(1);
+      values.forEach((value, index) => expectScalar(path, value, index + 2));
+      const negate = operator === '!in';
+      return feature => {
+        const value = getProperty(feature, property);
+        const found = values.some(expected => compare('==', value, expected));
+        return negate ? !found : found;
+      };
+    }
+    
+    case 'contains':
+    case '!contains': {
+      expectArgs(path, operator, args, 2);
+      const property = expectProperty(path, args[0], 1);
+      if (typeof args[1] !== 'string') {
+        fail(`${path}[2]`, `"${operator}" exige um texto`);
+      }
+      const needle = normalizeText(args[1]);
+      const negate = operator === '!contains';
+      return feature => {
+        const value = getProperty(feature, property);
+        const found = value !== undefined && value !== null &&
+          normalizeText(value).includes(needle);
+        return negate ? !found : found;
+      };
+    }
+    
+    case 'has':
+    case '!has': {
+      expectArgs(path, operator, args, 1);
+      const property = expectProperty(path, args[0], 1);
+      const negate = operator === '!has';
+      return feature => {
+        const found = getProperty(feature, property) !== undefined;
+        return negate ? !found : found;
+      };
+    }
+    
+    case 'overlaps': {
+      expectArgs(path, operator, args, 4);
+      const startProperty = expectProperty(path, args[0], 1);
+      const endProperty = expectProperty(path, args[1], 2);
+      const rangeStart = expectDate(path, args[2], 3);
+      const rangeEnd = expectDate(path, args[3], 4);
+      if (rangeStart !== null && rangeEnd !== null && rangeStart > rangeEnd) {
+        fail(path, '"overlaps": a data inicial é posterior à data final');
+      }
+      return feature => {
+        const start = toTimestamp(getProperty(feature, startProperty));
+        const end = toTimestamp(getProperty(feature, endProperty));
+        if (start === null && end === null) return false;
+        
+        // Períodos sem uma das pontas são tratados como abertos
+        const featureStart = start === null ? -Infinity : start;
+        const featureEnd = end === null ? Infinity : end;
+        return (rangeEnd === null || featureStart <= rangeEnd) &&
+          (rangeStart === null || featureEnd >= rangeStart);
+      };
+    }
+    
+    case 'geometry-type': {
+      expectArgs(path, operator, args, 1);
+      const types = Array.isArray(args[0]) ? args[0] : [args[0]];
+      const validTypes = Object.values(GEOMETRY_TYPES);
+      types.forEach((type, index) => {
+        if (!validTypes.includes(type)) {
+          fail(`${path}[1]`, `tipo de geometria desconhecido "${type}" (posição ${index}); ` +
+            `use ${validTypes.join(', ')}`);
+        }
+      });
+      return feature => !!feature.geometry && types.includes(feature.geometry.type);
+    }
+    
+    case 'all':
+    case 'any':
+    case 'none': {
+      const predicates = args.map((child, index) => compileNode(child, `${path}[${index + 1}]`));
+      if (operator === 'all') {
+        return feature => predicates.every(predicate => predicate(feature));
+      }
+      if (operator === 'any') {
+        return feature => predicates.some(predicate => predicate(feature));
+      }
+      return feature => !predicates.some(predicate => predicate(feature));
+    }
+    
+    case '!': {
+      expectArgs(path, operator, args, 1);
+      const predicate = compileNode(args[0], `${path}[1]`);
+      return feature => !predicate(feature);
+    }
+    
+    default:
+      fail(`${path}[0]`, `operador desconhecido "${operator}"; use ${OPERATORS.join(', ')}`);
+  }
+}
+
+function fail(path, message) {
+  throw new Error(`Expressão de filtro inválida em ${path}: ${message}`);
+}
+
+function expectArgs(path, operator, args, count) {
+  if (args.length !== count) {
+    fail(path, `"${operator}" espera ${count} argumento(s), recebeu ${args.length}`);
+  }
+}
+
+function expectProperty(path, value, index) {
+  if (typeof value !== 'string' || value === '') {
+    fail(`${path}[${index}]`, 'nome de propriedade deve ser um texto não vazio');
+  }
+  return value;
+}
+
+function expectScalar(path, value, index) {
+  const type = typeof value;
+  if (value !== null && type !== 'string' && type !== 'number' && type !== 'boolean') {
+    fail(`${path}[${index}]`, 'valor deve ser texto, número, booleano ou null');
+  }
+  return value;
+}
+
+function expectDate(path, value, index) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const timestamp = toTimestamp(value);
+  if (timestamp === null) {
+    fail(`${path}[${index}]`, `data inválida "${value}" (use AAAA-MM-DD)`);
+  }
+  return timestamp;
+}
+
+function getProperty(feature, property) {
+  const properties = (feature && feature.properties) || {};
+  return properties[property];
+}
+
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  const timestamp = Date.parse(value);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+function compare(operator, actual, expected) {
+  let a = actual;
+  let b = expected;
+  
+  // Valores numéricos armazenados como texto são comparados como números
+  if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '' && !isNaN(Number(a))) {
+    a = Number(a);
+  }
+  
+  switch (operator) {
+    case '==':
+      return a === b;
+    case '!=':
+      return a !== b;
+    default:
+      if (a === undefined || a === null || b === null || typeof a !== typeof b) {
+        return false;
+      }
+      if (operator === '<') return a < b;
+      if (operator === '<=') return a <= b;
+      if (operator === '>') return a > b;
+      return a >= b;
+  }
+}
+
+export default {
+  OPERATORS,
+  compileExpression,
+  validateExpression,
+  isExpression,
+  serializeExpression,
+  parseExpression,
+  normalizeText
+};
@@ -0,0 +1,355 @@
+/**
+ * Geometry - Funções geométricas compartilhadas do BeraMap
+ *
+ * Cálculos geodésicos (distância, comprimento, área), iteração
+ * de coordenadas e validação de geometrias GeoJSON.
+ * Não dependem do Leaflet, podendo ser usadas por managers e renderers.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+
+export const EARTH_RADIUS = 6371000; // Raio da Terra em metros
+
+// Tipos aceitos dentro de uma GeometryCollection (os que o MultiGeometryRenderer desenha)
+const COLLECTION_MEMBER_TYPES = [
+  GEOMETRY_TYPES.POINT,
+  GEOMETRY_TYPES.MULTI_POINT,
+  GEOMETRY_TYPES.LINE_STRING,
+  GEOMETRY_TYPES.MULTI_LINE_STRING,
+  GEOMETRY_TYPES.POLYGON,
+  GEOMETRY_TYPES.MULTI_POLYGON
+];
+
+/**
+ * Calcula distância entre dois pontos (Haversine)
+ * @param {Array} latlng1 - [lat, lng]
+ * @param {Array} latlng2 - [lat, lng]
+ * @returns {number} Distância em metros
+ */
+export function haversineDistance(latlng1, latlng2) {
+  const φ1 = (latlng1[0] * Math.PI) / 180;
+  const φ2 = (latlng2[0] * Math.PI) / 180;
+  const Δφ = ((latlng2[0] - latlng1[0]) * Math.PI) / 180;
+  const Δλ = ((latlng2[1] - latlng1[1]) * Math.PI) / 180;
+  
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  
+  return EARTH_RADIUS * c;
+}
+
+/**
+ * Calcula o comprimento de uma sequência de pontos
+ * @param {Array} latLngs - Array de [lat, lng]
+ * @returns {number} Comprimento em metros
+ */
+export function calculateLength(latLngs) {
+  let totalDistance = 0;
+  
+  for (let i = 0; i < latLngs.length - 1; i++) {
+    totalDistance += haversineDistance(latLngs[i], latLngs[i + 1]);
+  }
+  
+  return totalDistance;
+}
+
+/**
+ * Calcula a área de um anel (sem considerar furos)
+ * @param {Array} latLngs - Array de [lat, lng]
+ * @returns {number} Área em metros quadrados
+ */
+export function calculateRingArea(latLngs) {
+  // Área esférica (Chamberlain & Duquette, 2007)
+  let area = 0;
+  
+  for (let i = 0; i < latLngs.length; i++) {
+    const p1 = latLngs[i];
+    const p2 = latLngs[(i + 1) % latLngs.length];
+    
+    const Δλ = ((p2[1] - p1[1]) * Math.PI) / 180;
+    const φ1 = (p1[0] * Math.PI) / 180;
+    const φ2 = (p2[0] * Math.PI) / 180;
+    
+    area += Δλ * (2 + Math.sin(φ1) + Math.sin(φ2));
+  }
+  
+  return Math.abs((area * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+/**
+ * Calcula a área de um polígono descontando os furos
+ * @param {Array} rings - Anéis em [lat, lng]; o primeiro é o externo
+ * @returns {number} Área em metros quadrados
+ */
+export function calculatePolygonArea(rings) {
+  return rings.reduce((area, ring, index) => {
+    const ringArea = calculateRingArea(ring);
+    return index === 0 ? area + ringArea : area - ringArea;
+  }, 0);
+}
+
+/**
+ * Verifica se um ponto está dentro de um anel (ray casting)
+ * @param {Array} point - [x, y]
+ * @param {Array} ring - Array de [x, y]
+ * @returns {boolean} Se o ponto está dentro
+ */
+export function pointInRing(point, ring) {
+  const [px, py] = point;
+  let inside = false;
+  
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    
+    const intersect = ((yi > py) !== (yj > py)) &&
+      (px < ((xj - xi) * (py - yi)) / (yj - yi) + xi);
+    
+    if (intersect) inside = !inside;
+  }
+  
+  return inside;
+}
+
+/**
+ * Verifica se um ponto está dentro de um polígono, respeitando furos
+ * @param {Array} point - [x, y]
+ * @param {Array} rings - Anéis em [x, y]; o primeiro é o externo
+ * @returns {boolean} Se o ponto está dentro
+ */
+export function pointInPolygon(point, rings) {
+  if (!rings.length || !pointInRing(point, rings[0])) return false;
+  
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(point, rings[i])) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Converte coordenadas GeoJSON [lng, lat] em [lat, lng]
+ * @param {Array} coordinates - Array de [lng, lat]
+ * @returns {Array} Array de [lat, lng]
+ */
+export function toLatLngs(coordinates) {
+  return coordinates.map(coord => [coord[1], coord[0]]);
+}
+
+/**
+ * Percorre todas as posições [lng, lat] de uma geometria
+ * @param {Object} geometry - Geometria GeoJSON
+ * @param {Function} callback - Recebe (position)
+ * @param {Object} options - { outerRingsOnly: ignora furos de polígonos }
+ * @returns {void}
+ */
+export function eachPosition(geometry, callback, options = {}) {
+  if (!geometry) return;
+  
+  const coords = geometry.coordinates;
+  const eachRing = rings => {
+    const selected = options.outerRingsOnly ? rings.slice(0, 1) : rings;
+    selected.forEach(ring => ring.forEach(callback));
+  };
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+    case GEOMETRY_TYPES.CIRCLE:
+      callback(coords);
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+    case GEOMETRY_TYPES.DRAWING:
+    case GEOMETRY_TYPES.MULTI_POINT:
+      coords.forEach(callback);
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      eachRing(coords);
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      coords.forEach(line => line.forEach(callback));
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      coords.forEach(eachRing);
+      break;
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      geometry.geometries.forEach(child => eachPosition(child, callback, options));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Percorre as partes de uma geometria (sequências de posições [lng, lat])
+ * Pontos e círculos são partes de uma posição; anéis de polígonos vêm com isRing = true
+ * @param {Object} geometry - Geometria GeoJSON
+ * @param {Function} callback - Recebe (positions, isRing)
+ * @returns {void}
+ */
+export function eachPart(geometry, callback) {
+  if (!geometry) return;
+  
+  const coords = geometry.coordinates;
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+    case GEOMETRY_TYPES.CIRCLE:
+      callback([coords], false);
+      break;
+    case GEOMETRY_TYPES.MULTI_POINT:
+      coords.forEach(coord => callback([coord], false));
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+    case GEOMETRY_TYPES.DRAWING:
+      callback(coords, false);
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      coords.forEach(line => callback(line, false));
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      coords.forEach(ring => callback(ring, true));
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      coords.forEach(polygon => polygon.forEach(ring => callback(ring, true)));
+      break;
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      geometry.geometries.forEach(child => eachPart(child, callback));
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Calcula os limites de uma geometria
+ * Polígonos usam apenas o anel externo
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {Object|null} { minLat, minLng, maxLat, maxLng } ou null
+ */
+export function getGeometryBounds(geometry) {
+  let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+  
+  eachPosition(geometry, coord => {
+    minLng = Math.min(minLng, coord[0]);
+    maxLng = Math.max(maxLng, coord[0]);
+    minLat = Math.min(minLat, coord[1]);
+    maxLat = Math.max(maxLat, coord[1]);
+  }, { outerRingsOnly: true });
+  
+  if (minLat === Infinity) return null;
+  
+  return { minLat: minLat, minLng: minLng, maxLat: maxLat, maxLng: maxLng };
+}
+
+/**
+ * Valida a estrutura de uma geometria GeoJSON (inclusive Circle e Drawing)
+ * Rejeita coordenadas não finitas e geometrias vazias (linhas com menos de 2 posições, anéis com menos
+ * de 3 vértices, Multi* e GeometryCollection sem partes) e Circle/Drawing dentro de GeometryCollection
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {boolean} Se é válida
+ */
+export function isValidGeometry(geometry) {
+  if (!geometry || typeof geometry !== 'object') return false;
+  
+  if (geometry.type === GEOMETRY_TYPES.GEOMETRY_COLLECTION) {
+    return Array.isArray(geometry.geometries) && geometry.geometries.length > 0 &&
+      geometry.geometries.every(child =>
+        child && COLLECTION_MEMBER_TYPES.includes(child.type) && isValidGeometry(child)
+      );
+  }
+  
+  if (!Object.values(GEOMETRY_TYPES).includes(geometry.type)) return false;
+  
+  const coords = geometry.coordinates;
+  if (!Array.isArray(coords)) return false;
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+    case GEOMETRY_TYPES.CIRCLE:
+      return isPosition(coords);
+    case GEOMETRY_TYPES.LINE_STRING:
+    case GEOMETRY_TYPES.DRAWING:
+      return isLine(coords);
+    case GEOMETRY_TYPES.MULTI_POINT:
+      return coords.length > 0 && coords.every(isPosition);
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      return coords.length > 0 && coords.every(isLine);
+    case GEOMETRY_TYPES.POLYGON:
+      return isPolygon(coords);
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      return coords.length > 0 && coords.every(isPolygon);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Formata distância para unidade legível
+ * @param {number} meters - Distância em metros
+ * @returns {string} Distância formatada
+ */
+export function formatDistance(meters) {
+  if (meters >= 1000) {
+    return (meters / 1000).toFixed(2) + ' km';
+  }
+  return meters.toFixed(2) + ' m';
+}
+
+/**
+ * Formata área para unidade legível
+ * @param {number} areaInSqm - Área em metros quadrados
+ * @returns {string} Área formatada
+ */
+export function formatArea(areaInSqm) {
+  const sqkm = areaInSqm / 1000000;
+  if (sqkm >= 1) {
+    return sqkm.toFixed(4) + ' km²';
+  }
+  const hectares = areaInSqm / 10000;
+  if (hectares >= 1) {
+    return hectares.toFixed(4) + ' ha';
+  }
+  return areaInSqm.toFixed(2) + ' m²';
+}
+
+function isPosition(coord) {
+  return Array.isArray(coord) && coord.length >= 2 &&
+    Number.isFinite(coord[0]) && Number.isFinite(coord[1]);
+}
+
+function isLine(coords) {
+  return Array.isArray(coords) && coords.length >= 2 && coords.every(isPosition);
+}
+
+function isPolygon(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+}
+
+function isRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition)) return false;
+  
+  // Anel fechado repete o primeiro vértice: exige 4 posições para ter 3 vértices
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  const closed = first[0] === last[0] && first[1] === last[1];
+  return !closed || ring.length >= 4;
+}
+
+export default {
+  EARTH_RADIUS,
+  haversineDistance,
+  calculateLength,
+  calculateRingArea,
+  calculatePolygonArea,
+  pointInRing,
+  pointInPolygon,
+  toLatLngs,
+  eachPosition,
+  eachPart,
+  getGeometryBounds,
+  isValidGeometry,
+  formatDistance,
+  formatArea
+};
@@ -0,0 +1,360 @@
+/**
+ * GeometryOps - Operações entre geometrias do BeraMap
+ *
+ * - União, interseção e diferença de polígonos (Polygon, MultiPolygon,
+ *   Drawing fechado e Circle aproximado por polígono)
+ * - Divisão de linhas em um ponto e junção de linhas pelas extremidades
+ * - Estratégias para combinar as propriedades das geometrias de origem
+ *
+ * Os polígonos são processados em uma projeção plana local (metros) com utils/overlay.js.
+ * Não dependem do Leaflet.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { getGeometryBounds, haversineDistance } from './geometry.js';
+import { createLocalProjection, getCircleRadius, isClosedDrawing } from './spatial.js';
+import { overlay, unionAll, OVERLAY_OPERATIONS } from './overlay.js';
+import { bufferGeometry, DEFAULT_BUFFER_SEGMENTS } from './buffer.js';
+
+const VERTEX_GRID = 1e6; // Mesma grade (micrômetro) em que utils/overlay.js arredonda as entradas
+
+export const PROPERTY_STRATEGIES = {
+  FIRST: 'first',   // Propriedades da primeira geometria
+  LAST: 'last',     // Propriedades da última geometria
+  MERGE: 'merge',   // Todas combinadas; em conflito prevalece a primeira
+  NONE: 'none'      // Sem propriedades
+};
+
+/**
+ * Executa uma operação booleana entre polígonos
+ * União de todos; interseção comum a todos; diferença da primeira menos as demais
+ * @param {Array} geometries - Geometrias GeoJSON poligonais
+ * @param {string} operation - 'union', 'intersection' ou 'difference'
+ * @param {Object} options - { segments: segmentos usados para aproximar círculos (padrão: 32) }
+ * @returns {Object|null} Geometria Polygon/MultiPolygon ou null se o resultado for vazio
+ * @throws {Error} Se alguma geometria não for poligonal
+ */
+export function polygonOperation(geometries, operation, options = {}) {
+  if (!geometries || geometries.length === 0) return null;
+  
+  const projection = createProjection(geometries);
+  const sets = geometries.map(geometry => toPlanarPolygons(geometry, projection, options.segments));
+  
+  // Vértices de entrada preservados pela operação voltam com a posição original,
+  // sem o erro de ida e volta da projeção
+  const originals = new Map();
+  geometries.forEach((geometry, index) => registerOriginals(geometry, sets[index], originals));
+  
+  let result;
+  if (operation === OVERLAY_OPERATIONS.UNION) {
+    result = unionAll(sets);
+  } else {
+    result = sets.slice(1).reduce((current, set) => overlay(current, set, operation), unionAll([sets[0]]));
+  }
+  
+  return toPolygonGeometry(result, projection, originals);
+}
+
+/**
+ * Divide uma linha no ponto mais próximo de uma posição
+ * @param {Object} geometry - Geometria LineString ou Drawing
+ * @param {Array} position - [lng, lat]
+ * @returns {Object|null} { parts: [coordsA, coordsB], position: [lng, lat] do corte, distance (metros) }
+ *   ou null se o corte cair em uma das extremidades
+ * @throws {Error} Se a geometria não for uma linha
+ */
+export function splitLine(geometry, position) {
+  if (!geometry || (geometry.type !== GEOMETRY_TYPES.LINE_STRING && geometry.type !== GEOMETRY_TYPES.DRAWING)) {
+    throw new Error('GeometryOps: apenas LineString e Drawing podem ser divididos');
+  }
+  
+  const coords = geometry.coordinates;
+  const projection = createProjection([geometry]);
+  const points = coords.map(projection.toPlanar);
+  const target = projection.toPlanar(position);
+  
+  let best = null;
+  for (let i = 0; i < points.length - 1; i++) {
+    const candidate = closestOnSegment(target, points[i], points[i + 1]);
+    if (!best || candidate.distance < best.distance) {
+      best = Object.assign(candidate, { index: i });
+    }
+  }
+  if (!best) return null;
+  
+  // Corte sobre um vértice usa a própria posição do vértice
+  let cut;
+  let tail;
+  if (best.t <= 0) {
+    cut = coords[best.index];
+    tail = best.index;
+  } else if (best.t >= 1) {
+    cut = coords[best.index + 1];
+    tail = best.index + 1;
+  } else {
+    cut = projection.toPosition(best.point);
+    tail = best.index + 1;
+  }
+  
+  const head = coords.slice(0, best.index + 1);
+  if (!samePosition(head[head.length - 1], cut)) head.push(cut);
+  const rest = coords.slice(tail);
+  if (!samePosition(rest[0], cut)) rest.unshift(cut);
+  
+  if (head.length < 2 || rest.length < 2) return null;
+  
+  return {
+    parts: [head, rest],
+    position: cut,
+    distance: haversineDistance([position[1], position[0]], [cut[1], cut[0]])
+  };
+}
+
+/**
+ * Junta linhas encadeando-as pelas extremidades mais próximas (invertendo quando necessário)
+ * @param {Array} geometries - Geometrias LineString, MultiLineString ou Drawing abertos
+ * @param {Object} options - { tolerance: distância máxima em metros entre extremidades ligadas (padrão: 1) }
+ * @returns {Object|null} LineString (ou Drawing, se todas forem Drawing) quando tudo se conecta,
+ *   MultiLineString caso contrário
+ * @throws {Error} Se alguma geometria não for linear
+ */
+export function mergeLines(geometries, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 1;
+  const parts = [];
+  
+  geometries.forEach(geometry => {
+    switch (geometry.type) {
+      case GEOMETRY_TYPES.LINE_STRING:
+      case GEOMETRY_TYPES.DRAWING:
+        parts.push(geometry.coordinates.slice());
+        break;
+      case GEOMETRY_TYPES.MULTI_LINE_STRING:
+        geometry.coordinates.forEach(line => parts.push(line.slice()));
+        break;
+      default:
+        throw new Error(`GeometryOps: ${geometry.type} não pode ser juntado como linha`);
+    }
+  });
+  if (parts.length === 0) return null;
+  
+  const chains = [];
+  while (parts.length > 0) {
+    let chain = parts.shift();
+    let attached = true;
+    
+    while (attached && parts.length > 0) {
+      attached = false;
+      const match = findNearestEnd(chain, parts);
+      if (match && match.distance <= tolerance) {
+        chain = joinParts(chain, parts.splice(match.index, 1)[0], match);
+        attached = true;
+      }
+    }
+    chains.push(chain);
+  }
+  
+  if (chains.length > 1) {
+    return { type: GEOMETRY_TYPES.MULTI_LINE_STRING, coordinates: chains };
+  }
+  
+  const allDrawings = geometries.every(geometry => geometry.type === GEOMETRY_TYPES.DRAWING);
+  return {
+    type: allDrawings ? GEOMETRY_TYPES.DRAWING : GEOMETRY_TYPES.LINE_STRING,
+    coordinates: chains[0]
+  };
+}
+
+/**
+ * Combina as propriedades de várias geometrias
+ * @param {Array} propertiesList - Array de objetos de propriedades
+ * @param {string|Function|Object} strategy - 'first' (padrão), 'last', 'merge', 'none',
+ *   função (propertiesList) => propriedades ou objeto com as propriedades finais
+ * @returns {Object} Propriedades resultantes
+ */
+export function mergeProperties(propertiesList, strategy = PROPERTY_STRATEGIES.FIRST) {
+  const list = (propertiesList || []).map(properties => properties || {});
+  
+  if (typeof strategy === 'function') {
+    return Object.assign({}, strategy(list.map(properties => Object.assign({}, properties))));
+  }
+  if (strategy && typeof strategy === 'object') {
+    return Object.assign({}, strategy);
+  }
+  
+  switch (strategy) {
+    case PROPERTY_STRATEGIES.LAST:
+      return Object.assign({}, list[list.length - 1]);
+    case PROPERTY_STRATEGIES.MERGE:
+      return Object.assign({}, ...list.slice().reverse());
+    case PROPERTY_STRATEGIES.NONE:
+      return {};
+    case PROPERTY_STRATEGIES.FIRST:
+      return Object.assign({}, list[0]);
+    default:
+      throw new Error(`GeometryOps: estratégia de propriedades desconhecida "${strategy}"`);
+  }
+}
+
+/**
+ * Verifica se uma geometria pode participar de operações entre polígonos
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {boolean}
+ */
+export function isPolygonal(geometry) {
+  if (!geometry) return false;
+  return geometry.type === GEOMETRY_TYPES.POLYGON ||
+    geometry.type === GEOMETRY_TYPES.MULTI_POLYGON ||
+    geometry.type === GEOMETRY_TYPES.CIRCLE ||
+    isClosedDrawing(geometry);
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function createProjection(geometries) {
+  let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+  geometries.forEach(geometry => {
+    const bounds = getGeometryBounds(geometry);
+    if (!bounds) return;
+    minLat = Math.min(minLat, bounds.minLat);
+    minLng = Math.min(minLng, bounds.minLng);
+    maxLat = Math.max(maxLat, bounds.maxLat);
+    maxLng = Math.max(maxLng, bounds.maxLng);
+  });
+  
+  return minLat === Infinity
+    ? createLocalProjection(0, 0)
+    : createLocalProjection((minLat + maxLat) / 2, (minLng + maxLng) / 2);
+}
+
+function toPlanarPolygons(geometry, projection, segments) {
+  const toPlanar = ring => ring.map(projection.toPlanar);
+  
+  if (geometry.type === GEOMETRY_TYPES.POLYGON) {
+    return [geometry.coordinates.map(toPlanar)];
+  }
+  if (geometry.type === GEOMETRY_TYPES.MULTI_POLYGON) {
+    return geometry.coordinates.map(polygon => polygon.map(toPlanar));
+  }
+  if (isClosedDrawing(geometry)) {
+    return [[toPlanar(geometry.coordinates)]];
+  }
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    // Círculo = buffer do centro com o raio
+    const polygon = bufferGeometry(
+      { type: GEOMETRY_TYPES.POINT, coordinates: geometry.coordinates },
+      getCircleRadius(geometry),
+      { segments: segments || DEFAULT_BUFFER_SEGMENTS }
+    );
+    return polygon ? [polygon.coordinates.map(toPlanar)] : [];
+  }
+  
+  throw new Error(`GeometryOps: ${geometry.type} não é uma geometria poligonal`);
+}
+
+function registerOriginals(geometry, planarPolygons, originals) {
+  let positions;
+  if (geometry.type === GEOMETRY_TYPES.POLYGON) {
+    positions = [geometry.coordinates];
+  } else if (geometry.type === GEOMETRY_TYPES.MULTI_POLYGON) {
+    positions = geometry.coordinates;
+  } else if (isClosedDrawing(geometry)) {
+    positions = [[geometry.coordinates]];
+  } else {
+    // Círculos são aproximados: seus vértices não existem na geometria de origem
+    return;
+  }
+  
+  planarPolygons.forEach((polygon, i) => polygon.forEach((ring, j) => ring.forEach((point, k) => {
+    const key = vertexKey(point);
+    if (!originals.has(key)) {
+      originals.set(key, positions[i][j][k]);
+    }
+  })));
+}
+
+function vertexKey(point) {
+  return `${Math.round(point[0] * VERTEX_GRID)},${Math.round(point[1] * VERTEX_GRID)}`;
+}
+
+function toPolygonGeometry(polygons, projection, originals) {
+  const toPosition = point => {
+    const original = originals && originals.get(vertexKey(point));
+    return original ? original.slice() : projection.toPosition(point);
+  };
+  const coordinates = polygons.map(polygon =>
+    polygon.map(ring => {
+      const positions = ring.map(toPosition);
+      return positions.concat([positions[0].slice()]);
+    })
+  );
+  
+  if (coordinates.length === 0) return null;
+  return coordinates.length === 1
+    ? { type: GEOMETRY_TYPES.POLYGON, coordinates: coordinates[0] }
+    : { type: GEOMETRY_TYPES.MULTI_POLYGON, coordinates: coordinates };
+}
+
+function closestOnSegment(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSq));
+  const closest = [start[0] + t * dx, start[1] + t * dy];
+  return { t: t, point: closest, distance: Math.hypot(point[0] - closest[0], point[1] - closest[1]) };
+}
+
+function findNearestEnd(chain, parts) {
+  const chainStart = chain[0];
+  const chainEnd = chain[chain.length - 1];
+  let best = null;
+  
+  parts.forEach((part, index) => {
+    const partStart = part[0];
+    const partEnd = part[part.length - 1];
+    [
+      { atEnd: true, reverse: false, distance: distance(chainEnd, partStart) },
+      { atEnd: true, reverse: true, distance: distance(chainEnd, partEnd) },
+      { atEnd: false, reverse: false, distance: distance(chainStart, partEnd) },
+      { atEnd: false, reverse: true, distance: distance(chainStart, partStart) }
+    ].forEach(option => {
+      if (!best || option.distance < best.distance) {
+        best = Object.assign(option, { index: index });
+      }
+    });
+  });
+  
+  return best;
+}
+
+function joinParts(chain, part, match) {
+  const oriented = match.reverse ? part.slice().reverse() : part;
+  
+  if (match.atEnd) {
+    const joined = samePosition(chain[chain.length - 1], oriented[0]) ? oriented.slice(1) : oriented;
+    return chain.concat(joined);
+  }
+  
+  const joined = samePosition(oriented[oriented.length - 1], chain[0]) ? oriented.slice(0, -1) : oriented;
+  return joined.concat(chain);
+}
+
+function distance(positionA, positionB) {
+  return haversineDistance([positionA[1], positionA[0]], [positionB[1], positionB[0]]);
+}
+
+function samePosition(positionA, positionB) {
+  return !!positionA && !!positionB && positionA[0] === positionB[0] && positionA[1] === positionB[1];
+}
+
+export default {
+  PROPERTY_STRATEGIES,
+  polygonOperation,
+  splitLine,
+  mergeLines,
+  mergeProperties,
+  isPolygonal
+};
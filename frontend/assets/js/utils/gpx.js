@@ -0,0 +1,242 @@
+/**
+ * GPX - Importação e exportação de GPX (GPS de campo e celulares)
+ *
+ * Importação:
+ * - trk (com um ou mais trkseg) → LineString / MultiLineString
+ * - rte → LineString
+ * - wpt → Point
+ * - name, desc e time viram as propriedades name, description e time;
+ *   trilhas com horário por ponto recebem também times (array) e endTime
+ *
+ * Exportação: linhas (e anéis de polígonos) como trk, pontos como wpt.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+/**
+ * Converte um documento GPX em FeatureCollection
+ * @param {string} text - Conteúdo GPX
+ * @returns {Object} FeatureCollection (waypoints, rotas e trilhas, nesta ordem)
+ * @throws {Error} Se o XML for inválido
+ */
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('GPX: XML inválido');
+  }
+  
+  const root = doc.documentElement;
+  const features = [];
+  
+  childrenByName(root, 'wpt').forEach(wpt => {
+    const point = parsePoint(wpt);
+    if (!point) return;
+    features.push(createFeature({ type: GEOMETRY_TYPES.POINT, coordinates: point.position }, wpt, 'waypoint', {
+      time: point.time,
+      ele: point.ele,
+      sym: childText(wpt, 'sym')
+    }));
+  });
+  
+  childrenByName(root, 'rte').forEach(rte => {
+    const points = childrenByName(rte, 'rtept').map(parsePoint).filter(Boolean);
+    if (points.length < 2) return;
+    features.push(createFeature(
+      { type: GEOMETRY_TYPES.LINE_STRING, coordinates: points.map(point => point.position) },
+      rte,
+      'route',
+      timeProperties(points)
+    ));
+  });
+  
+  childrenByName(root, 'trk').forEach(trk => {
+    const segments = childrenByName(trk, 'trkseg')
+      .map(trkseg => childrenByName(trkseg, 'trkpt').map(parsePoint).filter(Boolean))
+      .filter(points => points.length >= 2);
+    if (segments.length === 0) return;
+    
+    const geometry = segments.length === 1
+      ? { type: GEOMETRY_TYPES.LINE_STRING, coordinates: segments[0].map(point => point.position) }
+      : { type: GEOMETRY_TYPES.MULTI_LINE_STRING, coordinates: segments.map(points => points.map(point => point.position)) };
+    features.push(createFeature(geometry, trk, 'track', timeProperties([].concat(...segments))));
+  });
+  
+  return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Verifica se um texto parece um documento GPX
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+export function isGPX(value) {
+  return typeof value === 'string' && /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(\w+:)?gpx[\s>]/.test(value);
+}
+
+/**
+ * Converte uma FeatureCollection em documento GPX 1.1
+ * Pontos (e centros de círculos) viram wpt; linhas, desenhos e anéis de polígonos viram trk.
+ * name, description (ou desc) e time das propriedades são gravados; times gera o horário de cada ponto da trilha
+ * @param {Object} geojson - FeatureCollection ou Feature
+ * @param {Object} options - { name: nome do documento (padrão: 'BeraMap') }
+ * @returns {string} Documento GPX
+ */
+export function toGPX(geojson, options = {}) {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  const waypoints = [];
+  const tracks = [];
+  
+  features.forEach(feature => {
+    if (!feature || !feature.geometry) return;
+    const parts = collectParts(feature.geometry);
+    const properties = feature.properties || {};
+    
+    parts.points.forEach(position => waypoints.push(writeWaypoint(position, properties)));
+    if (parts.lines.length > 0) {
+      tracks.push(writeTrack(parts.lines, properties));
+    }
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="BeraMap" xmlns="${GPX_NAMESPACE}">`,
+    `<metadata><name>${escapeXml(options.name || 'BeraMap')}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>'
+  ].join('\n');
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function childrenByName(element, localName) {
+  return Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.localName === localName);
+}
+
+function childText(element, localName) {
+  const child = childrenByName(element, localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function parsePoint(element) {
+  const lat = parseFloat(element.getAttribute('lat'));
+  const lon = parseFloat(element.getAttribute('lon'));
+  if (isNaN(lat) || isNaN(lon)) return null;
+  
+  const ele = parseFloat(childText(element, 'ele'));
+  return {
+    position: [lon, lat],
+    ele: isNaN(ele) ? null : ele,
+    time: childText(element, 'time')
+  };
+}
+
+function timeProperties(points) {
+  const times = points.map(point => point.time);
+  if (!times.some(Boolean)) return {};
+  
+  return {
+    time: times.find(Boolean),
+    endTime: times.slice().reverse().find(Boolean),
+    times: times
+  };
+}
+
+function createFeature(geometry, element, gpxType, extra) {
+  const properties = {};
+  const name = childText(element, 'name');
+  const description = childText(element, 'desc');
+  if (name !== null) properties.name = name;
+  if (description !== null) properties.description = description;
+  properties.gpxType = gpxType;
+  
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) properties[key] = value;
+  });
+  
+  return { type: 'Feature', geometry: geometry, properties: properties };
+}
+
+function collectParts(geometry, parts = { points: [], lines: [] }) {
+  const closedRings = polygon => polygon.forEach(ring => parts.lines.push(ring));
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+    case GEOMETRY_TYPES.CIRCLE:
+      parts.points.push(geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.MULTI_POINT:
+      geometry.coordinates.forEach(position => parts.points.push(position));
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+    case GEOMETRY_TYPES.DRAWING:
+      parts.lines.push(geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      geometry.coordinates.forEach(line => parts.lines.push(line));
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      closedRings(geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      geometry.coordinates.forEach(closedRings);
+      break;
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      geometry.geometries.forEach(child => collectParts(child, parts));
+      break;
+    default:
+      break;
+  }
+  return parts;
+}
+
+function writeDescriptors(properties) {
+  const description = properties.description !== undefined ? properties.description : properties.desc;
+  return (properties.name !== undefined && properties.name !== null ? `<name>${escapeXml(properties.name)}</name>` : '') +
+    (description !== undefined && description !== null ? `<desc>${escapeXml(description)}</desc>` : '');
+}
+
+function writeWaypoint(position, properties) {
+  const ele = typeof properties.ele === 'number' ? `<ele>${properties.ele}</ele>` : '';
+  const time = properties.time ? `<time>${escapeXml(properties.time)}</time>` : '';
+  const sym = properties.sym ? `<sym>${escapeXml(properties.sym)}</sym>` : '';
+  return `<wpt lat="${position[1]}" lon="${position[0]}">${ele}${time}${writeDescriptors(properties)}${sym}</wpt>`;
+}
+
+function writeTrack(lines, properties) {
+  // Horários por ponto (times) só são gravados quando há um para cada ponto dos segmentos
+  const total = lines.reduce((count, line) => count + line.length, 0);
+  const times = Array.isArray(properties.times) && properties.times.length === total ? properties.times : null;
+  let offset = 0;
+  
+  const segments = lines.map(line => {
+    const points = line.map((position, index) => {
+      const value = times && times[offset + index];
+      const time = value ? `<time>${escapeXml(value)}</time>` : '';
+      return `<trkpt lat="${position[1]}" lon="${position[0]}">${time}</trkpt>`;
+    });
+    offset += line.length;
+    return `<trkseg>${points.join('')}</trkseg>`;
+  });
+  
+  return `<trk>${writeDescriptors(properties)}${segments.join('')}</trk>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export default {
+  parseGPX,
+  isGPX,
+  toGPX
+};
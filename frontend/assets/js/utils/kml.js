@@ -0,0 +1,466 @@
+/**
+ * KML - Importação e exportação de KML/KMZ (Google Earth)
+ *
+ * Importação:
+ * - Placemarks com Point, LineString, LinearRing, Polygon (com furos) e MultiGeometry
+ * - name, description e ExtendedData (Data e SchemaData) viram propriedades
+ * - Estilos (Style, StyleMap e styleUrl) viram propriedades simplestyle
+ *   (stroke, fill, marker-color...), aplicadas pelos renderers
+ *
+ * Exportação: propriedades em ExtendedData e estilo simplestyle em Style inline.
+ * Cores KML usam o formato aabbggrr.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { getCircleRadius } from './spatial.js';
+import { bufferGeometry } from './buffer.js';
+import { SIMPLESTYLE_KEYS } from './simplestyle.js';
+import { readZip } from './zip.js';
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const GEOMETRY_TAGS = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'];
+
+/**
+ * Converte um documento KML em FeatureCollection
+ * @param {string} text - Conteúdo KML
+ * @returns {Object} FeatureCollection (placemarks sem geometria suportada são ignorados)
+ * @throws {Error} Se o XML for inválido
+ */
+export function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('KML: XML inválido');
+  }
+  
+  const styles = collectStyles(doc);
+  const features = [];
+  
+  elementsByName(doc, 'Placemark').forEach(placemark => {
+    const geometryElement = childElements(placemark).find(child => GEOMETRY_TAGS.includes(child.localName));
+    const geometry = geometryElement ? parseGeometry(geometryElement) : null;
+    if (!geometry) return;
+    
+    features.push({
+      type: 'Feature',
+      geometry: geometry,
+      properties: Object.assign(
+        {},
+        resolveStyle(placemark, styles),
+        parseProperties(placemark)
+      )
+    });
+  });
+  
+  return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Converte um arquivo KMZ (KML compactado) em FeatureCollection
+ * Usa o doc.kml ou, na falta dele, o primeiro .kml do arquivo
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Conteúdo KMZ
+ * @returns {Promise<Object>} FeatureCollection
+ * @throws {Error} Se não houver KML no arquivo
+ */
+export async function parseKMZ(data) {
+  const files = await readZip(data, name => /\.kml$/i.test(name));
+  const names = Object.keys(files);
+  const name = names.find(entry => entry.toLowerCase() === 'doc.kml') || names[0];
+  if (!name) {
+    throw new Error('KML: nenhum arquivo .kml encontrado no KMZ');
+  }
+  
+  return parseKML(new TextDecoder('utf-8').decode(files[name]));
+}
+
+/**
+ * Verifica se um texto parece um documento KML
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+export function isKML(value) {
+  return typeof value === 'string' && /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(\w+:)?kml[\s>]/.test(value);
+}
+
+/**
+ * Converte uma FeatureCollection em documento KML
+ * Propriedades simplestyle viram Style; as demais, ExtendedData.
+ * Círculos são exportados como polígonos e desenhos como LineString
+ * @param {Object} geojson - FeatureCollection ou Feature
+ * @param {Object} options - { name: nome do documento (padrão: 'BeraMap'), segments: segmentos dos círculos (padrão: 64) }
+ * @returns {string} Documento KML
+ */
+export function toKML(geojson, options = {}) {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  const placemarks = features
+    .map(feature => writePlacemark(feature, options))
+    .filter(Boolean);
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml xmlns="${KML_NAMESPACE}">`,
+    '<Document>',
+    `<name>${escapeXml(options.name || 'BeraMap')}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+/**
+ * Converte uma cor KML (aabbggrr) em { color: '#rrggbb', opacity }
+ * @param {string} value - Cor KML
+ * @returns {Object|null} Cor e opacidade, ou null se inválida
+ */
+export function fromKMLColor(value) {
+  const text = (value || '').trim().replace(/^#/, '');
+  if (!/^[0-9a-f]{8}$/i.test(text)) return null;
+  
+  return {
+    color: '#' + text.substr(6, 2) + text.substr(4, 2) + text.substr(2, 2),
+    opacity: Math.round((parseInt(text.substr(0, 2), 16) / 255) * 100) / 100
+  };
+}
+
+/**
+ * Converte uma cor CSS (#rgb ou #rrggbb) e opacidade em cor KML (aabbggrr)
+ * @param {string} color - Cor CSS
+ * @param {number} opacity - Opacidade de 0 a 1 (padrão: 1)
+ * @returns {string|null} Cor KML ou null se a cor não for hexadecimal
+ */
+export function toKMLColor(color, opacity = 1) {
+  let hex = (color || '').trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+  
+  const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+  return (alpha + hex.substr(4, 2) + hex.substr(2, 2) + hex.substr(0, 2)).toLowerCase();
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function childElements(element) {
+  return Array.from(element.childNodes).filter(node => node.nodeType === 1);
+}
+
+function elementsByName(root, localName) {
+  return Array.from(root.getElementsByTagName('*')).filter(element => element.localName === localName);
+}
+
+function childByName(element, localName) {
+  return childElements(element).find(child => child.localName === localName) || null;
+}
+
+function childText(element, localName) {
+  const child = element && childByName(element, localName);
+  return child ? child.textContent.trim() : null;
+}
+
+function parseCoordinates(element) {
+  const text = childText(element, 'coordinates') || '';
+  return text.split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(position => position.length >= 2 && !isNaN(position[0]) && !isNaN(position[1]))
+    .map(position => [position[0], position[1]]);
+}
+
+function parseGeometry(element) {
+  switch (element.localName) {
+    case 'Point': {
+      const coordinates = parseCoordinates(element);
+      return coordinates.length ? { type: GEOMETRY_TYPES.POINT, coordinates: coordinates[0] } : null;
+    }
+    case 'LineString': {
+      const coordinates = parseCoordinates(element);
+      return coordinates.length >= 2 ? { type: GEOMETRY_TYPES.LINE_STRING, coordinates: coordinates } : null;
+    }
+    case 'LinearRing': {
+      const ring = closeRing(parseCoordinates(element));
+      return ring.length >= 4 ? { type: GEOMETRY_TYPES.POLYGON, coordinates: [ring] } : null;
+    }
+    case 'Polygon': {
+      const outer = childByName(element, 'outerBoundaryIs');
+      const outerRing = outer && childByName(outer, 'LinearRing');
+      if (!outerRing) return null;
+      
+      const rings = [closeRing(parseCoordinates(outerRing))];
+      childElements(element)
+        .filter(child => child.localName === 'innerBoundaryIs')
+        .forEach(inner => {
+          childElements(inner)
+            .filter(child => child.localName === 'LinearRing')
+            .forEach(ring => rings.push(closeRing(parseCoordinates(ring))));
+        });
+      
+      const validRings = rings.filter(ring => ring.length >= 4);
+      return validRings.length && validRings[0] === rings[0]
+        ? { type: GEOMETRY_TYPES.POLYGON, coordinates: validRings }
+        : null;
+    }
+    case 'MultiGeometry':
+      return parseMultiGeometry(element);
+    default:
+      return null;
+  }
+}
+
+function parseMultiGeometry(element) {
+  // MultiGeometry aninhadas são achatadas
+  const geometries = [];
+  const collect = parent => childElements(parent).forEach(child => {
+    if (child.localName === 'MultiGeometry') {
+      collect(child);
+    } else if (GEOMETRY_TAGS.includes(child.localName)) {
+      const geometry = parseGeometry(child);
+      if (geometry) geometries.push(geometry);
+    }
+  });
+  collect(element);
+  
+  if (geometries.length === 0) return null;
+  if (geometries.length === 1) return geometries[0];
+  
+  const types = new Set(geometries.map(geometry => geometry.type));
+  if (types.size === 1) {
+    const multiType = {
+      [GEOMETRY_TYPES.POINT]: GEOMETRY_TYPES.MULTI_POINT,
+      [GEOMETRY_TYPES.LINE_STRING]: GEOMETRY_TYPES.MULTI_LINE_STRING,
+      [GEOMETRY_TYPES.POLYGON]: GEOMETRY_TYPES.MULTI_POLYGON
+    }[geometries[0].type];
+    return { type: multiType, coordinates: geometries.map(geometry => geometry.coordinates) };
+  }
+  
+  return { type: GEOMETRY_TYPES.GEOMETRY_COLLECTION, geometries: geometries };
+}
+
+function closeRing(ring) {
+  if (ring.length === 0) return ring;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : ring.concat([first.slice()]);
+}
+
+function parseProperties(placemark) {
+  const properties = {};
+  const name = childText(placemark, 'name');
+  const description = childText(placemark, 'description');
+  if (name !== null) properties.name = name;
+  if (description !== null) properties.description = description;
+  
+  const extendedData = childByName(placemark, 'ExtendedData');
+  if (extendedData) {
+    elementsByName(extendedData, 'Data').forEach(data => {
+      const key = data.getAttribute('name');
+      if (key) properties[key] = parseValue(childText(data, 'value'));
+    });
+    elementsByName(extendedData, 'SimpleData').forEach(data => {
+      const key = data.getAttribute('name');
+      if (key) properties[key] = parseValue(data.textContent.trim());
+    });
+  }
+  
+  return properties;
+}
+
+function parseValue(text) {
+  // Números e booleanos exportados pelo BeraMap voltam com o tipo original
+  if (text === null) return null;
+  if (/^-?\d+(\.\d+)?$/.test(text) && String(Number(text)) === text) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+}
+
+function collectStyles(doc) {
+  const styles = {};
+  elementsByName(doc, 'Style').forEach(style => {
+    const id = style.getAttribute('id');
+    if (id) styles[id] = parseStyle(style);
+  });
+  
+  // StyleMap usa o par "normal" (o "highlight" é apenas para hover no Google Earth)
+  elementsByName(doc, 'StyleMap').forEach(styleMap => {
+    const id = styleMap.getAttribute('id');
+    if (!id) return;
+    const normal = childElements(styleMap)
+      .filter(pair => pair.localName === 'Pair')
+      .find(pair => childText(pair, 'key') === 'normal');
+    if (!normal) return;
+    
+    const inline = childByName(normal, 'Style');
+    const url = childText(normal, 'styleUrl');
+    styles[id] = inline ? parseStyle(inline) : (styles[styleId(url)] || {});
+  });
+  
+  return styles;
+}
+
+function resolveStyle(placemark, styles) {
+  const url = childText(placemark, 'styleUrl');
+  const shared = url ? styles[styleId(url)] || {} : {};
+  const inline = childByName(placemark, 'Style');
+  return Object.assign({}, shared, inline ? parseStyle(inline) : {});
+}
+
+function styleId(url) {
+  return (url || '').split('#').pop();
+}
+
+function parseStyle(style) {
+  const properties = {};
+  const lineStyle = childByName(style, 'LineStyle');
+  const polyStyle = childByName(style, 'PolyStyle');
+  const iconStyle = childByName(style, 'IconStyle');
+  
+  if (lineStyle) {
+    const color = fromKMLColor(childText(lineStyle, 'color'));
+    const width = parseFloat(childText(lineStyle, 'width'));
+    if (color) {
+      properties.stroke = color.color;
+      properties['stroke-opacity'] = color.opacity;
+    }
+    if (!isNaN(width)) properties['stroke-width'] = width;
+  }
+  
+  if (polyStyle) {
+    const color = fromKMLColor(childText(polyStyle, 'color'));
+    if (color) {
+      properties.fill = color.color;
+      properties['fill-opacity'] = color.opacity;
+    }
+    if (childText(polyStyle, 'fill') === '0') properties['fill-opacity'] = 0;
+    if (childText(polyStyle, 'outline') === '0') properties['stroke-opacity'] = 0;
+  }
+  
+  if (iconStyle) {
+    const color = fromKMLColor(childText(iconStyle, 'color'));
+    if (color) properties['marker-color'] = color.color;
+  }
+  
+  return properties;
+}
+
+function writePlacemark(feature, options) {
+  if (!feature || !feature.geometry) return null;
+  
+  const properties = feature.properties || {};
+  const geometry = writeGeometry(exportableGeometry(feature, options));
+  if (!geometry) return null;
+  
+  const lines = ['<Placemark>'];
+  if (properties.name !== undefined && properties.name !== null) {
+    lines.push(`<name>${escapeXml(properties.name)}</name>`);
+  }
+  if (properties.description !== undefined && properties.description !== null) {
+    lines.push(`<description>${escapeXml(properties.description)}</description>`);
+  }
+  
+  const style = writeStyle(properties);
+  if (style) lines.push(style);
+  
+  const data = Object.entries(properties)
+    .filter(([key, value]) => key !== 'name' && key !== 'description' &&
+      !SIMPLESTYLE_KEYS.includes(key) && value !== undefined)
+    .map(([key, value]) => {
+      const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `<Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+    });
+  if (data.length) {
+    lines.push('<ExtendedData>', ...data, '</ExtendedData>');
+  }
+  
+  lines.push(geometry, '</Placemark>');
+  return lines.join('\n');
+}
+
+function exportableGeometry(feature, options) {
+  const geometry = feature.geometry;
+  if (geometry.type === GEOMETRY_TYPES.CIRCLE) {
+    const radius = getCircleRadius(geometry) || (feature.properties && feature.properties.radius);
+    const polygon = radius > 0
+      ? bufferGeometry({ type: GEOMETRY_TYPES.POINT, coordinates: geometry.coordinates }, radius, {
+        segments: options.segments || 64
+      })
+      : null;
+    return polygon || { type: GEOMETRY_TYPES.POINT, coordinates: geometry.coordinates };
+  }
+  if (geometry.type === GEOMETRY_TYPES.DRAWING) {
+    return { type: GEOMETRY_TYPES.LINE_STRING, coordinates: geometry.coordinates };
+  }
+  return geometry;
+}
+
+function writeGeometry(geometry) {
+  const coordinates = positions => `<coordinates>${positions.map(position => position[0] + ',' + position[1]).join(' ')}</coordinates>`;
+  const ring = positions => `<LinearRing>${coordinates(positions)}</LinearRing>`;
+  const polygon = rings => '<Polygon>' +
+    `<outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>` +
+    rings.slice(1).map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join('') +
+    '</Polygon>';
+  const multi = parts => `<MultiGeometry>${parts.join('')}</MultiGeometry>`;
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+      return `<Point>${coordinates([geometry.coordinates])}</Point>`;
+    case GEOMETRY_TYPES.LINE_STRING:
+      return `<LineString>${coordinates(geometry.coordinates)}</LineString>`;
+    case GEOMETRY_TYPES.POLYGON:
+      return polygon(geometry.coordinates);
+    case GEOMETRY_TYPES.MULTI_POINT:
+      return multi(geometry.coordinates.map(point => `<Point>${coordinates([point])}</Point>`));
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      return multi(geometry.coordinates.map(line => `<LineString>${coordinates(line)}</LineString>`));
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      return multi(geometry.coordinates.map(polygon));
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      return multi(geometry.geometries.map(writeGeometry).filter(Boolean));
+    default:
+      return null;
+  }
+}
+
+function writeStyle(properties) {
+  const parts = [];
+  const opacity = key => properties[key] !== undefined ? Number(properties[key]) : 1;
+  
+  const lineColor = toKMLColor(properties.stroke, opacity('stroke-opacity'));
+  if (lineColor || properties['stroke-width'] !== undefined) {
+    parts.push('<LineStyle>' +
+      (lineColor ? `<color>${lineColor}</color>` : '') +
+      (properties['stroke-width'] !== undefined ? `<width>${Number(properties['stroke-width'])}</width>` : '') +
+      '</LineStyle>');
+  }
+  
+  const fillColor = toKMLColor(properties.fill, opacity('fill-opacity'));
+  if (fillColor) {
+    parts.push(`<PolyStyle><color>${fillColor}</color></PolyStyle>`);
+  }
+  
+  const markerColor = toKMLColor(properties['marker-color']);
+  if (markerColor) {
+    parts.push(`<IconStyle><color>${markerColor}</color></IconStyle>`);
+  }
+  
+  return parts.length ? `<Style>${parts.join('')}</Style>` : null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export default {
+  parseKML,
+  parseKMZ,
+  isKML,
+  toKML,
+  fromKMLColor,
+  toKMLColor
+};
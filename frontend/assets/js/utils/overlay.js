@@ -0,0 +1,444 @@
+/**
+ * Overlay - Operações booleanas entre polígonos no plano
+ *
+ * União, interseção, diferença e diferença simétrica entre dois conjuntos de polígonos
+ * em coordenadas planas [x, y] (ex.: metros de uma projeção local). Cada polígono é um
+ * array de anéis, o primeiro externo e os demais furos.
+ *
+ * As arestas dos dois conjuntos são divididas nos cruzamentos e cada trecho é mantido
+ * ou descartado conforme fique dentro ou fora do outro conjunto; os trechos mantidos
+ * são encadeados nos anéis do resultado. Os polígonos de entrada devem ser válidos
+ * (anéis sem autointerseção e polígonos de um mesmo conjunto sem sobreposição).
+ */
+
+export const OVERLAY_OPERATIONS = {
+  UNION: 'union',
+  INTERSECTION: 'intersection',
+  DIFFERENCE: 'difference',
+  XOR: 'xor'
+};
+
+const EPSILON = 1e-9;
+const GRID = 1e6;          // Coordenadas de entrada arredondadas ao micrômetro
+const MIN_RING_AREA = 1e-6; // Anéis menores (lascas numéricas) são descartados
+
+/**
+ * Executa uma operação booleana entre dois conjuntos de polígonos
+ * @param {Array} polygonsA - Polígonos [[anel externo, ...furos], ...] em [x, y]
+ * @param {Array} polygonsB - Polígonos [[anel externo, ...furos], ...] em [x, y]
+ * @param {string} operation - 'union', 'intersection', 'difference' (A - B) ou 'xor'
+ * @returns {Array} Polígonos do resultado, com anéis abertos (sem repetir a primeira posição)
+ */
+export function overlay(polygonsA, polygonsB, operation) {
+  const predicate = getPredicate(operation);
+  const setA = normalizeSet(polygonsA);
+  const setB = normalizeSet(polygonsB);
+  
+  const edgesA = createEdges(setA, 0);
+  const edgesB = createEdges(setB, 1);
+  splitIntersections(edgesA, edgesB);
+  
+  const piecesA = splitEdges(edgesA);
+  const piecesB = splitEdges(edgesB);
+  const coincident = indexPieces(piecesA.concat(piecesB));
+  
+  const kept = [];
+  const seen = new Set();
+  const keep = (start, end) => {
+    const id = pointKey(start) + '>' + pointKey(end);
+    if (!seen.has(id)) {
+      seen.add(id);
+      kept.push({ a: start, b: end });
+    }
+  };
+  
+  [[piecesA, setB], [piecesB, setA]].forEach(([pieces, otherSet]) => {
+    pieces.forEach(piece => {
+      const states = classifyPiece(piece, otherSet, coincident);
+      const left = predicate(states.left[0], states.left[1]);
+      const right = predicate(states.right[0], states.right[1]);
+      
+      // O interior do resultado fica sempre à esquerda do trecho
+      if (left && !right) {
+        keep(piece.a, piece.b);
+      } else if (!left && right) {
+        keep(piece.b, piece.a);
+      }
+    });
+  });
+  
+  return assemblePolygons(linkRings(kept));
+}
+
+/**
+ * Une vários conjuntos de polígonos (união em cascata, mais rápida que sucessiva)
+ * @param {Array} polygonSets - Array de conjuntos de polígonos em [x, y]
+ * @returns {Array} Polígonos da união
+ */
+export function unionAll(polygonSets) {
+  if (!polygonSets || polygonSets.length === 0) return [];
+  
+  let current = polygonSets;
+  while (current.length > 1) {
+    const next = [];
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length
+        ? overlay(current[i], current[i + 1], OVERLAY_OPERATIONS.UNION)
+        : current[i]);
+    }
+    current = next;
+  }
+  
+  // Mesmo um único conjunto passa pela normalização (orientação e limpeza)
+  return overlay(current[0], [], OVERLAY_OPERATIONS.UNION);
+}
+
+/**
+ * Calcula a área com sinal de um anel (positiva no sentido anti-horário)
+ * @param {Array} ring - Anel em [x, y], aberto ou fechado
+ * @returns {number} Área com sinal
+ */
+export function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function getPredicate(operation) {
+  switch (operation) {
+    case OVERLAY_OPERATIONS.UNION:
+      return (inA, inB) => inA || inB;
+    case OVERLAY_OPERATIONS.INTERSECTION:
+      return (inA, inB) => inA && inB;
+    case OVERLAY_OPERATIONS.DIFFERENCE:
+      return (inA, inB) => inA && !inB;
+    case OVERLAY_OPERATIONS.XOR:
+      return (inA, inB) => inA !== inB;
+    default:
+      throw new Error(`Overlay: operação desconhecida "${operation}"`);
+  }
+}
+
+function normalizeSet(polygons) {
+  const rings = [];
+  
+  (polygons || []).forEach(polygon => {
+    polygon.forEach((ring, index) => {
+      const cleaned = cleanRing(ring);
+      if (cleaned.length < 3 || Math.abs(ringArea(cleaned)) <= MIN_RING_AREA) return;
+      
+      // Externo no sentido anti-horário, furos no horário: interior sempre à esquerda
+      const area = ringArea(cleaned);
+      if ((index === 0 && area < 0) || (index > 0 && area > 0)) {
+        cleaned.reverse();
+      }
+      rings.push(Object.assign(ringBBox(cleaned), { points: cleaned }));
+    });
+  });
+  
+  return rings;
+}
+
+function cleanRing(ring) {
+  const points = [];
+  ring.forEach(point => {
+    const rounded = [Math.round(point[0] * GRID) / GRID, Math.round(point[1] * GRID) / GRID];
+    const last = points[points.length - 1];
+    if (!last || last[0] !== rounded[0] || last[1] !== rounded[1]) {
+      points.push(rounded);
+    }
+  });
+  
+  // Anel aberto: sem repetir a primeira posição no final
+  while (points.length > 1 &&
+    points[0][0] === points[points.length - 1][0] &&
+    points[0][1] === points[points.length - 1][1]) {
+    points.pop();
+  }
+  
+  return points;
+}
+
+function ringBBox(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  points.forEach(point => {
+    minX = Math.min(minX, point[0]);
+    minY = Math.min(minY, point[1]);
+    maxX = Math.max(maxX, point[0]);
+    maxY = Math.max(maxY, point[1]);
+  });
+  return { minX: minX, minY: minY, maxX: maxX, maxY: maxY };
+}
+
+function createEdges(rings, source) {
+  const edges = [];
+  rings.forEach(ring => {
+    const points = ring.points;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      edges.push({
+        a: a,
+        b: b,
+        source: source,
+        splits: [],
+        minX: Math.min(a[0], b[0]),
+        maxX: Math.max(a[0], b[0]),
+        minY: Math.min(a[1], b[1]),
+        maxY: Math.max(a[1], b[1])
+      });
+    }
+  });
+  return edges;
+}
+
+function splitIntersections(edgesA, edgesB) {
+  if (edgesA.length === 0 || edgesB.length === 0) return;
+  
+  // Varredura em X: só arestas de conjuntos diferentes com extensões sobrepostas são testadas
+  const edges = edgesA.concat(edgesB).sort((e1, e2) => e1.minX - e2.minX);
+  let active = [];
+  
+  edges.forEach(edge => {
+    active = active.filter(other => other.maxX >= edge.minX);
+    active.forEach(other => {
+      if (other.source !== edge.source && other.minY <= edge.maxY && other.maxY >= edge.minY) {
+        intersectEdges(edge, other);
+      }
+    });
+    active.push(edge);
+  });
+}
+
+function intersectEdges(e1, e2) {
+  const r = subtract(e1.b, e1.a);
+  const s = subtract(e2.b, e2.a);
+  const qp = subtract(e2.a, e1.a);
+  const lengthR = Math.hypot(r[0], r[1]);
+  const lengthS = Math.hypot(s[0], s[1]);
+  const denominator = cross(r, s);
+  
+  if (Math.abs(denominator) <= EPSILON * lengthR * lengthS) {
+    // Paralelas: se colineares, cada uma é dividida nas extremidades da outra
+    if (Math.abs(cross(qp, r)) <= EPSILON * lengthR * Math.max(1, Math.hypot(qp[0], qp[1]))) {
+      addCollinearSplits(e1, e2);
+      addCollinearSplits(e2, e1);
+    }
+    return;
+  }
+  
+  const t = cross(qp, s) / denominator;
+  const u = cross(qp, r) / denominator;
+  if (t < -EPSILON || t > 1 + EPSILON || u < -EPSILON || u > 1 + EPSILON) return;
+  
+  // Cruzamento numa extremidade usa a posição exata do vértice
+  const endT = t <= EPSILON ? e1.a : (t >= 1 - EPSILON ? e1.b : null);
+  const endU = u <= EPSILON ? e2.a : (u >= 1 - EPSILON ? e2.b : null);
+  const point = endT || endU || [e1.a[0] + t * r[0], e1.a[1] + t * r[1]];
+  
+  if (!endT) e1.splits.push({ t: t, point: point });
+  if (!endU) e2.splits.push({ t: u, point: point });
+}
+
+function addCollinearSplits(edge, other) {
+  const r = subtract(edge.b, edge.a);
+  const lengthSq = r[0] * r[0] + r[1] * r[1];
+  if (lengthSq === 0) return;
+  
+  [other.a, other.b].forEach(point => {
+    const t = ((point[0] - edge.a[0]) * r[0] + (point[1] - edge.a[1]) * r[1]) / lengthSq;
+    if (t > EPSILON && t < 1 - EPSILON) {
+      edge.splits.push({ t: t, point: point });
+    }
+  });
+}
+
+function splitEdges(edges) {
+  const pieces = [];
+  
+  edges.forEach(edge => {
+    const points = [edge.a];
+    edge.splits
+      .sort((s1, s2) => s1.t - s2.t)
+      .forEach(split => points.push(split.point));
+    points.push(edge.b);
+    
+    let start = points[0];
+    for (let i = 1; i < points.length; i++) {
+      const end = points[i];
+      if (pointKey(end) === pointKey(start)) continue;
+      pieces.push({ a: start, b: end, source: edge.source });
+      start = end;
+    }
+  });
+  
+  return pieces;
+}
+
+function indexPieces(pieces) {
+  // Trechos coincidentes dos dois conjuntos, pela chave sem direção
+  const index = new Map();
+  pieces.forEach(piece => {
+    const keyA = pointKey(piece.a);
+    const keyB = pointKey(piece.b);
+    const key = keyA < keyB ? keyA + '|' + keyB : keyB + '|' + keyA;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(piece);
+    piece.key = key;
+  });
+  return index;
+}
+
+function classifyPiece(piece, otherSet, coincident) {
+  // Estado [dentro de A, dentro de B] à esquerda e à direita do trecho
+  const other = (coincident.get(piece.key) || []).find(item => item.source !== piece.source);
+  let otherLeft;
+  let otherRight;
+  
+  if (other) {
+    const sameDirection = pointKey(other.a) === pointKey(piece.a);
+    otherLeft = sameDirection;
+    otherRight = !sameDirection;
+  } else {
+    const middle = [(piece.a[0] + piece.b[0]) / 2, (piece.a[1] + piece.b[1]) / 2];
+    otherLeft = otherRight = setContains(otherSet, middle);
+  }
+  
+  return piece.source === 0
+    ? { left: [true, otherLeft], right: [false, otherRight] }
+    : { left: [otherLeft, true], right: [otherRight, false] };
+}
+
+function setContains(rings, point) {
+  // Par/ímpar sobre todos os anéis do conjunto (furos incluídos)
+  let inside = false;
+  rings.forEach(ring => {
+    if (point[0] < ring.minX || point[0] > ring.maxX || point[1] < ring.minY || point[1] > ring.maxY) return;
+    if (ringContains(ring.points, point)) inside = !inside;
+  });
+  return inside;
+}
+
+function ringContains(points, point) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (((yi > point[1]) !== (yj > point[1])) &&
+      (point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function linkRings(pieces) {
+  const outgoing = new Map();
+  pieces.forEach(piece => {
+    const key = pointKey(piece.a);
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(piece);
+  });
+  
+  const rings = [];
+  pieces.forEach(first => {
+    if (first.used) return;
+    
+    const startKey = pointKey(first.a);
+    const ring = [first.a];
+    let current = first;
+    current.used = true;
+    
+    while (pointKey(current.b) !== startKey) {
+      const candidates = (outgoing.get(pointKey(current.b)) || []).filter(piece => !piece.used);
+      if (candidates.length === 0) break;
+      
+      // Em vértices compartilhados segue a curva mais à esquerda, mantendo os anéis separados
+      const next = candidates.length === 1 ? candidates[0] : leftmost(current, candidates);
+      ring.push(next.a);
+      next.used = true;
+      current = next;
+    }
+    
+    if (pointKey(current.b) === startKey && ring.length >= 3) {
+      rings.push(ring);
+    }
+  });
+  
+  return rings;
+}
+
+function leftmost(current, candidates) {
+  const incoming = subtract(current.b, current.a);
+  let best = null;
+  let bestAngle = -Infinity;
+  
+  candidates.forEach(candidate => {
+    const direction = subtract(candidate.b, candidate.a);
+    const angle = Math.atan2(cross(incoming, direction), dot(incoming, direction));
+    if (angle > bestAngle) {
+      bestAngle = angle;
+      best = candidate;
+    }
+  });
+  
+  return best;
+}
+
+function assemblePolygons(rings) {
+  const outers = [];
+  const holes = [];
+  
+  rings.forEach(ring => {
+    const area = ringArea(ring);
+    if (Math.abs(area) <= MIN_RING_AREA) return;
+    if (area > 0) {
+      outers.push({ ring: ring, area: area, holes: [] });
+    } else {
+      holes.push(ring);
+    }
+  });
+  
+  // Cada furo pertence ao menor anel externo que o contém
+  holes.forEach(hole => {
+    const probe = [(hole[0][0] + hole[1][0]) / 2, (hole[0][1] + hole[1][1]) / 2];
+    let owner = null;
+    outers.forEach(outer => {
+      if (ringContains(outer.ring, probe) && (!owner || outer.area < owner.area)) {
+        owner = outer;
+      }
+    });
+    if (owner) owner.holes.push(hole);
+  });
+  
+  return outers.map(outer => [outer.ring].concat(outer.holes));
+}
+
+function pointKey(point) {
+  return point[0] + ',' + point[1];
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1]];
+}
+
+function cross(a, b) {
+  return a[0] * b[1] - a[1] * b[0];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1];
+}
+
+export default {
+  OVERLAY_OPERATIONS,
+  overlay,
+  unionAll,
+  ringArea
+};
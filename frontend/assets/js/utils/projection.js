@@ -0,0 +1,384 @@
+/**
+ * Projection - Leitura de .prj (WKT de sistemas de coordenadas) e conversão para WGS84
+ *
+ * Suporta:
+ * - Coordenadas geográficas (graus ou outra unidade angular, meridiano de origem)
+ * - Transverse Mercator / UTM (SIRGAS 2000, SAD69, Córrego Alegre, WGS84...)
+ * - Mercator (1SP, 2SP) e Web Mercator (Mercator_Auxiliary_Sphere / Popular Visualisation)
+ * - Mudança de datum por TOWGS84 (3 ou 7 parâmetros) ou pelos parâmetros do IBGE para SAD69 e Córrego Alegre
+ *
+ * SIRGAS 2000 e WGS84 são tratados como equivalentes (diferença de centímetros).
+ * Outras projeções (cônicas, policônica...) não são suportadas.
+ */
+
+const DEG = Math.PI / 180;
+
+const WGS84_ELLIPSOID = { a: 6378137, f: 1 / 298.257223563 };
+
+// Datums equivalentes ao WGS84 para fins de mapeamento (nomes ESRI e OGC normalizados)
+const WGS84_DATUM_PATTERN = /wgs84|wgs1984|sirgas|sistemadereferenciageocentrico|grs1980|nad83|northamerican(datum)?1983/;
+
+// Parâmetros de translação (m) para WGS84/SIRGAS 2000 publicados pelo IBGE
+const DATUM_SHIFTS = [
+  { pattern: /sad69|southamerican(datum)?1969/, toWGS84: [-67.35, 3.88, -38.22] },
+  { pattern: /corregoalegre/, toWGS84: [-206.05, 168.28, -3.82] }
+];
+
+export const PROJECTION_TYPES = {
+  GEOGRAPHIC: 'geographic',
+  TRANSVERSE_MERCATOR: 'transverse_mercator',
+  MERCATOR: 'mercator'
+};
+
+/**
+ * Lê o WKT de um .prj (formato ESRI ou OGC WKT1)
+ * @param {string} text - Conteúdo do .prj
+ * @returns {Object} Definição { name, type, ellipsoid: { a, f }, datum, toWGS84, primeMeridian, angularUnit,
+ *   linearUnit, centralMeridian, latitudeOfOrigin, scaleFactor, falseEasting, falseNorthing, standardParallel }
+ * @throws {Error} Se o WKT for inválido ou a projeção não for suportada
+ */
+export function parsePRJ(text) {
+  const root = parseWKTNode(String(text || '').trim());
+  const keyword = root.keyword;
+  if (keyword !== 'PROJCS' && keyword !== 'GEOGCS') {
+    throw new Error(`Projection: sistema de coordenadas "${keyword}" não suportado`);
+  }
+  
+  const geogcs = keyword === 'GEOGCS' ? root : findChild(root, 'GEOGCS');
+  if (!geogcs) {
+    throw new Error('Projection: GEOGCS ausente no .prj');
+  }
+  
+  const datum = findChild(geogcs, 'DATUM');
+  const spheroid = datum && findChild(datum, 'SPHEROID');
+  const towgs84 = (datum && findChild(datum, 'TOWGS84')) || findChild(geogcs, 'TOWGS84');
+  const primem = findChild(geogcs, 'PRIMEM');
+  const angularUnit = findChild(geogcs, 'UNIT');
+  const datumName = datum ? String(datum.values[0]) : '';
+  
+  const inverseFlattening = spheroid ? Number(spheroid.values[2]) : 298.257223563;
+  const definition = {
+    name: String(root.values[0]),
+    type: PROJECTION_TYPES.GEOGRAPHIC,
+    ellipsoid: {
+      a: spheroid ? Number(spheroid.values[1]) : WGS84_ELLIPSOID.a,
+      f: inverseFlattening > 0 ? 1 / inverseFlattening : 0
+    },
+    datum: datumName,
+    toWGS84: towgs84 ? towgs84.values.map(Number) : findDatumShift(datumName),
+    primeMeridian: primem ? Number(primem.values[1]) : 0,
+    angularUnit: angularUnit ? Number(angularUnit.values[1]) : DEG
+  };
+  
+  if (keyword === 'GEOGCS') return definition;
+  
+  const projection = findChild(root, 'PROJECTION');
+  const method = normalizeName(projection ? projection.values[0] : '');
+  const linearUnit = root.values.filter(child => child && child.keyword === 'UNIT').pop();
+  const parameters = {};
+  root.values
+    .filter(child => child && child.keyword === 'PARAMETER')
+    .forEach(child => {
+      parameters[normalizeName(child.values[0])] = Number(child.values[1]);
+    });
+  const parameter = (names, fallback) => {
+    const name = names.find(candidate => parameters[candidate] !== undefined);
+    return name ? parameters[name] : fallback;
+  };
+  
+  if (method.includes('transversemercator') || method.includes('gausskruger')) {
+    definition.type = PROJECTION_TYPES.TRANSVERSE_MERCATOR;
+  } else if (method.includes('mercator') || method.includes('popularvisualisation')) {
+    definition.type = PROJECTION_TYPES.MERCATOR;
+    // Web Mercator usa a esfera com o semieixo maior do elipsoide
+    if (method.includes('auxiliarysphere') || method.includes('popularvisualisation') || /web|pseudo|3857|900913/i.test(definition.name)) {
+      definition.ellipsoid = { a: definition.ellipsoid.a, f: 0 };
+    }
+  } else {
+    throw new Error(`Projection: projeção "${projection ? projection.values[0] : ''}" não suportada`);
+  }
+  
+  Object.assign(definition, {
+    linearUnit: linearUnit ? Number(linearUnit.values[1]) : 1,
+    centralMeridian: parameter(['centralmeridian', 'longitudeofcenter', 'longitudeoforigin', 'longitudeofnaturalorigin'], 0),
+    latitudeOfOrigin: parameter(['latitudeoforigin', 'latitudeofcenter', 'latitudeofnaturalorigin'], 0),
+    scaleFactor: parameter(['scalefactor', 'scalefactoratnaturalorigin'], 1),
+    falseEasting: parameter(['falseeasting'], 0),
+    falseNorthing: parameter(['falsenorthing'], 0),
+    standardParallel: parameter(['standardparallel1', 'latitudeof1ststandardparallel'], null)
+  });
+  return definition;
+}
+
+/**
+ * Verifica se uma definição já está em WGS84 (ou SIRGAS 2000) geográfico, em graus
+ * @param {Object} definition - Definição de parsePRJ
+ * @returns {boolean}
+ */
+export function isWGS84(definition) {
+  return !!definition &&
+    definition.type === PROJECTION_TYPES.GEOGRAPHIC &&
+    !definition.toWGS84 &&
+    WGS84_DATUM_PATTERN.test(normalizeName(definition.datum)) &&
+    definition.primeMeridian === 0 &&
+    Math.abs(definition.angularUnit - DEG) < 1e-12;
+}
+
+/**
+ * Cria uma função que converte posições da projeção para [lng, lat] em WGS84
+ * @param {Object|string} definition - Definição de parsePRJ ou conteúdo do .prj
+ * @returns {Function} (position) => [lng, lat] (mantém a terceira coordenada, se houver)
+ */
+export function createTransform(definition) {
+  const source = typeof definition === 'string' ? parsePRJ(definition) : definition;
+  if (isWGS84(source)) {
+    return position => position.slice();
+  }
+  
+  const inverse = createInverse(source);
+  const shift = source.toWGS84 && source.toWGS84.some(value => value !== 0)
+    ? createDatumShift(source.ellipsoid, source.toWGS84)
+    : null;
+  
+  return position => {
+    const [lng, lat] = inverse(position[0], position[1]);
+    const result = shift ? shift(lng, lat) : [lng, lat];
+    return position.length > 2 ? [result[0], result[1], position[2]] : result;
+  };
+}
+
+/**
+ * Reprojeta as coordenadas de uma geometria GeoJSON para WGS84
+ * @param {Object} geometry - Geometria GeoJSON
+ * @param {Function} transform - Função de createTransform
+ * @returns {Object} Nova geometria
+ */
+export function transformGeometry(geometry, transform) {
+  if (!geometry) return geometry;
+  if (geometry.geometries) {
+    return Object.assign({}, geometry, {
+      geometries: geometry.geometries.map(child => transformGeometry(child, transform))
+    });
+  }
+  
+  const visit = coordinates => typeof coordinates[0] === 'number'
+    ? transform(coordinates)
+    : coordinates.map(visit);
+  return Object.assign({}, geometry, { coordinates: visit(geometry.coordinates) });
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[\s_()-]/g, '');
+}
+
+function findDatumShift(datumName) {
+  const name = normalizeName(datumName);
+  const known = DATUM_SHIFTS.find(datum => datum.pattern.test(name));
+  return known ? known.toWGS84 : null;
+}
+
+function parseWKTNode(text) {
+  const state = { text: text, index: 0 };
+  const node = readNode(state);
+  skipSpaces(state);
+  if (state.index < text.length) {
+    throw new Error('Projection: conteúdo inesperado no .prj');
+  }
+  return node;
+}
+
+function skipSpaces(state) {
+  while (state.index < state.text.length && /\s/.test(state.text[state.index])) state.index++;
+}
+
+function readNode(state) {
+  skipSpaces(state);
+  const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(state.text.slice(state.index));
+  if (!match) {
+    throw new Error(`Projection: WKT inválido na posição ${state.index + 1}`);
+  }
+  state.index += match[0].length;
+  skipSpaces(state);
+  
+  const node = { keyword: match[0].toUpperCase(), values: [] };
+  const open = state.text[state.index];
+  if (open !== '[' && open !== '(') return node;
+  
+  const close = open === '[' ? ']' : ')';
+  state.index++;
+  for (;;) {
+    skipSpaces(state);
+    const char = state.text[state.index];
+    if (char === undefined) {
+      throw new Error('Projection: WKT incompleto');
+    }
+    
+    if (char === '"') {
+      const end = state.text.indexOf('"', state.index + 1);
+      if (end === -1) throw new Error('Projection: texto sem aspas de fechamento');
+      node.values.push(state.text.slice(state.index + 1, end));
+      state.index = end + 1;
+    } else if (/[-+.\d]/.test(char)) {
+      const number = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(state.text.slice(state.index));
+      if (!number) throw new Error(`Projection: número inválido na posição ${state.index + 1}`);
+      node.values.push(Number(number[0]));
+      state.index += number[0].length;
+    } else {
+      node.values.push(readNode(state));
+    }
+    
+    skipSpaces(state);
+    const next = state.text[state.index++];
+    if (next === close) return node;
+    if (next !== ',') {
+      throw new Error(`Projection: esperado "," ou "${close}" na posição ${state.index}`);
+    }
+  }
+}
+
+function findChild(node, keyword) {
+  return node.values.find(child => child && child.keyword === keyword) || null;
+}
+
+function createInverse(definition) {
+  const { a, f } = definition.ellipsoid;
+  const e2 = f * (2 - f);
+  const e = Math.sqrt(e2);
+  const toDegrees = definition.angularUnit / DEG;
+  
+  if (definition.type === PROJECTION_TYPES.GEOGRAPHIC) {
+    return (x, y) => [x * toDegrees + definition.primeMeridian * toDegrees, y * toDegrees];
+  }
+  
+  const unit = definition.linearUnit;
+  const lon0 = definition.centralMeridian * definition.angularUnit + definition.primeMeridian * definition.angularUnit;
+  const lat0 = definition.latitudeOfOrigin * definition.angularUnit;
+  const falseEasting = definition.falseEasting * unit;
+  const falseNorthing = definition.falseNorthing * unit;
+  
+  if (definition.type === PROJECTION_TYPES.MERCATOR) {
+    // Mercator 2SP: o fator de escala vem do paralelo padrão
+    let k0 = definition.scaleFactor;
+    if (definition.standardParallel !== null) {
+      const phi1 = definition.standardParallel * definition.angularUnit;
+      k0 = Math.cos(phi1) / Math.sqrt(1 - e2 * Math.sin(phi1) * Math.sin(phi1));
+    }
+    return (x, y) => {
+      const lon = lon0 + (x * unit - falseEasting) / (a * k0);
+      const t = Math.exp(-(y * unit - falseNorthing) / (a * k0));
+      let phi = Math.PI / 2 - 2 * Math.atan(t);
+      for (let i = 0; i < 15 && e > 0; i++) {
+        const sinPhi = e * Math.sin(phi);
+        const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - sinPhi) / (1 + sinPhi), e / 2));
+        if (Math.abs(next - phi) < 1e-12) {
+          phi = next;
+          break;
+        }
+        phi = next;
+      }
+      return [lon / DEG, phi / DEG];
+    };
+  }
+  
+  // Transverse Mercator (Snyder, USGS Professional Paper 1395)
+  const k0 = definition.scaleFactor;
+  const ep2 = e2 / (1 - e2);
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const meridianArc = phi => a * (
+    (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+  const m0 = meridianArc(lat0);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  
+  return (x, y) => {
+    const m = m0 + (y * unit - falseNorthing) / k0;
+    const mu = m / (a * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+      (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+      (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+    
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const tanPhi = Math.tan(phi1);
+    const c1 = ep2 * cosPhi * cosPhi;
+    const t1 = tanPhi * tanPhi;
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const d = (x * unit - falseEasting) / (n1 * k0);
+    
+    const lat = phi1 - (n1 * tanPhi / r1) * (
+      d * d / 2 -
+      (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+      (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+    );
+    const lon = lon0 + (
+      d -
+      (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+      (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+    ) / cosPhi;
+    return [lon / DEG, lat / DEG];
+  };
+}
+
+function createDatumShift(ellipsoid, parameters) {
+  // Helmert (convenção "position vector" do TOWGS84): translações em m, rotações em segundos de arco, escala em ppm
+  const [dx, dy, dz, rx = 0, ry = 0, rz = 0, ds = 0] = parameters;
+  const arcSecond = DEG / 3600;
+  const scale = 1 + ds * 1e-6;
+  
+  return (lng, lat) => {
+    const [x, y, z] = toGeocentric(lng, lat, ellipsoid);
+    const shifted = [
+      dx + scale * (x - rz * arcSecond * y + ry * arcSecond * z),
+      dy + scale * (rz * arcSecond * x + y - rx * arcSecond * z),
+      dz + scale * (-ry * arcSecond * x + rx * arcSecond * y + z)
+    ];
+    return fromGeocentric(shifted, WGS84_ELLIPSOID);
+  };
+}
+
+function toGeocentric(lng, lat, ellipsoid) {
+  const e2 = ellipsoid.f * (2 - ellipsoid.f);
+  const phi = lat * DEG;
+  const lambda = lng * DEG;
+  const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+  return [
+    n * Math.cos(phi) * Math.cos(lambda),
+    n * Math.cos(phi) * Math.sin(lambda),
+    n * (1 - e2) * Math.sin(phi)
+  ];
+}
+
+function fromGeocentric([x, y, z], ellipsoid) {
+  const e2 = ellipsoid.f * (2 - ellipsoid.f);
+  const p = Math.hypot(x, y);
+  let phi = Math.atan2(z, p * (1 - e2));
+  for (let i = 0; i < 10; i++) {
+    const n = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+    const next = Math.atan2(z + e2 * n * Math.sin(phi), p);
+    if (Math.abs(next - phi) < 1e-14) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+  return [Math.atan2(y, x) / DEG, phi / DEG];
+}
+
+export default {
+  PROJECTION_TYPES,
+  parsePRJ,
+  isWGS84,
+  createTransform,
+  transformGeometry
+};
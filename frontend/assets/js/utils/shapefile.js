@@ -0,0 +1,401 @@
+/**
+ * Shapefile - Importação de shapefiles (.shp, .dbf, .prj, .cpg), soltos ou compactados em .zip
+ *
+ * - Tipos: Point, MultiPoint, PolyLine e Polygon (inclusive as variantes Z e M; Z e M são descartados)
+ * - Polígonos: anéis no sentido horário são externos; os anti-horários viram furos do anel externo que os contém
+ * - Atributos do .dbf viram propriedades (C, N, F, L, D); codificação pelo .cpg ou detectada (UTF-8 / Latin-1)
+ * - Coordenadas são reprojetadas para WGS84 quando o .prj indica outro sistema (ver projection.js)
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { pointInRing } from './geometry.js';
+import { createTransform, isWGS84, parsePRJ, transformGeometry } from './projection.js';
+import { readZip } from './zip.js';
+
+const SHP_FILE_CODE = 9994;
+
+const SHAPE_TYPES = {
+  NULL: 0,
+  POINT: 1,
+  POLYLINE: 3,
+  POLYGON: 5,
+  MULTIPOINT: 8,
+  MULTIPATCH: 31
+};
+
+/**
+ * Lê as geometrias de um arquivo .shp
+ * @param {ArrayBuffer|Uint8Array} data - Conteúdo do .shp
+ * @returns {Array} Geometrias GeoJSON, na ordem dos registros (null para registros vazios ou não suportados)
+ * @throws {Error} Se o arquivo não for um .shp válido
+ */
+export function parseSHP(data) {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 100 || view.getInt32(0, false) !== SHP_FILE_CODE) {
+    throw new Error('Shapefile: arquivo .shp inválido');
+  }
+  
+  const end = Math.min(bytes.length, view.getInt32(24, false) * 2);
+  const geometries = [];
+  let offset = 100;
+  
+  while (offset + 8 <= end) {
+    const length = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    if (start + length > bytes.length) {
+      throw new Error(`Shapefile: registro ${geometries.length + 1} incompleto`);
+    }
+    geometries.push(length >= 4 ? readShape(view, start) : null);
+    offset = start + length;
+  }
+  
+  return geometries;
+}
+
+/**
+ * Lê os atributos de um arquivo .dbf (dBase III)
+ * @param {ArrayBuffer|Uint8Array} data - Conteúdo do .dbf
+ * @param {Object} options - { encoding: codificação dos textos (padrão: UTF-8 com alternativa Latin-1) }
+ * @returns {Object} { fields: [{ name, type, length, decimals }], records: [objeto por registro, null se excluído] }
+ * @throws {Error} Se o arquivo não for um .dbf válido
+ */
+export function parseDBF(data, options = {}) {
+  const bytes = toBytes(data);
+  if (bytes.length < 32) {
+    throw new Error('Shapefile: arquivo .dbf inválido');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+  const decode = createTextDecoder(options.encoding);
+  
+  const fields = [];
+  let fieldOffset = 1;
+  for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0d; offset += 32) {
+    const nameBytes = bytes.subarray(offset, offset + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    fields.push({
+      name: decode(nameBytes.subarray(0, nameEnd === -1 ? 11 : nameEnd)).trim(),
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16],
+      decimals: bytes[offset + 17],
+      offset: fieldOffset
+    });
+    fieldOffset += bytes[offset + 16];
+  }
+  
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const start = headerLength + i * recordLength;
+    if (start + recordLength > bytes.length) break;
+    
+    // '*' marca registro excluído
+    if (bytes[start] === 0x2a) {
+      records.push(null);
+      continue;
+    }
+    
+    const record = {};
+    fields.forEach(field => {
+      const raw = bytes.subarray(start + field.offset, start + field.offset + field.length);
+      record[field.name] = readField(field, raw, decode);
+    });
+    records.push(record);
+  }
+  
+  return {
+    fields: fields.map(({ name, type, length, decimals }) => ({ name, type, length, decimals })),
+    records: records
+  };
+}
+
+/**
+ * Converte os arquivos de um shapefile em FeatureCollection
+ * @param {Object} files - { shp, dbf, prj, cpg } (ArrayBuffer/Uint8Array; prj e cpg também aceitam texto)
+ * @param {Object} options - Opções
+ * @param {string} options.prj - WKT do sistema de coordenadas (substitui o .prj)
+ * @param {string} options.encoding - Codificação do .dbf (substitui o .cpg)
+ * @returns {Object} FeatureCollection com metadata { projection, reprojected, skipped }
+ * @throws {Error} Se os arquivos forem inválidos ou o sistema de coordenadas não for suportado
+ */
+export function parseShapefile(files, options = {}) {
+  if (!files.shp) {
+    throw new Error('Shapefile: arquivo .shp ausente');
+  }
+  
+  const geometries = parseSHP(files.shp);
+  const encoding = options.encoding || (files.cpg ? resolveEncoding(toText(files.cpg)) : null);
+  const table = files.dbf ? parseDBF(files.dbf, { encoding: encoding }) : { records: [] };
+  
+  const prj = options.prj || (files.prj ? toText(files.prj) : null);
+  const definition = prj ? parsePRJ(prj) : null;
+  const transform = definition && !isWGS84(definition) ? createTransform(definition) : null;
+  
+  const features = [];
+  let skipped = 0;
+  geometries.forEach((geometry, index) => {
+    const record = table.records[index];
+    if (!geometry || record === null) {
+      skipped++;
+      return;
+    }
+    features.push({
+      type: 'Feature',
+      geometry: transform ? transformGeometry(geometry, transform) : geometry,
+      properties: Object.assign({}, record || {})
+    });
+  });
+  
+  if (!transform && features.some(feature => !isGeographic(feature.geometry))) {
+    throw new Error(prj
+      ? 'Shapefile: coordenadas fora do intervalo geográfico para o sistema do .prj'
+      : 'Shapefile: arquivo .prj ausente e coordenadas projetadas; informe o sistema de coordenadas (options.prj)');
+  }
+  
+  return {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: {
+      projection: definition ? definition.name : null,
+      reprojected: !!transform,
+      skipped: skipped
+    }
+  };
+}
+
+/**
+ * Lê um shapefile compactado (.zip com .shp, .dbf, .prj e .cpg)
+ * Com várias camadas no mesmo arquivo, todas são lidas (ou apenas options.layer)
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Conteúdo do .zip
+ * @param {Object} options - Opções de parseShapefile e
+ *   { layer: nome da camada (sem extensão), onProgress: ({ stage, loaded, total, layer }) => void }
+ * @returns {Promise<Object>} FeatureCollection com metadata { layers: [{ name, count, projection, reprojected, skipped }] }
+ * @throws {Error} Se não houver .shp no arquivo ou algum arquivo for inválido
+ */
+export async function parseShapefileZip(data, options = {}) {
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  const entries = await readZip(data, name => {
+    const fileName = name.split('/').pop();
+    return !name.startsWith('__MACOSX/') && !fileName.startsWith('._') && /\.(shp|dbf|prj|cpg)$/i.test(fileName);
+  });
+  
+  // Agrupa os arquivos por camada (caminho sem extensão)
+  const layers = {};
+  Object.keys(entries).forEach(name => {
+    const base = name.replace(/\.[^./]+$/, '');
+    const extension = name.slice(base.length + 1).toLowerCase();
+    const key = base.toLowerCase();
+    layers[key] = layers[key] || { name: base.split('/').pop(), files: {} };
+    layers[key].files[extension] = entries[name];
+  });
+  
+  const selected = Object.values(layers).filter(layer =>
+    layer.files.shp && (!options.layer || layer.name.toLowerCase() === String(options.layer).toLowerCase())
+  );
+  if (selected.length === 0) {
+    throw new Error(options.layer
+      ? `Shapefile: camada "${options.layer}" não encontrada no arquivo`
+      : 'Shapefile: nenhum arquivo .shp no arquivo compactado');
+  }
+  onProgress({ stage: 'reading', loaded: selected.length, total: selected.length });
+  
+  const features = [];
+  const summary = [];
+  selected.forEach((layer, index) => {
+    const collection = parseShapefile(layer.files, options);
+    collection.features.forEach(feature => features.push(feature));
+    summary.push(Object.assign({ name: layer.name, count: collection.features.length }, collection.metadata));
+    onProgress({ stage: 'parsing', loaded: index + 1, total: selected.length, layer: layer.name });
+  });
+  
+  return {
+    type: 'FeatureCollection',
+    features: features,
+    metadata: { layers: summary }
+  };
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new Error('Shapefile: dados devem ser ArrayBuffer ou Uint8Array');
+}
+
+function toText(data) {
+  return typeof data === 'string' ? data : new TextDecoder('utf-8').decode(toBytes(data));
+}
+
+function readShape(view, offset) {
+  const shapeType = view.getInt32(offset, true);
+  // Variantes Z (+10) e M (+20) têm o mesmo início da forma 2D; MultiPatch (31) não é suportado
+  const baseType = shapeType === SHAPE_TYPES.MULTIPATCH ? null : shapeType % 10;
+  const readPoint = position => [view.getFloat64(position, true), view.getFloat64(position + 8, true)];
+  
+  switch (baseType) {
+    case SHAPE_TYPES.POINT:
+      return { type: GEOMETRY_TYPES.POINT, coordinates: readPoint(offset + 4) };
+    case SHAPE_TYPES.MULTIPOINT: {
+      const count = view.getInt32(offset + 36, true);
+      const points = [];
+      for (let i = 0; i < count; i++) {
+        points.push(readPoint(offset + 40 + i * 16));
+      }
+      return points.length === 1
+        ? { type: GEOMETRY_TYPES.POINT, coordinates: points[0] }
+        : { type: GEOMETRY_TYPES.MULTI_POINT, coordinates: points };
+    }
+    case SHAPE_TYPES.POLYLINE:
+    case SHAPE_TYPES.POLYGON: {
+      const parts = readParts(view, offset, readPoint);
+      if (parts.length === 0) return null;
+      if (baseType === SHAPE_TYPES.POLYGON) {
+        return buildPolygon(parts);
+      }
+      return parts.length === 1
+        ? { type: GEOMETRY_TYPES.LINE_STRING, coordinates: parts[0] }
+        : { type: GEOMETRY_TYPES.MULTI_LINE_STRING, coordinates: parts };
+    }
+    default:
+      return null;
+  }
+}
+
+function readParts(view, offset, readPoint) {
+  const partCount = view.getInt32(offset + 36, true);
+  const pointCount = view.getInt32(offset + 40, true);
+  const pointsOffset = offset + 44 + partCount * 4;
+  const starts = [];
+  for (let i = 0; i < partCount; i++) {
+    starts.push(view.getInt32(offset + 44 + i * 4, true));
+  }
+  
+  return starts
+    .map((start, index) => {
+      const partEnd = index + 1 < starts.length ? starts[index + 1] : pointCount;
+      const points = [];
+      for (let i = start; i < partEnd; i++) {
+        points.push(readPoint(pointsOffset + i * 16));
+      }
+      return points;
+    })
+    .filter(points => points.length >= 2);
+}
+
+function buildPolygon(rings) {
+  // Anéis externos em sentido horário (área com sinal negativa); furos em sentido anti-horário
+  const polygons = [];
+  const holes = [];
+  rings.forEach(ring => {
+    if (ringSignedArea(ring) <= 0) {
+      polygons.push([ring]);
+    } else {
+      holes.push(ring);
+    }
+  });
+  
+  holes.forEach(hole => {
+    const owner = polygons.find(polygon => pointInRing(hole[0], polygon[0]));
+    if (owner) {
+      owner.push(hole);
+    } else {
+      // Furo sem anel externo: tratado como polígono (arquivos com orientação invertida)
+      polygons.push([hole]);
+    }
+  });
+  
+  return polygons.length === 1
+    ? { type: GEOMETRY_TYPES.POLYGON, coordinates: polygons[0] }
+    : { type: GEOMETRY_TYPES.MULTI_POLYGON, coordinates: polygons };
+}
+
+function ringSignedArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+function isGeographic(geometry) {
+  const visit = coordinates => typeof coordinates[0] === 'number'
+    ? Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90
+    : coordinates.every(visit);
+  return visit(geometry.coordinates);
+}
+
+function resolveEncoding(cpg) {
+  // Aceita rótulos (UTF-8, ISO-8859-1) e páginas de código (1252, ANSI 1252, 88591, 65001)
+  const text = cpg.trim();
+  const codePage = /^(?:ansi\s*|cp\s*|windows-?)?(\d{3,5})$/i.exec(text);
+  let label = text;
+  if (codePage) {
+    const code = codePage[1];
+    if (code === '65001') {
+      label = 'utf-8';
+    } else if (/^8859\d+$/.test(code)) {
+      label = `iso-8859-${code.slice(4)}`;
+    } else {
+      label = `windows-${code}`;
+    }
+  }
+  
+  try {
+    new TextDecoder(label);
+    return label;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createTextDecoder(encoding) {
+  if (encoding) {
+    const decoder = new TextDecoder(encoding);
+    return bytes => decoder.decode(bytes);
+  }
+  
+  // Sem codificação conhecida: UTF-8 e, se inválido, Latin-1 (Windows-1252)
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  const latin1 = new TextDecoder('windows-1252');
+  return bytes => {
+    try {
+      return utf8.decode(bytes);
+    } catch (error) {
+      return latin1.decode(bytes);
+    }
+  };
+}
+
+function readField(field, raw, decode) {
+  const text = decode(raw).replace(/\0/g, '').trim();
+  
+  switch (field.type) {
+    case 'N':
+    case 'F': {
+      if (text === '' || /^\*+$/.test(text)) return null;
+      const number = Number(text);
+      return isNaN(number) ? null : number;
+    }
+    case 'L':
+      if (/^[TtYy]$/.test(text)) return true;
+      if (/^[FfNn]$/.test(text)) return false;
+      return null;
+    case 'D':
+      return /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}` : null;
+    default:
+      return text;
+  }
+}
+
+export default {
+  parseSHP,
+  parseDBF,
+  parseShapefile,
+  parseShapefileZip
+};
@@ -0,0 +1,118 @@
+/**
+ * SimpleStyle - Conversão entre simplestyle-spec e estilos Leaflet
+ *
+ * Arquivos do geojson.io e de outras ferramentas guardam o estilo nas
+ * propriedades da feature (stroke, stroke-width, fill, marker-color...).
+ * Especificação: https://github.com/mapbox/simplestyle-spec
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+
+const POINT_TYPES = [GEOMETRY_TYPES.POINT, GEOMETRY_TYPES.MULTI_POINT];
+
+// Propriedade simplestyle → [chave de estilo, conversor]
+const PATH_MAPPING = {
+  'stroke': ['color', toColor],
+  'stroke-width': ['weight', toNumber],
+  'stroke-opacity': ['opacity', toNumber],
+  'fill': ['fillColor', toColor],
+  'fill-opacity': ['fillOpacity', toNumber]
+};
+
+const MARKER_MAPPING = {
+  'marker-color': ['markerColor', toColor],
+  'marker-size': ['markerSize', toText],
+  'marker-symbol': ['markerSymbol', toText]
+};
+
+export const SIMPLESTYLE_KEYS = Object.keys(PATH_MAPPING).concat(Object.keys(MARKER_MAPPING));
+
+/**
+ * Converte propriedades simplestyle em estilo BeraMap/Leaflet
+ * @param {Object} properties - Propriedades da feature
+ * @param {string} geometryType - Tipo de geometria
+ * @returns {Object} Estilo (apenas chaves presentes nas propriedades)
+ */
+export function simpleStyleToLeaflet(properties, geometryType) {
+  const style = {};
+  if (!properties) return style;
+  
+  const mapping = POINT_TYPES.includes(geometryType)
+    ? MARKER_MAPPING
+    : Object.assign({}, PATH_MAPPING, geometryType === GEOMETRY_TYPES.GEOMETRY_COLLECTION ? MARKER_MAPPING : {});
+  
+  Object.entries(mapping).forEach(([key, [styleKey, convert]]) => {
+    if (properties[key] === undefined || properties[key] === null) return;
+    const value = convert(properties[key]);
+    if (value !== null) {
+      style[styleKey] = value;
+    }
+  });
+  
+  return style;
+}
+
+/**
+ * Converte um estilo BeraMap/Leaflet em propriedades simplestyle
+ * @param {Object} style - Estilo
+ * @param {string} geometryType - Tipo de geometria
+ * @returns {Object} Propriedades simplestyle
+ */
+export function leafletToSimpleStyle(style, geometryType) {
+  const properties = {};
+  if (!style) return properties;
+  
+  if (POINT_TYPES.includes(geometryType)) {
+    const markerColor = style.markerColor || style.color;
+    if (markerColor) properties['marker-color'] = markerColor;
+    if (style.markerSize) properties['marker-size'] = style.markerSize;
+    if (style.markerSymbol) properties['marker-symbol'] = style.markerSymbol;
+    return properties;
+  }
+  
+  Object.entries(PATH_MAPPING).forEach(([key, [styleKey]]) => {
+    if (style[styleKey] !== undefined && style[styleKey] !== null) {
+      properties[key] = style[styleKey];
+    }
+  });
+  
+  return properties;
+}
+
+/**
+ * Remove as propriedades simplestyle de um objeto de propriedades
+ * @param {Object} properties - Propriedades
+ * @returns {Object} Cópia sem as chaves simplestyle
+ */
+export function stripSimpleStyle(properties) {
+  const result = Object.assign({}, properties || {});
+  SIMPLESTYLE_KEYS.forEach(key => delete result[key]);
+  return result;
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function toColor(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const color = value.trim();
+  // simplestyle permite cores sem '#' (ex: "ff0000")
+  return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? '#' + color : color;
+}
+
+function toText(value) {
+  return value === '' ? null : String(value);
+}
+
+export default {
+  SIMPLESTYLE_KEYS,
+  simpleStyleToLeaflet,
+  leafletToSimpleStyle,
+  stripSimpleStyle
+};
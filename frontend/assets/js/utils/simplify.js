@@ -0,0 +1,324 @@
+/**
+ * Simplify - Simplificação de linhas e polígonos do BeraMap
+ *
+ * - Douglas–Peucker: remove vértices a menos de N metros da reta entre os vértices mantidos
+ * - Visvalingam–Whyatt: remove vértices cujo triângulo com os vizinhos tem área efetiva menor que N² m²
+ *
+ * Extremidades de linhas são sempre mantidas e anéis fechados mantêm ao menos três vértices.
+ * Os cálculos usam uma projeção plana local (metros). Não dependem do Leaflet.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { getGeometryBounds } from './geometry.js';
+import { createLocalProjection } from './spatial.js';
+
+export const SIMPLIFY_METHODS = {
+  DOUGLAS_PEUCKER: 'douglas-peucker',
+  VISVALINGAM: 'visvalingam'
+};
+
+/**
+ * Simplifica uma geometria, sem alterar a original
+ * Pontos, MultiPoint e Circle são devolvidos sem alteração
+ * @param {Object} geometry - Geometria GeoJSON
+ * @param {number} tolerance - Tolerância em metros
+ * @param {Object} options - { method: 'douglas-peucker' (padrão) ou 'visvalingam' }
+ * @returns {Object} Geometria simplificada (a própria geometria se a tolerância não for positiva)
+ * @throws {Error} Se o método for desconhecido
+ */
+export function simplifyGeometry(geometry, tolerance, options = {}) {
+  const method = options.method || SIMPLIFY_METHODS.DOUGLAS_PEUCKER;
+  if (!Object.values(SIMPLIFY_METHODS).includes(method)) {
+    throw new Error(`Simplify: método desconhecido "${method}"; use ${Object.values(SIMPLIFY_METHODS).join(', ')}`);
+  }
+  if (!geometry || !(tolerance > 0)) return geometry;
+  
+  const bounds = getGeometryBounds(geometry);
+  if (!bounds) return geometry;
+  
+  const projection = createLocalProjection(
+    (bounds.minLat + bounds.maxLat) / 2,
+    (bounds.minLng + bounds.maxLng) / 2
+  );
+  return simplifyChild(geometry, tolerance, method, projection);
+}
+
+/**
+ * Simplifica uma sequência de posições
+ * @param {Array} positions - Array de [lng, lat]
+ * @param {number} tolerance - Tolerância em metros
+ * @param {Object} options - { method, closed: anel fechado (primeira posição igual à última) }
+ * @returns {Array} Posições mantidas (novo array)
+ */
+export function simplifyPositions(positions, tolerance, options = {}) {
+  const geometry = {
+    type: options.closed ? GEOMETRY_TYPES.POLYGON : GEOMETRY_TYPES.LINE_STRING,
+    coordinates: options.closed ? [positions] : positions
+  };
+  const simplified = simplifyGeometry(geometry, tolerance, options);
+  const result = options.closed ? simplified.coordinates[0] : simplified.coordinates;
+  return result.slice();
+}
+
+/**
+ * Conta as posições de uma geometria
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {number} Quantidade de posições
+ */
+export function countPositions(geometry) {
+  if (!geometry) return 0;
+  if (geometry.type === GEOMETRY_TYPES.GEOMETRY_COLLECTION) {
+    return geometry.geometries.reduce((total, child) => total + countPositions(child), 0);
+  }
+  
+  const count = coordinates => typeof coordinates[0] === 'number'
+    ? 1
+    : coordinates.reduce((total, child) => total + count(child), 0);
+  return geometry.coordinates ? count(geometry.coordinates) : 0;
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function simplifyChild(geometry, tolerance, method, projection) {
+  const line = positions => simplifyLine(positions, tolerance, method, projection);
+  const ring = positions => simplifyRing(positions, tolerance, method, projection);
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.LINE_STRING:
+      return Object.assign({}, geometry, { coordinates: line(geometry.coordinates) });
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      return Object.assign({}, geometry, { coordinates: geometry.coordinates.map(line) });
+    case GEOMETRY_TYPES.POLYGON:
+      return Object.assign({}, geometry, { coordinates: geometry.coordinates.map(ring) });
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      return Object.assign({}, geometry, {
+        coordinates: geometry.coordinates.map(polygon => polygon.map(ring))
+      });
+    case GEOMETRY_TYPES.DRAWING:
+      return Object.assign({}, geometry, {
+        coordinates: isClosed(geometry.coordinates) ? ring(geometry.coordinates) : line(geometry.coordinates)
+      });
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      return Object.assign({}, geometry, {
+        geometries: geometry.geometries.map(child => simplifyChild(child, tolerance, method, projection))
+      });
+    default:
+      return geometry;
+  }
+}
+
+function simplifyLine(positions, tolerance, method, projection) {
+  if (positions.length <= 2) return positions.slice();
+  
+  const points = positions.map(projection.toPlanar);
+  const keep = method === SIMPLIFY_METHODS.VISVALINGAM
+    ? visvalingam(points, tolerance * tolerance, false)
+    : douglasPeucker(points, tolerance, 0, points.length - 1);
+  return positions.filter((position, index) => keep[index]);
+}
+
+function simplifyRing(positions, tolerance, method, projection) {
+  if (!isClosed(positions) || positions.length <= 4) return positions.slice();
+  
+  // Anel sem o vértice de fechamento, dividido no vértice mais distante do primeiro
+  const points = positions.slice(0, -1).map(projection.toPlanar);
+  let keep;
+  if (method === SIMPLIFY_METHODS.VISVALINGAM) {
+    keep = visvalingam(points, tolerance * tolerance, true);
+  } else {
+    const far = farthestFrom(points, points[0]);
+    const closedPoints = points.concat([points[0]]);
+    keep = douglasPeucker(closedPoints, tolerance, 0, far);
+    const rest = douglasPeucker(closedPoints, tolerance, far, closedPoints.length - 1);
+    rest.forEach((kept, index) => {
+      if (kept) keep[index] = true;
+    });
+    keep.length = points.length;
+    ensureTriangle(points, keep, far);
+  }
+  
+  const result = positions.slice(0, -1).filter((position, index) => keep[index]);
+  return result.concat([result[0].slice()]);
+}
+
+function douglasPeucker(points, tolerance, first, last) {
+  const keep = new Array(points.length).fill(false);
+  keep[first] = true;
+  keep[last] = true;
+  
+  const stack = [[first, last]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = -1;
+    let index = -1;
+    
+    for (let i = start + 1; i < end; i++) {
+      const distance = segmentDistance(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+  
+  return keep;
+}
+
+function visvalingam(points, minArea, closed) {
+  const count = points.length;
+  const minimum = closed ? 3 : 2;
+  const keep = new Array(count).fill(true);
+  const prev = points.map((point, index) => closed ? (index - 1 + count) % count : index - 1);
+  const next = points.map((point, index) => closed ? (index + 1) % count : (index + 1 < count ? index + 1 : -1));
+  const areas = new Array(count);
+  const heap = new MinHeap();
+  
+  const computeArea = index => (prev[index] === -1 || next[index] === -1)
+    ? Infinity
+    : triangleArea(points[prev[index]], points[index], points[next[index]]);
+  
+  for (let i = 0; i < count; i++) {
+    areas[i] = computeArea(i);
+    heap.push(areas[i], i);
+  }
+  
+  let remaining = count;
+  let lastArea = 0;
+  while (remaining > minimum && heap.size() > 0) {
+    const { value, index } = heap.pop();
+    
+    // Entradas desatualizadas (vértice removido ou área recalculada) são ignoradas
+    if (!keep[index] || value !== areas[index]) continue;
+    if (value === Infinity) break;
+    
+    // Área efetiva: nunca menor que a do último vértice removido
+    const effectiveArea = Math.max(value, lastArea);
+    if (effectiveArea >= minArea) break;
+    lastArea = effectiveArea;
+    
+    keep[index] = false;
+    remaining--;
+    const before = prev[index];
+    const after = next[index];
+    if (before !== -1) next[before] = after;
+    if (after !== -1) prev[after] = before;
+    
+    [before, after].forEach(neighbor => {
+      if (neighbor === -1) return;
+      areas[neighbor] = computeArea(neighbor);
+      heap.push(areas[neighbor], neighbor);
+    });
+  }
+  
+  return keep;
+}
+
+function ensureTriangle(points, keep, far) {
+  // Anel reduzido a dois vértices recebe o vértice mais distante da reta entre eles
+  if (keep.filter(Boolean).length >= 3) return;
+  
+  let maxDistance = -1;
+  let index = -1;
+  points.forEach((point, i) => {
+    if (keep[i]) return;
+    const distance = segmentDistance(point, points[0], points[far]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  });
+  if (index !== -1) keep[index] = true;
+}
+
+function farthestFrom(points, origin) {
+  let maxDistance = -1;
+  let index = 1;
+  points.forEach((point, i) => {
+    const distance = Math.hypot(point[0] - origin[0], point[1] - origin[1]);
+    if (i > 0 && distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  });
+  return index;
+}
+
+function segmentDistance(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) {
+    return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  }
+  
+  const t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSq));
+  return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+function triangleArea(a, b, c) {
+  return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+}
+
+function isClosed(positions) {
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  return positions.length >= 4 && first[0] === last[0] && first[1] === last[1];
+}
+
+// Heap binário mínimo de { value, index }
+class MinHeap {
+  constructor() {
+    this._items = [];
+  }
+  
+  size() {
+    return this._items.length;
+  }
+  
+  push(value, index) {
+    const items = this._items;
+    items.push({ value: value, index: index });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].value <= items[i].value) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+  
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].value < items[smallest].value) smallest = left;
+        if (right < items.length && items[right].value < items[smallest].value) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export default {
+  SIMPLIFY_METHODS,
+  simplifyGeometry,
+  simplifyPositions,
+  countPositions
+};
@@ -0,0 +1,531 @@
+/**
+ * Spatial - Predicados e distâncias entre geometrias do BeraMap
+ *
+ * Distâncias em metros calculadas em uma projeção plana local (equiretangular
+ * centrada nas geometrias comparadas), adequada a distâncias regionais.
+ * Círculos são tratados como discos (centro + raio em metros, informado em
+ * geometry.radius ou geometry.properties.radius) e Drawings fechados como polígonos.
+ * Não dependem do Leaflet, podendo ser usadas por managers e renderers.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { EARTH_RADIUS, getGeometryBounds, pointInPolygon } from './geometry.js';
+
+const METERS_PER_DEGREE = (EARTH_RADIUS * Math.PI) / 180;
+
+// Tolerância (metros) para posições coincidentes nos predicados de interior
+const INTERIOR_TOLERANCE = 1e-3;
+
+/**
+ * Calcula os pontos mais próximos entre duas geometrias
+ * Se as geometrias se tocam, a distância é 0 e os pontos são um ponto em comum
+ * @param {Object} geometryA - Geometria GeoJSON
+ * @param {Object} geometryB - Geometria GeoJSON
+ * @returns {Object|null} { distance (metros), from: [lat, lng] em A, to: [lat, lng] em B } ou null
+ */
+export function closestPoints(geometryA, geometryB) {
+  const origin = getOrigin(geometryA, geometryB);
+  if (!origin) return null;
+  
+  const result = closestPlanar(geometryA, geometryB, origin);
+  if (!result) return null;
+  
+  return {
+    distance: result.distance,
+    from: unproject(result.a, origin),
+    to: unproject(result.b, origin)
+  };
+}
+
+/**
+ * Calcula a menor distância entre duas geometrias
+ * @param {Object} geometryA - Geometria GeoJSON
+ * @param {Object} geometryB - Geometria GeoJSON
+ * @returns {number} Distância em metros (Infinity se alguma geometria for vazia)
+ */
+export function geometryDistance(geometryA, geometryB) {
+  const result = closestPoints(geometryA, geometryB);
+  return result ? result.distance : Infinity;
+}
+
+/**
+ * Verifica se duas geometrias se intersectam (cruzam, tocam ou uma contém a outra)
+ * @param {Object} geometryA - Geometria GeoJSON
+ * @param {Object} geometryB - Geometria GeoJSON
+ * @returns {boolean}
+ */
+export function geometriesIntersect(geometryA, geometryB) {
+  return geometryDistance(geometryA, geometryB) === 0;
+}
+
+/**
+ * Verifica se os interiores de duas geometrias se intersectam (como ST_Crosses/ST_Overlaps)
+ * Geometrias que apenas se tocam (linhas unidas pelas extremidades, polígonos com
+ * aresta ou vértice em comum, linha apoiada na borda de um polígono) retornam false.
+ * O interior de uma linha exclui as extremidades; o de um polígono, a borda.
+ * @param {Object} geometryA - Geometria GeoJSON
+ * @param {Object} geometryB - Geometria GeoJSON
+ * @returns {boolean}
+ */
+export function interiorsIntersect(geometryA, geometryB) {
+  const origin = getOrigin(geometryA, geometryB);
+  if (!origin) return false;
+  
+  // Disco: o interior é alcançado quando a distância ao centro é menor que o raio
+  if (geometryA.type === GEOMETRY_TYPES.CIRCLE || geometryB.type === GEOMETRY_TYPES.CIRCLE) {
+    const circle = geometryA.type === GEOMETRY_TYPES.CIRCLE ? geometryA : geometryB;
+    const other = circle === geometryA ? geometryB : geometryA;
+    const center = { type: GEOMETRY_TYPES.POINT, coordinates: circle.coordinates };
+    const result = closestPlanar(center, other, origin);
+    return !!result && result.distance < getCircleRadius(circle) - INTERIOR_TOLERANCE;
+  }
+  
+  const partsA = splitShape(toShape(geometryA, origin));
+  const partsB = splitShape(toShape(geometryB, origin));
+  
+  return partsA.lines.some(line => partsB.lines.some(other => linesCross(line, other))) ||
+    partsA.lines.some(line => lineEntersPolygons(line, partsB.polygons)) ||
+    partsB.lines.some(line => lineEntersPolygons(line, partsA.polygons)) ||
+    polygonsOverlap(partsA.polygons, partsB.polygons) ||
+    polygonsOverlap(partsB.polygons, partsA.polygons);
+}
+
+/**
+ * Verifica se uma geometria contém um ponto
+ * Polígonos, círculos e desenhos fechados pela área; pontos e linhas
+ * quando o ponto está a até `tolerance` metros
+ * @param {Object} geometry - Geometria GeoJSON
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} tolerance - Tolerância em metros (padrão: 0)
+ * @returns {boolean}
+ */
+export function geometryContainsPoint(geometry, lat, lng, tolerance = 0) {
+  return geometryDistance(geometry, { type: GEOMETRY_TYPES.POINT, coordinates: [lng, lat] }) <= tolerance;
+}
+
+/**
+ * Cria uma projeção plana local (equiretangular, em metros) centrada em uma posição
+ * @param {number} lat - Latitude da origem
+ * @param {number} lng - Longitude da origem
+ * @returns {Object} { toPlanar([lng, lat]) => [x, y], toPosition([x, y]) => [lng, lat] }
+ */
+export function createLocalProjection(lat, lng) {
+  const cos = Math.cos((lat * Math.PI) / 180);
+  return {
+    toPlanar: position => [
+      (position[0] - lng) * cos * METERS_PER_DEGREE,
+      (position[1] - lat) * METERS_PER_DEGREE
+    ],
+    toPosition: point => [
+      point[0] / (cos * METERS_PER_DEGREE) + lng,
+      point[1] / METERS_PER_DEGREE + lat
+    ]
+  };
+}
+
+/**
+ * Verifica se um Drawing é fechado (primeira posição igual à última)
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {boolean}
+ */
+export function isClosedDrawing(geometry) {
+  if (!geometry || geometry.type !== GEOMETRY_TYPES.DRAWING) return false;
+  
+  const coords = geometry.coordinates;
+  if (coords.length < 4) return false;
+  
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Obtém o raio (metros) de uma geometria Circle
+ * @param {Object} geometry - Geometria GeoJSON
+ * @returns {number} Raio ou 0
+ */
+export function getCircleRadius(geometry) {
+  if (!geometry) return 0;
+  return geometry.radius || (geometry.properties && geometry.properties.radius) || 0;
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function getOrigin(geometryA, geometryB) {
+  const boundsA = getGeometryBounds(geometryA);
+  const boundsB = getGeometryBounds(geometryB);
+  if (!boundsA || !boundsB) return null;
+  
+  const lat = (Math.min(boundsA.minLat, boundsB.minLat) + Math.max(boundsA.maxLat, boundsB.maxLat)) / 2;
+  const lng = (Math.min(boundsA.minLng, boundsB.minLng) + Math.max(boundsA.maxLng, boundsB.maxLng)) / 2;
+  return createLocalProjection(lat, lng);
+}
+
+function project(position, origin) {
+  return origin.toPlanar(position);
+}
+
+function unproject(point, origin) {
+  const position = origin.toPosition(point);
+  return [position[1], position[0]];
+}
+
+function closestPlanar(geometryA, geometryB, origin) {
+  // Disco: distância ao centro menos o raio
+  if (geometryA.type === GEOMETRY_TYPES.CIRCLE) {
+    return closestToDisk(geometryA, geometryB, origin, false);
+  }
+  if (geometryB.type === GEOMETRY_TYPES.CIRCLE) {
+    return closestToDisk(geometryB, geometryA, origin, true);
+  }
+  
+  const shapeA = toShape(geometryA, origin);
+  const shapeB = toShape(geometryB, origin);
+  if (shapeA.parts.length === 0 || shapeB.parts.length === 0) return null;
+  
+  // Uma geometria dentro da área da outra
+  const inside = findInside(shapeA, shapeB) || findInside(shapeB, shapeA);
+  if (inside) {
+    return { distance: 0, a: inside, b: inside };
+  }
+  
+  let best = null;
+  for (let i = 0; i < shapeA.parts.length; i++) {
+    for (let j = 0; j < shapeB.parts.length; j++) {
+      const result = closestParts(shapeA.parts[i], shapeB.parts[j]);
+      if (!best || result.distance < best.distance) {
+        best = result;
+        if (best.distance === 0) return best;
+      }
+    }
+  }
+  
+  return best;
+}
+
+function closestToDisk(circle, other, origin, swapped) {
+  const center = { type: GEOMETRY_TYPES.POINT, coordinates: circle.coordinates };
+  const result = closestPlanar(center, other, origin);
+  if (!result) return null;
+  
+  const radius = getCircleRadius(circle);
+  const c = result.a;
+  let a;
+  
+  if (result.distance <= radius) {
+    a = result.b;
+  } else {
+    const ratio = radius / result.distance;
+    a = [c[0] + (result.b[0] - c[0]) * ratio, c[1] + (result.b[1] - c[1]) * ratio];
+  }
+  
+  const distance = Math.max(0, result.distance - radius);
+  return swapped
+    ? { distance: distance, a: result.b, b: a }
+    : { distance: distance, a: a, b: result.b };
+}
+
+function toShape(geometry, origin) {
+  const shape = { parts: [], polygons: [] };
+  const addPart = positions => {
+    if (positions.length > 0) {
+      shape.parts.push(positions.map(position => project(position, origin)));
+    }
+  };
+  const addPolygon = rings => {
+    const projected = rings.filter(ring => ring.length > 0).map(ring => ring.map(position => project(position, origin)));
+    if (projected.length > 0) {
+      projected.forEach(ring => shape.parts.push(ring));
+      shape.polygons.push(projected);
+    }
+  };
+  
+  const coords = geometry.coordinates;
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+      addPart([coords]);
+      break;
+    case GEOMETRY_TYPES.MULTI_POINT:
+      coords.forEach(coord => addPart([coord]));
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+      addPart(coords);
+      break;
+    case GEOMETRY_TYPES.DRAWING:
+      if (isClosedDrawing(geometry)) {
+        addPolygon([coords]);
+      } else {
+        addPart(coords);
+      }
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      coords.forEach(addPart);
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      addPolygon(coords);
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      coords.forEach(addPolygon);
+      break;
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      // Círculos dentro de coleções são aproximados pelo centro
+      geometry.geometries.forEach(child => {
+        const childShape = toShape(child, origin);
+        childShape.parts.forEach(part => shape.parts.push(part));
+        childShape.polygons.forEach(polygon => shape.polygons.push(polygon));
+      });
+      break;
+    case GEOMETRY_TYPES.CIRCLE:
+      addPart([coords]);
+      break;
+    default:
+      break;
+  }
+  
+  return shape;
+}
+
+function findInside(shape, container) {
+  // Basta testar uma posição de cada parte: sem cruzamento, a parte inteira fica dentro
+  for (let i = 0; i < shape.parts.length; i++) {
+    const point = shape.parts[i][0];
+    if (container.polygons.some(rings => pointInPolygon(point, rings))) {
+      return point;
+    }
+  }
+  return null;
+}
+
+function closestParts(partA, partB) {
+  let best = null;
+  const lastA = Math.max(1, partA.length - 1);
+  const lastB = Math.max(1, partB.length - 1);
+  
+  for (let i = 0; i < lastA; i++) {
+    const a1 = partA[i];
+    const a2 = partA[i + 1] || a1;
+    
+    for (let j = 0; j < lastB; j++) {
+      const b1 = partB[j];
+      const b2 = partB[j + 1] || b1;
+      
+      const result = closestSegments(a1, a2, b1, b2);
+      if (!best || result.distance < best.distance) {
+        best = result;
+        if (best.distance === 0) return best;
+      }
+    }
+  }
+  
+  return best;
+}
+
+function closestSegments(a1, a2, b1, b2) {
+  const r = [a2[0] - a1[0], a2[1] - a1[1]];
+  const s = [b2[0] - b1[0], b2[1] - b1[1]];
+  const denominator = cross(r, s);
+  
+  if (denominator !== 0) {
+    const qp = [b1[0] - a1[0], b1[1] - a1[1]];
+    const t = cross(qp, s) / denominator;
+    const u = cross(qp, r) / denominator;
+    
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+      const point = [a1[0] + t * r[0], a1[1] + t * r[1]];
+      return { distance: 0, a: point, b: point };
+    }
+  }
+  
+  // Sem cruzamento (ou paralelos): o mais próximo envolve uma das extremidades
+  const candidates = [
+    { a: a1, b: closestOnSegment(a1, b1, b2) },
+    { a: a2, b: closestOnSegment(a2, b1, b2) },
+    { a: closestOnSegment(b1, a1, a2), b: b1 },
+    { a: closestOnSegment(b2, a1, a2), b: b2 }
+  ];
+  
+  let best = null;
+  candidates.forEach(candidate => {
+    const distance = Math.hypot(candidate.a[0] - candidate.b[0], candidate.a[1] - candidate.b[1]);
+    if (!best || distance < best.distance) {
+      best = { distance: distance, a: candidate.a, b: candidate.b };
+    }
+  });
+  
+  return best;
+}
+
+function closestOnSegment(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return start;
+  
+  const t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSq));
+  return [start[0] + t * dx, start[1] + t * dy];
+}
+
+function splitShape(shape) {
+  // Anéis de polígonos também estão em parts; o restante são linhas (ou pontos isolados)
+  const rings = new Set();
+  shape.polygons.forEach(polygon => polygon.forEach(ring => rings.add(ring)));
+  return {
+    lines: shape.parts.filter(part => !rings.has(part)),
+    polygons: shape.polygons
+  };
+}
+
+function linesCross(lineA, lineB) {
+  // Um ponto em comum que não seja extremidade de nenhuma das linhas
+  const boundaryA = lineBoundary(lineA);
+  const boundaryB = lineBoundary(lineB);
+  const isInterior = point => !boundaryA.concat(boundaryB).some(end => samePoint(point, end));
+  
+  for (let i = 0; i < Math.max(1, lineA.length - 1); i++) {
+    const a1 = lineA[i];
+    const a2 = lineA[i + 1] || a1;
+    
+    for (let j = 0; j < Math.max(1, lineB.length - 1); j++) {
+      const b1 = lineB[j];
+      const b2 = lineB[j + 1] || b1;
+      
+      const points = segmentIntersections(a1, a2, b1, b2);
+      if (points.length === 2) return true;
+      if (points.length === 1 && isInterior(points[0])) return true;
+    }
+  }
+  
+  return false;
+}
+
+function lineBoundary(line) {
+  const first = line[0];
+  const last = line[line.length - 1];
+  if (line.length > 1 && samePoint(first, last)) return [];
+  return [first, last];
+}
+
+function lineEntersPolygons(line, polygons) {
+  if (polygons.length === 0) return false;
+  
+  if (line.length === 1) {
+    return polygons.some(rings => pointStrictlyInside(line[0], [1, 0], rings));
+  }
+  
+  // Trechos da linha entre os cortes com as bordas ficam inteiros dentro ou fora
+  return eachSubSegment(line, polygons, (point, direction) =>
+    polygons.some(rings => pointStrictlyInside(point, direction, rings)));
+}
+
+function polygonsOverlap(polygonsA, polygonsB) {
+  if (polygonsA.length === 0 || polygonsB.length === 0) return false;
+  
+  // Ao lado de algum trecho da borda de A, um ponto no interior de A e de B
+  return polygonsA.some(ringsA => ringsA.some(ring => eachSubSegment(ring, polygonsB, (point, direction) => {
+    const normal = [-direction[1] * INTERIOR_TOLERANCE, direction[0] * INTERIOR_TOLERANCE];
+    return [1, -1].some(side => {
+      const offset = [point[0] + normal[0] * side, point[1] + normal[1] * side];
+      return pointInPolygon(offset, ringsA) && polygonsB.some(rings => pointInPolygon(offset, rings));
+    });
+  })));
+}
+
+function eachSubSegment(line, polygons, callback) {
+  const edges = [];
+  polygons.forEach(rings => rings.forEach(ring => {
+    for (let k = 0; k < ring.length - 1; k++) {
+      edges.push([ring[k], ring[k + 1]]);
+    }
+  }));
+  
+  for (let i = 0; i < line.length - 1; i++) {
+    const a1 = line[i];
+    const a2 = line[i + 1];
+    const length = Math.hypot(a2[0] - a1[0], a2[1] - a1[1]);
+    if (length === 0) continue;
+    
+    const direction = [(a2[0] - a1[0]) / length, (a2[1] - a1[1]) / length];
+    const cuts = [0, 1];
+    edges.forEach(edge => {
+      segmentIntersections(a1, a2, edge[0], edge[1]).forEach(point => {
+        cuts.push(((point[0] - a1[0]) * direction[0] + (point[1] - a1[1]) * direction[1]) / length);
+      });
+    });
+    cuts.sort((x, y) => x - y);
+    
+    for (let k = 0; k < cuts.length - 1; k++) {
+      if ((cuts[k + 1] - cuts[k]) * length <= INTERIOR_TOLERANCE) continue;
+      
+      const t = (cuts[k] + cuts[k + 1]) / 2;
+      const middle = [a1[0] + t * (a2[0] - a1[0]), a1[1] + t * (a2[1] - a1[1])];
+      if (callback(middle, direction)) return true;
+    }
+  }
+  
+  return false;
+}
+
+function pointStrictlyInside(point, direction, rings) {
+  // Dentro e afastado da borda: os dois deslocamentos perpendiculares também ficam dentro
+  const normal = [-direction[1] * INTERIOR_TOLERANCE, direction[0] * INTERIOR_TOLERANCE];
+  return pointInPolygon(point, rings) &&
+    pointInPolygon([point[0] + normal[0], point[1] + normal[1]], rings) &&
+    pointInPolygon([point[0] - normal[0], point[1] - normal[1]], rings) &&
+    pointInPolygon([point[0] + normal[1], point[1] - normal[0]], rings) &&
+    pointInPolygon([point[0] - normal[1], point[1] + normal[0]], rings);
+}
+
+function segmentIntersections(a1, a2, b1, b2) {
+  // Ponto de cruzamento ou, em segmentos colineares, as pontas do trecho sobreposto
+  const r = [a2[0] - a1[0], a2[1] - a1[1]];
+  const s = [b2[0] - b1[0], b2[1] - b1[1]];
+  const qp = [b1[0] - a1[0], b1[1] - a1[1]];
+  const denominator = cross(r, s);
+  
+  if (denominator !== 0) {
+    const t = cross(qp, s) / denominator;
+    const u = cross(qp, r) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return [];
+    return [[a1[0] + t * r[0], a1[1] + t * r[1]]];
+  }
+  
+  if (cross(qp, r) !== 0) return [];
+  
+  const lengthSq = r[0] * r[0] + r[1] * r[1];
+  if (lengthSq === 0) {
+    return samePoint(closestOnSegment(a1, b1, b2), a1) ? [a1] : [];
+  }
+  
+  const toParameter = point => ((point[0] - a1[0]) * r[0] + (point[1] - a1[1]) * r[1]) / lengthSq;
+  const tb1 = toParameter(b1);
+  const tb2 = toParameter(b2);
+  const start = Math.max(0, Math.min(tb1, tb2));
+  const end = Math.min(1, Math.max(tb1, tb2));
+  if (start > end) return [];
+  
+  const at = t => [a1[0] + t * r[0], a1[1] + t * r[1]];
+  return samePoint(at(start), at(end)) ? [at(start)] : [at(start), at(end)];
+}
+
+function samePoint(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]) <= INTERIOR_TOLERANCE;
+}
+
+function cross(a, b) {
+  return a[0] * b[1] - a[1] * b[0];
+}
+
+export default {
+  closestPoints,
+  geometryDistance,
+  geometriesIntersect,
+  interiorsIntersect,
+  geometryContainsPoint,
+  createLocalProjection,
+  isClosedDrawing,
+  getCircleRadius
+};
@@ -0,0 +1,500 @@
+/**
+ * SpatialIndex - Índice espacial R-tree para BeraMap
+ *
+ * R-tree com divisão pelo eixo de menor margem (R*-tree simplificada) e
+ * carga em lote (OMT). Cada item é um retângulo { minX, minY, maxX, maxY }
+ * (longitude em X, latitude em Y) com quaisquer outros campos (ex.: uuid).
+ *
+ * Adaptado de rbush (https://github.com/mourner/rbush), sob a licença MIT:
+ *
+ * MIT License
+ *
+ * Copyright (c) 2016 Vladimir Agafonkin
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+export class SpatialIndex {
+  /**
+   * Constructor
+   * @param {number} maxEntries - Máximo de filhos por nó (padrão: 9)
+   */
+  constructor(maxEntries = 9) {
+    this._maxEntries = Math.max(4, maxEntries);
+    this._minEntries = Math.max(2, Math.ceil(this._maxEntries * 0.4));
+    this.clear();
+  }
+  
+  /**
+   * Insere um item
+   * @param {Object} item - { minX, minY, maxX, maxY, ... }
+   * @returns {SpatialIndex} Este índice
+   */
+  insert(item) {
+    if (item) {
+      this._insert(item, this._root.height - 1);
+      this._size++;
+    }
+    return this;
+  }
+  
+  /**
+   * Insere vários itens de uma vez (mais rápido que inserções individuais)
+   * @param {Array} items - Itens
+   * @returns {SpatialIndex} Este índice
+   */
+  load(items) {
+    if (!items || items.length === 0) return this;
+    
+    if (items.length < this._minEntries) {
+      items.forEach(item => this.insert(item));
+      return this;
+    }
+    
+    let node = this._build(items.slice(), 0, items.length - 1, 0);
+    
+    if (this._root.children.length === 0) {
+      this._root = node;
+    } else if (this._root.height === node.height) {
+      this._splitRoot(this._root, node);
+    } else {
+      if (this._root.height < node.height) {
+        const tmpNode = this._root;
+        this._root = node;
+        node = tmpNode;
+      }
+      this._insert(node, this._root.height - node.height - 1);
+    }
+    
+    this._size += items.length;
+    return this;
+  }
+  
+  /**
+   * Remove um item (comparado por referência)
+   * @param {Object} item - Item inserido anteriormente
+   * @returns {boolean} Se o item foi encontrado
+   */
+  remove(item) {
+    if (!item) return false;
+    
+    let node = this._root;
+    const path = [];
+    const indexes = [];
+    let i = 0;
+    let parent = null;
+    let goingUp = false;
+    
+    // Busca em profundidade pelo nó folha que contém o item
+    while (node || path.length) {
+      if (!node) {
+        node = path.pop();
+        parent = path[path.length - 1];
+        i = indexes.pop();
+        goingUp = true;
+      }
+      
+      if (node.leaf) {
+        const index = node.children.indexOf(item);
+        if (index !== -1) {
+          node.children.splice(index, 1);
+          path.push(node);
+          this._condense(path);
+          this._size--;
+          return true;
+        }
+      }
+      
+      if (!goingUp && !node.leaf && contains(node, item)) {
+        path.push(node);
+        indexes.push(i);
+        i = 0;
+        parent = node;
+        node = node.children[0];
+      } else if (parent) {
+        i++;
+        node = parent.children[i];
+        goingUp = false;
+      } else {
+        node = null;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Busca os itens que intersectam um retângulo
+   * @param {Object} bbox - { minX, minY, maxX, maxY }
+   * @returns {Array} Itens encontrados
+   */
+  search(bbox) {
+    let node = this._root;
+    const result = [];
+    if (!intersects(bbox, node)) return result;
+    
+    const nodesToSearch = [];
+    while (node) {
+      for (let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        if (!intersects(bbox, child)) continue;
+        
+        if (node.leaf) {
+          result.push(child);
+        } else if (contains(bbox, child)) {
+          collectAll(child, result);
+        } else {
+          nodesToSearch.push(child);
+        }
+      }
+      node = nodesToSearch.pop();
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Obtém todos os itens
+   * @returns {Array} Itens
+   */
+  all() {
+    return collectAll(this._root, []);
+  }
+  
+  /**
+   * Remove todos os itens
+   * @returns {SpatialIndex} Este índice
+   */
+  clear() {
+    this._root = createNode([]);
+    this._size = 0;
+    return this;
+  }
+  
+  /**
+   * Quantidade de itens indexados
+   * @returns {number}
+   */
+  size() {
+    return this._size;
+  }
+  
+  // ===================================================================
+  // MÉTODOS PRIVADOS
+  // ===================================================================
+  
+  _build(items, left, right, height) {
+    const N = right - left + 1;
+    let M = this._maxEntries;
+    let node;
+    
+    if (N <= M) {
+      node = createNode(items.slice(left, right + 1));
+      calcBBox(node);
+      return node;
+    }
+    
+    if (!height) {
+      // Altura e quantidade de filhos da raiz para o preenchimento máximo
+      height = Math.ceil(Math.log(N) / Math.log(M));
+      M = Math.ceil(N / Math.pow(M, height - 1));
+    }
+    
+    node = createNode([]);
+    node.leaf = false;
+    node.height = height;
+    
+    // Fatias verticais ordenadas por X, subdivididas por Y
+    const N2 = Math.ceil(N / M);
+    const N1 = N2 * Math.ceil(Math.sqrt(M));
+    
+    sortRange(items, left, right, compareMinX);
+    
+    for (let i = left; i <= right; i += N1) {
+      const right2 = Math.min(i + N1 - 1, right);
+      sortRange(items, i, right2, compareMinY);
+      
+      for (let j = i; j <= right2; j += N2) {
+        const right3 = Math.min(j + N2 - 1, right2);
+        node.children.push(this._build(items, j, right3, height - 1));
+      }
+    }
+    
+    calcBBox(node);
+    return node;
+  }
+  
+  _insert(item, level) {
+    const insertPath = [];
+    const node = this._chooseSubtree(item, this._root, level, insertPath);
+    
+    node.children.push(item);
+    extend(node, item);
+    
+    while (level >= 0) {
+      if (insertPath[level].children.length > this._maxEntries) {
+        this._split(insertPath, level);
+        level--;
+      } else {
+        break;
+      }
+    }
+    
+    for (let i = level; i >= 0; i--) {
+      extend(insertPath[i], item);
+    }
+  }
+  
+  _chooseSubtree(bbox, node, level, path) {
+    while (true) {
+      path.push(node);
+      if (node.leaf || path.length - 1 === level) break;
+      
+      let minArea = Infinity;
+      let minEnlargement = Infinity;
+      let targetNode = null;
+      
+      for (let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        const area = bboxArea(child);
+        const enlargement = enlargedArea(bbox, child) - area;
+        
+        if (enlargement < minEnlargement) {
+          minEnlargement = enlargement;
+          minArea = area < minArea ? area : minArea;
+          targetNode = child;
+        } else if (enlargement === minEnlargement && area < minArea) {
+          minArea = area;
+          targetNode = child;
+        }
+      }
+      
+      node = targetNode || node.children[0];
+    }
+    
+    return node;
+  }
+  
+  _split(insertPath, level) {
+    const node = insertPath[level];
+    const M = node.children.length;
+    const m = this._minEntries;
+    
+    this._chooseSplitAxis(node, m, M);
+    const splitIndex = this._chooseSplitIndex(node, m, M);
+    
+    const newNode = createNode(node.children.splice(splitIndex, node.children.length - splitIndex));
+    newNode.height = node.height;
+    newNode.leaf = node.leaf;
+    
+    calcBBox(node);
+    calcBBox(newNode);
+    
+    if (level) {
+      insertPath[level - 1].children.push(newNode);
+    } else {
+      this._splitRoot(node, newNode);
+    }
+  }
+  
+  _splitRoot(node, newNode) {
+    this._root = createNode([node, newNode]);
+    this._root.height = node.height + 1;
+    this._root.leaf = false;
+    calcBBox(this._root);
+  }
+  
+  _chooseSplitIndex(node, m, M) {
+    let index = null;
+    let minOverlap = Infinity;
+    let minArea = Infinity;
+    
+    for (let i = m; i <= M - m; i++) {
+      const bbox1 = distBBox(node, 0, i);
+      const bbox2 = distBBox(node, i, M);
+      const overlap = intersectionArea(bbox1, bbox2);
+      const area = bboxArea(bbox1) + bboxArea(bbox2);
+      
+      if (overlap < minOverlap) {
+        minOverlap = overlap;
+        index = i;
+        minArea = area < minArea ? area : minArea;
+      } else if (overlap === minOverlap && area < minArea) {
+        minArea = area;
+        index = i;
+      }
+    }
+    
+    return index || M - m;
+  }
+  
+  _chooseSplitAxis(node, m, M) {
+    const xMargin = this._allDistMargin(node, m, M, compareMinX);
+    const yMargin = this._allDistMargin(node, m, M, compareMinY);
+    
+    // A ordenação por Y ficou aplicada; reordena por X se esse eixo for melhor
+    if (xMargin < yMargin) {
+      node.children.sort(compareMinX);
+    }
+  }
+  
+  _allDistMargin(node, m, M, compare) {
+    node.children.sort(compare);
+    
+    const leftBBox = distBBox(node, 0, m);
+    const rightBBox = distBBox(node, M - m, M);
+    let margin = bboxMargin(leftBBox) + bboxMargin(rightBBox);
+    
+    for (let i = m; i < M - m; i++) {
+      extend(leftBBox, node.children[i]);
+      margin += bboxMargin(leftBBox);
+    }
+    
+    for (let i = M - m - 1; i >= m; i--) {
+      extend(rightBBox, node.children[i]);
+      margin += bboxMargin(rightBBox);
+    }
+    
+    return margin;
+  }
+  
+  _condense(path) {
+    // Remove nós vazios e recalcula os retângulos no caminho
+    for (let i = path.length - 1; i >= 0; i--) {
+      if (path[i].children.length === 0) {
+        if (i > 0) {
+          const siblings = path[i - 1].children;
+          siblings.splice(siblings.indexOf(path[i]), 1);
+        } else {
+          this._root = createNode([]);
+        }
+      } else {
+        calcBBox(path[i]);
+      }
+    }
+  }
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function createNode(children) {
+  return {
+    children: children,
+    height: 1,
+    leaf: true,
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity
+  };
+}
+
+function calcBBox(node) {
+  distBBox(node, 0, node.children.length, node);
+}
+
+function distBBox(node, k, p, destNode) {
+  const dest = destNode || createNode(null);
+  dest.minX = Infinity;
+  dest.minY = Infinity;
+  dest.maxX = -Infinity;
+  dest.maxY = -Infinity;
+  
+  for (let i = k; i < p; i++) {
+    extend(dest, node.children[i]);
+  }
+  
+  return dest;
+}
+
+function collectAll(node, result) {
+  const nodesToSearch = [];
+  while (node) {
+    if (node.leaf) {
+      result.push(...node.children);
+    } else {
+      nodesToSearch.push(...node.children);
+    }
+    node = nodesToSearch.pop();
+  }
+  return result;
+}
+
+function sortRange(items, left, right, compare) {
+  const sorted = items.slice(left, right + 1).sort(compare);
+  for (let i = 0; i < sorted.length; i++) {
+    items[left + i] = sorted[i];
+  }
+}
+
+function extend(a, b) {
+  a.minX = Math.min(a.minX, b.minX);
+  a.minY = Math.min(a.minY, b.minY);
+  a.maxX = Math.max(a.maxX, b.maxX);
+  a.maxY = Math.max(a.maxY, b.maxY);
+  return a;
+}
+
+function compareMinX(a, b) {
+  return a.minX - b.minX;
+}
+
+function compareMinY(a, b) {
+  return a.minY - b.minY;
+}
+
+function bboxArea(a) {
+  return (a.maxX - a.minX) * (a.maxY - a.minY);
+}
+
+function bboxMargin(a) {
+  return (a.maxX - a.minX) + (a.maxY - a.minY);
+}
+
+function enlargedArea(a, b) {
+  return (Math.max(b.maxX, a.maxX) - Math.min(b.minX, a.minX)) *
+    (Math.max(b.maxY, a.maxY) - Math.min(b.minY, a.minY));
+}
+
+function intersectionArea(a, b) {
+  const minX = Math.max(a.minX, b.minX);
+  const minY = Math.max(a.minY, b.minY);
+  const maxX = Math.min(a.maxX, b.maxX);
+  const maxY = Math.min(a.maxY, b.maxY);
+  
+  return Math.max(0, maxX - minX) * Math.max(0, maxY - minY);
+}
+
+function contains(a, b) {
+  return a.minX <= b.minX &&
+    a.minY <= b.minY &&
+    b.maxX <= a.maxX &&
+    b.maxY <= a.maxY;
+}
+
+function intersects(a, b) {
+  return b.minX <= a.maxX &&
+    b.minY <= a.maxY &&
+    b.maxX >= a.minX &&
+    b.maxY >= a.minY;
+}
+
+export default SpatialIndex;
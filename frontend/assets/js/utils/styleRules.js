@@ -0,0 +1,152 @@
+/**
+ * StyleRules - Regras de estilo orientadas a dados para BeraMap
+ *
+ * Uma lista de regras é avaliada em ordem; os estilos das regras que casam
+ * são mesclados (regras posteriores sobrescrevem as anteriores).
+ *
+ * Tipos de regra:
+ * - Categórica: { property: 'situacao', values: { 'Concluído': {...} }, default: {...} }
+ * - Faixas numéricas: { property: 'extensao', ranges: [{ min: 0, max: 100, style: {...} }], default: {...} }
+ *   (min inclusivo, max exclusivo; qualquer um dos dois pode ser omitido)
+ * - Expressão: { filter: ['==', 'responsavel', 'João Silva'], style: {...} }
+ * - Fallback: { style: {...} } (sempre aplicada)
+ */
+
+import { compileExpression } from './filterExpression.js';
+
+/**
+ * Compila uma lista de regras em uma função de avaliação
+ * @param {Array} rules - Lista de regras
+ * @returns {Function} (feature) => estilo resultante das regras
+ * @throws {Error} Se alguma regra for inválida
+ */
+export function compileStyleRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Regras de estilo inválidas: esperado um array de regras');
+  }
+  
+  const evaluators = rules.map((rule, index) => compileRule(rule, index));
+  
+  return feature => evaluators.reduce(
+    (style, evaluate) => Object.assign(style, evaluate(feature)),
+    {}
+  );
+}
+
+/**
+ * Valida uma lista de regras sem lançar exceção
+ * @param {Array} rules - Lista de regras
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+export function validateStyleRules(rules) {
+  try {
+    compileStyleRules(rules);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function compileRule(rule, index) {
+  const fail = message => {
+    throw new Error(`Regra de estilo inválida na posição ${index}: ${message}`);
+  };
+  
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    fail('esperado um objeto');
+  }
+  
+  if (rule.values !== undefined || rule.ranges !== undefined) {
+    if (typeof rule.property !== 'string' || rule.property === '') {
+      fail('"property" é obrigatório em regras categóricas e de faixas');
+    }
+    if (rule.default !== undefined) {
+      expectStyle(rule.default, '"default"', fail);
+    }
+  }
+  
+  if (rule.values !== undefined) {
+    if (!rule.values || typeof rule.values !== 'object' || Array.isArray(rule.values)) {
+      fail('"values" deve ser um objeto { valor: estilo }');
+    }
+    Object.entries(rule.values).forEach(([value, style]) => {
+      expectStyle(style, `"values.${value}"`, fail);
+    });
+    
+    return feature => {
+      const value = getProperty(feature, rule.property);
+      if (value !== undefined && value !== null &&
+        Object.prototype.hasOwnProperty.call(rule.values, String(value))) {
+        return rule.values[String(value)];
+      }
+      return rule.default || {};
+    };
+  }
+  
+  if (rule.ranges !== undefined) {
+    if (!Array.isArray(rule.ranges) || rule.ranges.length === 0) {
+      fail('"ranges" deve ser um array não vazio de { min, max, style }');
+    }
+    rule.ranges.forEach((range, rangeIndex) => {
+      if (!range || typeof range !== 'object') {
+        fail(`faixa ${rangeIndex} deve ser um objeto`);
+      }
+      ['min', 'max'].forEach(key => {
+        if (range[key] !== undefined && typeof range[key] !== 'number') {
+          fail(`faixa ${rangeIndex}: "${key}" deve ser numérico`);
+        }
+      });
+      if (range.min !== undefined && range.max !== undefined && range.min >= range.max) {
+        fail(`faixa ${rangeIndex}: "min" deve ser menor que "max"`);
+      }
+      expectStyle(range.style, `"ranges[${rangeIndex}].style"`, fail);
+    });
+    
+    return feature => {
+      const raw = getProperty(feature, rule.property);
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value === 'number' && !isNaN(value)) {
+        const match = rule.ranges.find(range =>
+          (range.min === undefined || value >= range.min) &&
+          (range.max === undefined || value < range.max)
+        );
+        if (match) return match.style;
+      }
+      return rule.default || {};
+    };
+  }
+  
+  expectStyle(rule.style, '"style"', fail);
+  
+  if (rule.filter !== undefined) {
+    let predicate;
+    try {
+      predicate = compileExpression(rule.filter);
+    } catch (error) {
+      fail(error.message);
+    }
+    return feature => (predicate(feature) ? rule.style : {});
+  }
+  
+  return () => rule.style;
+}
+
+function expectStyle(style, label, fail) {
+  if (!style || typeof style !== 'object' || Array.isArray(style)) {
+    fail(`${label} deve ser um objeto de estilo`);
+  }
+}
+
+function getProperty(feature, property) {
+  const properties = (feature && feature.properties) || {};
+  return properties[property];
+}
+
+export default {
+  compileStyleRules,
+  validateStyleRules
+};
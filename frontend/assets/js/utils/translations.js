@@ -16,6 +16,15 @@ export const TRANSLATIONS = {
       circumference: 'Circunferência',
       radius: 'Raio',
       isClosed: 'Fechado',
+      partCount: 'Partes',
+      holeCount: 'Furos',
+      clusterCount: 'Geometrias agrupadas',
+      clusterMore: 'mais',
+      conflict: 'Conflito',
+      conflictCrossing: 'Cruzamento',
+      conflictTouch: 'Contato',
+      conflictProximity: 'Proximidade',
+      distance: 'Distância',
       type: 'Tipo',
       latLng: 'Coordenadas',
       noInfo: 'Sem informações disponíveis'
@@ -26,9 +35,21 @@ export const TRANSLATIONS = {
       Polygon: 'Polígono',
       Circle: 'Círculo',
       Drawing: 'Desenho',
+      MultiPoint: 'Multiponto',
+      MultiLineString: 'Multilinha',
+      MultiPolygon: 'Multipolígono',
+      GeometryCollection: 'Coleção de geometrias',
       polygon: 'Polígono',
       polyline: 'Polilinha'
     },
+    drawHints: {
+      LineString: 'Clique para adicionar pontos; duplo clique ou Enter para finalizar',
+      Polygon: 'Clique para adicionar vértices; clique no primeiro vértice para fechar',
+      Point: 'Clique para posicionar o ponto',
+      Circle: 'Clique no centro e depois clique para definir o raio',
+      Drawing: 'Pressione e arraste para desenhar à mão livre',
+      cancel: 'Esc para cancelar'
+    },
     units: {
       meters: 'm',
       kilometers: 'km',
@@ -47,6 +68,15 @@ export const TRANSLATIONS = {
       circumference: 'Circumference',
       radius: 'Radius',
       isClosed: 'Closed',
+      partCount: 'Parts',
+      holeCount: 'Holes',
+      clusterCount: 'Clustered features',
+      clusterMore: 'more',
+      conflict: 'Conflict',
+      conflictCrossing: 'Crossing',
+      conflictTouch: 'Touch',
+      conflictProximity: 'Proximity',
+      distance: 'Distance',
       type: 'Type',
       latLng: 'Coordinates',
       noInfo: 'No information available'
@@ -57,9 +87,21 @@ export const TRANSLATIONS = {
       Polygon: 'Polygon',
       Circle: 'Circle',
       Drawing: 'Drawing',
+      MultiPoint: 'MultiPoint',
+      MultiLineString: 'MultiLine',
+      MultiPolygon: 'MultiPolygon',
+      GeometryCollection: 'Geometry collection',
       polygon: 'Polygon',
       polyline: 'Polyline'
     },
+    drawHints: {
+      LineString: 'Click to add points; double-click or Enter to finish',
+      Polygon: 'Click to add vertices; click the first vertex to close',
+      Point: 'Click to place the point',
+      Circle: 'Click the center, then click to set the radius',
+      Drawing: 'Press and drag to draw freehand',
+      cancel: 'Esc to cancel'
+    },
     units: {
       meters: 'm',
       kilometers: 'km',
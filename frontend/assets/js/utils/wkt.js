@@ -0,0 +1,524 @@
+/**
+ * WKT - Leitura e escrita de WKT, EWKT e WKB (hexadecimal) para troca com o PostGIS
+ *
+ * - WKT: POINT, LINESTRING, POLYGON, MULTIPOINT, MULTILINESTRING, MULTIPOLYGON e GEOMETRYCOLLECTION,
+ *   com ou sem Z/M (a coordenada M é descartada) e EMPTY
+ * - EWKT: WKT com prefixo "SRID=4326;"
+ * - WKB: little ou big endian, tipos ISO (1000+, 2000+, 3000+) e EWKB (flags de Z, M e SRID),
+ *   como devolvido pelo PostGIS em hexadecimal
+ *
+ * Na escrita, Circle vira um POLYGON aproximado (ou POINT, sem raio) e Drawing vira LINESTRING.
+ */
+
+import { GEOMETRY_TYPES } from './constants.js';
+import { getCircleRadius } from './spatial.js';
+import { bufferGeometry } from './buffer.js';
+
+const WKT_TYPES = {
+  POINT: GEOMETRY_TYPES.POINT,
+  LINESTRING: GEOMETRY_TYPES.LINE_STRING,
+  POLYGON: GEOMETRY_TYPES.POLYGON,
+  MULTIPOINT: GEOMETRY_TYPES.MULTI_POINT,
+  MULTILINESTRING: GEOMETRY_TYPES.MULTI_LINE_STRING,
+  MULTIPOLYGON: GEOMETRY_TYPES.MULTI_POLYGON,
+  GEOMETRYCOLLECTION: GEOMETRY_TYPES.GEOMETRY_COLLECTION
+};
+
+const WKB_TYPES = {
+  1: GEOMETRY_TYPES.POINT,
+  2: GEOMETRY_TYPES.LINE_STRING,
+  3: GEOMETRY_TYPES.POLYGON,
+  4: GEOMETRY_TYPES.MULTI_POINT,
+  5: GEOMETRY_TYPES.MULTI_LINE_STRING,
+  6: GEOMETRY_TYPES.MULTI_POLYGON,
+  7: GEOMETRY_TYPES.GEOMETRY_COLLECTION
+};
+
+// Flags do EWKB (PostGIS) no código do tipo
+const EWKB_Z_FLAG = 0x80000000;
+const EWKB_M_FLAG = 0x40000000;
+const EWKB_SRID_FLAG = 0x20000000;
+
+const TOKEN_PATTERN = /\s*(?:([A-Za-z]+)|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([(),]))/y;
+
+/**
+ * Converte WKT ou EWKT em geometria GeoJSON
+ * @param {string} text - WKT (ex.: "POINT(-63.9 -8.76)") ou EWKT (ex.: "SRID=4326;POINT(-63.9 -8.76)")
+ * @returns {Object} { geometry, srid } (srid é null quando o texto não o informa)
+ * @throws {Error} Se o texto for inválido ou o tipo não for suportado
+ */
+export function parseWKT(text) {
+  if (typeof text !== 'string') {
+    throw new Error('WKT: o valor deve ser um texto');
+  }
+  
+  let srid = null;
+  let body = text.trim();
+  const sridMatch = /^SRID=(\d+)\s*;/i.exec(body);
+  if (sridMatch) {
+    srid = parseInt(sridMatch[1], 10);
+    body = body.slice(sridMatch[0].length);
+  }
+  
+  const state = { tokens: tokenize(body), index: 0 };
+  const geometry = readGeometry(state);
+  if (state.index < state.tokens.length) {
+    throw new Error(`WKT: conteúdo inesperado após a geometria ("${state.tokens[state.index]}")`);
+  }
+  
+  return { geometry: geometry, srid: srid };
+}
+
+/**
+ * Converte uma geometria GeoJSON em WKT (ou EWKT, quando srid é informado)
+ * @param {Object} geometry - Geometria GeoJSON (inclusive Circle e Drawing)
+ * @param {Object} options - { srid: grava como EWKT, precision: casas decimais, segments: segmentos dos círculos (padrão: 64) }
+ * @returns {string} WKT
+ */
+export function toWKT(geometry, options = {}) {
+  const exportable = exportableGeometry(geometry, options);
+  const format = value => formatNumber(value, options.precision);
+  const body = writeWKT(exportable, hasZ(exportable), format);
+  return options.srid ? `SRID=${options.srid};${body}` : body;
+}
+
+/**
+ * Converte WKB (ou EWKB do PostGIS) em geometria GeoJSON
+ * @param {string|Uint8Array|ArrayBuffer} data - WKB em hexadecimal ou binário
+ * @returns {Object} { geometry, srid } (srid é null quando o WKB não o informa)
+ * @throws {Error} Se os dados forem inválidos ou o tipo não for suportado
+ */
+export function parseWKB(data) {
+  const bytes = typeof data === 'string' ? hexToBytes(data) : toBytes(data);
+  const state = {
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    offset: 0,
+    srid: null
+  };
+  
+  let geometry;
+  try {
+    geometry = readWKBGeometry(state);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('WKB: dados incompletos');
+    }
+    throw error;
+  }
+  
+  return { geometry: geometry, srid: state.srid };
+}
+
+/**
+ * Converte uma geometria GeoJSON em WKB hexadecimal (little endian)
+ * Com srid, grava EWKB como o PostGIS (flag de SRID no tipo); a coordenada Z usa a flag do EWKB
+ * @param {Object} geometry - Geometria GeoJSON (inclusive Circle e Drawing)
+ * @param {Object} options - { srid, segments: segmentos dos círculos (padrão: 64) }
+ * @returns {string} WKB em hexadecimal (maiúsculas)
+ */
+export function toWKB(geometry, options = {}) {
+  const exportable = exportableGeometry(geometry, options);
+  const writer = createWriter();
+  writeWKBGeometry(writer, exportable, hasZ(exportable), options.srid || null);
+  return writer.toHex();
+}
+
+/**
+ * Verifica se um texto parece WKT ou EWKT
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+export function isWKT(value) {
+  return typeof value === 'string' &&
+    /^\s*(SRID=\d+\s*;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(ZM|Z|M)?\s*(\(|EMPTY\b)/i.test(value);
+}
+
+/**
+ * Verifica se um texto parece WKB em hexadecimal
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+export function isWKB(value) {
+  return typeof value === 'string' && value.length % 2 === 0 && /^0[01][0-9a-fA-F]{16,}$/.test(value);
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+  
+  while (index < text.length) {
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (/^\s*$/.test(text.slice(index))) break;
+      throw new Error(`WKT: caractere inesperado na posição ${index + 1}`);
+    }
+    tokens.push(match[1] ? match[1].toUpperCase() : (match[2] || match[3]));
+    index = TOKEN_PATTERN.lastIndex;
+  }
+  
+  return tokens;
+}
+
+function peek(state) {
+  return state.tokens[state.index];
+}
+
+function expect(state, token) {
+  const current = state.tokens[state.index];
+  if (current !== token) {
+    throw new Error(`WKT: esperado "${token}", encontrado ${current === undefined ? 'fim do texto' : `"${current}"`}`);
+  }
+  state.index++;
+}
+
+function isEmptyToken(state) {
+  if (peek(state) !== 'EMPTY') return false;
+  state.index++;
+  return true;
+}
+
+function readGeometry(state) {
+  const word = state.tokens[state.index++];
+  const match = /^(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)(ZM|Z|M)?$/.exec(word || '');
+  if (!match) {
+    throw new Error(`WKT: tipo de geometria não suportado "${word === undefined ? '' : word}"`);
+  }
+  
+  let dimensions = match[2] || '';
+  if (!dimensions && ['Z', 'M', 'ZM'].includes(peek(state))) {
+    dimensions = state.tokens[state.index++];
+  }
+  
+  const type = WKT_TYPES[match[1]];
+  if (type === GEOMETRY_TYPES.GEOMETRY_COLLECTION) {
+    return { type: type, geometries: isEmptyToken(state) ? [] : readList(state, () => readGeometry(state)) };
+  }
+  if (isEmptyToken(state)) {
+    return { type: type, coordinates: [] };
+  }
+  
+  const position = () => readPosition(state, dimensions);
+  const positions = () => readList(state, position);
+  const rings = () => readList(state, positions);
+  
+  switch (type) {
+    case GEOMETRY_TYPES.POINT: {
+      expect(state, '(');
+      const coordinates = position();
+      expect(state, ')');
+      return { type: type, coordinates: coordinates };
+    }
+    case GEOMETRY_TYPES.LINE_STRING:
+      return { type: type, coordinates: positions() };
+    case GEOMETRY_TYPES.POLYGON:
+      return { type: type, coordinates: rings() };
+    case GEOMETRY_TYPES.MULTI_POINT:
+      // Aceita MULTIPOINT((1 2), (3 4)) e MULTIPOINT(1 2, 3 4)
+      return {
+        type: type,
+        coordinates: readList(state, () => {
+          if (peek(state) !== '(') return position();
+          expect(state, '(');
+          const coordinates = position();
+          expect(state, ')');
+          return coordinates;
+        })
+      };
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      return { type: type, coordinates: readList(state, positions) };
+    default:
+      return { type: type, coordinates: readList(state, rings) };
+  }
+}
+
+function readList(state, readItem) {
+  const items = [];
+  expect(state, '(');
+  for (;;) {
+    // Partes EMPTY dentro de coleções são ignoradas
+    if (!isEmptyToken(state)) {
+      items.push(readItem());
+    }
+    if (peek(state) !== ',') break;
+    state.index++;
+  }
+  expect(state, ')');
+  return items;
+}
+
+function readPosition(state, dimensions) {
+  const values = [];
+  while (state.index < state.tokens.length && /^[-+.\d]/.test(peek(state))) {
+    values.push(parseFloat(state.tokens[state.index++]));
+  }
+  if (values.length < 2) {
+    throw new Error('WKT: coordenada com menos de duas dimensões');
+  }
+  
+  // A coordenada M é descartada; Z é mantida como terceira posição
+  return values.length >= 3 && dimensions !== 'M'
+    ? [values[0], values[1], values[2]]
+    : [values[0], values[1]];
+}
+
+function exportableGeometry(geometry, options) {
+  if (!geometry) {
+    throw new Error('WKT: geometria ausente');
+  }
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.CIRCLE: {
+      const radius = getCircleRadius(geometry);
+      const polygon = radius > 0
+        ? bufferGeometry({ type: GEOMETRY_TYPES.POINT, coordinates: geometry.coordinates }, radius, {
+          segments: options.segments || 64
+        })
+        : null;
+      return polygon || { type: GEOMETRY_TYPES.POINT, coordinates: geometry.coordinates };
+    }
+    case GEOMETRY_TYPES.DRAWING:
+      return { type: GEOMETRY_TYPES.LINE_STRING, coordinates: geometry.coordinates };
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      return Object.assign({}, geometry, {
+        geometries: geometry.geometries.map(child => exportableGeometry(child, options))
+      });
+    default:
+      if (!Object.values(WKT_TYPES).includes(geometry.type)) {
+        throw new Error(`WKT: tipo de geometria não suportado "${geometry.type}"`);
+      }
+      return geometry;
+  }
+}
+
+function hasZ(geometry) {
+  // Z só é gravado quando todas as posições o possuem
+  let count = 0;
+  let withZ = 0;
+  const visit = coordinates => {
+    if (typeof coordinates[0] === 'number') {
+      count++;
+      if (coordinates.length >= 3) withZ++;
+      return;
+    }
+    coordinates.forEach(visit);
+  };
+  const visitGeometry = child => {
+    if (child.type === GEOMETRY_TYPES.GEOMETRY_COLLECTION) {
+      child.geometries.forEach(visitGeometry);
+    } else if (child.coordinates) {
+      visit(child.coordinates);
+    }
+  };
+  visitGeometry(geometry);
+  return count > 0 && withZ === count;
+}
+
+function formatNumber(value, precision) {
+  return precision === undefined || precision === null ? String(value) : String(Number(value.toFixed(precision)));
+}
+
+function writeWKT(geometry, withZ, format) {
+  const name = Object.keys(WKT_TYPES).find(key => WKT_TYPES[key] === geometry.type);
+  const prefix = withZ ? `${name} Z` : name;
+  
+  if (geometry.type === GEOMETRY_TYPES.GEOMETRY_COLLECTION) {
+    return geometry.geometries.length === 0
+      ? `${name} EMPTY`
+      : `${name}(${geometry.geometries.map(child => writeWKT(child, withZ, format)).join(',')})`;
+  }
+  if (geometry.coordinates.length === 0) {
+    return `${name} EMPTY`;
+  }
+  
+  const position = coordinates => coordinates.slice(0, withZ ? 3 : 2).map(format).join(' ');
+  const positions = list => `(${list.map(position).join(',')})`;
+  const rings = list => `(${list.map(positions).join(',')})`;
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+      return `${prefix}(${position(geometry.coordinates)})`;
+    case GEOMETRY_TYPES.LINE_STRING:
+      return prefix + positions(geometry.coordinates);
+    case GEOMETRY_TYPES.POLYGON:
+      return prefix + rings(geometry.coordinates);
+    case GEOMETRY_TYPES.MULTI_POINT:
+      return `${prefix}(${geometry.coordinates.map(coordinates => `(${position(coordinates)})`).join(',')})`;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      return prefix + rings(geometry.coordinates);
+    default:
+      return `${prefix}(${geometry.coordinates.map(rings).join(',')})`;
+  }
+}
+
+function hexToBytes(hex) {
+  const text = hex.trim().replace(/^\\x/i, '');
+  if (text.length % 2 !== 0 || /[^0-9a-fA-F]/.test(text)) {
+    throw new Error('WKB: texto hexadecimal inválido');
+  }
+  
+  const bytes = new Uint8Array(text.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new Error('WKB: dados devem ser texto hexadecimal, ArrayBuffer ou Uint8Array');
+}
+
+function readWKBGeometry(state) {
+  const view = state.view;
+  const byteOrder = view.getUint8(state.offset);
+  if (byteOrder > 1) {
+    throw new Error(`WKB: ordem de bytes inválida (${byteOrder})`);
+  }
+  const little = byteOrder === 1;
+  let code = view.getUint32(state.offset + 1, little);
+  state.offset += 5;
+  
+  let withZ = (code & EWKB_Z_FLAG) !== 0;
+  let withM = (code & EWKB_M_FLAG) !== 0;
+  if (code & EWKB_SRID_FLAG) {
+    const srid = view.getUint32(state.offset, little);
+    state.offset += 4;
+    if (state.srid === null) state.srid = srid;
+  }
+  
+  // Tipos ISO: 1000+ (Z), 2000+ (M), 3000+ (ZM)
+  code = code & 0x0fffffff;
+  const iso = Math.floor(code / 1000);
+  if (iso === 1 || iso === 3) withZ = true;
+  if (iso === 2 || iso === 3) withM = true;
+  
+  const type = WKB_TYPES[code % 1000];
+  if (!type) {
+    throw new Error(`WKB: tipo de geometria ${code} não suportado`);
+  }
+  
+  const dimensions = 2 + (withZ ? 1 : 0) + (withM ? 1 : 0);
+  const readCount = () => {
+    const count = view.getUint32(state.offset, little);
+    state.offset += 4;
+    return count;
+  };
+  const readPoint = () => {
+    const values = [];
+    for (let i = 0; i < dimensions; i++) {
+      values.push(view.getFloat64(state.offset, little));
+      state.offset += 8;
+    }
+    return withZ ? values.slice(0, 3) : values.slice(0, 2);
+  };
+  const readPoints = () => Array.from({ length: readCount() }, readPoint);
+  const readChildren = () => Array.from({ length: readCount() }, () => readWKBGeometry(state));
+  
+  switch (type) {
+    case GEOMETRY_TYPES.POINT: {
+      // POINT EMPTY é gravado com coordenadas NaN
+      const coordinates = readPoint();
+      return { type: type, coordinates: coordinates.every(isNaN) ? [] : coordinates };
+    }
+    case GEOMETRY_TYPES.LINE_STRING:
+      return { type: type, coordinates: readPoints() };
+    case GEOMETRY_TYPES.POLYGON:
+      return { type: type, coordinates: Array.from({ length: readCount() }, readPoints) };
+    case GEOMETRY_TYPES.GEOMETRY_COLLECTION:
+      return { type: type, geometries: readChildren() };
+    default:
+      return {
+        type: type,
+        coordinates: readChildren()
+          .map(child => child.coordinates)
+          .filter(coordinates => coordinates.length > 0)
+      };
+  }
+}
+
+function createWriter() {
+  const bytes = [];
+  const scratch = new DataView(new ArrayBuffer(8));
+  const push = length => {
+    for (let i = 0; i < length; i++) bytes.push(scratch.getUint8(i));
+  };
+  
+  return {
+    uint8(value) {
+      bytes.push(value);
+    },
+    uint32(value) {
+      scratch.setUint32(0, value >>> 0, true);
+      push(4);
+    },
+    float64(value) {
+      scratch.setFloat64(0, value, true);
+      push(8);
+    },
+    toHex() {
+      return bytes.map(byte => (byte < 16 ? '0' : '') + byte.toString(16)).join('').toUpperCase();
+    }
+  };
+}
+
+function writeWKBGeometry(writer, geometry, withZ, srid) {
+  const code = Number(Object.keys(WKB_TYPES).find(key => WKB_TYPES[key] === geometry.type));
+  writer.uint8(1);
+  writer.uint32(code | (withZ ? EWKB_Z_FLAG : 0) | (srid ? EWKB_SRID_FLAG : 0));
+  if (srid) writer.uint32(srid);
+  
+  const writePoint = coordinates => {
+    writer.float64(coordinates[0]);
+    writer.float64(coordinates[1]);
+    if (withZ) writer.float64(coordinates[2]);
+  };
+  const writePoints = list => {
+    writer.uint32(list.length);
+    list.forEach(writePoint);
+  };
+  const writeChildren = (type, list) => {
+    writer.uint32(list.length);
+    list.forEach(coordinates => writeWKBGeometry(writer, { type: type, coordinates: coordinates }, withZ, null));
+  };
+  
+  switch (geometry.type) {
+    case GEOMETRY_TYPES.POINT:
+      writePoint(geometry.coordinates.length > 0 ? geometry.coordinates : [NaN, NaN, NaN]);
+      break;
+    case GEOMETRY_TYPES.LINE_STRING:
+      writePoints(geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.POLYGON:
+      writer.uint32(geometry.coordinates.length);
+      geometry.coordinates.forEach(writePoints);
+      break;
+    case GEOMETRY_TYPES.MULTI_POINT:
+      writeChildren(GEOMETRY_TYPES.POINT, geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.MULTI_LINE_STRING:
+      writeChildren(GEOMETRY_TYPES.LINE_STRING, geometry.coordinates);
+      break;
+    case GEOMETRY_TYPES.MULTI_POLYGON:
+      writeChildren(GEOMETRY_TYPES.POLYGON, geometry.coordinates);
+      break;
+    default:
+      writer.uint32(geometry.geometries.length);
+      geometry.geometries.forEach(child => writeWKBGeometry(writer, child, withZ, null));
+      break;
+  }
+}
+
+export default {
+  parseWKT,
+  toWKT,
+  parseWKB,
+  toWKB,
+  isWKT,
+  isWKB
+};
@@ -0,0 +1,129 @@
+/**
+ * Zip - Leitura de arquivos .zip (KMZ, shapefile compactado)
+ *
+ * Lê o diretório central e extrai as entradas armazenadas (método 0) ou
+ * comprimidas com deflate (método 8). A descompressão usa DecompressionStream,
+ * disponível nos navegadores atuais; não há suporte a zip64 nem a criptografia.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/**
+ * Verifica se os dados começam com a assinatura de um arquivo zip ("PK\x03\x04")
+ * @param {ArrayBuffer|Uint8Array} data - Conteúdo do arquivo
+ * @returns {boolean}
+ */
+export function isZip(data) {
+  const bytes = toBytes(data);
+  return bytes.length >= 4 &&
+    bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/**
+ * Lista as entradas de um arquivo zip (sem descompactar)
+ * @param {ArrayBuffer|Uint8Array} data - Conteúdo do arquivo
+ * @returns {Array} Array de { name, method, compressedSize, size, offset }
+ * @throws {Error} Se o arquivo não for um zip válido
+ */
+export function listZipEntries(data) {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+  
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Zip: diretório central corrompido');
+    }
+    
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      offset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries.filter(entry => !entry.name.endsWith('/'));
+}
+
+/**
+ * Extrai os arquivos de um zip
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Conteúdo do arquivo
+ * @param {Function} filter - (name) => boolean para extrair apenas algumas entradas (padrão: todas)
+ * @returns {Promise<Object>} Objeto { caminho: Uint8Array }
+ * @throws {Error} Se o arquivo não for um zip válido ou usar um método de compressão não suportado
+ */
+export async function readZip(data, filter = null) {
+  const bytes = data instanceof Uint8Array || data instanceof ArrayBuffer
+    ? toBytes(data)
+    : new Uint8Array(await data.arrayBuffer());
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const files = {};
+  
+  for (const entry of listZipEntries(bytes)) {
+    if (filter && !filter(entry.name)) continue;
+    
+    if (view.getUint32(entry.offset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Zip: cabeçalho local inválido em "${entry.name}"`);
+    }
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const content = bytes.subarray(start, start + entry.compressedSize);
+    
+    if (entry.method === 0) {
+      files[entry.name] = content.slice();
+    } else if (entry.method === 8) {
+      files[entry.name] = await inflateRaw(content);
+    } else {
+      throw new Error(`Zip: método de compressão ${entry.method} não suportado em "${entry.name}"`);
+    }
+  }
+  
+  return files;
+}
+
+// ===================================================================
+// FUNÇÕES PRIVADAS
+// ===================================================================
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new Error('Zip: dados devem ser ArrayBuffer ou Uint8Array');
+}
+
+function findEndOfCentralDirectory(view) {
+  // O registro final tem 22 bytes seguidos de um comentário de até 65535 bytes
+  const minimum = Math.max(0, view.byteLength - 22 - 65535);
+  for (let offset = view.byteLength - 22; offset >= minimum; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Zip: arquivo zip inválido (diretório central não encontrado)');
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Zip: descompressão não suportada neste navegador (DecompressionStream)');
+  }
+  
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export default {
+  isZip,
+  listZipEntries,
+  readZip
+};
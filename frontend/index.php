@@ -488,8 +488,7 @@
     loadedData: null,
     allUUIDs: [],           // Todos os UUIDs carregados
     visibleUUIDs: [],       // UUIDs visíveis atualmente (após filtro)
-    hiddenUUIDs: [],        // UUIDs ocultos (removidos do mapa)
-    featuresByUUID: {},     // Armazenar features originais por UUID para restauração
+    hiddenUUIDs: [],        // UUIDs ocultos pelo filtro (continuam no BeraMap)
     filters: {
       responsavel: '',
       situacao: '',
@@ -575,70 +574,44 @@
   }
 
   function restoreAllGeometries() {
-    // Restaurar geometrias que foram ocultas pelo filtro
-    if (state.hiddenUUIDs.length > 0) {
-      state.hiddenUUIDs.forEach(uuid => {
-        // Verificar se a feature está armazenada
-        if (state.featuresByUUID[uuid]) {
-          const feature = state.featuresByUUID[uuid];
-          // Re-adicionar a geometria com o UUID original
-          state.beraMap.addGeometries(feature, { uuid: uuid });
-        }
-      });
-      // Limpar array de ocultos e atualizar visíveis
-      state.hiddenUUIDs = [];
-      state.visibleUUIDs = [...state.allUUIDs];
-    }
+    // Remover o filtro: as geometrias ocultas voltam a ser exibidas sem re-adicionar
+    state.beraMap.clearFilter();
+    state.hiddenUUIDs = [];
+    state.visibleUUIDs = [...state.allUUIDs];
   }
 
-  function filterGeometries() {
-    // Etapa 1: Restaurar todas as geometrias ocultas antes de aplicar novo filtro
-    restoreAllGeometries();
-
-    state.visibleUUIDs = [];
-    const uuidsToRemove = [];
-
-    // Etapa 2: Iterar sobre todas as geometrias e verificar filtros
-    state.allUUIDs.forEach(uuid => {
-      const geometryData = state.beraMap.getGeometryByUUID(uuid);
+  function buildFilterExpression() {
+    // Expressão declarativa (serializável) avaliada pelo GeoManager
+    const expression = ['all'];
 
-      if (geometryData) {
-        const props = geometryData.feature.properties || {};
-
-        // Verificar se passa nos filtros
-        let passaNosFilteros = true;
+    if (state.filters.responsavel) {
+      expression.push(['==', 'responsavel', state.filters.responsavel]);
+    }
 
-        if (state.filters.responsavel && props.responsavel !== state.filters.responsavel) {
-          passaNosFilteros = false;
-        }
+    if (state.filters.situacao) {
+      expression.push(['==', 'situacao', state.filters.situacao]);
+    }
 
-        if (state.filters.situacao && props.situacao !== state.filters.situacao) {
-          passaNosFilteros = false;
-        }
+    // Datas: só exclui quando a propriedade existe e fica fora do intervalo (sem data continua visível)
+    if (state.filters.dataInicio) {
+      expression.push(['!', ['<', 'dataInicio', state.filters.dataInicio]]);
+    }
 
-        if (state.filters.dataInicio && props.dataInicio && props.dataInicio < state.filters.dataInicio) {
-          passaNosFilteros = false;
-        }
+    if (state.filters.dataFim) {
+      expression.push(['!', ['>', 'dataFim', state.filters.dataFim]]);
+    }
 
-        if (state.filters.dataFim && props.dataFim && props.dataFim > state.filters.dataFim) {
-          passaNosFilteros = false;
-        }
+    return expression;
+  }
 
-        if (passaNosFilteros) {
-          state.visibleUUIDs.push(uuid);
-        } else {
-          uuidsToRemove.push(uuid);
-        }
-      }
-    });
+  function filterGeometries() {
+    // Ocultar (sem remover) as geometrias que não passam nos filtros
+    state.beraMap.setFilter(buildFilterExpression());
 
-    // Etapa 3: Remover geometrias que não passaram no filtro
-    if (uuidsToRemove.length > 0) {
-      state.beraMap.removeGeometries(uuidsToRemove);
-      state.hiddenUUIDs = uuidsToRemove;
-    }
+    state.visibleUUIDs = state.beraMap.getVisibleUUIDs();
+    state.hiddenUUIDs = state.allUUIDs.filter(uuid => !state.beraMap.isVisible(uuid));
 
-    // Etapa 4: Atualizar informações de resultado
+    // Atualizar informações de resultado
     updateResultInfo();
   }
 
@@ -700,13 +673,6 @@
 
           const uuids = state.beraMap.addGeometries(geojson);
 
-          // Armazenar features originais por UUID para restauração posterior
-          uuids.forEach((uuid, index) => {
-            if (geojson.features[index]) {
-              state.featuresByUUID[uuid] = geojson.features[index];
-            }
-          });
-
           state.loadedData = {
             uuids: uuids,
             data: geojson,
@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBeraMap, teardownDOM } from './helpers/dom.mjs';
+import { interiorsIntersect } from '../assets/js/utils/spatial.js';
+
+const line = coordinates => ({ type: 'LineString', coordinates: coordinates });
+const square = (x, y, size = 0.01) => ({
+  type: 'Polygon',
+  coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+});
+const feature = (geometry, properties = {}) => ({ type: 'Feature', properties: properties, geometry: geometry });
+
+describe('interiorsIntersect', () => {
+  it('linhas que se cruzam ou se sobrepõem', () => {
+    assert.equal(interiorsIntersect(line([[0, 0], [0.01, 0.01]]), line([[0, 0.01], [0.01, 0]])), true);
+    assert.equal(interiorsIntersect(line([[0, 0], [0.02, 0]]), line([[0.01, 0], [0.03, 0]])), true);
+  });
+  
+  it('linhas unidas pelas extremidades ou em T apenas se tocam', () => {
+    assert.equal(interiorsIntersect(line([[0, 0], [0.01, 0]]), line([[0.01, 0], [0.02, 0.01]])), false);
+    assert.equal(interiorsIntersect(line([[0, 0], [0.02, 0]]), line([[0.01, 0], [0.01, 0.01]])), false);
+  });
+  
+  it('polígonos com aresta ou vértice em comum apenas se tocam', () => {
+    assert.equal(interiorsIntersect(square(0, 0), square(0.01, 0)), false);
+    assert.equal(interiorsIntersect(square(0, 0), square(0.01, 0.01)), false);
+  });
+  
+  it('polígonos sobrepostos, iguais ou contidos', () => {
+    assert.equal(interiorsIntersect(square(0, 0), square(0.005, 0.005)), true);
+    assert.equal(interiorsIntersect(square(0, 0), square(0, 0)), true);
+    assert.equal(interiorsIntersect(square(0, 0, 0.03), square(0.01, 0.01)), true);
+  });
+  
+  it('linha e polígono', () => {
+    assert.equal(interiorsIntersect(square(0, 0), line([[-0.01, 0.005], [0.02, 0.005]])), true);
+    assert.equal(interiorsIntersect(square(0, 0), line([[0.002, 0.005], [0.008, 0.005]])), true);
+    assert.equal(interiorsIntersect(square(0, 0), line([[0, 0], [0.01, 0]])), false);
+    assert.equal(interiorsIntersect(square(0, 0), line([[0.01, 0.005], [0.02, 0.005]])), false);
+  });
+});
+
+describe('ConflictDetector', () => {
+  let beraMap;
+  const names = conflicts => conflicts.map(conflict =>
+    `${conflict.uuids.map(uuid => beraMap.getGeometryByUUID(uuid).properties.name).join('-')}:${conflict.type}`);
+  
+  before(async () => {
+    beraMap = await createBeraMap();
+  });
+  
+  after(() => teardownDOM());
+  
+  it('classifica cruzamento, contato e proximidade', () => {
+    beraMap.clearAll();
+    beraMap.addGeometries({ type: 'FeatureCollection', features: [
+      feature(line([[0, 0], [0.01, 0.01]]), { name: 'A' }),
+      feature(line([[0, 0.01], [0.01, 0]]), { name: 'B' }),
+      feature(line([[0.1, 0], [0.11, 0]]), { name: 'T1' }),
+      feature(line([[0.11, 0], [0.12, 0.01]]), { name: 'T2' }),
+      feature(square(0.2, 0), { name: 'Q1' }),
+      feature(square(0.21, 0), { name: 'Q2' }),
+      feature(line([[0.3, 0], [0.3, 0.01]]), { name: 'P1' }),
+      feature(line([[0.3015, 0], [0.3015, 0.01]]), { name: 'P2' }),
+      feature(line([[1, 1], [1.01, 1]]), { name: 'far' })
+    ] });
+    
+    const conflicts = beraMap.detectConflicts({ distance: 200 });
+    assert.deepEqual(names(conflicts).sort(), ['A-B:crossing', 'P1-P2:proximity', 'Q1-Q2:touch', 'T1-T2:touch']);
+    
+    const proximity = conflicts.find(conflict => conflict.type === 'proximity');
+    assert.ok(Math.abs(proximity.distance - 166.8) < 0.5);
+    assert.equal(conflicts.filter(conflict => conflict.type !== 'proximity').every(conflict => conflict.distance === 0), true);
+  });
+  
+  it('dispara bera:conflictsDetected com os pares', () => {
+    const events = [];
+    beraMap.on('bera:conflictsDetected', (e, data) => events.push(data));
+    beraMap.detectConflicts({ distance: 50 });
+    
+    assert.equal(events.length, 1);
+    assert.equal(events[0].count, 3);
+    assert.equal(events[0].distance, 50);
+  });
+  
+  it('com checkDates ignora geometrias sem período completo, exceto com openPeriods', () => {
+    beraMap.clearAll();
+    beraMap.addGeometries({ type: 'FeatureCollection', features: [
+      feature(line([[0, 0], [0.01, 0.01]]), { name: 'A', dataInicio: '2025-10-01', dataFim: '2025-10-10' }),
+      feature(line([[0, 0.01], [0.01, 0]]), { name: 'B', dataInicio: '2025-10-11', dataFim: '2025-10-20' }),
+      feature(line([[0, 0.005], [0.01, 0.005]]), { name: 'C', dataInicio: '2025-10-05' }),
+      feature(line([[0.005, 0], [0.005, 0.01]]), { name: 'D' })
+    ] });
+    
+    assert.equal(beraMap.detectConflicts().length, 6);
+    assert.deepEqual(names(beraMap.detectConflicts({ checkDates: true })), []);
+    assert.deepEqual(names(beraMap.detectConflicts({ checkDates: true, openPeriods: true })).sort(), [
+      'A-C:crossing', 'A-D:crossing', 'B-C:crossing', 'B-D:crossing', 'C-D:crossing'
+    ]);
+  });
+});
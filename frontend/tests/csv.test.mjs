@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { csvToGeoJSON, decodeCSV, detectDelimiter, parseCSV, toCSV } from '../assets/js/utils/csv.js';
+
+describe('CSV', () => {
+  it('lê planilhas do Excel em português (";" e vírgula decimal)', () => {
+    const collection = csvToGeoJSON('nome;latitude;longitude;valor\nPoço 1;-8,7619;-63,9039;1.234,5\nPoço 2;-8,77;-63,91;10');
+    
+    assert.equal(collection.metadata.delimiter, ';');
+    assert.equal(collection.metadata.decimal, ',');
+    assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [-63.9039, -8.7619] });
+    assert.deepEqual(collection.features[0].properties, { nome: 'Poço 1', valor: 1234.5 });
+  });
+  
+  it('detecta vírgula decimal em campos entre aspas com separador ","', () => {
+    const collection = csvToGeoJSON('nome,lat,lng\n"A","-8,7619","-63,9039"\n"B","-8,77","-63,91"');
+    
+    assert.equal(collection.metadata.decimal, ',');
+    assert.deepEqual(collection.features[0].geometry.coordinates, [-63.9039, -8.7619]);
+  });
+  
+  it('mantém valores com um único ponto como decimais', () => {
+    const collection = csvToGeoJSON('nome;lat;lng\nA;-8.761;-63.903\nB;-8.77;-63.91');
+    
+    assert.equal(collection.metadata.decimal, '.');
+    assert.deepEqual(collection.features[0].geometry.coordinates, [-63.903, -8.761]);
+  });
+  
+  it('lê a coluna WKT e registra as linhas inválidas', () => {
+    const collection = csvToGeoJSON('id;wkt\n1;POINT(-63.9 -8.76)\n2;LINESTRING(0 0,1 1)\n3;POINT(1');
+    
+    assert.deepEqual(collection.features.map(feature => feature.geometry.type), ['Point', 'LineString']);
+    assert.equal(collection.metadata.wktColumn, 'wkt');
+    assert.equal(collection.metadata.skipped.length, 1);
+    assert.equal(collection.metadata.skipped[0].row, 3);
+  });
+  
+  it('renomeia colunas e rejeita arquivos sem geometria', () => {
+    const collection = csvToGeoJSON('cod;lat;lng;obs\n007;-8,76;-63,9;x', { columns: { cod: 'codigo' }, convertNumbers: false });
+    
+    assert.deepEqual(collection.features[0].properties, { codigo: '007' });
+    assert.throws(() => csvToGeoJSON('a;b\n1;2'), /colunas de geometria não encontradas/);
+  });
+  
+  it('respeita aspas, aspas escapadas e quebras de linha nos campos', () => {
+    const { headers, rows, delimiter } = parseCSV('a,b\n"x, ""y""","linha 1\nlinha 2"\n');
+    
+    assert.equal(delimiter, ',');
+    assert.deepEqual(headers, ['a', 'b']);
+    assert.deepEqual(rows, [['x, "y"', 'linha 1\nlinha 2']]);
+    assert.equal(detectDelimiter('a|b|c\n1|2|3'), '|');
+  });
+  
+  it('decodifica UTF-8 com BOM e recorre ao Latin-1', () => {
+    assert.deepEqual(decodeCSV(new Uint8Array([0xef, 0xbb, 0xbf, 0x61, 0xc3, 0xa7])), { text: 'aç', encoding: 'utf-8' });
+    assert.deepEqual(decodeCSV(new Uint8Array([0x53, 0xe3, 0x6f])), { text: 'São', encoding: 'latin1' });
+  });
+  
+  it('exporta no formato do Excel em português', () => {
+    const text = toCSV([{ nome: 'A; B', valor: 1.5 }, { nome: 'C', valor: 2 }]);
+    
+    assert.equal(text, '\uFEFFnome;valor\r\n"A; B";1,5\r\nC;2');
+    assert.deepEqual(csvToGeoJSON(toCSV([{ lat: -8.76, lng: -63.9 }], { bom: false })).features[0].geometry.coordinates,
+      [-63.9, -8.76]);
+  });
+});
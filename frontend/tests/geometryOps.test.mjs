@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isPolygonal, mergeLines, mergeProperties, polygonOperation, splitLine } from '../assets/js/utils/geometryOps.js';
+import { calculatePolygonArea, toLatLngs } from '../assets/js/utils/geometry.js';
+
+const square = (x, y, size) => ({
+  type: 'Polygon',
+  coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+});
+
+function area(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.reduce((total, rings) => total + calculatePolygonArea(rings.map(toLatLngs)), 0);
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} ≠ ${expected}`);
+}
+
+describe('polygonOperation', () => {
+  const a = square(-63.91, -8.76, 0.013);
+  const b = square(-63.905, -8.755, 0.017);
+  const overlap = square(-63.905, -8.755, 0.008);
+  
+  it('união, interseção e diferença preservam as áreas', () => {
+    const union = polygonOperation([a, b], 'union');
+    const intersection = polygonOperation([a, b], 'intersection');
+    const difference = polygonOperation([a, b], 'difference');
+    
+    assert.equal(union.type, 'Polygon');
+    assertClose(area(intersection), area(overlap), 1, 'interseção');
+    assertClose(area(union), area(a) + area(b) - area(overlap), 1, 'união');
+    assertClose(area(difference), area(a) - area(overlap), 1, 'diferença');
+  });
+  
+  it('devolve os vértices de entrada com a posição original', () => {
+    const union = polygonOperation([a, b], 'union');
+    const positions = union.coordinates[0].map(position => position.join(','));
+    
+    // Vértices de A e de B fora da área comum, sem o erro da projeção local
+    [a.coordinates[0][0], a.coordinates[0][3], b.coordinates[0][1], b.coordinates[0][2], b.coordinates[0][3]].forEach(position => {
+      assert.ok(positions.includes(position.join(',')), `${position} ausente em ${positions}`);
+    });
+  });
+  
+  it('polígonos disjuntos geram MultiPolygon na união e resultado vazio na interseção', () => {
+    const far = square(-63.8, -8.76, 0.01);
+    
+    assert.equal(polygonOperation([a, far], 'union').type, 'MultiPolygon');
+    assert.equal(polygonOperation([a, far], 'intersection'), null);
+  });
+  
+  it('a diferença de um polígono interno gera um furo', () => {
+    const outer = square(-63.91, -8.76, 0.03);
+    const inner = square(-63.9, -8.75, 0.01);
+    const result = polygonOperation([outer, inner], 'difference');
+    
+    assert.equal(result.type, 'Polygon');
+    assert.equal(result.coordinates.length, 2);
+    assertClose(area(result), area(outer) - area(inner), 1, 'área com furo');
+  });
+  
+  it('rejeita geometrias que não são poligonais', () => {
+    const lineString = { type: 'LineString', coordinates: [[0, 0], [1, 1]] };
+    
+    assert.equal(isPolygonal(lineString), false);
+    assert.throws(() => polygonOperation([a, lineString], 'union'), /não é uma geometria poligonal/);
+  });
+});
+
+describe('splitLine', () => {
+  const lineString = { type: 'LineString', coordinates: [[0, 0], [0.01, 0], [0.02, 0]] };
+  
+  it('divide no ponto mais próximo da posição', () => {
+    const result = splitLine(lineString, [0.015, 0.0001]);
+    
+    assert.equal(result.parts.length, 2);
+    assertClose(result.position[0], 0.015, 1e-9, 'longitude do corte');
+    assert.deepEqual(result.parts[0].slice(0, 2), [[0, 0], [0.01, 0]]);
+    assert.deepEqual(result.parts[1][result.parts[1].length - 1], [0.02, 0]);
+    assertClose(result.distance, 11.1, 0.1, 'distância até a linha');
+  });
+  
+  it('usa a posição do vértice quando o corte cai sobre ele', () => {
+    const result = splitLine(lineString, [0.01, 0]);
+    
+    assert.deepEqual(result.parts, [[[0, 0], [0.01, 0]], [[0.01, 0], [0.02, 0]]]);
+  });
+  
+  it('retorna null nas extremidades e rejeita polígonos', () => {
+    assert.equal(splitLine(lineString, [-0.01, 0]), null);
+    assert.throws(() => splitLine(square(0, 0, 1), [0, 0]), /apenas LineString e Drawing/);
+  });
+});
+
+describe('mergeLines', () => {
+  it('encadeia linhas pelas extremidades, invertendo quando necessário', () => {
+    const result = mergeLines([
+      { type: 'LineString', coordinates: [[0, 0], [0.01, 0]] },
+      { type: 'LineString', coordinates: [[0.02, 0], [0.01, 0]] }
+    ]);
+    
+    assert.deepEqual(result, { type: 'LineString', coordinates: [[0, 0], [0.01, 0], [0.02, 0]] });
+  });
+  
+  it('mantém partes distantes separadas em um MultiLineString', () => {
+    const result = mergeLines([
+      { type: 'LineString', coordinates: [[0, 0], [0.01, 0]] },
+      { type: 'LineString', coordinates: [[0.02, 0], [0.03, 0]] }
+    ], { tolerance: 1 });
+    
+    assert.equal(result.type, 'MultiLineString');
+    assert.equal(result.coordinates.length, 2);
+  });
+  
+  it('junção de Drawings continua sendo Drawing', () => {
+    const result = mergeLines([
+      { type: 'Drawing', coordinates: [[0, 0], [0.01, 0]] },
+      { type: 'Drawing', coordinates: [[0.01, 0], [0.02, 0]] }
+    ]);
+    
+    assert.equal(result.type, 'Drawing');
+    assert.equal(result.coordinates.length, 3);
+  });
+});
+
+describe('mergeProperties', () => {
+  const list = [{ name: 'A', status: 'ok' }, { name: 'B', owner: 'x' }];
+  
+  it('aplica as estratégias', () => {
+    assert.deepEqual(mergeProperties(list), { name: 'A', status: 'ok' });
+    assert.deepEqual(mergeProperties(list, 'last'), { name: 'B', owner: 'x' });
+    assert.deepEqual(mergeProperties(list, 'merge'), { name: 'A', status: 'ok', owner: 'x' });
+    assert.deepEqual(mergeProperties(list, 'none'), {});
+    assert.deepEqual(mergeProperties(list, items => ({ count: items.length })), { count: 2 });
+    assert.throws(() => mergeProperties(list, 'x'), /estratégia de propriedades desconhecida/);
+  });
+});
@@ -0,0 +1,65 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDOM, teardownDOM } from './helpers/dom.mjs';
+import { isGPX, parseGPX, toGPX } from '../assets/js/utils/gpx.js';
+
+const GPX = `<?xml version="1.0"?>
+<!-- campo -->
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="-8.76" lon="-63.9"><ele>90.5</ele><time>2024-01-01T10:00:00Z</time><name>Poço &amp; 1</name><desc>vistoria</desc><sym>Flag</sym></wpt>
+  <rte><name>Rota</name><rtept lat="-8.76" lon="-63.9"/><rtept lat="-8.77" lon="-63.91"/></rte>
+  <trk><name>Trilha</name><trkseg>
+    <trkpt lat="-8.76" lon="-63.9"><time>2024-01-01T10:00:00Z</time></trkpt>
+    <trkpt lat="-8.761" lon="-63.901"><time>2024-01-01T10:01:00Z</time></trkpt>
+  </trkseg></trk>
+  <trk><name>Multi</name>
+    <trkseg><trkpt lat="-8.76" lon="-63.9"/><trkpt lat="-8.761" lon="-63.901"/></trkseg>
+    <trkseg><trkpt lat="-8.77" lon="-63.9"/><trkpt lat="-8.771" lon="-63.901"/></trkseg>
+  </trk>
+</gpx>`;
+
+describe('GPX', () => {
+  before(() => setupDOM());
+  after(() => teardownDOM());
+  
+  it('converte waypoints, rotas e trilhas', () => {
+    const collection = parseGPX(GPX);
+    
+    assert.deepEqual(collection.features.map(feature => `${feature.geometry.type}:${feature.properties.gpxType}`),
+      ['Point:waypoint', 'LineString:route', 'LineString:track', 'MultiLineString:track']);
+    assert.deepEqual(collection.features[0].geometry.coordinates, [-63.9, -8.76]);
+    assert.deepEqual(collection.features[1].geometry.coordinates, [[-63.9, -8.76], [-63.91, -8.77]]);
+    assert.equal(collection.features[3].geometry.coordinates.length, 2);
+  });
+  
+  it('lê nome, descrição, elevação e horários', () => {
+    const [waypoint, , track] = parseGPX(GPX).features;
+    
+    assert.equal(waypoint.properties.name, 'Poço & 1');
+    assert.equal(waypoint.properties.description, 'vistoria');
+    assert.equal(waypoint.properties.ele, 90.5);
+    assert.equal(waypoint.properties.sym, 'Flag');
+    assert.equal(track.properties.time, '2024-01-01T10:00:00Z');
+    assert.equal(track.properties.endTime, '2024-01-01T10:01:00Z');
+    assert.deepEqual(track.properties.times, ['2024-01-01T10:00:00Z', '2024-01-01T10:01:00Z']);
+  });
+  
+  it('detecta GPX mesmo com declaração e comentários', () => {
+    assert.equal(isGPX(GPX), true);
+    assert.equal(isGPX('<kml></kml>'), false);
+    assert.throws(() => parseGPX('<gpx><bad'));
+  });
+  
+  it('exporta linhas como trilhas e preserva os horários por ponto', () => {
+    const collection = parseGPX(GPX);
+    const text = toGPX(collection, { name: 'Campo' });
+    const back = parseGPX(text);
+    
+    assert.match(text, /<metadata><name>Campo<\/name>/);
+    assert.deepEqual(back.features.map(feature => `${feature.geometry.type}:${feature.properties.gpxType}`),
+      ['Point:waypoint', 'LineString:track', 'LineString:track', 'MultiLineString:track']);
+    assert.deepEqual(back.features[2].properties.times, collection.features[2].properties.times);
+    assert.deepEqual(back.features[3].geometry.coordinates, collection.features[3].geometry.coordinates);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Ambiente de DOM (jsdom) com Leaflet e jQuery globais para os testes que usam o BeraMap
+ * O jsdom não calcula layout: o container do mapa recebe um tamanho fixo.
+ */
+
+import { createRequire } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+const require = createRequire(import.meta.url);
+
+let dom = null;
+let beraMapModule = null;
+
+/**
+ * Cria o DOM global (uma única vez por arquivo de teste)
+ * @returns {Object} window do jsdom
+ */
+export function setupDOM() {
+  if (dom) return dom.window;
+  
+  dom = new JSDOM('<!DOCTYPE html><body></body>', { pretendToBeVisual: true });
+  const window = dom.window;
+  
+  ['window', 'document', 'navigator', 'DOMParser', 'XMLSerializer', 'Element', 'HTMLElement',
+    'requestAnimationFrame', 'cancelAnimationFrame'].forEach(name => {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+  
+  Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 800 });
+  Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 600 });
+  window.SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 0, height: 0 });
+  window.SVGSVGElement.prototype.createSVGRect = () => ({});
+  
+  window.L = require('leaflet');
+  window.jQuery = window.$ = require('jquery');
+  return window;
+}
+
+/**
+ * Cria uma instância do BeraMap em um container novo
+ * @param {Object} options - Opções do BeraMap
+ * @returns {Promise<Object>} Instância do BeraMap (mapa em [0, 0], zoom 14)
+ */
+export async function createBeraMap(options = {}) {
+  const window = setupDOM();
+  if (!beraMapModule) {
+    beraMapModule = await import('../../assets/js/maps.js');
+  }
+  
+  const container = window.document.createElement('div');
+  container.id = `map-${Math.random().toString(36).slice(2)}`;
+  window.document.body.appendChild(container);
+  
+  const beraMap = beraMapModule.init(container.id, options);
+  beraMap.getLeafletMap().setView([0, 0], 14, { animate: false });
+  return beraMap;
+}
+
+/**
+ * Encerra o DOM (timers do jsdom manteriam o processo de teste ativo)
+ * @returns {void}
+ */
+export function teardownDOM() {
+  if (dom) {
+    dom.window.close();
+    dom = null;
+  }
+}
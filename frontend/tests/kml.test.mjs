@@ -0,0 +1,93 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDOM, teardownDOM } from './helpers/dom.mjs';
+import { fromKMLColor, isKML, parseKML, toKML, toKMLColor } from '../assets/js/utils/kml.js';
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <Style id="red"><LineStyle><color>ff0000ff</color><width>4</width></LineStyle><PolyStyle><color>7f00ff00</color></PolyStyle></Style>
+  <StyleMap id="map1"><Pair><key>normal</key><styleUrl>#red</styleUrl></Pair></StyleMap>
+  <Folder>
+    <Placemark><name>Ponto A</name><description><![CDATA[<b>obra</b> & cia]]></description>
+      <ExtendedData><Data name="situacao"><value>Concluído</value></Data><Data name="valor"><value>1500.5</value></Data></ExtendedData>
+      <Point><coordinates>-63.9,-8.76,0</coordinates></Point></Placemark>
+    <Placemark><name>Rua</name><styleUrl>#map1</styleUrl>
+      <ExtendedData><SchemaData schemaUrl="#s"><SimpleData name="codigo">007</SimpleData></SchemaData></ExtendedData>
+      <LineString><coordinates>
+        -63.90,-8.76,0 -63.89,-8.761,0
+        -63.88,-8.762,0
+      </coordinates></LineString></Placemark>
+  </Folder>
+  <Placemark><name>Quadra</name><styleUrl>#red</styleUrl><Style><PolyStyle><fill>0</fill></PolyStyle></Style>
+    <Polygon>
+      <outerBoundaryIs><LinearRing><coordinates>-63.9,-8.77 -63.89,-8.77 -63.89,-8.78 -63.9,-8.78 -63.9,-8.77</coordinates></LinearRing></outerBoundaryIs>
+      <innerBoundaryIs><LinearRing><coordinates>-63.898,-8.772 -63.892,-8.772 -63.892,-8.778 -63.898,-8.772</coordinates></LinearRing></innerBoundaryIs>
+    </Polygon></Placemark>
+  <Placemark><name>Multi</name><MultiGeometry>
+    <Point><coordinates>-63.8,-8.7</coordinates></Point>
+    <LineString><coordinates>-63.8,-8.7 -63.81,-8.71</coordinates></LineString>
+  </MultiGeometry></Placemark>
+  <Placemark><name>sem geometria</name></Placemark>
+</Document>
+</kml>`;
+
+describe('KML', () => {
+  before(() => setupDOM());
+  after(() => teardownDOM());
+  
+  it('converte placemarks em features, ignorando os sem geometria', () => {
+    const collection = parseKML(KML);
+    
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.deepEqual(collection.features.map(feature => feature.geometry.type),
+      ['Point', 'LineString', 'Polygon', 'GeometryCollection']);
+    assert.deepEqual(collection.features[0].geometry.coordinates, [-63.9, -8.76]);
+    assert.equal(collection.features[1].geometry.coordinates.length, 3);
+    assert.deepEqual(collection.features[2].geometry.coordinates.map(ring => ring.length), [5, 4]);
+  });
+  
+  it('lê nome, descrição e ExtendedData nas propriedades', () => {
+    const [point, line] = parseKML(KML).features;
+    
+    assert.equal(point.properties.name, 'Ponto A');
+    assert.equal(point.properties.description, '<b>obra</b> & cia');
+    assert.equal(point.properties.situacao, 'Concluído');
+    assert.equal(point.properties.valor, 1500.5);
+    assert.equal(line.properties.codigo, '007');
+  });
+  
+  it('resolve estilos compartilhados e StyleMap em propriedades simplestyle', () => {
+    const [, line, polygon] = parseKML(KML).features;
+    
+    assert.equal(line.properties.stroke, '#ff0000');
+    assert.equal(line.properties['stroke-width'], 4);
+    assert.equal(polygon.properties.fill, '#00ff00');
+    assert.equal(polygon.properties['fill-opacity'], 0);
+  });
+  
+  it('converte cores KML (aabbggrr)', () => {
+    assert.deepEqual(fromKMLColor('7f00ff00'), { color: '#00ff00', opacity: 0.5 });
+    assert.equal(toKMLColor('#f80', 0.5), '800088ff');
+    assert.equal(toKMLColor('red'), null);
+  });
+  
+  it('detecta KML e rejeita XML inválido', () => {
+    assert.equal(isKML(KML), true);
+    assert.equal(isKML('<gpx></gpx>'), false);
+    assert.throws(() => parseKML('<kml><bad'), /XML inválido/);
+  });
+  
+  it('exporta e lê de volta as geometrias e propriedades', () => {
+    const collection = parseKML(KML);
+    const text = toKML(collection, { name: 'Obras' });
+    const back = parseKML(text);
+    
+    assert.match(text, /<name>Obras<\/name>/);
+    assert.deepEqual(back.features.map(feature => feature.geometry.type),
+      collection.features.map(feature => feature.geometry.type));
+    assert.deepEqual(back.features[0].properties, collection.features[0].properties);
+    assert.deepEqual(back.features[2].geometry.coordinates, collection.features[2].geometry.coordinates);
+  });
+});
@@ -0,0 +1,298 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSHP, parseDBF, parseShapefile, parseShapefileZip } from '../assets/js/utils/shapefile.js';
+import { createTransform, isWGS84, parsePRJ, PROJECTION_TYPES } from '../assets/js/utils/projection.js';
+
+const DEG = Math.PI / 180;
+
+const UTM_20S = 'PROJCS["SIRGAS_2000_UTM_Zone_20S",GEOGCS["GCS_SIRGAS_2000",DATUM["D_SIRGAS_2000",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",10000000.0],PARAMETER["Central_Meridian",-63.0],PARAMETER["Scale_Factor",0.9996],PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+const SIRGAS_2000 = 'GEOGCS["GCS_SIRGAS_2000",DATUM["D_SIRGAS_2000",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const WEB_MERCATOR = 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Mercator_Auxiliary_Sphere"],PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]';
+
+// Transversa de Mercator direta (Snyder, 1987) no GRS80, usada como referência independente
+function toUTM20S([lon, lat]) {
+  const a = 6378137;
+  const f = 1 / 298.257222101;
+  const k0 = 0.9996;
+  const e2 = f * (2 - f);
+  const ep2 = e2 / (1 - e2);
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const phi = lat * DEG;
+  const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+  const T = Math.tan(phi) ** 2;
+  const C = ep2 * Math.cos(phi) ** 2;
+  const A = (lon + 63) * DEG * Math.cos(phi);
+  const M = a * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+    - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+    + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+    - (35 * e6 / 3072) * Math.sin(6 * phi));
+  const x = 500000 + k0 * N * (A + (1 - T + C) * A ** 3 / 6 + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+  const y = 10000000 + k0 * (M + N * Math.tan(phi) * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+    + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+  return [x, y];
+}
+
+function assertClose(actual, expected, tolerance) {
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) < tolerance, `${actual} ≠ ${expected}`);
+  });
+}
+
+// ===================================================================
+// CONSTRUÇÃO DE ARQUIVOS
+// ===================================================================
+
+function pointRecord([x, y]) {
+  const buffer = Buffer.alloc(20);
+  buffer.writeInt32LE(1, 0);
+  buffer.writeDoubleLE(x, 4);
+  buffer.writeDoubleLE(y, 12);
+  return { type: 1, buffer };
+}
+
+function polygonRecord(rings) {
+  const count = rings.reduce((total, ring) => total + ring.length, 0);
+  const buffer = Buffer.alloc(44 + 4 * rings.length + 16 * count);
+  buffer.writeInt32LE(5, 0);
+  buffer.writeInt32LE(rings.length, 36);
+  buffer.writeInt32LE(count, 40);
+  let start = 0;
+  rings.forEach((ring, index) => {
+    buffer.writeInt32LE(start, 44 + 4 * index);
+    start += ring.length;
+  });
+  let offset = 44 + 4 * rings.length;
+  rings.flat().forEach(([x, y]) => {
+    buffer.writeDoubleLE(x, offset);
+    buffer.writeDoubleLE(y, offset + 8);
+    offset += 16;
+  });
+  return { type: 5, buffer };
+}
+
+function nullRecord() {
+  return { type: 0, buffer: Buffer.alloc(4) };
+}
+
+function buildSHP(records) {
+  const length = 100 + records.reduce((total, record) => total + 8 + record.buffer.length, 0);
+  const output = Buffer.alloc(length);
+  output.writeInt32BE(9994, 0);
+  output.writeInt32BE(length / 2, 24);
+  output.writeInt32LE(1000, 28);
+  output.writeInt32LE(records.find(record => record.type !== 0).type, 32);
+  let offset = 100;
+  records.forEach((record, index) => {
+    output.writeInt32BE(index + 1, offset);
+    output.writeInt32BE(record.buffer.length / 2, offset + 4);
+    record.buffer.copy(output, offset + 8);
+    offset += 8 + record.buffer.length;
+  });
+  return new Uint8Array(output);
+}
+
+function buildDBF(fields, rows, encoding = 'latin1') {
+  const headerLength = 32 + 32 * fields.length + 1;
+  const recordLength = 1 + fields.reduce((total, field) => total + field.length, 0);
+  const output = Buffer.alloc(headerLength + recordLength * rows.length + 1, 0x20);
+  output.fill(0, 0, headerLength);
+  output.writeUInt8(3, 0);
+  output.writeUInt32LE(rows.length, 4);
+  output.writeUInt16LE(headerLength, 8);
+  output.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, index) => {
+    const offset = 32 + 32 * index;
+    output.write(field.name, offset, 'latin1');
+    output.write(field.type, offset + 11, 'latin1');
+    output.writeUInt8(field.length, offset + 16);
+    output.writeUInt8(field.decimals || 0, offset + 17);
+  });
+  output.writeUInt8(0x0d, headerLength - 1);
+  rows.forEach((row, rowIndex) => {
+    let offset = headerLength + recordLength * rowIndex;
+    output.write(row.deleted ? '*' : ' ', offset, 'latin1');
+    offset++;
+    fields.forEach((field, index) => {
+      const value = String(row.values[index]);
+      const text = field.type === 'C' ? value.padEnd(field.length) : value.padStart(field.length);
+      output.write(text, offset, field.length, encoding);
+      offset += field.length;
+    });
+  });
+  output.writeUInt8(0x1a, output.length - 1);
+  return new Uint8Array(output);
+}
+
+// Zip sem compressão (método 0)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const data = Buffer.from(content);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+// Anel externo em sentido horário e furo em sentido anti-horário, como na especificação
+const square = (lon, lat, size) => [[lon, lat], [lon, lat + size], [lon + size, lat + size], [lon + size, lat], [lon, lat]];
+const hole = (lon, lat, size) => [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]];
+
+const FIELDS = [
+  { name: 'NOME', type: 'C', length: 20 },
+  { name: 'AREA', type: 'N', length: 12, decimals: 2 },
+  { name: 'ATIVO', type: 'L', length: 1 },
+  { name: 'DATA', type: 'D', length: 8 }
+];
+
+describe('Projeções (.prj)', () => {
+  it('converte UTM 20S (SIRGAS 2000) para WGS84 como a fórmula direta de referência', () => {
+    const transform = createTransform(UTM_20S);
+
+    [[-63.9039, -8.7619], [-61, -1], [-65.9, -12.5], [-63, 0.0001]].forEach(lonLat => {
+      assertClose(transform(toUTM20S(lonLat)), lonLat, 1e-8);
+    });
+  });
+
+  it('converte Web Mercator para WGS84', () => {
+    const transform = createTransform(WEB_MERCATOR);
+    const projected = [-63.9039 * DEG * 6378137, Math.log(Math.tan(Math.PI / 4 + -8.7619 * DEG / 2)) * 6378137];
+
+    assertClose(transform(projected), [-63.9039, -8.7619], 1e-8);
+  });
+
+  it('reconhece sistemas geográficos equivalentes ao WGS84', () => {
+    const sirgas = parsePRJ(SIRGAS_2000);
+    const utm = parsePRJ(UTM_20S);
+
+    assert.equal(sirgas.type, PROJECTION_TYPES.GEOGRAPHIC);
+    assert.equal(isWGS84(sirgas), true);
+    assert.equal(isWGS84(utm), false);
+  });
+
+  it('rejeita projeções não suportadas', () => {
+    assert.throws(
+      () => parsePRJ('PROJCS["x",GEOGCS["g",DATUM["d",SPHEROID["s",6378137,298.257]],PRIMEM["Greenwich",0],UNIT["Degree",0.0174532925199433]],PROJECTION["Lambert_Conformal_Conic"],UNIT["Meter",1]]'),
+      /Lambert_Conformal_Conic" não suportada/
+    );
+  });
+});
+
+describe('Shapefile', () => {
+  it('lê pontos, polígonos com furos e registros vazios do .shp', () => {
+    const geometries = parseSHP(buildSHP([
+      polygonRecord([square(-63.91, -8.77, 0.01), hole(-63.907, -8.767, 0.002)]),
+      polygonRecord([square(-63.95, -8.77, 0.01), square(-63.93, -8.77, 0.005)]),
+      nullRecord()
+    ]));
+
+    assert.equal(geometries.length, 3);
+    assert.equal(geometries[0].type, 'Polygon');
+    assert.equal(geometries[0].coordinates.length, 2);
+    assert.equal(geometries[1].type, 'MultiPolygon');
+    assert.equal(geometries[1].coordinates.length, 2);
+    assert.equal(geometries[2], null);
+
+    assert.deepEqual(parseSHP(buildSHP([pointRecord([-63.9, -8.76])])), [{ type: 'Point', coordinates: [-63.9, -8.76] }]);
+  });
+
+  it('rejeita .shp inválido', () => {
+    assert.throws(() => parseSHP(new Uint8Array(100)), /arquivo \.shp inválido/);
+  });
+
+  it('lê campos de texto, número, lógico e data do .dbf', () => {
+    const table = parseDBF(buildDBF(FIELDS, [
+      { values: ['Jacarandá', 1234.5, 'T', '20240131'] },
+      { values: ['Ipê', '', 'F', ''] },
+      { deleted: true, values: ['apagado', 0, 'F', ''] }
+    ]));
+
+    assert.deepEqual(table.fields.map(field => field.name), ['NOME', 'AREA', 'ATIVO', 'DATA']);
+    assert.deepEqual(table.records, [
+      { NOME: 'Jacarandá', AREA: 1234.5, ATIVO: true, DATA: '2024-01-31' },
+      { NOME: 'Ipê', AREA: null, ATIVO: false, DATA: null },
+      null
+    ]);
+  });
+
+  it('usa a codificação do .cpg', () => {
+    const collection = parseShapefile({
+      shp: buildSHP([pointRecord([-63.9, -8.76])]),
+      dbf: buildDBF([{ name: 'NOME', type: 'C', length: 10 }], [{ values: ['Ação'] }], 'utf8'),
+      cpg: 'UTF-8'
+    });
+
+    assert.equal(collection.features[0].properties.NOME, 'Ação');
+    assert.deepEqual(collection.metadata, { projection: null, reprojected: false, skipped: 0 });
+  });
+
+  it('reprojeta para WGS84 usando o .prj e ignora registros vazios ou excluídos', () => {
+    const ring = square(-63.91, -8.77, 0.01);
+    const collection = parseShapefile({
+      shp: buildSHP([polygonRecord([ring.map(toUTM20S)]), nullRecord(), pointRecord(toUTM20S([-63.9, -8.76]))]),
+      dbf: buildDBF(FIELDS, [
+        { values: ['Quadra', 10, 'T', '20240131'] },
+        { values: ['vazio', 0, 'F', ''] },
+        { deleted: true, values: ['apagado', 0, 'F', ''] }
+      ]),
+      prj: UTM_20S
+    });
+
+    assert.equal(collection.features.length, 1);
+    assert.equal(collection.features[0].properties.NOME, 'Quadra');
+    collection.features[0].geometry.coordinates[0].forEach((position, index) => {
+      assertClose(position, ring[index], 1e-8);
+    });
+    assert.deepEqual(collection.metadata, { projection: 'SIRGAS_2000_UTM_Zone_20S', reprojected: true, skipped: 2 });
+  });
+
+  it('exige o sistema de coordenadas quando as coordenadas são projetadas', () => {
+    const files = { shp: buildSHP([pointRecord(toUTM20S([-63.9, -8.76]))]) };
+
+    assert.throws(() => parseShapefile(files), /arquivo \.prj ausente e coordenadas projetadas/);
+    assertClose(parseShapefile(files, { prj: UTM_20S }).features[0].geometry.coordinates, [-63.9, -8.76], 1e-8);
+    assert.throws(() => parseShapefile(files, { prj: SIRGAS_2000 }), /fora do intervalo geográfico/);
+  });
+
+  it('lê as camadas de um .zip e filtra por nome', async () => {
+    const zip = buildZip({
+      'cadastro/quadras.shp': buildSHP([polygonRecord([square(-63.91, -8.77, 0.01)])]),
+      'cadastro/quadras.dbf': buildDBF([{ name: 'NOME', type: 'C', length: 10 }], [{ values: ['Quadra'] }]),
+      'cadastro/pontos.shp': buildSHP([pointRecord([-63.9, -8.76]), pointRecord([-63.91, -8.75])]),
+      '__MACOSX/cadastro/._pontos.shp': new Uint8Array(4)
+    });
+    const progress = [];
+
+    const collection = await parseShapefileZip(zip, { onProgress: event => progress.push(event.stage) });
+    assert.deepEqual(collection.metadata.layers.map(layer => `${layer.name}:${layer.count}`), ['quadras:1', 'pontos:2']);
+    assert.deepEqual(progress, ['reading', 'parsing', 'parsing']);
+
+    const pontos = await parseShapefileZip(zip, { layer: 'PONTOS' });
+    assert.equal(pontos.features.length, 2);
+    await assert.rejects(parseShapefileZip(zip, { layer: 'lotes' }), /camada "lotes" não encontrada/);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpatialIndex } from '../assets/js/utils/spatialIndex.js';
+
+const box = (x, y, size = 1, data = {}) => Object.assign({ minX: x, minY: y, maxX: x + size, maxY: y + size }, data);
+
+// Grade de 20x20 caixas unitárias com espaçamento 2
+function grid() {
+  const items = [];
+  for (let i = 0; i < 20; i++) {
+    for (let j = 0; j < 20; j++) {
+      items.push(box(i * 2, j * 2, 1, { id: `${i}-${j}` }));
+    }
+  }
+  return items;
+}
+
+function bruteForce(items, bbox) {
+  return items.filter(item =>
+    item.minX <= bbox.maxX && item.maxX >= bbox.minX &&
+    item.minY <= bbox.maxY && item.maxY >= bbox.minY);
+}
+
+const ids = items => items.map(item => item.id).sort();
+
+describe('SpatialIndex', () => {
+  it('encontra os mesmos itens que a busca linear, com insert e com load', () => {
+    const items = grid();
+    const inserted = new SpatialIndex(4);
+    items.forEach(item => inserted.insert(item));
+    const loaded = new SpatialIndex(4).load(items);
+    
+    [
+      { minX: 0, minY: 0, maxX: 5, maxY: 5 },
+      { minX: 10.5, minY: -3, maxX: 11.5, maxY: 100 },
+      { minX: 1.2, minY: 1.2, maxX: 1.8, maxY: 1.8 },
+      { minX: -10, minY: -10, maxX: 100, maxY: 100 }
+    ].forEach(bbox => {
+      const expected = ids(bruteForce(items, bbox));
+      assert.deepEqual(ids(inserted.search(bbox)), expected);
+      assert.deepEqual(ids(loaded.search(bbox)), expected);
+    });
+  });
+  
+  it('considera caixas que apenas se tocam na borda', () => {
+    const index = new SpatialIndex().load([box(0, 0, 1, { id: 'a' })]);
+    assert.deepEqual(ids(index.search({ minX: 1, minY: 1, maxX: 2, maxY: 2 })), ['a']);
+    assert.deepEqual(index.search({ minX: 1.01, minY: 0, maxX: 2, maxY: 2 }), []);
+  });
+  
+  it('remove itens pela referência e mantém as buscas consistentes', () => {
+    const items = grid();
+    const index = new SpatialIndex(4).load(items);
+    const removed = items.filter((item, i) => i % 3 === 0);
+    
+    removed.forEach(item => assert.equal(index.remove(item), true));
+    assert.equal(index.remove(box(0, 0)), false);
+    
+    const remaining = items.filter((item, i) => i % 3 !== 0);
+    const bbox = { minX: 0, minY: 0, maxX: 20, maxY: 20 };
+    assert.equal(index.size(), remaining.length);
+    assert.deepEqual(ids(index.search(bbox)), ids(bruteForce(remaining, bbox)));
+  });
+  
+  it('all, size e clear refletem o conteúdo do índice', () => {
+    const items = grid();
+    const index = new SpatialIndex().load(items.slice(0, 50));
+    items.slice(50).forEach(item => index.insert(item));
+    
+    assert.equal(index.size(), items.length);
+    assert.deepEqual(ids(index.all()), ids(items));
+    
+    index.clear();
+    assert.equal(index.size(), 0);
+    assert.deepEqual(index.all(), []);
+    assert.deepEqual(index.search({ minX: -100, minY: -100, maxX: 100, maxY: 100 }), []);
+  });
+});
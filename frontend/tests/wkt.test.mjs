@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isWKB, isWKT, parseWKB, parseWKT, toWKB, toWKT } from '../assets/js/utils/wkt.js';
+
+const ROUND_TRIP = [
+  'POINT(-63.9 -8.76)',
+  'POINT Z(1 2 3)',
+  'LINESTRING(0 0,1 1,2 0)',
+  'POLYGON((0 0,1 0,1 1,0 0),(0.2 0.2,0.3 0.2,0.3 0.3,0.2 0.2))',
+  'MULTIPOINT((1 2),(3 4))',
+  'MULTILINESTRING((0 0,1 1),(2 2,3 3))',
+  'MULTIPOLYGON(((0 0,1 0,1 1,0 0)),((5 5,6 5,6 6,5 5)))',
+  'GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1e-7 1))',
+  'SRID=4326;POINT(1 2)',
+  'POINT EMPTY',
+  'GEOMETRYCOLLECTION EMPTY'
+];
+
+// SELECT ST_AsEWKB('SRID=4326;POINT(1 2)'::geometry) no PostGIS
+const POSTGIS_EWKB = '0101000020E6100000000000000000F03F0000000000000040';
+
+function bigEndianLineStringZ() {
+  // Tipo ISO 1002 (LineString Z), big endian, dois pontos
+  const view = new DataView(new ArrayBuffer(1 + 4 + 4 + 6 * 8));
+  view.setUint8(0, 0);
+  view.setUint32(1, 1002);
+  view.setUint32(5, 2);
+  [1, 2, 3, 4, 5, 6].forEach((value, i) => view.setFloat64(9 + i * 8, value));
+  return new Uint8Array(view.buffer);
+}
+
+describe('WKT', () => {
+  it('lê e escreve WKT, EWKT e WKB sem perdas', () => {
+    ROUND_TRIP.forEach(text => {
+      const { geometry, srid } = parseWKT(text);
+      const wkb = parseWKB(toWKB(geometry, { srid: srid }));
+      
+      assert.equal(toWKT(geometry, { srid: srid }), text);
+      assert.deepEqual(wkb.geometry, geometry, text);
+      assert.equal(wkb.srid, srid, text);
+    });
+  });
+  
+  it('aceita variações de escrita e descarta a coordenada M', () => {
+    assert.deepEqual(parseWKT('point z (1 2 3)').geometry, { type: 'Point', coordinates: [1, 2, 3] });
+    assert.deepEqual(parseWKT('POINTM(1 2 9)').geometry, { type: 'Point', coordinates: [1, 2] });
+    assert.deepEqual(parseWKT('POINT ZM (1 2 3 4)').geometry, { type: 'Point', coordinates: [1, 2, 3] });
+    assert.deepEqual(parseWKT('MULTIPOINT(1 2, 3 4)').geometry, parseWKT('MULTIPOINT((1 2),(3 4))').geometry);
+  });
+  
+  it('rejeita WKT inválido com a causa', () => {
+    assert.throws(() => parseWKT('POINT(1)'), /menos de duas dimensões/);
+    assert.throws(() => parseWKT('POINT(1 2'), /esperado "\)"/);
+    assert.throws(() => parseWKT('CIRCULARSTRING(0 0,1 1,2 0)'), /não suportado "CIRCULARSTRING"/);
+    assert.throws(() => parseWKT('LINESTRING(0 0,1 1) x'), /conteúdo inesperado/);
+  });
+  
+  it('lê EWKB do PostGIS e WKB ISO big endian', () => {
+    assert.deepEqual(parseWKB(POSTGIS_EWKB), { geometry: { type: 'Point', coordinates: [1, 2] }, srid: 4326 });
+    assert.equal(toWKB({ type: 'Point', coordinates: [1, 2] }, { srid: 4326 }), POSTGIS_EWKB);
+    assert.deepEqual(parseWKB(bigEndianLineStringZ()).geometry, { type: 'LineString', coordinates: [[1, 2, 3], [4, 5, 6]] });
+    assert.throws(() => parseWKB('0101000000'), /dados incompletos/);
+  });
+  
+  it('escreve Circle como polígono, Drawing como linha e respeita a precisão', () => {
+    const circle = parseWKT(toWKT({ type: 'Circle', coordinates: [-63.9, -8.76], radius: 100 }, { segments: 8 })).geometry;
+    
+    assert.equal(circle.type, 'Polygon');
+    assert.equal(circle.coordinates[0].length, 9);
+    assert.equal(toWKT({ type: 'Drawing', coordinates: [[0, 0], [1, 1]] }), 'LINESTRING(0 0,1 1)');
+    assert.equal(toWKT({ type: 'LineString', coordinates: [[-63.123456789, -8.1], [1, 2]] }, { precision: 6 }),
+      'LINESTRING(-63.123457 -8.1,1 2)');
+  });
+  
+  it('detecta WKT e WKB', () => {
+    assert.equal(isWKT('SRID=4326;POINT(1 2)'), true);
+    assert.equal(isWKT('{"type":"Point"}'), false);
+    assert.equal(isWKB(POSTGIS_EWKB), true);
+    assert.equal(isWKB('POINT(1 2)'), false);
+  });
+});